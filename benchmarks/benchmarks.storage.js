@@ -0,0 +1,101 @@
+
+// Compares the flattened-map layout the manager used to keep after init() with the prefix tree
+// it stores data in now. Usage: node benchmarks/benchmarks.storage.js [sizes]
+// e.g. node benchmarks/benchmarks.storage.js 10000,100000,1000000
+
+const { flattenJsonWithEscaping, unflattenJson } = require('../index');
+const { createPrefixTree } = require('../src/tree');
+const { splitPath } = require('../src/paths');
+
+const sizes = (process.argv[2] || "10000,100000,1000000").split(",").map(Number);
+const LEAVES_PER_USER = 4;
+const LOOKUPS = 10000;
+
+function buildData(keyCount) {
+    const users = {};
+    for (let index = 0; index < keyCount / LEAVES_PER_USER; index++) {
+        users[`u${index}`] = { name: `user ${index}`, age: index % 90, address: { city: `city ${index % 100}`, zip: `${10000 + index}` } };
+    }
+    return { users };
+}
+
+/**
+ * The old layout: init() stored every flattened path as a key of one object, so reading a
+ * subtree or deleting it meant going over every key.
+ */
+function createFlatLayout() {
+    let data = {};
+    const under = (path, prefix) => path === prefix || path.startsWith(`${prefix}.`) || path.startsWith(`${prefix}[`);
+    return {
+        load: value => {
+            data = flattenJsonWithEscaping(value);
+        },
+        read: path => data[path],
+        subtree: prefix => {
+            const matching = {};
+            Object.keys(data).forEach(path => {
+                if (under(path, prefix)) {
+                    matching[path] = data[path];
+                }
+            });
+            return unflattenJson(matching);
+        },
+        remove: prefix => {
+            Object.keys(data).forEach(path => {
+                if (under(path, prefix)) {
+                    delete data[path];
+                }
+            });
+        }
+    };
+}
+
+function createTreeLayout() {
+    const tree = createPrefixTree();
+    return {
+        load: value => tree.load(value),
+        read: path => tree.get(splitPath(path)),
+        subtree: prefix => tree.get(splitPath(prefix)),
+        remove: prefix => tree.remove(splitPath(prefix))
+    };
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    fn();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function run(name, layout, data, userCount) {
+    const users = Math.min(userCount, LOOKUPS);
+    const subtreeUsers = Math.min(userCount, 100);
+    const result = { layout: name };
+
+    result["load (ms)"] = time(() => layout.load(data)).toFixed(1);
+    result[`${LOOKUPS} reads (ms)`] = time(() => {
+        for (let index = 0; index < users; index++) {
+            layout.read(`users.u${index}.address.city`);
+        }
+    }).toFixed(1);
+    result["100 subtree reads (ms)"] = time(() => {
+        for (let index = 0; index < subtreeUsers; index++) {
+            layout.subtree(`users.u${index}`);
+        }
+    }).toFixed(1);
+    result["100 subtree deletes (ms)"] = time(() => {
+        for (let index = 0; index < subtreeUsers; index++) {
+            layout.remove(`users.u${index}`);
+        }
+    }).toFixed(1);
+    return result;
+}
+
+sizes.forEach(keyCount => {
+    const data = buildData(keyCount);
+    const userCount = keyCount / LEAVES_PER_USER;
+    console.log(`\n${keyCount} keys`);
+    console.table([
+        run("flattened map", createFlatLayout(), data, userCount),
+        run("prefix tree", createTreeLayout(), data, userCount)
+    ]);
+});
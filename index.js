@@ -1,5 +1,29 @@
 
 
+const { createPersistence } = require("./src/persistence");
+const { createMemoryBudget, estimateEntrySize } = require("./src/eviction");
+const { MemoryLimitError, PathConflictError, TypeMismatchError, UniqueConstraintError, VersionConflictError, FormatError, PatchError, LimitError, UnsafeKeyError, DecryptionError, CircularReferenceError } = require("./src/errors");
+const { createTransaction, runInTransaction, readThrough } = require("./src/transaction");
+const { escapeKey, splitPath, joinPath, isWithin, hasOwn, getOwn, setOwn, parsePointer, syntaxDetector, toKeys, convertPath } = require("./src/paths");
+const { parseJsonPath, evaluateJsonPath } = require("./src/jsonpath");
+const { isQuery, runQuery, shapeResults, splitPattern, matchKeys, matchPrefix } = require("./src/query");
+const { createIndex: createPathIndex, checkUnique, planQuery } = require("./src/indexes");
+const { createPrefixTree, isBranch } = require("./src/tree");
+const { createServer } = require("./src/server");
+const { createClient } = require("./src/client");
+const { readEntries, writeEntries } = require("./src/formats");
+const { deepEqual, shapeOf, touches, patchRecords, mergeRecords, diffOps } = require("./src/patch");
+const { createGuard } = require("./src/security");
+const { createMemoryStorage, createFileStorage, createLogStorage } = require("./src/storage");
+const { flattenStream, unflattenStream } = require("./src/jsonstream");
+const { isSealed, createKeyring, createFieldCipher, decryptFields, encryptStream, decryptStream } = require("./src/encryption");
+const { createCodec } = require("./src/codec");
+const { createOperationStats } = require("./src/stats");
+const { createExpirations } = require("./src/expiry");
+
+// Entries a key rotation looks at per turn of the event loop
+const REENCRYPT_BATCH = 1000;
+
 /**
  * Converts a single-level JSON object with dot notation keys into a nested JSON object.
  * 
@@ -15,19 +39,19 @@ function unflattenJson(obj) {
 
     for (const fullKey in obj) {
         if (Object.prototype.hasOwnProperty.call(obj, fullKey)) {
-            // Split keys while handling escaped dots
-            const keys = fullKey.split(/(?<!\\)\./).map(key => key.replace(/\\\./g, '.'));
+            // Split keys while handling escaped dots and array indexes
+            const keys = splitPath(fullKey);
 
             let current = result;
 
             keys.forEach((key, index) => {
                 if (index === keys.length - 1) {
                     // Final key - assign the value
-                    current[key] = obj[fullKey];
+                    setOwn(current, key, obj[fullKey]);
                 } else {
-                    // Intermediate key - create object if it doesn't exist
-                    if (!current[key] || typeof current[key] !== 'object') {
-                        current[key] = {};
+                    // Intermediate key - create object (or array before an index) if it doesn't exist
+                    if (!getOwn(current, key) || typeof current[key] !== 'object') {
+                        setOwn(current, key, typeof keys[index + 1] === 'number' ? [] : {});
                     }
                     current = current[key];
                 }
@@ -41,7 +65,8 @@ function unflattenJson(obj) {
 
 /**
  * Flattens a nested JSON object into a single level with dot notation keys,
- * escaping dots in keys with double backslashes.
+ * escaping dots in keys with double backslashes. Array items get `[n]` index keys,
+ * and empty arrays and objects are kept as values so `unflattenJson` restores them.
  * 
  * @param {Object} obj - The nested JSON object to flatten.
  * @param {string} [prefix=""] - The prefix for nested keys (used for recursion).
@@ -54,22 +79,22 @@ function flattenJsonWithEscaping(obj, prefix = "") {
 
     const result = {};
 
-    function escapeKey(key) {
-        return key.replace(/\./g, '\\.');
-    }
-
     function recurse(current, keyPrefix) {
         for (const key in current) {
             if (Object.prototype.hasOwnProperty.call(current, key)) {
-                const escapedKey = escapeKey(key);
-                const newKey = keyPrefix ? `${keyPrefix}.${escapedKey}` : escapedKey;
-
-                if (typeof current[key] === 'object' && current[key] !== null) {
-                    // Recurse for nested objects
+                const newKey = Array.isArray(current)
+                    ? `${keyPrefix}[${key}]`
+                    : (keyPrefix ? `${keyPrefix}.${escapeKey(key)}` : escapeKey(key));
+
+                if (typeof current[key] === 'object' && current[key] !== null && Object.keys(current[key]).length === 0) {
+                    // Keep empty containers
+                    setOwn(result, newKey, Array.isArray(current[key]) ? [] : {});
+                } else if (typeof current[key] === 'object' && current[key] !== null) {
+                    // Recurse for nested objects and arrays
                     recurse(current[key], newKey);
                 } else {
                     // Assign primitive values
-                    result[newKey] = current[key];
+                    setOwn(result, newKey, current[key]);
                 }
             }
         }
@@ -91,11 +116,11 @@ function getNestedValueWithEscaping(obj, path) {
         return undefined;
     }
 
-    // Split the path on unescaped dots and replace escaped dots with actual dots
-    const keys = path.split(/(?<!\\)\./).map(key => key.replace(/\\\./g, '.'));
+    // Split the path on unescaped dots and array indexes, unescaping escaped dots
+    const keys = splitPath(path);
 
     return keys.reduce((current, key) => {
-        if (current && typeof current === 'object' && key in current) {
+        if (hasOwn(current, key)) {
             return current[key];
         }
         return undefined; // Key does not exist at this level
@@ -134,18 +159,18 @@ function setNestedValueWithEscaping(obj, path, value) {
         throw new Error("Path must be a string.");
     }
 
-    // Split the path on unescaped dots and replace escaped dots with actual dots
-    const keys = path.split(/(?<!\\)\./).map(key => key.replace(/\\\./g, '.'));
+    // Split the path on unescaped dots and array indexes, unescaping escaped dots
+    const keys = splitPath(path);
 
     let current = obj;
     keys.forEach((key, index) => {
         if (index === keys.length - 1) {
             // Final key - assign the value
-            current[key] = value;
+            setOwn(current, key, value);
         } else {
-            // Create the object if it doesn't exist
-            if (!current[key] || typeof current[key] !== 'object') {
-                current[key] = {};
+            // Create the object (or array before an index) if it doesn't exist
+            if (!getOwn(current, key) || typeof current[key] !== 'object') {
+                setOwn(current, key, typeof keys[index + 1] === 'number' ? [] : {});
             }
             current = current[key];
         }
@@ -204,13 +229,13 @@ function searchNestedValueWithEscaping(obj, path) {
         throw new Error("Path must be a string.");
     }
 
-    // Split the path on unescaped dots and replace escaped dots with actual dots
-    const keys = path.split(/(?<!\\)\./).map(key => key.replace(/\\\./g, '.'));
+    // Split the path on unescaped dots and array indexes, unescaping escaped dots
+    const keys = splitPath(path);
 
     // Traverse the object to find the value
     let current = obj;
     for (const key of keys) {
-        if (current && typeof current === 'object' && key in current) {
+        if (hasOwn(current, key)) {
             current = current[key];
         } else {
             return undefined; // Path does not exist
@@ -272,13 +297,13 @@ function hasNestedKeyWithEscaping(obj, path) {
         throw new Error("Path must be a string.");
     }
 
-    // Split the path on unescaped dots and replace escaped dots with actual dots
-    const keys = path.split(/(?<!\\)\./).map(key => key.replace(/\\\./g, '.'));
+    // Split the path on unescaped dots and array indexes, unescaping escaped dots
+    const keys = splitPath(path);
 
     // Traverse the object to check for key presence
     let current = obj;
     for (const key of keys) {
-        if (current && typeof current === 'object' && key in current) {
+        if (hasOwn(current, key)) {
             current = current[key];
         } else {
             return false; // Key does not exist
@@ -342,13 +367,13 @@ function getNestedValueWithEscaping(obj, path) {
         throw new Error("Path must be a string.");
     }
 
-    // Split the path on unescaped dots and replace escaped dots with actual dots
-    const keys = path.split(/(?<!\\)\./).map(key => key.replace(/\\\./g, '.'));
+    // Split the path on unescaped dots and array indexes, unescaping escaped dots
+    const keys = splitPath(path);
 
     // Traverse the object to find the value
     let current = obj;
     for (const key of keys) {
-        if (current && typeof current === 'object' && key in current) {
+        if (hasOwn(current, key)) {
             current = current[key];
         } else {
             return undefined; // Path does not exist
@@ -400,51 +425,115 @@ function getNestedValueWithEscaping(obj, path) {
 /**
  * Creates a closure for managing a private JSON object with functions to read, write, search, and dump values.
  * All operations respect the dot notation with escaped dots (`\\.`) in keys.
+ *
+ * @param {Object} [options] - Manager options.
+ * @param {Object} [options.persistence] - Opt-in disk persistence. Every write is appended to a log in
+ *   `persistence.dir` and a manager opened on the same directory replays snapshot + log.
+ * @param {string} options.persistence.dir - Directory holding `snapshot.json` and `write.log`.
+ * @param {number} [options.persistence.snapshotEvery] - Write a snapshot after this many logged writes.
+ * @param {number} [options.persistence.snapshotInterval] - Write a snapshot every this many milliseconds.
+ * @param {boolean} [options.persistence.fsync=false] - Sync the log to disk after every write.
+ * @param {Function} [options.persistence.onRecovery] - Called when a truncated log tail is discarded on load.
+ * @param {number} [options.maxMemoryBytes] - Budget for the estimated size of all flattened entries.
+ * @param {number} [options.maxKeys] - Budget for the number of flattened entries.
+ * @param {string|Function} [options.eviction="lru"] - What to do when a budget is exceeded: `lru`, `lfu`,
+ *   `ttl` (soonest expiry first), `noeviction` (reject the write with a `MemoryLimitError`), or a function
+ *   picking the path to evict from the candidate entries.
+ * @param {Function} [options.onEvict] - Called with `{ path, value, bytes, policy }` for every evicted entry.
+ * @param {number} [options.sweepInterval=1000] - Milliseconds between background sweeps of expired keys.
+ * @param {string} [options.unsafeKeys="store"] - How writes using `__proto__`, `constructor` or
+ *   `prototype` as a key are handled: `store` keeps them as ordinary keys, `reject` throws an `UnsafeKeyError`.
+ * @param {Object} [options.limits] - `maxDepth` (default 1000), `maxKeyLength`, `maxValueBytes` and
+ *   `maxKeysPerWrite`; a write breaking one throws a `LimitError` (see `src/security.js`).
+ * @param {string} [options.pathSyntax="dot"] - `"dot"` reads every path as escaped dot notation;
+ *   `"auto"` also takes JSON Pointers (`/a/b`) and JSONPath (`$.a.b`), told apart by their first character.
+ * @param {Object} [options.encryption] - AES-256-GCM encryption of the snapshot, the write log and
+ *   `export()` output (see `src/encryption.js`).
+ * @param {Object} options.encryption.keys - Keys by id, each 32 bytes as a Buffer or a hex or base64 string.
+ * @param {string} [options.encryption.currentKey] - The key new data is encrypted with; required with
+ *   more than one key. The others only decrypt.
+ * @param {string[]} [options.encryption.fields] - Path patterns whose values are also kept encrypted
+ *   in memory: reads, dumps and queries return the encrypted text unless given the keys.
+ * @param {Object} [options.codec] - From `createCodec()`: how values are copied, persisted and
+ *   exported. The default keeps `undefined`, BigInt, Date, Buffer, Map and Set values (see `src/codec.js`).
+ * @param {Object|boolean} [options.slowLog] - `{ thresholdMs: 10, maxEntries: 128 }`: `has()` and `search()`
+ *   calls slower than the threshold are logged with their criteria (see `slowLog()`). False keeps no log.
  */
-function createJsonManager() {
-    // Private JSON object within the closure
-    let jsonObject = {};
+function createJsonManager(options = {}) {
+    // Copies values with their types and writes them as tagged JSON
+    const codec = options.codec || createCodec();
 
-    function searchJson(json, { path, like, keywords, regex }) {
-        const results = [];
-    
-        function escapeDots(key) {
-            return key.replace(/\\\./g, ".");
+    // Private data within the closure, stored as a prefix tree of the path segments; leaves such
+    // as Dates and Maps are read as copies
+    const tree = createPrefixTree({ copyLeaf: value => codec.clone(value) });
+
+    // Every committed record gets the next version; the tree stamps it on the paths it changes
+    let version = 0;
+    let stamp = { version, modified: undefined };
+
+    const keyring = options.encryption ? createKeyring(options.encryption) : null;
+    if (keyring && keyring.currentKey() === undefined) {
+        throw new Error("encryption.currentKey is required with more than one key.");
+    }
+    const fieldCipher = keyring && options.encryption.fields ? createFieldCipher(keyring, options.encryption.fields, codec) : null;
+
+    const persistence = options.persistence ? createPersistence(options.persistence, keyring) : null;
+    let writesSinceCheckpoint = 0;
+    let checkpointTimer = null;
+
+    const budget = options.maxMemoryBytes !== undefined || options.maxKeys !== undefined ? createMemoryBudget(options, codec) : null;
+
+    // Expiry timestamps keyed by escaped path; an expiring path takes its whole subtree with it
+    const expirations = createExpirations();
+    let sweepTimer = null;
+
+    const watchers = new Set();
+
+    // Secondary indexes by name
+    const indexes = new Map();
+
+    // Checks unsafe keys and limits before any write, init() or batch is applied
+    const guard = createGuard(options, codec);
+
+    // Which of the path syntaxes a path is written in
+    const syntaxOf = syntaxDetector(options.pathSyntax);
+
+    // Call counts and latencies of the public read, write, search and has, and the slow log
+    const operationStats = createOperationStats(options, ["read", "write", "search", "has"]);
+
+    /**
+     * Searches the JSON object. Takes either the query language (`from`, `where`, `and`, `or`, `not`,
+     * see `src/query.js`), a JSONPath expression (a string or `{ jsonpath }`, see `src/jsonpath.js`)
+     * or the `path`, `like`, `keywords` and `regex` criteria. Each path is reported once, and `sort`,
+     * `offset`, `limit` and `select` shape the results of all three.
+     * `candidates` (from an index) replace the scan of `json` for queries.
+     */
+    function searchJson(json, criteria, candidates) {
+        if (typeof criteria === 'string') {
+            criteria = { jsonpath: criteria };
         }
-    
-        function searchPath(obj, currentPath, targetPath) {
-            const normalizedPath = escapeDots(targetPath);
-            const keys = normalizedPath.split(".");
-            let current = obj;
-    
-            for (const key of keys) {
-                if (current && key in current) {
-                    current = current[key];
-                } else {
-                    return null;
-                }
+        const { path, like, keywords, regex, jsonpath } = criteria;
+        const results = [];
+        const seen = new Set();
+
+        function addResult(fullPath, value) {
+            if (!seen.has(fullPath)) {
+                seen.add(fullPath);
+                results.push({ path: fullPath, value });
             }
-            return current;
         }
     
         function deepSearch(obj, currentPath = "") {
             for (const key in obj) {
-                const escapedKey = key.replace(/\./g, "\\.");
-                const fullPath = currentPath ? `${currentPath}.${escapedKey}` : escapedKey;
-    
-                // Match `like`
-                if (like && fullPath.includes(like)) {
-                    results.push({ path: fullPath, value: obj[key] });
-                }
-    
-                // Match `keywords`
-                if (keywords && keywords.some(kw => fullPath.includes(kw) || (typeof obj[key] === "string" && obj[key].includes(kw)))) {
-                    results.push({ path: fullPath, value: obj[key] });
-                }
+                const fullPath = Array.isArray(obj)
+                    ? `${currentPath}[${key}]`
+                    : (currentPath ? `${currentPath}.${escapeKey(key)}` : escapeKey(key));
     
-                // Match `regex`
-                if (regex && regex.test(fullPath)) {
-                    results.push({ path: fullPath, value: obj[key] });
+                // Match `like`, `keywords` or `regex`
+                if ((like && fullPath.includes(like)) ||
+                    (keywords && keywords.some(kw => fullPath.includes(kw) || (typeof obj[key] === "string" && obj[key].includes(kw)))) ||
+                    (regex && regex.test(fullPath))) {
+                    addResult(fullPath, obj[key]);
                 }
     
                 // Recursive search for nested objects
@@ -453,12 +542,22 @@ function createJsonManager() {
                 }
             }
         }
+
+        if (isQuery(criteria)) {
+            return shapeResults(runQuery(json, criteria, candidates), criteria);
+        }
+
+        if (jsonpath !== undefined) {
+            evaluateJsonPath(json, parseJsonPath(jsonpath)).forEach(match => addResult(toPath(match.keys), match.value));
+            return shapeResults(results, criteria);
+        }
     
         // Perform Path Search
         if (path) {
-            const value = searchPath(json, "", path);
-            if (value !== null) {
-                results.push({ path, value });
+            const syntax = syntaxOf(path);
+            const value = syntax === "dot" ? getNestedValueWithEscaping(json, path) : valueIn(json, toKeys(path, syntax));
+            if (value !== undefined) {
+                addResult(path, value);
             }
         }
     
@@ -467,84 +566,2134 @@ function createJsonManager() {
             deepSearch(json);
         }
     
-        return results;
+        return shapeResults(results, criteria);
     }
     
 
     /**
-     * Splits the path into keys, accounting for escaped dots.
+     * Splits the path into keys: escaped dot notation (`items[0]` indexes are numbers) or, with the
+     * `pathSyntax: "auto"` option, an RFC 6901 JSON Pointer or a JSONPath expression addressing one
+     * value. Pointer tokens are array indexes where the stored value is an array, and `-` there
+     * stands for the end of the array.
      */
     function getKeys(path) {
-        return path.split(/(?<!\\)\./).map(key => key.replace(/\\\./g, '.'));
+        const syntax = syntaxOf(path);
+        if (syntax !== "pointer") {
+            return toKeys(path, syntax);
+        }
+        const keys = [];
+        parsePointer(path).forEach(token => {
+            if (tree.typeAt(keys) !== "array") {
+                keys.push(token);
+            } else if (token === "-") {
+                keys.push(tree.sizeAt(keys));
+            } else {
+                keys.push(/^(0|[1-9]\d*)$/.test(token) ? Number(token) : token);
+            }
+        });
+        return keys;
+    }
+
+    /**
+     * Joins raw keys back into an escaped dot notation path.
+     */
+    function toPath(keys) {
+        return joinPath(keys);
+    }
+
+    /**
+     * Returns a copy of the value stored under the given keys, or undefined.
+     */
+    function getAt(keys) {
+        return tree.get(keys);
+    }
+
+    /**
+     * Reads the value under raw keys of a plain object, or undefined.
+     */
+    function valueIn(obj, keys) {
+        let current = obj;
+        for (const key of keys) {
+            if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, key)) {
+                return undefined;
+            }
+            current = current[key];
+        }
+        return current;
+    }
+
+    /**
+     * Checks whether a path (escaped dot notation) holds a value.
+     */
+    function exists(path) {
+        if (typeof path !== 'string') {
+            throw new Error("Path must be a string.");
+        }
+        return tree.has(getKeys(path));
+    }
+
+    /**
+     * Lists the flattened `[path, value]` entries a value contributes when stored under `keys`:
+     * one per leaf and empty branch, where typed values such as Dates and Buffers are leaves.
+     */
+    function leafEntries(keys, value) {
+        if (value === undefined) {
+            return [];
+        }
+        const entries = [];
+        (function visit(entryKeys, entryValue) {
+            const childKeys = isBranch(entryValue) ? (Array.isArray(entryValue) ? [...entryValue.keys()] : Object.keys(entryValue)) : [];
+            if (childKeys.length === 0) {
+                // like flattenJsonWithEscaping(), the empty root is not an entry
+                if (entryKeys.length > 0) {
+                    entries.push([toPath(entryKeys), entryValue]);
+                }
+                return;
+            }
+            childKeys.forEach(key => visit(entryKeys.concat([key]), entryValue[key]));
+        })(keys, value);
+        return entries;
+    }
+
+    /**
+     * Lists the flattened paths a write under `keys` replaces: the old subtree, or a primitive
+     * ancestor that gets turned into an object.
+     */
+    function leavesReplacedBy(keys) {
+        for (let index = 1; index < keys.length; index++) {
+            const type = tree.typeAt(keys.slice(0, index));
+            if (type === undefined) {
+                return [];
+            }
+            if (type === "value") {
+                return [toPath(keys.slice(0, index))];
+            }
+        }
+        return tree.entries(keys).map(([path]) => path);
+    }
+
+    /**
+     * Recomputes the memory accounting from the current object.
+     */
+    function rebuildBudget() {
+        budget.clear();
+        tree.entries([]).forEach(([path, value]) => budget.set(path, value));
+    }
+
+    /**
+     * Returns the top-most paths mutation records write or delete; an init touches everything.
+     */
+    function affectedRoots(records) {
+        const touched = records.some(record => record.op === "init") ? [[]] : records
+            .filter(record => record.op === "write" || record.op === "delete")
+            .map(record => getKeys(record.path));
+        return touched.filter((keys, index) => !touched.some((other, otherIndex) =>
+            isWithin(keys, other) && (other.length < keys.length || otherIndex < index)));
+    }
+
+    /**
+     * Throws a `MemoryLimitError` if mutation records cannot fit in the budget: when what they add
+     * is larger than the budget on its own, or when they would exceed it under `noeviction`.
+     *
+     * @returns {Set<string>} - The flattened paths the records add, to protect them from eviction.
+     */
+    function reserve(records, label, details = {}) {
+        const affected = affectedRoots(records);
+
+        const removed = new Set();
+        const added = [];
+        affected.forEach(keys => {
+            const written = records.some(record => record.op === "write" && isWithin(getKeys(record.path), keys));
+            const replaced = written ? leavesReplacedBy(keys) : tree.entries(keys).map(([path]) => path);
+            replaced.forEach(path => removed.add(path));
+            added.push(...leafEntries(keys, readThrough(getAt(keys), keys, records, transactionStore)));
+        });
+
+        const addedBytes = added.reduce((sum, [entryPath, entryValue]) => sum + estimateEntrySize(entryPath, entryValue, codec), 0);
+        const removedBytes = [...removed].reduce((sum, entryPath) => sum + (budget.get(entryPath) ? budget.get(entryPath).bytes : 0), 0);
+
+        if (budget.exceedsOnItsOwn(addedBytes, added.length)) {
+            throw new MemoryLimitError(`${label} does not fit in the memory budget.`, Object.assign({ bytes: addedBytes, keys: added.length }, details));
+        }
+        if (budget.policy === "noeviction" && budget.isOver(addedBytes - removedBytes, added.length - removed.size)) {
+            throw new MemoryLimitError(`${label} rejected: memory budget exceeded.`, Object.assign({ bytes: addedBytes, keys: added.length }, details));
+        }
+        return new Set(added.map(([entryPath]) => entryPath));
+    }
+
+    /**
+     * Evicts entries chosen by the eviction policy until the store fits in its budget again.
+     */
+    function enforceBudget(protectedPaths) {
+        while (budget.policy !== "noeviction" && budget.isOver()) {
+            const victim = budget.selectVictim(protectedPaths);
+            if (victim === undefined) {
+                return;
+            }
+            const entry = budget.get(victim);
+            if (!entry) {
+                throw new Error(`Eviction policy selected an unknown path: ${victim}`);
+            }
+            const value = getAt(getKeys(victim));
+            commitRecord({ op: "delete", path: victim }, "evict");
+            if (typeof options.onEvict === 'function') {
+                options.onEvict({ path: victim, value, bytes: entry.bytes, policy: typeof budget.policy === 'function' ? "custom" : budget.policy });
+            }
+        }
+    }
+
+    /**
+     * Returns the keys of the subtree a write or delete under `keys` replaces: a primitive ancestor
+     * the write turns into an object, the array a deleted item is spliced out of, or `keys` itself.
+     */
+    function changeScope(keys, op) {
+        for (let index = 1; index < keys.length; index++) {
+            const type = tree.typeAt(keys.slice(0, index));
+            if (type === undefined) {
+                break;
+            }
+            if (type === "value") {
+                return keys.slice(0, index);
+            }
+        }
+        if (op === "delete" && keys.length > 0 && tree.typeAt(keys.slice(0, -1)) === "array") {
+            return keys.slice(0, -1);
+        }
+        return keys;
+    }
+
+    /**
+     * Throws a `UniqueConstraintError` if mutation records would store a value twice under a unique index.
+     */
+    function checkUniqueIndexes(records) {
+        const unique = [...indexes.values()].filter(index => index.unique);
+        if (unique.length === 0) {
+            return;
+        }
+        const scopes = affectedRoots(records).map(keys => {
+            const deleted = records.some(record => record.op === "delete" && toPath(getKeys(record.path)) === toPath(keys));
+            const scope = changeScope(keys, deleted ? "delete" : "write");
+            return { keys: scope, before: getAt(scope), after: readThrough(getAt(scope), scope, records, transactionStore) };
+        });
+        unique.forEach(index => checkUnique(index, scopes));
+    }
+
+    /**
+     * Creates a secondary index over the values under a path pattern. It is kept current on every
+     * change, and `has()` queries with an `eq` or `in` condition on the pattern use it instead of a scan.
+     *
+     * @param {string} name - The index name.
+     * @param {Object} indexOptions - Index options.
+     * @param {string} indexOptions.pathPattern - The indexed paths (e.g., "users.*.email").
+     * @param {boolean} [indexOptions.unique=false] - Reject writes storing an indexed value under a second path
+     *   with a `UniqueConstraintError`.
+     * @returns {Object} - `{ name, pathPattern, unique, size }` of the new index.
+     */
+    function createIndex(name, indexOptions = {}) {
+        if (indexes.has(name)) {
+            throw new Error(`Index "${name}" already exists.`);
+        }
+        purgeExpired();
+        const index = createPathIndex(name, indexOptions);
+        if (index.unique) {
+            checkUnique(index, [{ keys: [], before: undefined, after: getAt([]) }]);
+        }
+        index.add([], getAt([]));
+        indexes.set(name, index);
+        return index.describe();
+    }
+
+    /**
+     * Drops an index.
+     *
+     * @returns {boolean} - False if there is no index by that name.
+     */
+    function dropIndex(name) {
+        return indexes.delete(name);
+    }
+
+    /**
+     * Lists the indexes as `{ name, pathPattern, unique, size }`, `size` being the number of indexed paths.
+     */
+    function listIndexes() {
+        return [...indexes.values()].map(index => index.describe());
+    }
+
+    /**
+     * Picks the index a query can use, if any.
+     */
+    function planFor(criteria) {
+        return indexes.size > 0 && typeof criteria === 'object' && isQuery(criteria) ? planQuery(indexes.values(), criteria, getAt) : null;
+    }
+
+    /**
+     * Tells how `has()` would run a query: `{ index, candidates }` with the index name and the number
+     * of candidates it yields, or `{ index: null, candidates: null }` for a full scan.
+     */
+    function explain(criteria) {
+        purgeExpired();
+        const plan = planFor(criteria);
+        return plan ? { index: plan.index, candidates: plan.candidates.length } : { index: null, candidates: null };
+    }
+
+    /**
+     * Returns the earliest expiry set on the given keys or any of their ancestors.
+     */
+    function effectiveExpiry(keys) {
+        let expiresAt;
+        for (let index = 1; index <= keys.length; index++) {
+            const at = expirations.get(toPath(keys.slice(0, index)));
+            if (at !== undefined && (expiresAt === undefined || at < expiresAt)) {
+                expiresAt = at;
+            }
+        }
+        return expiresAt;
+    }
+
+    /**
+     * Copies the effective expiry onto the budget entries under `keys`, for the `ttl` eviction policy.
+     */
+    function refreshBudgetExpiry(keys) {
+        if (budget) {
+            for (const [entryKeys] of tree.walk(keys)) {
+                budget.setExpiry(toPath(entryKeys), effectiveExpiry(entryKeys));
+            }
+        }
+    }
+
+    /**
+     * Deletes every path whose expiry has passed, earliest first. Called lazily before each
+     * operation and by the background sweep; a no-op until the earliest expiry is due.
+     */
+    function purgeExpired() {
+        const now = Date.now();
+        let next = expirations.next();
+        while (next !== undefined && next.at <= now) {
+            // deleting the path drops its expiration and those under it
+            commitRecord({ op: "delete", path: next.path }, "expire");
+            expirations.delete(next.path);
+            next = expirations.next();
+        }
+    }
+
+    /**
+     * Starts the background sweep. The timer is unref'd so it never keeps the process alive.
+     */
+    function ensureSweep() {
+        if (!sweepTimer) {
+            sweepTimer = setInterval(purgeExpired, options.sweepInterval || 1000);
+            sweepTimer.unref();
+        }
+    }
+
+    /**
+     * Marks the flattened entries under a read path as used, for the LRU and LFU policies.
+     */
+    function touch(path, value) {
+        if (budget && typeof path === 'string') {
+            leafEntries(getKeys(path), value).forEach(([entryPath]) => budget.touch(entryPath));
+        }
+        return value;
     }
 
     /**
      * Reads a nested value from the JSON object using dot notation with escape characters.
+     *
+     * @param {string} path - The path to read.
+     * @param {Object} [readOptions] - Read options.
+     * @param {Object} [readOptions.keys] - Encryption keys by id, to decrypt the encrypted fields in the value.
      */
-    function read(path) {
-        return getNestedValueWithEscaping(jsonObject, path)
+    function read(path, readOptions = {}) {
+        purgeExpired();
+        if (typeof path !== 'string') {
+            return undefined;
+        }
+        const value = touch(path, getAt(getKeys(path)));
+        return readOptions.keys ? decryptFields(value, readOptions.keys, codec) : value;
+    }
+
+    /**
+     * Reads a value with its version and the time it was last modified. A path's version moves on
+     * with every change at or below it, so the version of a prefix covers its whole subtree.
+     *
+     * @returns {{ value: *, version: number, modified: number }|undefined} - Undefined if the path does not exist.
+     */
+    function readWithMeta(path) {
+        purgeExpired();
+        if (!exists(path)) {
+            return undefined;
+        }
+        const keys = getKeys(path);
+        const { version: pathVersion, modified } = tree.metaAt(keys);
+        return { value: touch(path, getAt(keys)), version: pathVersion, modified };
+    }
+
+    /**
+     * Throws a `VersionConflictError` unless the path is at `expectedVersion` (0 for a missing path).
+     */
+    function checkVersion(path, expectedVersion) {
+        const meta = exists(path) ? tree.metaAt(getKeys(path)) : undefined;
+        const actualVersion = meta ? meta.version : 0;
+        if (actualVersion !== expectedVersion) {
+            throw new VersionConflictError(`"${path}" is at version ${actualVersion}, expected ${expectedVersion}.`, { path, expectedVersion, actualVersion });
+        }
+    }
+
+    /**
+     * Writes a value only if the path is still at `expectedVersion`, as returned by `readWithMeta()`;
+     * pass 0 to write a path that must not exist yet. Takes the options of `write()`.
+     *
+     * @returns {number} - The new version of the path.
+     */
+    function compareAndSet(path, expectedVersion, value, writeOptions = {}) {
+        purgeExpired();
+        checkVersion(path, expectedVersion);
+        write(path, value, writeOptions);
+        return tree.metaAt(getKeys(path)).version;
+    }
+
+    /**
+     * Deletes a path with everything under it, only if it is still at `expectedVersion`.
+     *
+     * @returns {boolean} - False if the path did not exist (and 0 was expected).
+     */
+    function compareAndDelete(path, expectedVersion) {
+        purgeExpired();
+        checkVersion(path, expectedVersion);
+        if (expectedVersion === 0) {
+            return false;
+        }
+        commitRecord({ op: "delete", path });
+        return true;
     }
 
     /**
      * Writes a value to the nested JSON object, creating necessary nested levels.
-     * Uses dot notation with escape characters.
+     * Uses dot notation with escape characters. A write replaces any expiry set on the path.
+     *
+     * @param {string} path - The escaped dot notation path.
+     * @param {*} value - The value to write.
+     * @param {Object} [writeOptions] - Write options.
+     * @param {number} [writeOptions.ttl] - Milliseconds until the path (and everything under it) expires.
      */
-    function write(path, value) {
-        setNestedValueWithEscaping(jsonObject, path, value);
+    function write(path, value, writeOptions = {}) {
+        const { ttl: ttlMs } = writeOptions;
+        if (ttlMs !== undefined) {
+            checkTtl(ttlMs);
+        }
+        purgeExpired();
+
+        const staged = { op: "write", path, value };
+        guard.check([staged], getKeys);
+        const [record] = sealFields(copyValues([staged]));
+        checkUniqueIndexes([record]);
+        if (budget) {
+            const protectedPaths = reserve([record], `Write to "${path}"`, { path });
+            commitRecord(record);
+            enforceBudget(protectedPaths);
+        } else {
+            commitRecord(record);
+        }
+
+        if (ttlMs !== undefined) {
+            setExpiry(path, Date.now() + ttlMs);
+        }
+    }
+
+    function setExpiry(path, at) {
+        commitRecord({ op: "expire", path, at });
+        ensureSweep();
+    }
+
+    function checkTtl(ms) {
+        if (typeof ms !== 'number' || !(ms > 0)) {
+            throw new Error("ttl must be a positive number of milliseconds.");
+        }
     }
 
     /**
-     * Searches for the presence of a key at a nested level using dot notation with escape characters returning presence of key
+     * Sets a path to expire after `ms` milliseconds. Expiring a prefix expires every key under it.
+     *
+     * @returns {boolean} - False if the path does not exist.
      */
-    function hasKey(path) {
-        return hasNestedKeyWithEscaping(jsonObject, path);
+    function expire(path, ms) {
+        checkTtl(ms);
+        purgeExpired();
+        if (!exists(path)) {
+            return false;
+        }
+        setExpiry(path, Date.now() + ms);
+        return true;
     }
 
-    function has(criteria) {
-        return searchJson(jsonObject, criteria);
+    /**
+     * Returns the milliseconds left before a path expires, taking expiring ancestors into account.
+     *
+     * @returns {number} - Remaining milliseconds, -1 if the path does not expire, -2 if it does not exist.
+     */
+    function ttl(path) {
+        purgeExpired();
+        if (!exists(path)) {
+            return -2;
+        }
+        const expiresAt = effectiveExpiry(getKeys(path));
+        return expiresAt === undefined ? -1 : Math.max(0, expiresAt - Date.now());
     }
-    
+
     /**
-     * Searches for the presence of a key at a nested level using dot notation with escape characters returning value
+     * Removes the expiry set on a path. Keys under an expiring ancestor still expire with it.
+     *
+     * @returns {boolean} - True if an expiry was removed.
      */
-    function search(path) {
-        return searchNestedValueWithEscaping(jsonObject, path);
+    function persist(path) {
+        purgeExpired();
+        if (!expirations.has(toPath(getKeys(path)))) {
+            return false;
+        }
+        commitRecord({ op: "persist", path });
+        return true;
     }
 
     /**
-     * Dumps the entire JSON object.
+     * Deletes a single value and prunes parents left empty. Refuses paths holding a non-empty
+     * object, which must be removed with `deleteTree()`.
+     *
+     * @returns {boolean} - False if the path does not exist.
      */
-    function dump() {
-        // convert to nested value
-        return JSON.parse(JSON.stringify(unflattenJson(jsonObject))); // Deep clone the JSON object
+    function remove(path) {
+        purgeExpired();
+        if (!exists(path)) {
+            return false;
+        }
+        if (tree.sizeAt(getKeys(path)) > 0) {
+            throw new Error(`"${path}" holds a subtree; use deleteTree() to delete it.`);
+        }
+        commitRecord({ op: "delete", path });
+        return true;
     }
 
     /**
-     * Dumps the entire JSON object.
+     * Deletes a path with everything under it and prunes parents left empty.
+     *
+     * @returns {number} - The number of flattened entries removed.
      */
-    function init(obj) {
-        // convert to nested value
-        jsonObject = JSON.parse(JSON.stringify(flattenJsonWithEscaping(obj || {}))); // Deep clone the JSON object
+    function deleteTree(prefix) {
+        purgeExpired();
+        if (!exists(prefix)) {
+            return 0;
+        }
+        const count = tree.entries(getKeys(prefix)).length;
+        commitRecord({ op: "delete", path: prefix });
+        return count;
     }
 
-    // Return the public API with all the methods
-    return {
-        read,
-        write,
-        has,
-        search,
-        dump,
-        hasKey,
-        getKeys,
-        init
-    };
+    /**
+     * Deep merges `source` into `target` where both hold plain objects; elsewhere the value of
+     * `source` wins whole, arrays and typed values such as Dates included.
+     */
+    function mergeValues(target, source) {
+        const isObject = value => isBranch(value) && !Array.isArray(value);
+        if (!isObject(target) || !isObject(source)) {
+            return source;
+        }
+        const result = {};
+        Object.keys(target).forEach(key => setOwn(result, key, target[key]));
+        Object.keys(source).forEach(key => {
+            setOwn(result, key, hasOwn(target, key) ? mergeValues(target[key], source[key]) : source[key]);
+        });
+        return result;
+    }
+
+    /**
+     * Copies the value at `from` to `to`, removing the source unless `keepSource` is set.
+     * Runs as one batch so watchers and the write log see a single change.
+     */
+    function relocate(from, to, relocateOptions, keepSource) {
+        const onConflict = relocateOptions.onConflict || "overwrite";
+        if (!["overwrite", "merge", "fail"].includes(onConflict)) {
+            throw new Error(`Unknown onConflict mode: ${onConflict}. Expected overwrite, merge or fail.`);
+        }
+        purgeExpired();
+        if (!exists(from)) {
+            return false;
+        }
+
+        const fromKeys = getKeys(from);
+        const toKeys = getKeys(to);
+        if (isWithin(toKeys, fromKeys)) {
+            if (toKeys.length === fromKeys.length) {
+                return true;
+            }
+            if (!keepSource) {
+                throw new Error(`Cannot move "${from}" into its own subtree "${to}".`);
+            }
+        }
+
+        const records = keepSource ? [] : [{ op: "delete", path: toPath(fromKeys) }];
+        const target = readThrough(getAt(toKeys), toKeys, records, transactionStore);
+        let value = getAt(fromKeys);
+
+        if (target !== undefined) {
+            if (onConflict === "fail") {
+                throw new PathConflictError(`Target path "${to}" already exists.`, { path: to });
+            }
+            if (onConflict === "merge") {
+                value = mergeValues(target, value);
+            }
+        }
+        records.push({ op: "write", path: toPath(toKeys), value });
+
+        if (!keepSource) {
+            // expiries travel with the moved subtree
+            expirations.within(fromKeys).forEach(({ keys, at }) => {
+                records.push({ op: "expire", path: toPath(toKeys.concat(keys.slice(fromKeys.length))), at });
+            });
+        }
+
+        commitTransaction(records);
+        return true;
+    }
+
+    /**
+     * Moves the value at `from` (leaf or subtree) to `to`.
+     *
+     * @param {string} from - The escaped dot notation source path.
+     * @param {string} to - The escaped dot notation target path.
+     * @param {Object} [moveOptions] - Move options.
+     * @param {string} [moveOptions.onConflict="overwrite"] - When `to` exists: `overwrite` it, deep `merge`
+     *   into it, or `fail` with a `PathConflictError`.
+     * @returns {boolean} - False if `from` does not exist.
+     */
+    function move(from, to, moveOptions = {}) {
+        return relocate(from, to, moveOptions, false);
+    }
+
+    /**
+     * Copies the value at `from` (leaf or subtree) to `to`. Takes the same options as `move()`.
+     */
+    function copy(from, to, copyOptions = {}) {
+        return relocate(from, to, copyOptions, true);
+    }
+
+    /**
+     * Renames the last key of a path, keeping it under the same parent. `newKey` is a single
+     * escaped key (`"c\\.d"` for a key containing a dot). Takes the same options as `move()`.
+     */
+    function rename(path, newKey, renameOptions = {}) {
+        const newKeys = getKeys(newKey);
+        if (newKeys.length !== 1) {
+            throw new Error(`New key "${newKey}" must be a single key; escape dots as \\.`);
+        }
+        const keys = getKeys(path);
+        return move(path, toPath(keys.slice(0, -1).concat(newKeys)), renameOptions);
+    }
+
+    /**
+     * Describes the type of a stored value for error messages.
+     */
+    function typeName(value) {
+        if (value === null) {
+            return "null";
+        }
+        return Array.isArray(value) ? "array" : typeof value;
+    }
+
+    /**
+     * Replaces the value at a path while keeping the expiry set on the path itself.
+     */
+    function replaceValue(path, keys, value) {
+        const at = expirations.get(toPath(keys));
+        if (at === undefined) {
+            write(path, value);
+        } else {
+            commitTransaction([{ op: "write", path, value }, { op: "expire", path, at }]);
+        }
+    }
+
+    /**
+     * Throws a `TypeMismatchError` unless `value` is missing or of the `expected` type (see `typeName()`).
+     */
+    function expectType(path, value, expected) {
+        if (value !== undefined && typeName(value) !== expected) {
+            const article = expected === "array" ? "an" : "a";
+            throw new TypeMismatchError(`"${path}" holds ${typeName(value)}, not ${article} ${expected}.`, { path, expected, actual: typeName(value) });
+        }
+    }
+
+    /**
+     * Runs `fn` on a copy of the array stored at `path` (an empty one if the path is missing)
+     * and stores the result when `fn` changed it.
+     */
+    function updateArray(path, fn) {
+        purgeExpired();
+        const keys = getKeys(path);
+        const current = getAt(keys);
+        expectType(path, current, "array");
+        const array = current === undefined ? [] : current.slice();
+        const result = fn(array);
+        if (current === undefined ? array.length > 0 : array.length !== current.length || array.some((item, index) => item !== current[index])) {
+            replaceValue(path, keys, array);
+        }
+        return result;
+    }
+
+    /**
+     * Appends values to the array at `path`, creating it if missing.
+     *
+     * @returns {number} - The new length.
+     */
+    function push(path, ...values) {
+        return updateArray(path, array => array.push(...values));
+    }
+
+    /**
+     * Removes and returns the last item of the array at `path`.
+     */
+    function pop(path) {
+        return updateArray(path, array => array.pop());
+    }
+
+    /**
+     * Removes and returns the first item of the array at `path`.
+     */
+    function shift(path) {
+        return updateArray(path, array => array.shift());
+    }
+
+    /**
+     * Prepends values to the array at `path`, creating it if missing.
+     *
+     * @returns {number} - The new length.
+     */
+    function unshift(path, ...values) {
+        return updateArray(path, array => array.unshift(...values));
+    }
+
+    /**
+     * Inserts a value at `index` of the array at `path`, shifting later items.
+     *
+     * @returns {number} - The new length.
+     */
+    function insert(path, index, value) {
+        return updateArray(path, array => {
+            array.splice(index, 0, value);
+            return array.length;
+        });
+    }
+
+    /**
+     * Removes `deleteCount` items from `start` of the array at `path` and inserts `items` in their place.
+     *
+     * @returns {Array} - The removed items.
+     */
+    function splice(path, start, deleteCount, ...items) {
+        return updateArray(path, array => (deleteCount === undefined ? array.splice(start) : array.splice(start, deleteCount, ...items)));
+    }
+
+    /**
+     * Stores `fn(current)` at `path`, where `current` is a copy of the stored value (undefined if
+     * the path is missing), in one step so nothing else changes the value in between. Returning
+     * undefined leaves the value as it is. The expiry set on the path is kept.
+     *
+     * @returns {*} - The value now stored.
+     */
+    function update(path, fn) {
+        if (typeof fn !== 'function') {
+            throw new Error("update() needs a function.");
+        }
+        purgeExpired();
+        const keys = getKeys(path);
+        const current = getAt(keys);
+        const value = fn(current);
+        if (value === undefined) {
+            return current;
+        }
+        replaceValue(path, keys, value);
+        return value;
+    }
+
+    /**
+     * Like `update()`, but throws a `TypeMismatchError` if the stored value is not of the `expected` type.
+     */
+    function updateTyped(path, expected, fn) {
+        return update(path, current => {
+            expectType(path, current, expected);
+            return fn(current);
+        });
+    }
+
+    /**
+     * Adds `amount` (which may be a fraction or negative) to the number at `path`, starting from 0
+     * if the path is missing.
+     *
+     * @returns {number} - The new value.
+     */
+    function incrBy(path, amount) {
+        if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+            throw new Error("The increment must be a finite number.");
+        }
+        return updateTyped(path, "number", current => {
+            const value = (current || 0) + amount;
+            if (!Number.isFinite(value)) {
+                throw new RangeError(`Incrementing "${path}" by ${amount} leaves the range of numbers.`);
+            }
+            return value;
+        });
+    }
+
+    /**
+     * Adds 1 to the number at `path`.
+     *
+     * @returns {number} - The new value.
+     */
+    function incr(path) {
+        return incrBy(path, 1);
+    }
+
+    /**
+     * Subtracts 1 from the number at `path`.
+     *
+     * @returns {number} - The new value.
+     */
+    function decr(path) {
+        return incrBy(path, -1);
+    }
+
+    /**
+     * Appends `text` to the string at `path`, starting from "" if the path is missing.
+     *
+     * @returns {number} - The new length of the string.
+     */
+    function append(path, text) {
+        if (typeof text !== 'string') {
+            throw new Error("append() needs a string.");
+        }
+        return updateTyped(path, "string", current => (current || "") + text).length;
+    }
+
+    /**
+     * Flips the boolean at `path`; a missing path becomes true.
+     *
+     * @returns {boolean} - The new value.
+     */
+    function toggle(path) {
+        return updateTyped(path, "boolean", current => !current);
+    }
+
+    /**
+     * Writes `value` only if `path` holds nothing.
+     *
+     * @param {Object} [writeOptions] - Write options, as for `write()`.
+     * @returns {boolean} - True if the value was written.
+     */
+    function setIfAbsent(path, value, writeOptions) {
+        purgeExpired();
+        if (exists(path)) {
+            return false;
+        }
+        write(path, value, writeOptions);
+        return true;
+    }
+
+    /**
+     * Writes `value` and returns what `path` held before (undefined if nothing). Like `write()`,
+     * this replaces any expiry set on the path.
+     */
+    function getAndSet(path, value, writeOptions) {
+        purgeExpired();
+        const previous = getAt(getKeys(path));
+        write(path, value, writeOptions);
+        return previous;
+    }
+
+    /**
+     * Searches for the presence of a key at a nested level using dot notation with escape characters returning presence of key
+     */
+    function hasKey(path) {
+        purgeExpired();
+        return exists(path);
+    }
+
+    /**
+     * Searches the JSON object with the `path`/`like`/`keywords`/`regex` criteria, a query
+     * (`{ from, where, and, or, not, sort, offset, limit, select }`) or a JSONPath expression
+     * (`"$..email"` or `{ jsonpath }`), returning `{ path, value }` results.
+     */
+    function has(criteria) {
+        purgeExpired();
+        const plan = planFor(criteria);
+        // the candidates of an index plan are read on their own, without building the store
+        return plan ? searchJson(undefined, criteria, plan.candidates) : searchReader(tree, criteria);
+    }
+
+    /**
+     * Runs `searchJson()` over a view of the tree or of a snapshot (`reader`), so a search reads
+     * the nodes in place and only the values it returns are copied.
+     */
+    function searchReader(reader, criteria) {
+        return searchJson(reader.view([]), criteria).map(result => ({ path: result.path, value: reader.copyView(result.value) }));
+    }
+    
+    /**
+     * Searches for the presence of a key at a nested level using dot notation with escape characters returning value
+     */
+    function search(path) {
+        purgeExpired();
+        if (typeof path !== 'string') {
+            throw new Error("Path must be a string.");
+        }
+        return touch(path, getAt(getKeys(path)));
+    }
+
+    /**
+     * Dumps the entire JSON object.
+     *
+     * @param {Object} [dumpOptions] - Dump options.
+     * @param {Object} [dumpOptions.keys] - Encryption keys by id, to decrypt the encrypted fields.
+     */
+    function dump(dumpOptions = {}) {
+        purgeExpired();
+        const data = codec.clone(getAt([]));
+        return dumpOptions.keys ? decryptFields(data, dumpOptions.keys, codec) : data;
+    }
+
+    /**
+     * Takes a read-only view of the store as it is now, with `read`, `hasKey`, `search`, `has` and
+     * `dump`. Later changes to the store do not show in it. The view shares the tree's nodes, which
+     * are only copied when a change reaches them, so taking one is cheap; nothing keeps it alive
+     * but the caller's reference, and it is garbage collected with the nodes only it still holds.
+     *
+     * `has()` on a snapshot always scans, since the indexes follow the live store.
+     *
+     * @returns {Object} - The view, plus the `version` of the store it was taken at.
+     */
+    function snapshot() {
+        purgeExpired();
+        const view = tree.snapshot();
+
+        function checkPath(path) {
+            if (typeof path !== 'string') {
+                throw new Error("Path must be a string.");
+            }
+            return getKeys(path);
+        }
+
+        return Object.freeze({
+            version,
+            read: path => (typeof path === 'string' ? view.get(getKeys(path)) : undefined),
+            hasKey: path => view.has(checkPath(path)),
+            search: path => view.get(checkPath(path)),
+            has: criteria => searchReader(view, criteria),
+            dump: () => codec.clone(view.get([]))
+        });
+    }
+
+    /**
+     * Writes the entries of a text source into the store, one `write()` per entry as the lines are
+     * read, so the source never has to fit in memory. Entries merge into the existing data; an
+     * invalid line rejects with a `FormatError` and keeps the entries written before it.
+     *
+     * @param {stream.Readable|string|Buffer} source - The text, or a stream of it.
+     * @param {Object} importOptions - Import options.
+     * @param {string} importOptions.format - `"ndjson"`, `"csv"`, `"yaml"`, `"ini"` or `"env"`
+     *   (see `src/formats.js`).
+     * @param {boolean} [importOptions.encrypted] - Whether the source is an encrypted `export()`;
+     *   the default when the manager has the `encryption` option.
+     * @returns {Promise<number>} - The number of entries written.
+     */
+    function importData(source, importOptions = {}) {
+        let count = 0;
+        const encrypted = importOptions.encrypted === undefined ? keyring !== null : importOptions.encrypted;
+        if (encrypted && !keyring) {
+            return Promise.reject(new Error("Encryption is not enabled for this manager."));
+        }
+        return readEntries(encrypted ? decryptStream(source, keyring) : source, importOptions.format, (path, value) => {
+            write(path, codec.decode(value));
+            count++;
+        }).then(() => count);
+    }
+
+    /**
+     * Streams the flattened entries of the store, or of the subtree under `prefix`, as text. The
+     * entries come from a snapshot, so writes made while the stream is read do not show in it.
+     *
+     * @param {Object} exportOptions - Export options.
+     * @param {string} exportOptions.format - `"ndjson"`, `"csv"`, `"yaml"`, `"ini"` or `"env"`.
+     * @param {string} [exportOptions.prefix] - Only export the paths under this one.
+     * @param {boolean} [exportOptions.encrypted] - Encrypt the text as lines of encrypted text, each
+     *   holding up to 64 KiB of it; the default when the manager has the `encryption` option.
+     * @returns {stream.Readable} - The text; paths keep their full escaped form.
+     */
+    function exportData(exportOptions = {}) {
+        const encrypted = exportOptions.encrypted === undefined ? keyring !== null : exportOptions.encrypted;
+        if (encrypted && !keyring) {
+            throw new Error("Encryption is not enabled for this manager.");
+        }
+        const entries = mapIterator(iterateEntries(exportOptions.prefix), ([path, value]) => [path, codec.encode(value)]);
+        const text = writeEntries(entries, exportOptions.format);
+        return encrypted ? encryptStream(text, keyring) : text;
+    }
+
+    /**
+     * Iterates over the flattened `[path, value]` entries under `prefix` (the whole store
+     * without one), as `flattenJsonWithEscaping()` would list them. Entries are read one at a time
+     * from a snapshot taken by the call, so the store can be walked without a `dump()` and
+     * changes made while iterating do not show.
+     *
+     * @param {string} [prefix] - The path to iterate under.
+     * @returns {Iterator<Array>} - The `[path, value]` entries.
+     */
+    function iterateEntries(prefix) {
+        purgeExpired();
+        const keys = prefix ? getKeys(prefix) : [];
+        return tree.snapshot().iterate(keys);
+    }
+
+    /**
+     * Reports the size of the store and how it has been used: the number of flattened entries
+     * (`keys`), their estimated `bytes` as the memory budget counts them (see `estimateEntrySize()`),
+     * the deepest entry's number of keys (`maxDepth`), the keys and bytes under each top-level key
+     * (`prefixes`, by escaped key), and for `read`, `write`, `search` and `has` the calls made
+     * through the manager since it was created or `resetStats()` was called (`operations`, see
+     * `src/stats.js`). Walks every entry.
+     *
+     * @returns {Object} - `{ keys, bytes, maxDepth, prefixes, operations }`.
+     */
+    function stats() {
+        purgeExpired();
+        const result = { keys: 0, bytes: 0, maxDepth: 0, prefixes: {}, operations: operationStats.operations() };
+        for (const [keys, value] of tree.walk([])) {
+            const bytes = estimateEntrySize(joinPath(keys), value, codec);
+            const topKey = escapeKey(keys[0]);
+            if (!hasOwn(result.prefixes, topKey)) {
+                setOwn(result.prefixes, topKey, { keys: 0, bytes: 0 });
+            }
+            const prefix = getOwn(result.prefixes, topKey);
+            prefix.keys++;
+            prefix.bytes += bytes;
+            result.keys++;
+            result.bytes += bytes;
+            result.maxDepth = Math.max(result.maxDepth, keys.length);
+        }
+        return result;
+    }
+
+    /**
+     * Returns the number of flattened entries under `prefix` and their estimated bytes, as
+     * `stats()` counts them, walking only that subtree.
+     *
+     * @param {string} [prefix] - The path to measure; the whole store without one.
+     * @returns {{ keys: number, bytes: number }|undefined} - Undefined if nothing is stored there.
+     */
+    function memoryUsage(prefix) {
+        purgeExpired();
+        const keys = prefix ? getKeys(prefix) : [];
+        if (!tree.has(keys)) {
+            return undefined;
+        }
+        const result = { keys: 0, bytes: 0 };
+        for (const [entryKeys, value] of tree.walk(keys)) {
+            result.keys++;
+            result.bytes += estimateEntrySize(joinPath(entryKeys), value, codec);
+        }
+        return result;
+    }
+
+    /**
+     * Lists the `has()` and `search()` calls that took longer than the `slowLog` threshold, oldest
+     * first, as `{ operation, criteria, durationMs, at }`. `criteria` is what the call was given.
+     */
+    function slowLog() {
+        return operationStats.slowLog();
+    }
+
+    /**
+     * Sets the operation counters of `stats()` back to zero and empties the slow log.
+     */
+    function resetStats() {
+        operationStats.reset();
+    }
+
+    /**
+     * Walks the flattened entries in pages, returning the escaped paths of the next batch and the
+     * cursor to pass to the following call; the walk starts and ends with the cursor `"0"`. Entries
+     * are walked in a fixed order (object keys sorted, array items by index), so writes between
+     * calls never make the walk skip an entry that exists throughout it, though entries added or
+     * removed during it may or may not be returned. Each call sorts the keys of the objects it walks.
+     *
+     * @param {string} [cursor="0"] - The cursor from the previous call.
+     * @param {Object} [scanOptions] - Scan options.
+     * @param {string} [scanOptions.match] - A path pattern: `*` matches one key, `**` any number
+     *   of keys, and `\\.` is a literal dot (e.g. "users.*.profile.**"). Subtrees that cannot match
+     *   are not walked.
+     * @param {number} [scanOptions.count=100] - How many entries to examine; a page holds at most
+     *   this many paths and may hold none before the walk is done.
+     * @param {string} [scanOptions.type] - Only return entries whose value is a `string`, `number`,
+     *   `boolean`, `null`, `object` or `array` (the last two for empty ones).
+     * @returns {{ cursor: string, paths: string[] }}
+     */
+    function scan(cursor = "0", scanOptions = {}) {
+        const { match, count = 100, type } = scanOptions;
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error("count must be a positive integer.");
+        }
+        purgeExpired();
+        const patternKeys = match === undefined ? null : splitPattern(match);
+        // start from the keys before the first wildcard
+        const base = [];
+        for (const key of patternKeys || []) {
+            if (key === "*" || key === "**") {
+                break;
+            }
+            base.push(key);
+        }
+        let after = null;
+        if (cursor !== "0") {
+            try {
+                after = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+            } catch (err) {
+                after = null;
+            }
+            if (!Array.isArray(after) || !isWithin(after, base)) {
+                throw new Error(`Invalid scan cursor: ${cursor}`);
+            }
+        }
+
+        const paths = [];
+        const skip = patternKeys ? keys => !matchPrefix(patternKeys, keys) : undefined;
+        let examined = 0;
+        for (const [keys, value] of tree.iterateSorted(base, after, skip)) {
+            if ((!patternKeys || matchKeys(patternKeys, keys)) && (type === undefined || typeName(value) === type)) {
+                paths.push(joinPath(keys));
+            }
+            examined++;
+            if (examined === count) {
+                return { cursor: Buffer.from(JSON.stringify(keys)).toString("base64url"), paths };
+            }
+        }
+        return { cursor: "0", paths };
+    }
+
+    function* mapIterator(iterator, fn) {
+        for (const item of iterator) {
+            yield fn(item);
+        }
+    }
+
+    /**
+     * Iterates over the escaped paths of the flattened entries under `prefix` (see `entries()`).
+     */
+    function iterateKeys(prefix) {
+        return mapIterator(iterateEntries(prefix), ([path]) => path);
+    }
+
+    /**
+     * Iterates over the values of the flattened entries under `prefix` (see `entries()`).
+     */
+    function iterateValues(prefix) {
+        return mapIterator(iterateEntries(prefix), ([, value]) => value);
+    }
+
+    /**
+     * Dumps the entire JSON object.
+     */
+    function init(obj) {
+        const staged = { op: "init", value: obj || {} };
+        guard.check([staged], getKeys);
+        const [record] = sealFields(copyValues([staged]));
+        checkUniqueIndexes([record]);
+        if (budget) {
+            reserve([record], "init() data");
+        }
+        commitRecord(record);
+    }
+
+    /**
+     * Applies the records staged by a transaction as one batch, logged as a single record so a
+     * crash never leaves half a transaction on disk.
+     */
+    function commitTransaction(records) {
+        if (records.length === 0) {
+            return;
+        }
+        purgeExpired();
+        const now = Date.now();
+        const staged = records.map(record => (record.op === "expire" && record.at === undefined ? { op: "expire", path: record.path, at: now + record.ms } : record));
+        guard.check(staged, getKeys);
+        const resolved = sealFields(copyValues(staged));
+        checkUniqueIndexes(resolved);
+        const protectedPaths = budget ? reserve(resolved, "Transaction") : null;
+
+        commitRecord({ op: "batch", records: resolved });
+
+        if (budget) {
+            enforceBudget(protectedPaths);
+        }
+        if (resolved.some(record => record.op === "expire")) {
+            ensureSweep();
+        }
+    }
+
+    // Hooks turning patches into records; reads see the records staged by the patch so far
+    const patchStore = {
+        read: (keys, records) => readThrough(getAt(keys), keys, records, transactionStore),
+        shape: (keys, records) => (touches(records, keys)
+            ? shapeOf(readThrough(getAt(keys), keys, records, transactionStore))
+            : { kind: tree.typeAt(keys), size: tree.sizeAt(keys) })
+    };
+
+    /**
+     * Applies an RFC 6902 JSON Patch (`add`, `remove`, `replace`, `move`, `copy`, `test`) as one
+     * batch. Paths are JSON Pointers. A failing operation, such as a `test` that does not match,
+     * throws a `PatchError` and none of the patch is applied.
+     *
+     * @param {Object[]} ops - The operations, e.g. `[{ op: "replace", path: "/users/alice/age", value: 31 }]`.
+     */
+    function applyPatch(ops) {
+        purgeExpired();
+        commitTransaction(patchRecords(ops, patchStore));
+    }
+
+    /**
+     * Applies an RFC 7396 JSON Merge Patch to the store as one batch: members set to null are
+     * deleted, objects are merged into stored objects, and any other value replaces the stored one.
+     *
+     * @param {Object} patch - The merge patch.
+     */
+    function merge(patch) {
+        purgeExpired();
+        commitTransaction(mergeRecords(patch, patchStore));
+    }
+
+    // Hooks the transaction handles use to read committed state and commit their records
+    const transactionStore = {
+        getKeys,
+        readBase: keys => {
+            purgeExpired();
+            return getAt(keys);
+        },
+        initData: obj => cloneValue(obj),
+        clone: cloneValue,
+        search: (root, criteria) => searchJson(root, criteria),
+        dumpOf: root => cloneValue(root),
+        commit: commitTransaction
+    };
+
+    /**
+     * Starts a transaction. Its writes stay invisible to the manager until `commit()`;
+     * `rollback()` discards them. Handles nest with `tx.begin()` (savepoints).
+     */
+    function begin() {
+        return createTransaction(transactionStore);
+    }
+
+    /**
+     * Runs `fn(tx)` in a transaction that commits when `fn` returns (or its Promise resolves)
+     * and rolls back when it throws (or its Promise rejects).
+     */
+    function transaction(fn) {
+        return runInTransaction(begin(), fn);
+    }
+
+    /**
+     * Replaces the values of write and `init()` records, batches included, by `fn(value, keys)`.
+     */
+    function mapRecordValues(records, fn) {
+        return records.map(record => {
+            switch (record.op) {
+                case "write":
+                    return Object.assign({}, record, { value: fn(record.value, getKeys(record.path)) });
+                case "init":
+                    return Object.assign({}, record, { value: fn(record.value, []) });
+                case "batch":
+                    return Object.assign({}, record, { records: mapRecordValues(record.records, fn) });
+                default:
+                    return record;
+            }
+        });
+    }
+
+    /**
+     * Gives records copies of their values, so the store keeps its own with their types. A value
+     * containing itself throws a `CircularReferenceError`.
+     */
+    function copyValues(records) {
+        return mapRecordValues(records, (value, keys) => codec.clone(value, keys));
+    }
+
+    /**
+     * Encrypts the values `encryption.fields` covers in write and `init()` records, before they
+     * are stored or logged.
+     */
+    function sealFields(records) {
+        return fieldCipher ? mapRecordValues(records, (value, keys) => fieldCipher.seal(keys, value)) : records;
+    }
+
+    /**
+     * Adds an encryption key and encrypts everything written from now on with it. What older keys
+     * encrypted is re-encrypted in the background: the encrypted fields a batch per turn of the
+     * event loop, keeping their expiry, then the snapshot and write log through a checkpoint. Data
+     * under older keys stays readable meanwhile, as long as their keys are in the `encryption` option.
+     *
+     * @param {string} keyId - The id of the new key.
+     * @param {Buffer|string} key - 32 bytes, as a Buffer or a hex or base64 string.
+     * @returns {Promise<{ fields: number }>} - Resolves with how many field values were re-encrypted
+     *   once nothing in the store or its files needs an older key.
+     */
+    function rotateKey(keyId, key) {
+        if (!keyring) {
+            throw new Error("Encryption is not enabled for this manager.");
+        }
+        keyring.addKey(keyId, key);
+        keyring.useKey(keyId);
+        purgeExpired();
+        const entries = fieldCipher ? tree.snapshot().iterateSorted([]) : [][Symbol.iterator]();
+        let count = 0;
+
+        return new Promise((resolve, reject) => {
+            function step() {
+                try {
+                    const records = [];
+                    let done = false;
+                    for (let examined = 0; examined < REENCRYPT_BATCH && !done; examined++) {
+                        const next = entries.next();
+                        done = next.done;
+                        if (!done) {
+                            // the entry may have changed since the rotation started
+                            const keys = next.value[0];
+                            const value = getAt(keys);
+                            if (isSealed(value) && keyring.keyIdOf(value) !== keyring.currentKey()) {
+                                const path = toPath(keys);
+                                records.push({ op: "write", path, value: keyring.seal(keyring.open(value)) });
+                                if (expirations.has(path)) {
+                                    records.push({ op: "expire", path, at: expirations.get(path) });
+                                }
+                                count++;
+                            }
+                        }
+                    }
+                    if (records.length > 0) {
+                        commitTransaction(records);
+                    }
+                    if (!done) {
+                        setImmediate(step);
+                        return;
+                    }
+                    if (persistence) {
+                        checkpoint();
+                    }
+                    resolve({ fields: count });
+                } catch (err) {
+                    reject(err);
+                }
+            }
+            setImmediate(step);
+        });
+    }
+
+    /**
+     * Applies a mutation record to the in-memory object and the indexes. Used both for live
+     * mutations and when replaying the write log.
+     */
+    function applyRecord(record) {
+        if (indexes.size > 0 && (record.op === "write" || record.op === "delete")) {
+            const scope = changeScope(getKeys(record.path), record.op);
+            indexes.forEach(index => index.remove(scope, getAt(scope)));
+            applyToObject(record);
+            indexes.forEach(index => index.add(scope, getAt(scope)));
+            return;
+        }
+        applyToObject(record);
+        if (record.op === "init") {
+            indexes.forEach(index => {
+                index.clear();
+                index.add([], getAt([]));
+            });
+        }
+    }
+
+    /**
+     * Splices the array item under `itemKeys` out of its array. The items after it move down one
+     * index, and so do the expirations and budget entries kept under their paths.
+     */
+    function removeArrayItem(itemKeys) {
+        const arrayKeys = itemKeys.slice(0, -1);
+        const depth = arrayKeys.length;
+        const index = Number(itemKeys[depth]);
+        const isShifted = entryKeys => Number(entryKeys[depth]) > index;
+        const moved = expirations.within(arrayKeys).filter(expiration => isShifted(expiration.keys));
+        if (budget) {
+            for (const [entryKeys] of tree.walk(arrayKeys)) {
+                if (isShifted(entryKeys)) {
+                    budget.remove(toPath(entryKeys));
+                }
+            }
+        }
+
+        tree.remove(itemKeys, stamp);
+        expirations.clearWithin(itemKeys);
+        moved.forEach(({ path }) => expirations.delete(path));
+        moved.forEach(({ keys, at }) => {
+            const shiftedKeys = keys.slice();
+            shiftedKeys[depth] = Number(keys[depth]) - 1;
+            expirations.set(shiftedKeys, at);
+        });
+
+        if (budget && tree.has(arrayKeys)) {
+            for (const [entryKeys, value] of tree.walk(arrayKeys)) {
+                if (Number(entryKeys[depth]) >= index) {
+                    budget.set(toPath(entryKeys), value);
+                }
+            }
+            refreshBudgetExpiry(arrayKeys);
+        }
+    }
+
+    function applyToObject(record) {
+        switch (record.op) {
+            case "write":
+                if (budget) {
+                    const keys = getKeys(record.path);
+                    leavesReplacedBy(keys).forEach(budget.remove);
+                    tree.set(keys, record.value, stamp);
+                    leafEntries(keys, record.value).forEach(([path, value]) => budget.set(path, value));
+                    expirations.clearWithin(keys);
+                    refreshBudgetExpiry(keys);
+                } else {
+                    const keys = getKeys(record.path);
+                    tree.set(keys, record.value, stamp);
+                    expirations.clearWithin(keys);
+                }
+                break;
+            case "delete": {
+                const keys = getKeys(record.path);
+                if (budget) {
+                    tree.entries(keys).forEach(([path]) => budget.remove(path));
+                }
+                if (keys.length > 0 && tree.typeAt(keys.slice(0, -1)) === "array") {
+                    removeArrayItem(keys);
+                } else {
+                    tree.remove(keys, stamp);
+                    expirations.clearWithin(keys);
+                }
+                break;
+            }
+            case "expire": {
+                const keys = getKeys(record.path);
+                expirations.set(keys, record.at);
+                refreshBudgetExpiry(keys);
+                break;
+            }
+            case "persist": {
+                const keys = getKeys(record.path);
+                expirations.delete(toPath(keys));
+                refreshBudgetExpiry(keys);
+                break;
+            }
+            case "batch":
+                record.records.forEach(applyRecord);
+                break;
+            case "init":
+                tree.load(record.value, stamp);
+                expirations.clear();
+                if (budget) {
+                    rebuildBudget();
+                }
+                break;
+            default:
+                throw new Error(`Unknown write log operation: ${record.op}`);
+        }
+    }
+
+    /**
+     * Appends a mutation to the write log, when persistence is enabled, and then applies it. A
+     * failed append throws before the store changes, so memory never holds what the disk lacks.
+     */
+    function commitRecord(record, type = record.op) {
+        const changes = [];
+        const next = { version: version + 1, modified: Date.now() };
+        if (persistence) {
+            const [encoded] = mapRecordValues([record], value => codec.encode(value));
+            persistence.append(Object.assign({}, encoded, { modified: next.modified }));
+        }
+        version = next.version;
+        stamp = next;
+        applyWithChanges(record, type, changes);
+        if (persistence) {
+            writesSinceCheckpoint++;
+            if (options.persistence.snapshotEvery && writesSinceCheckpoint >= options.persistence.snapshotEvery) {
+                checkpoint();
+            }
+        }
+        changes.forEach(deliver);
+    }
+
+    /**
+     * Deep clones a value handed to watchers or transactions so they cannot mutate the store.
+     */
+    function cloneValue(value) {
+        return codec.clone(value);
+    }
+
+    /**
+     * Applies a record and collects the change events it causes for the registered watchers.
+     * Path watchers get an event at the changed path when it is under the watched path, or at
+     * the watched path when an ancestor of it changed. RegExp watchers match changed paths.
+     */
+    function applyWithChanges(record, type, changes) {
+        if (watchers.size === 0) {
+            applyRecord(record);
+            return;
+        }
+        if (record.op === "batch") {
+            record.records.forEach(inner => applyWithChanges(inner, inner.op, changes));
+            return;
+        }
+        if (record.op === "init") {
+            applyInitWithChanges(record, changes);
+            return;
+        }
+        if (record.op !== "write" && record.op !== "delete") {
+            applyRecord(record);
+            return;
+        }
+
+        const recordKeys = getKeys(record.path);
+        const targets = [];
+        watchers.forEach(watcher => {
+            if (watcher.regex) {
+                watcher.regex.lastIndex = 0;
+                if (watcher.regex.test(toPath(recordKeys))) {
+                    targets.push({ watcher, keys: recordKeys });
+                }
+            } else if (isWithin(recordKeys, watcher.keys)) {
+                targets.push({ watcher, keys: recordKeys });
+            } else if (isWithin(watcher.keys, recordKeys)) {
+                targets.push({ watcher, keys: watcher.keys });
+            }
+        });
+
+        const before = targets.map(target => getAt(target.keys));
+        applyRecord(record);
+        targets.forEach((target, index) => {
+            const after = getAt(target.keys);
+            if (before[index] !== undefined || after !== undefined) {
+                changes.push({ watcher: target.watcher, event: { type, path: toPath(target.keys), oldValue: before[index], newValue: after } });
+            }
+        });
+    }
+
+    /**
+     * Collects the change events of an `init()`: path watchers see their whole watched value
+     * replaced, RegExp watchers get one event per flattened entry that changed.
+     */
+    function applyInitWithChanges(record, changes) {
+        const pathWatchers = [...watchers].filter(watcher => !watcher.regex);
+        const regexWatchers = [...watchers].filter(watcher => watcher.regex);
+        const before = pathWatchers.map(watcher => getAt(watcher.keys));
+        const entriesBefore = regexWatchers.length ? new Map(tree.entries([])) : null;
+
+        applyRecord(record);
+
+        pathWatchers.forEach((watcher, index) => {
+            const after = getAt(watcher.keys);
+            if (before[index] !== undefined || after !== undefined) {
+                changes.push({ watcher, event: { type: "init", path: toPath(watcher.keys), oldValue: before[index], newValue: after } });
+            }
+        });
+        if (regexWatchers.length) {
+            const entriesAfter = new Map(tree.entries([]));
+            const paths = new Set([...entriesBefore.keys(), ...entriesAfter.keys()]);
+            paths.forEach(path => {
+                const oldValue = entriesBefore.get(path);
+                const newValue = entriesAfter.get(path);
+                if (oldValue === newValue) {
+                    return;
+                }
+                regexWatchers.forEach(watcher => {
+                    watcher.regex.lastIndex = 0;
+                    if (watcher.regex.test(path)) {
+                        changes.push({ watcher, event: { type: "init", path, oldValue, newValue } });
+                    }
+                });
+            });
+        }
+    }
+
+    /**
+     * Calls a watcher's listener. What it throws goes to the watcher's `onError`, or is rethrown
+     * on its own tick without one, so the change it reports and the other watchers are unaffected.
+     */
+    function notify(watcher, payload) {
+        try {
+            watcher.listener(payload);
+        } catch (err) {
+            if (watcher.onError) {
+                watcher.onError(err, payload);
+            } else {
+                setImmediate(() => {
+                    throw err;
+                });
+            }
+        }
+    }
+
+    /**
+     * Hands an event to its watcher, straight away or queued for the watcher's per-tick batch.
+     */
+    function deliver({ watcher, event }) {
+        if (!watchers.has(watcher)) {
+            return;
+        }
+        if (!watcher.batch) {
+            notify(watcher, event);
+            return;
+        }
+        watcher.queue.push(event);
+        if (watcher.queue.length === 1) {
+            process.nextTick(() => {
+                const events = watcher.queue.splice(0);
+                if (watchers.has(watcher)) {
+                    notify(watcher, events);
+                }
+            });
+        }
+    }
+
+    /**
+     * Subscribes to changes under a path (escaped dot notation, covering every descendant) or to
+     * changed paths matching a RegExp. Listeners get `{ type, path, oldValue, newValue }` where
+     * `type` is `write`, `delete`, `expire`, `evict` or `init`. Events of a transaction are
+     * delivered once it has committed. A listener that throws does not fail the change or keep
+     * the event from the other watchers.
+     *
+     * @param {string|RegExp} pattern - The path prefix or RegExp to watch.
+     * @param {Function} listener - Receives each event, or an array of events with `batch`.
+     * @param {Object} [watchOptions] - Watch options.
+     * @param {boolean} [watchOptions.batch=false] - Deliver the events of each tick as one array.
+     * @param {Function} [watchOptions.onError] - Called with `(err, event)` when the listener throws;
+     *   without it the error is rethrown asynchronously, as an uncaught exception.
+     * @returns {Function} - Call it to unsubscribe.
+     */
+    function watch(pattern, listener, watchOptions = {}) {
+        if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) {
+            throw new Error("Watch pattern must be a path string or a RegExp.");
+        }
+        if (typeof listener !== 'function') {
+            throw new Error("Watch listener must be a function.");
+        }
+        if (watchOptions.onError !== undefined && typeof watchOptions.onError !== 'function') {
+            throw new Error("Watch onError must be a function.");
+        }
+        const watcher = {
+            keys: typeof pattern === 'string' ? getKeys(pattern) : null,
+            regex: pattern instanceof RegExp ? pattern : null,
+            listener,
+            batch: !!watchOptions.batch,
+            onError: watchOptions.onError,
+            queue: []
+        };
+        watchers.add(watcher);
+        return function unwatch() {
+            watchers.delete(watcher);
+        };
+    }
+
+    /**
+     * Writes an atomic snapshot of the current state and starts a fresh write log.
+     */
+    function checkpoint() {
+        if (!persistence) {
+            throw new Error("Persistence is not enabled for this manager.");
+        }
+        persistence.checkpoint(codec.encode(getAt([])), { expirations: expirations.toObject(), version, modified: stamp.modified });
+        writesSinceCheckpoint = 0;
+    }
+
+    /**
+     * Rewrites the write log, dropping records superseded by later writes.
+     */
+    function compact() {
+        if (!persistence) {
+            throw new Error("Persistence is not enabled for this manager.");
+        }
+        return persistence.compact();
+    }
+
+    /**
+     * Stops the snapshot timer and closes the write log.
+     */
+    function close() {
+        if (sweepTimer) {
+            clearInterval(sweepTimer);
+            sweepTimer = null;
+        }
+        if (checkpointTimer) {
+            clearInterval(checkpointTimer);
+            checkpointTimer = null;
+        }
+        if (persistence) {
+            persistence.close();
+        }
+    }
+
+    if (persistence) {
+        const loaded = persistence.load();
+        // paths restored from the snapshot carry its version
+        version = loaded.meta.version || 0;
+        stamp = { version, modified: loaded.meta.modified };
+        tree.load(codec.decode(loaded.data), stamp);
+        Object.entries(loaded.meta.expirations || {}).forEach(([path, at]) => expirations.set(getKeys(path), at));
+        if (budget) {
+            rebuildBudget();
+            expirations.within([]).forEach(({ keys }) => refreshBudgetExpiry(keys));
+        }
+        loaded.records.forEach(record => {
+            stamp = { version: ++version, modified: record.modified };
+            applyRecord(mapRecordValues([record], value => codec.decode(value))[0]);
+        });
+        if (expirations.size > 0) {
+            ensureSweep();
+        }
+        if (budget) {
+            enforceBudget(new Set());
+        }
+
+        if (options.persistence.snapshotInterval) {
+            checkpointTimer = setInterval(checkpoint, options.persistence.snapshotInterval);
+            checkpointTimer.unref();
+        }
+    }
+
+    // Return the public API with all the methods
+    return {
+        read: operationStats.timed("read", read),
+        readWithMeta,
+        write: operationStats.timed("write", write),
+        compareAndSet,
+        compareAndDelete,
+        has: operationStats.timed("has", has, true),
+        search: operationStats.timed("search", search, true),
+        dump,
+        hasKey,
+        getKeys,
+        snapshot,
+        import: importData,
+        export: exportData,
+        entries: iterateEntries,
+        scan,
+        rotateKey,
+        keys: iterateKeys,
+        values: iterateValues,
+        applyPatch,
+        merge,
+        init,
+        delete: remove,
+        deleteTree,
+        move,
+        copy,
+        rename,
+        push,
+        pop,
+        shift,
+        unshift,
+        insert,
+        splice,
+        incr,
+        decr,
+        incrBy,
+        append,
+        toggle,
+        setIfAbsent,
+        getAndSet,
+        update,
+        expire,
+        ttl,
+        persist,
+        begin,
+        transaction,
+        watch,
+        createIndex,
+        dropIndex,
+        listIndexes,
+        explain,
+        stats,
+        memoryUsage,
+        slowLog,
+        resetStats,
+        checkpoint,
+        compact,
+        close
+    };
+}
+
+/**
+ * Creates a manager over a storage adapter (see `src/storage.js`), with the methods of
+ * `createJsonManager()` that make sense for data that may live outside the process: `read`,
+ * `write`, `hasKey`, `search`, `has`, `dump`, `init`, `delete`, `deleteTree` and `close`. Each
+ * returns a Promise. Values are stored as the flattened entries of `flattenJsonWithEscaping()`,
+ * keyed by escaped path, and the operations run one at a time so each sees the ones before it.
+ * Every mutation goes to the adapter as one batch. Leaves are stored encoded by the codec, so
+ * Dates, BigInts, Maps and the other typed values come back as they were written.
+ *
+ * Paths are read as for `createJsonManager()` with the same `pathSyntax` option, except that
+ * all-digit JSON Pointer tokens are always array indexes. Writes are checked with the `unsafeKeys`
+ * and `limits` options.
+ *
+ * @param {Object} [options] - Manager options.
+ * @param {Object} [options.storage] - The adapter; defaults to `createMemoryStorage()`.
+ * @param {string} [options.unsafeKeys="store"] - As for `createJsonManager()`.
+ * @param {Object} [options.limits] - As for `createJsonManager()`.
+ * @param {Object} [options.codec] - As for `createJsonManager()`.
+ * @param {string} [options.pathSyntax="dot"] - As for `createJsonManager()`.
+ * @returns {Object} - The async manager API.
+ */
+function createAsyncJsonManager(options = {}) {
+    const storage = options.storage || createMemoryStorage();
+    const codec = options.codec || createCodec();
+    const guard = createGuard(options, codec);
+    const syntaxOf = syntaxDetector(options.pathSyntax);
+
+    function parseKeys(path) {
+        return toKeys(path, syntaxOf(path));
+    }
+
+    // Operations are chained so they never interleave; a failed one does not stop the next
+    let queue = Promise.resolve().then(() => (typeof storage.open === 'function' ? storage.open() : undefined));
+    let closed = false;
+
+    function run(fn) {
+        if (closed) {
+            return Promise.reject(new Error("The manager is closed."));
+        }
+        const result = queue.then(fn);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Reads the stored entries under `keys` as `[keys, value]` pairs, dropping the entries an
+     * adapter returns for other paths sharing the prefix.
+     */
+    async function entriesUnder(keys) {
+        const entries = await storage.scan(joinPath(keys));
+        return entries
+            .map(([key, value]) => [splitPath(key), value])
+            .filter(([entryKeys]) => isWithin(entryKeys, keys));
+    }
+
+    /**
+     * Builds the value stored under `keys` back from its entries. Array items never written (a
+     * write to `list[3]` of a shorter array) come back as null.
+     */
+    function buildValue(entries, keys) {
+        const exact = entries.find(([entryKeys]) => entryKeys.length === keys.length);
+        if (exact) {
+            return codec.decode(exact[1]);
+        }
+        const result = typeof entries[0][0][keys.length] === 'number' ? [] : {};
+        entries.forEach(([entryKeys, value]) => {
+            let current = result;
+            entryKeys.slice(keys.length).forEach((key, index, relative) => {
+                if (index === relative.length - 1) {
+                    setOwn(current, key, codec.decode(value));
+                } else {
+                    if (!getOwn(current, key) || typeof current[key] !== 'object') {
+                        setOwn(current, key, typeof relative[index + 1] === 'number' ? [] : {});
+                    }
+                    current = current[key];
+                }
+            });
+        });
+        (function fillHoles(value) {
+            if (Array.isArray(value)) {
+                for (let index = 0; index < value.length; index++) {
+                    if (!(index in value)) {
+                        value[index] = null;
+                    }
+                }
+            }
+            if (value && typeof value === 'object') {
+                Object.keys(value).forEach(key => fillHoles(value[key]));
+            }
+        })(result);
+        return result;
+    }
+
+    /**
+     * Lists the entries a value contributes when stored under `keys`: its leaves, encoded by the
+     * codec, and its empty objects and arrays. An empty object at the root adds nothing.
+     */
+    function entriesOf(keys, value) {
+        const entries = [];
+        (function visit(current, currentKeys) {
+            const childKeys = isBranch(current) ? Object.keys(current).map(key => (Array.isArray(current) ? Number(key) : key)) : null;
+            if (childKeys === null) {
+                entries.push([joinPath(currentKeys), codec.encode(current, currentKeys)]);
+            } else if (childKeys.length === 0) {
+                if (currentKeys.length > 0) {
+                    entries.push([joinPath(currentKeys), Array.isArray(current) ? [] : {}]);
+                }
+            } else {
+                childKeys.forEach(key => visit(current[key], currentKeys.concat([key])));
+            }
+        })(codec.clone(value, keys), keys);
+        return entries;
+    }
+
+    async function commit(ops) {
+        if (ops.length === 0) {
+            return;
+        }
+        if (typeof storage.batch === 'function') {
+            await storage.batch(ops);
+            return;
+        }
+        for (const op of ops) {
+            await (op.type === "set" ? storage.set(op.key, op.value) : storage.delete(op.key));
+        }
+    }
+
+    /**
+     * Deletes the entries of a single array item and moves the later items down one index, as
+     * `splice()` would.
+     */
+    async function spliceOps(keys, ops) {
+        const arrayKeys = keys.slice(0, -1);
+        const removed = keys[keys.length - 1];
+        const entries = await entriesUnder(arrayKeys);
+        entries.forEach(([entryKeys, value]) => {
+            const index = entryKeys[arrayKeys.length];
+            if (typeof index !== 'number' || index < removed) {
+                return;
+            }
+            ops.push({ type: "delete", key: joinPath(entryKeys) });
+            if (index > removed) {
+                const moved = entryKeys.slice();
+                moved[arrayKeys.length] = index - 1;
+                ops.push({ type: "set", key: joinPath(moved), value });
+            }
+        });
+    }
+
+    /**
+     * Lists the operations deleting `keys`. Like `createJsonManager()`, parents left empty are
+     * pruned, so the deletion starts from the highest parent holding nothing else.
+     */
+    async function removeOps(keys) {
+        let target = keys;
+        while (target.length > 1) {
+            const parentKeys = target.slice(0, -1);
+            if ((await entriesUnder(parentKeys)).some(([entryKeys]) => !isWithin(entryKeys, target))) {
+                break;
+            }
+            target = parentKeys;
+        }
+        const ops = [];
+        if (typeof target[target.length - 1] === 'number') {
+            await spliceOps(target, ops);
+        } else {
+            (await entriesUnder(target)).forEach(([entryKeys]) => ops.push({ type: "delete", key: joinPath(entryKeys) }));
+        }
+        return ops;
+    }
+
+    /**
+     * Reads the value at `path`, or undefined.
+     */
+    function read(path) {
+        return run(async () => {
+            const keys = parseKeys(path);
+            const entries = await entriesUnder(keys);
+            return entries.length === 0 ? undefined : buildValue(entries, keys);
+        });
+    }
+
+    /**
+     * Writes a value, replacing whatever `path` held and any non-object value above it.
+     */
+    function write(path, value) {
+        return run(async () => {
+            const keys = parseKeys(path);
+            guard.check([{ op: "write", path, value }], parseKeys);
+            const ops = [];
+            for (let length = 1; length < keys.length; length++) {
+                const key = joinPath(keys.slice(0, length));
+                if (await storage.get(key) !== undefined) {
+                    ops.push({ type: "delete", key });
+                }
+            }
+            (await entriesUnder(keys)).forEach(([entryKeys]) => ops.push({ type: "delete", key: joinPath(entryKeys) }));
+            entriesOf(keys, value).forEach(([key, entryValue]) => ops.push({ type: "set", key, value: entryValue }));
+            await commit(ops);
+        });
+    }
+
+    /**
+     * Checks whether `path` holds a value.
+     */
+    function hasKey(path) {
+        return run(async () => (await entriesUnder(parseKeys(path))).length > 0);
+    }
+
+    /**
+     * Deletes a single value. Refuses paths holding a non-empty object or array, which must be
+     * removed with `deleteTree()`.
+     *
+     * @returns {Promise<boolean>} - False if the path does not exist.
+     */
+    function remove(path) {
+        return run(async () => {
+            const keys = parseKeys(path);
+            const entries = await entriesUnder(keys);
+            if (entries.length === 0) {
+                return false;
+            }
+            if (entries.some(([entryKeys]) => entryKeys.length > keys.length)) {
+                throw new Error(`"${path}" holds a subtree; use deleteTree() to delete it.`);
+            }
+            await commit(await removeOps(keys));
+            return true;
+        });
+    }
+
+    /**
+     * Deletes a path with everything under it.
+     *
+     * @returns {Promise<number>} - The number of flattened entries removed.
+     */
+    function deleteTree(path) {
+        return run(async () => {
+            const keys = parseKeys(path);
+            const count = (await entriesUnder(keys)).length;
+            if (count > 0) {
+                await commit(await removeOps(keys));
+            }
+            return count;
+        });
+    }
+
+    /**
+     * Reads the whole store.
+     */
+    function dump() {
+        return run(async () => {
+            const entries = await entriesUnder([]);
+            return entries.length === 0 ? {} : buildValue(entries, []);
+        });
+    }
+
+    /**
+     * Replaces the whole store with `obj`.
+     */
+    function init(obj) {
+        return run(async () => {
+            const value = obj || {};
+            guard.check([{ op: "init", value }], parseKeys);
+            const ops = (await entriesUnder([])).map(([entryKeys]) => ({ type: "delete", key: joinPath(entryKeys) }));
+            entriesOf([], value).forEach(([key, entryValue]) => ops.push({ type: "set", key, value: entryValue }));
+            await commit(ops);
+        });
+    }
+
+    /**
+     * Searches the store with the criteria of `createJsonManager().has()`, which it scans in full.
+     */
+    function has(criteria) {
+        return dump().then(data => {
+            const view = createJsonManager({ codec, pathSyntax: options.pathSyntax });
+            try {
+                view.init(data);
+                return view.has(criteria);
+            } finally {
+                view.close();
+            }
+        });
+    }
+
+    /**
+     * Waits for the pending operations and closes the adapter.
+     */
+    function close() {
+        const result = run(() => (typeof storage.close === 'function' ? storage.close() : undefined));
+        closed = true;
+        return result;
+    }
+
+    return {
+        read,
+        write,
+        hasKey,
+        search: read,
+        has,
+        dump,
+        init,
+        delete: remove,
+        deleteTree,
+        close
+    };
+}
+
+/**
+ * Compares two JSON values. Returns the RFC 6902 operations that turn `a` into `b`, or with
+ * `{ format: "flat" }` a change set keyed by the escaped paths of `flattenJsonWithEscaping()`:
+ * `{ set: { path: value }, remove: [path] }`. To apply a change set, delete the `remove` paths in
+ * the order given, then write the `set` paths.
+ *
+ * @param {*} a - The old value (an object for the flat format).
+ * @param {*} b - The new value (an object for the flat format).
+ * @param {Object} [options] - Diff options.
+ * @param {string} [options.format="patch"] - `"patch"` or `"flat"`.
+ * @returns {Object[]|Object} - The operations or the change set.
+ */
+function diff(a, b, options = {}) {
+    if (options.format !== "flat") {
+        return diffOps(a, b);
+    }
+    const before = flattenJsonWithEscaping(a);
+    const after = flattenJsonWithEscaping(b);
+    const set = {};
+    Object.keys(after).forEach(path => {
+        if (!Object.prototype.hasOwnProperty.call(before, path) || !deepEqual(before[path], after[path])) {
+            setOwn(set, path, after[path]);
+        }
+    });
+    // later array items first, so deleting one does not shift the next
+    const remove = Object.keys(before).filter(path => !Object.prototype.hasOwnProperty.call(after, path)).reverse();
+    return { set, remove };
 }
 
 // // Example Usage:
 // const jsonManager = createJsonManager();
 
 module.exports = {
+    createJsonManager: createJsonManager,
     flattenJsonWithEscaping: flattenJsonWithEscaping,
     unflattenJson: unflattenJson,
+    estimateEntrySize: estimateEntrySize,
+    MemoryLimitError: MemoryLimitError,
+    PathConflictError: PathConflictError,
+    TypeMismatchError: TypeMismatchError,
+    UniqueConstraintError: UniqueConstraintError,
+    VersionConflictError: VersionConflictError,
+    FormatError: FormatError,
+    PatchError: PatchError,
+    LimitError: LimitError,
+    UnsafeKeyError: UnsafeKeyError,
+    DecryptionError: DecryptionError,
+    CircularReferenceError: CircularReferenceError,
+    createCodec: createCodec,
+    decryptFields: decryptFields,
+    decryptStream: decryptStream,
+    diff: diff,
+    flattenStream: flattenStream,
+    unflattenStream: unflattenStream,
+    convertPath: convertPath,
+    createAsyncJsonManager: createAsyncJsonManager,
+    createMemoryStorage: createMemoryStorage,
+    createFileStorage: createFileStorage,
+    createLogStorage: createLogStorage,
+    createServer: createServer,
+    createClient: createClient,
     jsonManager: createJsonManager
 };
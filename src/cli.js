@@ -0,0 +1,387 @@
+const fs = require("fs");
+const readline = require("readline");
+const { splitPath, joinPath } = require("./paths");
+const { writeFileAtomic } = require("./persistence");
+const { createJsonManager, createClient, flattenJsonWithEscaping } = require("../index");
+
+const USAGE = `Usage: memsafe-jsondb [store] <command> [arguments]
+
+Store (one of):
+  --dir <dir>              a persisted store (snapshot.json + write.log)
+  --file <file.json>       a plain JSON file, written back after changes
+  --connect <host:port>    a running server
+  --socket <path>          a running server on a Unix socket
+
+Commands:
+  get <path>               print the value at a path
+  set <path> <value>       write a value (parsed as JSON, else taken as a string)
+  del <path>               delete a path with everything under it
+  search <path>            print the value at a path, like search()
+  has [query] [--like <s>] [--regex <r>] [--keyword <k>] [--path <p>]
+                           search paths; query is a JSON has() query
+  keys [prefix]            list the flattened paths under a prefix
+  dump                     print the whole store
+  import <file> [path]     write a JSON file at a path (replacing the store without one)
+  export [file] [path]     write the store (or a path) as JSON to a file or stdout
+  repl                     start an interactive session (the default)
+
+Output:
+  --flat                   print objects as flattenJsonWithEscaping() output
+  --compact                print JSON on one line
+`;
+
+/**
+ * Thrown for command lines that cannot be run; the CLI prints the usage with it.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+const VALUE_OPTIONS = ["dir", "file", "connect", "socket", "like", "regex", "keyword", "path"];
+const FLAG_OPTIONS = ["flat", "compact", "help"];
+
+/**
+ * Splits command line arguments into options and positional arguments.
+ */
+function parseArgs(args) {
+    const options = { keyword: [] };
+    const positional = [];
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        const name = arg.startsWith("--") ? arg.slice(2) : null;
+        if (name !== null && VALUE_OPTIONS.includes(name)) {
+            if (index + 1 >= args.length) {
+                throw new UsageError(`Option --${name} needs a value.`);
+            }
+            if (name === "keyword") {
+                options.keyword.push(args[++index]);
+            } else {
+                options[name] = args[++index];
+            }
+        } else if (name !== null && FLAG_OPTIONS.includes(name)) {
+            options[name] = true;
+        } else if (name !== null && name !== "") {
+            throw new UsageError(`Unknown option: ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+    return { options, positional };
+}
+
+/**
+ * Splits a REPL line into words. Single and double quotes group words; backslashes are kept
+ * as typed, so escaped paths like `a\.b` need no extra quoting.
+ */
+function tokenize(line) {
+    const words = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match = pattern.exec(line);
+    while (match) {
+        words.push(match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : match[3]));
+        match = pattern.exec(line);
+    }
+    return words;
+}
+
+/**
+ * Parses a value given on the command line: JSON when it parses, a string otherwise.
+ */
+function parseValue(text) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return text;
+    }
+}
+
+/**
+ * Opens the store the options point at, as an object of async manager methods plus `close()`.
+ */
+function openStore(options) {
+    const chosen = ["dir", "file", "connect", "socket"].filter(name => options[name] !== undefined);
+    if (chosen.length !== 1) {
+        throw new UsageError("Pick one store: --dir, --file, --connect or --socket.");
+    }
+    if (options.connect !== undefined || options.socket !== undefined) {
+        let connectOptions = { path: options.socket };
+        if (options.connect !== undefined) {
+            const separator = options.connect.lastIndexOf(":");
+            connectOptions = separator === -1
+                ? { port: Number(options.connect) }
+                : { host: options.connect.slice(0, separator), port: Number(options.connect.slice(separator + 1)) };
+        }
+        return createClient(connectOptions);
+    }
+
+    const manager = options.dir !== undefined
+        ? createJsonManager({ persistence: { dir: options.dir } })
+        : createJsonManager();
+    let changed = false;
+    if (options.file !== undefined && fs.existsSync(options.file)) {
+        manager.init(JSON.parse(fs.readFileSync(options.file, "utf8")));
+    }
+
+    const store = {};
+    ["read", "write", "hasKey", "search", "has", "dump", "init", "delete", "deleteTree"].forEach(method => {
+        store[method] = (...params) => {
+            if (["write", "init", "delete", "deleteTree"].includes(method)) {
+                changed = true;
+            }
+            return Promise.resolve().then(() => manager[method](...params));
+        };
+    });
+    store.close = () => Promise.resolve().then(() => {
+        if (options.file !== undefined && changed) {
+            writeFileAtomic(options.file, `${JSON.stringify(manager.dump(), null, 2)}\n`);
+        }
+        manager.close();
+    });
+    return store;
+}
+
+/**
+ * Formats a value for printing: indented JSON, one line with `compact`, or `path = value`
+ * lines of `flattenJsonWithEscaping()` output with `flat`.
+ */
+function format(value, options, prefix = "") {
+    if (value === undefined) {
+        return "undefined";
+    }
+    if (options.flat && value && typeof value === 'object') {
+        return Object.entries(flattenJsonWithEscaping(value, prefix))
+            .map(([path, leaf]) => `${path} = ${JSON.stringify(leaf)}`)
+            .join("\n");
+    }
+    return options.compact ? JSON.stringify(value) : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Lists the flattened paths of `value` stored under `prefix`.
+ */
+function flatPaths(value, prefix) {
+    if (value === undefined) {
+        return [];
+    }
+    if (!value || typeof value !== 'object' || Object.keys(value).length === 0) {
+        return prefix ? [prefix] : [];
+    }
+    return Object.keys(flattenJsonWithEscaping(value, prefix));
+}
+
+/**
+ * Runs one command against an open store.
+ *
+ * @returns {Promise<string|undefined>} - The text to print.
+ */
+async function runCommand(store, command, args, options) {
+    switch (command) {
+        case "get":
+        case "search": {
+            if (args.length !== 1) {
+                throw new UsageError(`${command} takes a path.`);
+            }
+            return format(await store[command === "get" ? "read" : "search"](args[0]), options, args[0]);
+        }
+        case "set":
+            if (args.length !== 2) {
+                throw new UsageError("set takes a path and a value.");
+            }
+            await store.write(args[0], parseValue(args[1]));
+            return undefined;
+        case "del":
+            if (args.length !== 1) {
+                throw new UsageError("del takes a path.");
+            }
+            return `${await store.deleteTree(args[0])} deleted`;
+        case "has": {
+            const criteria = args.length ? parseValue(args.join(" ")) : {};
+            if (!criteria || typeof criteria !== 'object') {
+                throw new UsageError("has takes a JSON query.");
+            }
+            if (options.like !== undefined) {
+                criteria.like = options.like;
+            }
+            if (options.regex !== undefined) {
+                criteria.regex = new RegExp(options.regex);
+            }
+            if (options.keyword.length) {
+                criteria.keywords = options.keyword;
+            }
+            if (options.path !== undefined) {
+                criteria.path = options.path;
+            }
+            const results = await store.has(criteria);
+            return results.map(result => `${result.path} = ${JSON.stringify(result.value)}`).join("\n");
+        }
+        case "keys": {
+            const prefix = args[0] || "";
+            const value = prefix ? await store.read(prefix) : await store.dump();
+            return flatPaths(value, prefix).join("\n");
+        }
+        case "dump":
+            return format(await store.dump(), options);
+        case "import": {
+            if (args.length < 1 || args.length > 2) {
+                throw new UsageError("import takes a file and an optional path.");
+            }
+            const value = JSON.parse(fs.readFileSync(args[0], "utf8"));
+            if (args[1] !== undefined) {
+                await store.write(args[1], value);
+            } else {
+                await store.init(value);
+            }
+            return undefined;
+        }
+        case "export": {
+            const value = args[1] !== undefined ? await store.read(args[1]) : await store.dump();
+            const text = `${JSON.stringify(value === undefined ? null : value, null, 2)}\n`;
+            if (args[0] === undefined || args[0] === "-") {
+                return text.trimEnd();
+            }
+            fs.writeFileSync(args[0], text);
+            return undefined;
+        }
+        default:
+            throw new UsageError(`Unknown command: ${command}`);
+    }
+}
+
+/**
+ * Completes the last path of a REPL line with the escaped child keys of its parent.
+ */
+async function completePath(store, line) {
+    const words = tokenize(line);
+    if (words.length === 0 || /\s$/.test(line)) {
+        return [[], ""];
+    }
+    const partial = words[words.length - 1];
+    if (words.length === 1) {
+        const commands = ["get", "set", "del", "search", "has", "keys", "dump", "import", "export", "help", "exit"];
+        return [commands.filter(name => name.startsWith(partial)), partial];
+    }
+
+    // the parent is everything up to the last unescaped separator
+    let cut = -1;
+    for (let index = 0; index < partial.length; index++) {
+        if (partial[index] === '\\') {
+            index++;
+        } else if (partial[index] === '.' || partial[index] === '[') {
+            cut = index;
+        }
+    }
+    const parentPath = cut === -1 ? "" : partial.slice(0, cut);
+    let parentKeys;
+    try {
+        parentKeys = parentPath ? splitPath(parentPath) : [];
+    } catch (err) {
+        return [[], partial];
+    }
+    const parent = parentKeys.length ? await store.read(parentPath) : await store.dump();
+    if (!parent || typeof parent !== 'object') {
+        return [[], partial];
+    }
+    const candidates = Object.keys(parent).map(key => joinPath(parentKeys.concat([Array.isArray(parent) ? Number(key) : key])));
+    return [candidates.filter(candidate => candidate.startsWith(partial)), partial];
+}
+
+/**
+ * Starts the interactive session: commands as on the command line, `help` and `exit`.
+ */
+function startRepl(store, options, io) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({
+            input: io.stdin,
+            output: io.stdout,
+            terminal: !!io.stdout.isTTY,
+            completer: (line, callback) => {
+                completePath(store, line).then(result => callback(null, result), err => callback(err));
+            }
+        });
+        rl.setPrompt("jsondb> ");
+        rl.prompt();
+
+        let queue = Promise.resolve();
+        rl.on("line", line => {
+            queue = queue.then(async () => {
+                const words = tokenize(line);
+                if (words.length === 0) {
+                    return;
+                }
+                if (words[0] === "exit" || words[0] === "quit") {
+                    rl.close();
+                    return;
+                }
+                if (words[0] === "help") {
+                    io.stdout.write(USAGE);
+                    return;
+                }
+                try {
+                    const parsed = parseArgs(words.slice(1));
+                    const output = await runCommand(store, words[0], parsed.positional, Object.assign({}, options, parsed.options, {
+                        keyword: parsed.options.keyword
+                    }));
+                    if (output !== undefined && output !== "") {
+                        io.stdout.write(`${output}\n`);
+                    }
+                } catch (err) {
+                    io.stderr.write(`Error: ${err.message}\n`);
+                }
+            }).then(() => rl.prompt());
+        });
+        rl.on("close", () => {
+            queue.then(resolve);
+        });
+    });
+}
+
+/**
+ * Runs the `memsafe-jsondb` command line.
+ *
+ * @param {string[]} argv - The arguments after the program name.
+ * @param {Object} [io] - `{ stdin, stdout, stderr }`, the process streams by default.
+ * @returns {Promise<number>} - The exit code: 0 on success, 1 on errors, 2 on usage errors.
+ */
+async function runCli(argv, io = process) {
+    let store = null;
+    try {
+        const { options, positional } = parseArgs(argv);
+        if (options.help) {
+            io.stdout.write(USAGE);
+            return 0;
+        }
+        const [command = "repl", ...args] = positional;
+        store = openStore(options);
+        if (command === "repl") {
+            await startRepl(store, options, io);
+        } else {
+            const output = await runCommand(store, command, args, options);
+            if (output !== undefined && output !== "") {
+                io.stdout.write(`${output}\n`);
+            }
+        }
+        return 0;
+    } catch (err) {
+        io.stderr.write(`Error: ${err.message}\n`);
+        if (err instanceof UsageError) {
+            io.stderr.write(`\n${USAGE}`);
+            return 2;
+        }
+        return 1;
+    } finally {
+        if (store) {
+            await store.close().catch(() => {});
+        }
+    }
+}
+
+module.exports = {
+    runCli,
+    runCommand,
+    completePath,
+    tokenize,
+    parseArgs
+};
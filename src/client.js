@@ -0,0 +1,114 @@
+const net = require("net");
+const { METHODS, createProtocolCodec, encode, decode, errorFromJSON, createLineSplitter } = require("./protocol");
+
+/**
+ * Connects to a server from `createServer()`. The client has the manager's method names
+ * (`read`, `write`, `hasKey`, `search`, `has`, `dump`, `init`, `delete`, `deleteTree`, `readWithMeta`,
+ * `compareAndSet`, `compareAndDelete`, `applyPatch`, `merge`, `scan`, `stats`, `memoryUsage`, `slowLog` and the atomic value commands such as `incr`
+ * and `push`; not `update`, whose function cannot be sent), each returning a Promise, so an embedded manager can be
+ * swapped for a remote one by awaiting its results. Requests may be issued before the connection
+ * is up and are pipelined over one socket.
+ *
+ * @param {Object} options - The options of `net.connect()`, e.g. `{ port, host }` or `{ path }`.
+ * @param {Object[]} [options.types] - Codec types for values of other classes, the same as the server's.
+ * @returns {Object} - The client API, plus `connected` (a Promise) and `close()`.
+ */
+function createClient(options) {
+    const pending = new Map();
+    let nextId = 1;
+    let failure = null;
+    const codec = createProtocolCodec(options.types);
+
+    const socket = net.connect(options);
+    socket.setEncoding("utf8");
+
+    const connected = new Promise((resolve, reject) => {
+        socket.once("connect", resolve);
+        socket.once("error", reject);
+    });
+    // rejections surface through the requests too
+    connected.catch(() => {});
+
+    function failAll(err) {
+        failure = failure || err;
+        pending.forEach(({ reject }) => reject(failure));
+        pending.clear();
+    }
+
+    socket.on("data", createLineSplitter(line => {
+        let response;
+        try {
+            response = decode(line, codec);
+        } catch (err) {
+            failAll(new Error(`Invalid response from server: ${err.message}`));
+            socket.destroy();
+            return;
+        }
+        const request = pending.get(response.id);
+        if (!request) {
+            // errors not tied to a request (connection limit, bad line) end the connection
+            if (response.error) {
+                failAll(errorFromJSON(response.error));
+            }
+            return;
+        }
+        pending.delete(response.id);
+        if (response.error) {
+            request.reject(errorFromJSON(response.error));
+        } else {
+            request.resolve(response.result);
+        }
+    }));
+    socket.on("end", () => socket.end());
+    socket.on("error", err => failAll(err));
+    socket.on("close", () => failAll(new Error("Connection closed.")));
+
+    function call(method, params) {
+        if (failure) {
+            return Promise.reject(failure);
+        }
+        const id = nextId++;
+        return new Promise((resolve, reject) => {
+            const line = encode({ id, method, params }, codec);
+            pending.set(id, { resolve, reject });
+            socket.write(line);
+        });
+    }
+
+    /**
+     * Closes the connection once the responses to the requests sent so far have arrived.
+     *
+     * @returns {Promise<void>}
+     */
+    function close() {
+        const answered = Promise.all([...pending.values()].map(request => new Promise(resolve => {
+            const { resolve: done, reject } = request;
+            request.resolve = value => {
+                done(value);
+                resolve();
+            };
+            request.reject = err => {
+                reject(err);
+                resolve();
+            };
+        })));
+        return answered.then(() => new Promise(resolve => {
+            if (socket.destroyed) {
+                resolve();
+                return;
+            }
+            socket.once("close", () => resolve());
+            socket.end();
+        }));
+    }
+
+    const client = { connected, close };
+    METHODS.forEach(method => {
+        client[method] = (...params) => call(method, params);
+    });
+    return client;
+}
+
+module.exports = {
+    createClient
+};
@@ -0,0 +1,197 @@
+const { joinPath, hasOwn, setOwn } = require("./paths");
+const { CircularReferenceError } = require("./errors");
+
+/**
+ * Type-preserving serialization. A codec turns values into plain JSON and back, writing the types
+ * JSON has no room for as tagged objects: `{ "$type": "Date", "$value": "2024-01-01T00:00:00.000Z" }`.
+ * Built in are `undefined`, BigInt, Date, Buffer, Map and Set; other types are registered with
+ * `{ name, test, encode, decode }`. A plain object that has a `$type` key of its own is tagged as
+ * `Object`, so it is never taken for a tagged value.
+ */
+
+const TAG = "$type";
+const PAYLOAD = "$value";
+
+const BUILT_IN_TYPES = [
+    {
+        name: "undefined",
+        test: value => value === undefined,
+        encode: () => undefined,
+        decode: () => undefined
+    },
+    {
+        name: "BigInt",
+        test: value => typeof value === 'bigint',
+        encode: value => value.toString(),
+        decode: text => BigInt(text)
+    },
+    {
+        name: "Date",
+        test: value => value instanceof Date,
+        encode: value => (Number.isNaN(value.getTime()) ? null : value.toISOString()),
+        decode: text => new Date(text === null ? NaN : text)
+    },
+    {
+        name: "Buffer",
+        test: value => Buffer.isBuffer(value),
+        encode: value => value.toString("base64"),
+        decode: text => Buffer.from(text, "base64")
+    },
+    {
+        name: "Map",
+        test: value => value instanceof Map,
+        encode: (value, encodeNested) => [...value].map(([key, item], index) => [encodeNested(key, index), encodeNested(item, index)]),
+        decode: (pairs, decodeNested) => new Map(pairs.map(([key, item]) => [decodeNested(key), decodeNested(item)]))
+    },
+    {
+        name: "Set",
+        test: value => value instanceof Set,
+        encode: (value, encodeNested) => [...value].map((item, index) => encodeNested(item, index)),
+        decode: (items, decodeNested) => new Set(items.map(decodeNested))
+    }
+];
+
+/**
+ * Creates a codec. Registered types are tried before the built-in ones, in the order registered.
+ *
+ * @param {Object} [options] - Codec options.
+ * @param {Object[]} [options.types] - Types to register (see `register()`).
+ * @returns {Object} - `{ register, encode, decode, clone, stringify, parse }`.
+ */
+function createCodec(options = {}) {
+    const custom = [];
+    const byName = new Map(BUILT_IN_TYPES.map(type => [type.name, type]));
+
+    /**
+     * Registers a type.
+     *
+     * @param {Object} type - The type.
+     * @param {string} type.name - The tag written for it; must not be taken.
+     * @param {Function} type.test - Tells whether a value is of the type.
+     * @param {Function} type.encode - `(value, encodeNested)` returns plain JSON; `encodeNested(item, key)`
+     *   encodes values held inside, with their tags.
+     * @param {Function} type.decode - `(payload, decodeNested)` rebuilds the value.
+     */
+    function register(type) {
+        if (!type || typeof type.name !== 'string' || ["test", "encode", "decode"].some(method => typeof type[method] !== 'function')) {
+            throw new Error("A codec type needs a name and test(), encode() and decode() functions.");
+        }
+        if (byName.has(type.name) || type.name === "Object") {
+            throw new Error(`Codec type "${type.name}" is already registered.`);
+        }
+        custom.push(type);
+        byName.set(type.name, type);
+    }
+
+    (options.types || []).forEach(register);
+
+    function typeOf(value) {
+        return custom.find(type => type.test(value)) || BUILT_IN_TYPES.find(type => type.test(value));
+    }
+
+    /**
+     * Encodes a value as plain JSON. Functions and symbols are left out of objects and become
+     * null in arrays, as with `JSON.stringify()`; other class instances are encoded through their
+     * `toJSON()` or as plain objects.
+     *
+     * @param {*} value - The value.
+     * @param {Array<string|number>} [keys=[]] - Where the value is stored, for error messages.
+     * @returns {*} - Plain JSON. A value containing itself throws a `CircularReferenceError`.
+     */
+    function encode(value, keys = []) {
+        const ancestors = new Set();
+
+        function visit(current, currentKeys) {
+            if (typeof current === 'function' || typeof current === 'symbol') {
+                return undefined;
+            }
+            if (current !== null && typeof current === 'object') {
+                if (ancestors.has(current)) {
+                    const path = joinPath(currentKeys);
+                    throw new CircularReferenceError(`Cannot store a value that contains itself: "${path}" refers back to a value holding it.`, { path });
+                }
+                ancestors.add(current);
+            }
+            try {
+                return encodeValue(current, currentKeys);
+            } finally {
+                ancestors.delete(current);
+            }
+        }
+
+        function encodeValue(current, currentKeys) {
+            const type = typeOf(current);
+            if (type) {
+                const payload = type.encode(current, (item, key) => visit(item, currentKeys.concat([key])));
+                return payload === undefined ? { [TAG]: type.name } : { [TAG]: type.name, [PAYLOAD]: payload };
+            }
+            if (current === null || typeof current !== 'object') {
+                return current;
+            }
+            if (Array.isArray(current)) {
+                return current.map((item, index) => {
+                    const encoded = visit(item, currentKeys.concat([index]));
+                    return encoded === undefined ? null : encoded;
+                });
+            }
+            if (typeof current.toJSON === 'function') {
+                return visit(current.toJSON(), currentKeys);
+            }
+            const result = {};
+            Object.keys(current).forEach(key => {
+                const encoded = visit(current[key], currentKeys.concat([key]));
+                if (encoded !== undefined) {
+                    setOwn(result, key, encoded);
+                }
+            });
+            return hasOwn(current, TAG) ? { [TAG]: "Object", [PAYLOAD]: result } : result;
+        }
+
+        return visit(value, keys);
+    }
+
+    function isTagged(data) {
+        return typeof data[TAG] === 'string' && hasOwn(data, TAG) && (data[TAG] === "Object" || byName.has(data[TAG]))
+            && Object.keys(data).every(key => key === TAG || key === PAYLOAD);
+    }
+
+    function decodeMembers(data) {
+        const result = {};
+        Object.keys(data).forEach(key => setOwn(result, key, decode(data[key])));
+        return result;
+    }
+
+    /**
+     * Rebuilds a value from the plain JSON `encode()` made of it.
+     */
+    function decode(data) {
+        if (Array.isArray(data)) {
+            return data.map(decode);
+        }
+        if (data === null || typeof data !== 'object') {
+            return data;
+        }
+        if (!isTagged(data)) {
+            return decodeMembers(data);
+        }
+        if (data[TAG] === "Object") {
+            return decodeMembers(data[PAYLOAD]);
+        }
+        return byName.get(data[TAG]).decode(data[PAYLOAD], decode);
+    }
+
+    return {
+        register,
+        encode,
+        decode,
+        // a deep copy keeping the types
+        clone: (value, keys) => decode(encode(value, keys)),
+        stringify: value => JSON.stringify(encode(value)),
+        parse: text => decode(JSON.parse(text))
+    };
+}
+
+module.exports = {
+    createCodec,
+    defaultCodec: createCodec()
+};
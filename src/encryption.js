@@ -0,0 +1,278 @@
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { StringDecoder } = require("string_decoder");
+const { setOwn } = require("./paths");
+const { isBranch } = require("./tree");
+const { defaultCodec } = require("./codec");
+const { splitPattern, matchKeys, matchPrefix } = require("./query");
+const { DecryptionError } = require("./errors");
+
+/**
+ * Encryption at rest with AES-256-GCM. Encrypted text is one ASCII string,
+ * `enc:v1:<key id>:<iv>:<tag>:<ciphertext>` with base64url parts, so it fits in a file, a log line
+ * or a string value, and names the key it was encrypted with: data written under older keys stays
+ * readable as long as those keys are kept in the keyring.
+ */
+
+const ALGORITHM = "aes-256-gcm";
+const SEALED = /^enc:v1:([\w.-]+):([\w-]+):([\w-]+):([\w-]*)$/;
+const KEY_ID = /^[\w.-]+$/;
+
+// Plain text collected before an encrypted stream writes a line
+const STREAM_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Checks whether a value is encrypted text.
+ */
+function isSealed(value) {
+    return typeof value === 'string' && SEALED.test(value);
+}
+
+function toKeyBytes(keyId, key) {
+    let bytes = null;
+    if (Buffer.isBuffer(key)) {
+        bytes = key;
+    } else if (typeof key === 'string') {
+        bytes = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, "hex") : Buffer.from(key, "base64");
+    }
+    if (!bytes || bytes.length !== 32) {
+        throw new Error(`Encryption key "${keyId}" must be 32 bytes: a Buffer, or a hex or base64 string.`);
+    }
+    return bytes;
+}
+
+/**
+ * Creates a keyring: the keys that can decrypt, by id, and the current one new data is
+ * encrypted with. The key id is authenticated with the data, so a ciphertext cannot be passed off
+ * as written under another key.
+ *
+ * @param {Object} options - Keyring options (the manager's `encryption` option).
+ * @param {Object} options.keys - The keys by id (letters, digits, `_`, `.` and `-`); each is
+ *   32 bytes, as a Buffer or a hex or base64 string.
+ * @param {string} [options.currentKey] - The id of the key to encrypt with; defaults to the only key.
+ * @returns {Object} - `{ seal(text), open(sealed), keyIdOf(sealed), hasKey(id), addKey(id, key),
+ *   useKey(id), currentKey() }`. `open()` throws a `DecryptionError`.
+ */
+function createKeyring(options) {
+    if (!options || !options.keys || typeof options.keys !== 'object') {
+        throw new Error("Encryption requires a `keys` option.");
+    }
+    const keys = new Map();
+    let currentKey;
+
+    function addKey(keyId, key) {
+        if (typeof keyId !== 'string' || !KEY_ID.test(keyId)) {
+            throw new Error(`Invalid encryption key id "${keyId}": use letters, digits, "_", "." and "-".`);
+        }
+        keys.set(keyId, toKeyBytes(keyId, key));
+    }
+
+    function useKey(keyId) {
+        if (!keys.has(keyId)) {
+            throw new Error(`Unknown encryption key "${keyId}".`);
+        }
+        currentKey = keyId;
+    }
+
+    Object.keys(options.keys).forEach(keyId => addKey(keyId, options.keys[keyId]));
+    if (options.currentKey !== undefined) {
+        useKey(options.currentKey);
+    } else if (keys.size === 1) {
+        currentKey = [...keys.keys()][0];
+    }
+
+    function seal(text) {
+        if (currentKey === undefined) {
+            throw new Error("No current encryption key: set `currentKey`.");
+        }
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKey), iv);
+        cipher.setAAD(Buffer.from(currentKey));
+        const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+        return `enc:v1:${currentKey}:${iv.toString("base64url")}:${cipher.getAuthTag().toString("base64url")}:${data.toString("base64url")}`;
+    }
+
+    function open(sealed) {
+        const match = SEALED.exec(sealed);
+        if (!match) {
+            throw new DecryptionError("The data is not encrypted text.");
+        }
+        const [, keyId, iv, tag, data] = match;
+        if (!keys.has(keyId)) {
+            throw new DecryptionError(`Unknown encryption key "${keyId}".`, { keyId });
+        }
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, keys.get(keyId), Buffer.from(iv, "base64url"));
+            decipher.setAAD(Buffer.from(keyId));
+            decipher.setAuthTag(Buffer.from(tag, "base64url"));
+            return Buffer.concat([decipher.update(Buffer.from(data, "base64url")), decipher.final()]).toString("utf8");
+        } catch (err) {
+            throw new DecryptionError(`Cannot decrypt data under key "${keyId}": wrong key or corrupted data.`, { keyId });
+        }
+    }
+
+    return {
+        seal,
+        open,
+        keyIdOf: sealed => SEALED.exec(sealed)[1],
+        hasKey: keyId => keys.has(keyId),
+        addKey,
+        useKey,
+        currentKey: () => currentKey
+    };
+}
+
+/**
+ * Takes a keyring or the keys by id, for the helpers that only decrypt.
+ */
+function toKeyring(keys) {
+    return keys && typeof keys.open === 'function' ? keys : createKeyring({ keys });
+}
+
+/**
+ * Creates the field-level encryption of a manager: every leaf value at or below a path matching
+ * one of `patterns` is stored as encrypted text holding its JSON, as `codec` writes it. Keys stay
+ * readable, and values that are already encrypted text are kept as they are, so a stored value can
+ * be written back.
+ *
+ * @param {Object} keyring - From `createKeyring()`.
+ * @param {string[]} patterns - Path patterns (`*` for one key, `**` for any number).
+ * @param {Object} [codec] - From `createCodec()`.
+ * @returns {Object} - `{ seal(keys, value) }`, returning the value to store under `keys`.
+ */
+function createFieldCipher(keyring, patterns, codec = defaultCodec) {
+    if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+        throw new Error("encryption.fields must be an array of path patterns.");
+    }
+    // a pattern covers the paths it matches and everything under them
+    const covering = patterns.map(pattern => splitPattern(pattern).concat(["**"]));
+
+    function sealLeaves(value) {
+        if (isSealed(value) || value === undefined) {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(sealLeaves);
+        }
+        if (isBranch(value)) {
+            const result = {};
+            Object.keys(value).forEach(key => setOwn(result, key, sealLeaves(value[key])));
+            return result;
+        }
+        return keyring.seal(codec.stringify(value));
+    }
+
+    function seal(keys, value) {
+        if (covering.some(patternKeys => matchKeys(patternKeys, keys))) {
+            return sealLeaves(value);
+        }
+        if (!isBranch(value) || !covering.some(patternKeys => matchPrefix(patternKeys, keys))) {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map((item, index) => seal(keys.concat([index]), item));
+        }
+        const result = {};
+        Object.keys(value).forEach(key => setOwn(result, key, seal(keys.concat([key]), value[key])));
+        return result;
+    }
+
+    return {
+        seal
+    };
+}
+
+/**
+ * Decrypts the encrypted field values found in `value`, such as a `dump()` of a store using
+ * `encryption.fields`. Values encrypted under keys not given are left encrypted.
+ *
+ * @param {*} value - The value to decrypt.
+ * @param {Object} keys - The keys by id, as in the `encryption` option.
+ * @param {Object} [codec] - The codec the manager stores values with, for types it registered.
+ * @returns {*} - A copy with the values decrypted.
+ */
+function decryptFields(value, keys, codec = defaultCodec) {
+    const keyring = toKeyring(keys);
+
+    function open(current) {
+        if (isSealed(current)) {
+            return keyring.hasKey(keyring.keyIdOf(current)) ? codec.parse(keyring.open(current)) : current;
+        }
+        if (Array.isArray(current)) {
+            return current.map(open);
+        }
+        if (isBranch(current)) {
+            const result = {};
+            Object.keys(current).forEach(key => setOwn(result, key, open(current[key])));
+            return result;
+        }
+        return current;
+    }
+
+    return open(value);
+}
+
+/**
+ * Encrypts a text stream as lines of encrypted text, each holding up to 64 KiB of the input.
+ *
+ * @param {stream.Readable|AsyncIterable} source - The text.
+ * @param {Object} keyring - From `createKeyring()`.
+ * @returns {stream.Readable}
+ */
+function encryptStream(source, keyring) {
+    async function* generate() {
+        let pending = "";
+        for await (const chunk of source) {
+            pending += chunk;
+            if (pending.length >= STREAM_CHUNK_SIZE) {
+                yield `${keyring.seal(pending)}\n`;
+                pending = "";
+            }
+        }
+        if (pending.length > 0) {
+            yield `${keyring.seal(pending)}\n`;
+        }
+    }
+
+    return Readable.from(generate(), { objectMode: false });
+}
+
+/**
+ * Decrypts the output of an encrypted `export()` back to its text.
+ *
+ * @param {stream.Readable|AsyncIterable|string|Buffer} source - The encrypted lines.
+ * @param {Object} keys - The keys by id, as in the `encryption` option.
+ * @returns {stream.Readable} - The text; a line that cannot be decrypted fails it with a `DecryptionError`.
+ */
+function decryptStream(source, keys) {
+    const keyring = toKeyring(keys);
+    const chunks = typeof source === 'string' || Buffer.isBuffer(source) ? [source] : source;
+
+    async function* generate() {
+        const decoder = new StringDecoder("utf8");
+        let pending = "";
+        for await (const chunk of chunks) {
+            pending += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+            const lines = pending.split("\n");
+            pending = lines.pop();
+            for (const line of lines.filter(text => text.trim() !== "")) {
+                yield keyring.open(line.trim());
+            }
+        }
+        pending += decoder.end();
+        if (pending.trim() !== "") {
+            yield keyring.open(pending.trim());
+        }
+    }
+
+    return Readable.from(generate(), { objectMode: false });
+}
+
+module.exports = {
+    isSealed,
+    createKeyring,
+    createFieldCipher,
+    decryptFields,
+    encryptStream,
+    decryptStream
+};
@@ -0,0 +1,152 @@
+/**
+ * Thrown when a write would push the store past `maxMemoryBytes` or `maxKeys` and the
+ * eviction policy is `noeviction` (or the write alone is larger than the budget).
+ */
+class MemoryLimitError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "MemoryLimitError";
+        this.code = "ERR_MEMORY_LIMIT";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown by `move()`, `copy()` and `rename()` with `onConflict: "fail"` when the target path exists.
+ */
+class PathConflictError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "PathConflictError";
+        this.code = "ERR_PATH_CONFLICT";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown when an operation expects a certain type at a path (an array for `push()`, say)
+ * and the stored value is of another type.
+ */
+class TypeMismatchError extends TypeError {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "TypeMismatchError";
+        this.code = "ERR_TYPE_MISMATCH";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown when a write would store a value that a unique index already holds under another path.
+ */
+class UniqueConstraintError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "UniqueConstraintError";
+        this.code = "ERR_UNIQUE_CONSTRAINT";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown by `import()` when a line of the source cannot be read in its format, and by `export()`
+ * when a path cannot be written in it.
+ */
+class FormatError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "FormatError";
+        this.code = "ERR_INVALID_FORMAT";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown by `compareAndSet()` and `compareAndDelete()` when the path is no longer at the expected version.
+ */
+class VersionConflictError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "VersionConflictError";
+        this.code = "ERR_VERSION_CONFLICT";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown by `applyPatch()` when an operation cannot be applied (a failed `test`, a missing path)
+ * and by `merge()` for patches that are not objects. Nothing of the patch is applied.
+ */
+class PatchError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "PatchError";
+        this.code = "ERR_PATCH_FAILED";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown when a write breaks one of the manager's `limits` (path depth, key length, value size or
+ * keys per write). `limit` names the limit, `max` its setting and `actual` what the write needed.
+ */
+class LimitError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "LimitError";
+        this.code = "ERR_LIMIT_EXCEEDED";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown under the `unsafeKeys: "reject"` policy when a write uses `__proto__`, `constructor`
+ * or `prototype` as a key.
+ */
+class UnsafeKeyError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "UnsafeKeyError";
+        this.code = "ERR_UNSAFE_KEY";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown when encrypted data cannot be decrypted: its key is not in the keyring, the key is wrong
+ * or the data was tampered with.
+ */
+class DecryptionError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "DecryptionError";
+        this.code = "ERR_DECRYPTION_FAILED";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown when a value to store contains itself, directly or through a Map, Set or other value.
+ */
+class CircularReferenceError extends TypeError {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "CircularReferenceError";
+        this.code = "ERR_CIRCULAR_REFERENCE";
+        Object.assign(this, details);
+    }
+}
+
+module.exports = {
+    MemoryLimitError,
+    PathConflictError,
+    TypeMismatchError,
+    UniqueConstraintError,
+    VersionConflictError,
+    FormatError,
+    PatchError,
+    LimitError,
+    UnsafeKeyError,
+    DecryptionError,
+    CircularReferenceError
+};
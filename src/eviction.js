@@ -0,0 +1,331 @@
+const { createMinHeap } = require("./heap");
+const { isBranch } = require("./tree");
+const { defaultCodec } = require("./codec");
+
+/**
+ * Fixed per-entry overhead added to every size estimate, covering the Map slot and
+ * bookkeeping object that back each flattened key.
+ */
+const ENTRY_OVERHEAD_BYTES = 32;
+
+/**
+ * Estimates the memory cost of one flattened entry: its escaped path plus its value.
+ * Strings are counted as UTF-16 (two bytes per code unit), like V8 stores them in the worst case.
+ * Typed leaves such as Dates, Maps and Buffers are counted as the string of their codec encoding.
+ *
+ * @param {string} path - The escaped dot notation path of the entry.
+ * @param {*} value - The leaf value stored at that path.
+ * @param {Object} [codec] - The codec typed leaves are encoded with.
+ * @returns {number} - The estimated size in bytes.
+ */
+function estimateEntrySize(path, value, codec = defaultCodec) {
+    let valueBytes;
+    switch (typeof value) {
+        case "string":
+            valueBytes = value.length * 2;
+            break;
+        case "number":
+        case "bigint":
+            valueBytes = 8;
+            break;
+        case "boolean":
+            valueBytes = 4;
+            break;
+        case "object":
+            if (value !== null && !isBranch(value)) {
+                valueBytes = codec.stringify(value).length * 2;
+                break;
+            }
+            valueBytes = 0;
+            break;
+        default:
+            valueBytes = 0;
+    }
+    return ENTRY_OVERHEAD_BYTES + path.length * 2 + valueBytes;
+}
+
+const POLICIES = ["lru", "lfu", "ttl", "noeviction"];
+
+/**
+ * Keeps entries in least frequently used order: one bucket per hit count, the buckets in a list
+ * by count and each bucket's entries by last access (a touched entry moves to the end of the next
+ * bucket). The first entry of the first bucket is the one to evict.
+ */
+function createFrequencyList() {
+    const head = { hits: -1, entries: null, prev: null, next: null };
+    // entry -> its bucket
+    const bucketOf = new Map();
+
+    function insertAfter(bucket, hits) {
+        const created = { hits, entries: new Set(), prev: bucket, next: bucket.next };
+        if (bucket.next) {
+            bucket.next.prev = created;
+        }
+        bucket.next = created;
+        return created;
+    }
+
+    function unlink(bucket) {
+        bucket.prev.next = bucket.next;
+        if (bucket.next) {
+            bucket.next.prev = bucket.prev;
+        }
+    }
+
+    function add(entry, after = head) {
+        const bucket = after.next && after.next.hits === entry.hits ? after.next : insertAfter(after, entry.hits);
+        bucket.entries.add(entry);
+        bucketOf.set(entry, bucket);
+    }
+
+    function remove(entry) {
+        const bucket = bucketOf.get(entry);
+        if (bucket) {
+            bucketOf.delete(entry);
+            bucket.entries.delete(entry);
+            if (bucket.entries.size === 0) {
+                unlink(bucket);
+            }
+        }
+    }
+
+    // called after `entry.hits` went up by one
+    function touch(entry) {
+        const bucket = bucketOf.get(entry);
+        bucket.entries.delete(entry);
+        const before = bucket.entries.size === 0 ? bucket.prev : bucket;
+        if (bucket.entries.size === 0) {
+            unlink(bucket);
+        }
+        add(entry, before);
+    }
+
+    function* ordered() {
+        for (let bucket = head.next; bucket; bucket = bucket.next) {
+            yield* bucket.entries;
+        }
+    }
+
+    function clear() {
+        head.next = null;
+        bucketOf.clear();
+    }
+
+    return { add, remove, touch, ordered, clear };
+}
+
+/**
+ * Keeps the entries that expire in expiry order, earlier access first for the same time, in a
+ * heap. Changed and removed entries leave stale items behind, which are skipped when met.
+ */
+function createExpiryQueue() {
+    const queue = createMinHeap((a, b) => a.expiresAt - b.expiresAt || a.lastAccess - b.lastAccess);
+
+    function isCurrent(item) {
+        return !item.entry.removed && item.entry.expiresAt === item.expiresAt && item.entry.lastAccess === item.lastAccess;
+    }
+
+    function add(entry) {
+        if (entry.expiresAt !== undefined) {
+            queue.push({ entry, expiresAt: entry.expiresAt, lastAccess: entry.lastAccess });
+        }
+    }
+
+    /**
+     * Returns the first expiring entry for which `accept(entry)` is true, or undefined.
+     */
+    function find(accept) {
+        const skipped = [];
+        let found;
+        while (queue.size() > 0 && found === undefined) {
+            const item = queue.pop();
+            if (isCurrent(item)) {
+                skipped.push(item);
+                if (accept(item.entry)) {
+                    found = item.entry;
+                }
+            }
+        }
+        skipped.forEach(item => queue.push(item));
+        return found;
+    }
+
+    // drops the stale items once they outnumber the live entries
+    function compact(entries) {
+        if (queue.size() > entries.size * 2 + 64) {
+            queue.clear();
+            entries.forEach(add);
+        }
+    }
+
+    return { add, find, compact, clear: () => queue.clear() };
+}
+
+/**
+ * Creates the accounting for a memory budget: one entry per flattened key with its estimated
+ * size and access statistics, and victim selection for the configured eviction policy. The
+ * built-in policies keep their entries in eviction order, so finding a victim does not look at
+ * every entry: recency order for `lru`, frequency buckets for `lfu`, and expiry order for `ttl`
+ * (entries without an expiry go last, least recently used first).
+ *
+ * @param {Object} options - Budget options.
+ * @param {number} [options.maxMemoryBytes] - Upper bound for the summed entry estimates.
+ * @param {number} [options.maxKeys] - Upper bound for the number of flattened keys.
+ * @param {string|Function} [options.eviction="lru"] - `lru`, `lfu`, `ttl`, `noeviction`, or a function
+ *   receiving an iterable of entries (`{ path, bytes, hits, lastAccess, expiresAt }`) and returning the path to evict.
+ * @param {Object} [codec] - The manager's codec, which typed leaves are measured with.
+ * @returns {Object} - The budget API.
+ */
+function createMemoryBudget(options, codec = defaultCodec) {
+    const policy = options.eviction || "lru";
+    if (typeof policy !== 'function' && !POLICIES.includes(policy)) {
+        throw new Error(`Unknown eviction policy: ${policy}. Expected one of ${POLICIES.join(", ")} or a function.`);
+    }
+
+    const maxBytes = options.maxMemoryBytes === undefined ? Infinity : options.maxMemoryBytes;
+    const maxKeys = options.maxKeys === undefined ? Infinity : options.maxKeys;
+
+    // Insertion order doubles as recency order: touching an entry moves it to the end.
+    const entries = new Map();
+    const frequencies = policy === "lfu" ? createFrequencyList() : null;
+    const expiring = policy === "ttl" ? createExpiryQueue() : null;
+    let totalBytes = 0;
+    let tick = 0;
+
+    function set(path, value) {
+        remove(path);
+        const entry = { path, bytes: estimateEntrySize(path, value, codec), hits: 0, lastAccess: ++tick, expiresAt: undefined };
+        entries.set(path, entry);
+        totalBytes += entry.bytes;
+        if (frequencies) {
+            frequencies.add(entry);
+        }
+    }
+
+    function remove(path) {
+        const entry = entries.get(path);
+        if (entry) {
+            entries.delete(path);
+            totalBytes -= entry.bytes;
+            entry.removed = true;
+            if (frequencies) {
+                frequencies.remove(entry);
+            }
+        }
+        return entry;
+    }
+
+    function touch(path) {
+        const entry = entries.get(path);
+        if (entry) {
+            entry.hits++;
+            entry.lastAccess = ++tick;
+            entries.delete(path);
+            entries.set(path, entry);
+            if (frequencies) {
+                frequencies.touch(entry);
+            }
+            if (expiring) {
+                expiring.add(entry);
+                expiring.compact(entries);
+            }
+        }
+    }
+
+    /**
+     * Sets when an entry expires (ms since the epoch, or undefined), for the `ttl` policy.
+     */
+    function setExpiry(path, expiresAt) {
+        const entry = entries.get(path);
+        if (entry && entry.expiresAt !== expiresAt) {
+            entry.expiresAt = expiresAt;
+            if (expiring) {
+                expiring.add(entry);
+                expiring.compact(entries);
+            }
+        }
+    }
+
+    function clear() {
+        entries.forEach(entry => {
+            entry.removed = true;
+        });
+        entries.clear();
+        totalBytes = 0;
+        if (frequencies) {
+            frequencies.clear();
+        }
+        if (expiring) {
+            expiring.clear();
+        }
+    }
+
+    function firstOf(ordered, protectedPaths) {
+        for (const entry of ordered) {
+            if (!protectedPaths.has(entry.path)) {
+                return entry.path;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Checks whether the budget is exceeded, optionally after a pending change.
+     */
+    function isOver(deltaBytes = 0, deltaKeys = 0) {
+        return totalBytes + deltaBytes > maxBytes || entries.size + deltaKeys > maxKeys;
+    }
+
+    function exceedsOnItsOwn(bytes, keys) {
+        return bytes > maxBytes || keys > maxKeys;
+    }
+
+    /**
+     * Picks the next entry to evict, skipping the paths in `protectedPaths`.
+     *
+     * @param {Set<string>} protectedPaths - Paths that must not be evicted (the write in progress).
+     * @returns {string|undefined} - The path to evict, or undefined when nothing can be evicted.
+     */
+    function selectVictim(protectedPaths) {
+        if (typeof policy === 'function') {
+            const candidates = [...entries.values()].filter(entry => !protectedPaths.has(entry.path));
+            return candidates.length === 0 ? undefined : policy(candidates);
+        }
+        if (frequencies) {
+            return firstOf(frequencies.ordered(), protectedPaths);
+        }
+        if (expiring) {
+            const soonest = expiring.find(entry => !protectedPaths.has(entry.path));
+            if (soonest) {
+                return soonest.path;
+            }
+        }
+        // lru, and ttl once no entry left expires
+        return firstOf(entries.values(), protectedPaths);
+    }
+
+    return {
+        policy,
+        set,
+        remove,
+        touch,
+        setExpiry,
+        clear,
+        isOver,
+        exceedsOnItsOwn,
+        selectVictim,
+        get: path => entries.get(path),
+        get bytes() {
+            return totalBytes;
+        },
+        get keys() {
+            return entries.size;
+        }
+    };
+}
+
+module.exports = {
+    ENTRY_OVERHEAD_BYTES,
+    estimateEntrySize,
+    createMemoryBudget
+};
@@ -0,0 +1,124 @@
+const { joinPath } = require("./paths");
+const { createMinHeap } = require("./heap");
+
+/**
+ * Creates the table of expiry times of a manager, keyed by escaped path. Every expiration is
+ * also listed under each of its ancestor paths, so the expirations at or under a path are found
+ * without looking at the others, and a heap keeps them in expiry order for the sweep.
+ *
+ * @returns {Object} - The expirations API.
+ */
+function createExpirations() {
+    // path -> { path, keys, at, prefixes }
+    const byPath = new Map();
+    // escaped path -> Set of the paths of the expirations at or under it
+    const byPrefix = new Map();
+    // `{ path, at }` by time; entries whose expiration changed or went away are dropped when met
+    const queue = createMinHeap((a, b) => a.at - b.at);
+
+    function isCurrent(item) {
+        const expiration = byPath.get(item.path);
+        return expiration !== undefined && expiration.at === item.at;
+    }
+
+    /**
+     * Removes the expiration of one path.
+     *
+     * @returns {boolean} - False if the path had none.
+     */
+    function remove(path) {
+        const expiration = byPath.get(path);
+        if (!expiration) {
+            return false;
+        }
+        byPath.delete(path);
+        expiration.prefixes.forEach(prefix => {
+            const paths = byPrefix.get(prefix);
+            paths.delete(path);
+            if (paths.size === 0) {
+                byPrefix.delete(prefix);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Sets the time (ms since the epoch) at which the path under `keys` expires.
+     */
+    function set(keys, at) {
+        const path = joinPath(keys);
+        remove(path);
+        const prefixes = keys.map((key, index) => joinPath(keys.slice(0, index + 1)));
+        byPath.set(path, { path, keys, at, prefixes });
+        prefixes.forEach(prefix => {
+            if (!byPrefix.has(prefix)) {
+                byPrefix.set(prefix, new Set());
+            }
+            byPrefix.get(prefix).add(path);
+        });
+        queue.push({ path, at });
+        // rebuild the queue once the entries left behind by changed expirations outnumber the live ones
+        if (queue.size() > byPath.size * 2 + 64) {
+            queue.clear();
+            byPath.forEach(expiration => queue.push({ path: expiration.path, at: expiration.at }));
+        }
+    }
+
+    /**
+     * Lists the expirations at or under `keys` as `{ path, keys, at }`.
+     */
+    function within(keys) {
+        const paths = keys.length === 0 ? byPath.keys() : (byPrefix.get(joinPath(keys)) || []);
+        return [...paths].map(path => {
+            const { keys: expirationKeys, at } = byPath.get(path);
+            return { path, keys: expirationKeys, at };
+        });
+    }
+
+    /**
+     * Removes the expirations at or under `keys`.
+     */
+    function clearWithin(keys) {
+        if (keys.length === 0) {
+            clear();
+            return;
+        }
+        within(keys).forEach(({ path }) => remove(path));
+    }
+
+    /**
+     * Returns the earliest expiration as `{ path, at }`, or undefined when there is none.
+     */
+    function next() {
+        while (queue.size() > 0 && !isCurrent(queue.peek())) {
+            queue.pop();
+        }
+        return queue.peek();
+    }
+
+    function clear() {
+        byPath.clear();
+        byPrefix.clear();
+        queue.clear();
+    }
+
+    return {
+        get: path => (byPath.has(path) ? byPath.get(path).at : undefined),
+        has: path => byPath.has(path),
+        set,
+        delete: remove,
+        within,
+        clearWithin,
+        next,
+        clear,
+        get size() {
+            return byPath.size;
+        },
+        // `{ path: at }`, as written to the snapshot
+        toObject: () => Object.fromEntries([...byPath.values()].map(({ path, at }) => [path, at]))
+    };
+}
+
+module.exports = {
+    createExpirations
+};
@@ -0,0 +1,606 @@
+const readline = require("readline");
+const { Readable } = require("stream");
+const { escapeKey, splitPath, joinPath } = require("./paths");
+const { FormatError } = require("./errors");
+
+/**
+ * Text formats for the flattened `[path, value]` entries of the store, as produced by
+ * `flattenJsonWithEscaping()`. Every format reads one line at a time and writes one entry at a time,
+ * so neither side needs the whole file in memory.
+ *
+ * A format is `{ createParser(onEntry), serialize(entries) }`: the parser takes lines through
+ * `line(text, number)` and calls `onEntry(path, value)` for each entry, and `serialize` yields the
+ * text of the given entries in chunks.
+ */
+
+const RESERVED_WORDS = /^(true|false|null|yes|no|on|off|y|n|~)$/i;
+const INDEX_KEY = /^(0|[1-9]\d*)$/;
+
+/**
+ * Reads a value written by `formatText()`: JSON when it parses, the text itself otherwise.
+ */
+function parseText(text) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return text;
+    }
+}
+
+/**
+ * Writes a value as text for the CSV, INI and .env formats. Strings are written as they are unless
+ * they would read back as something else (`"30"`, `"true"`, text with surrounding whitespace or
+ * line breaks), in which case they are written as JSON strings like every other value.
+ */
+function formatText(value) {
+    if (typeof value === 'string') {
+        const plain = value.trim() === value && !/[\r\n]/.test(value) && !/^["']/.test(value) && parseText(value) === value;
+        return plain ? value : JSON.stringify(value);
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Reads a JSON string at the start of `text`.
+ *
+ * @returns {{ value: string, rest: string }|null} - Null if `text` does not start with one.
+ */
+function readQuoted(text) {
+    const match = /^"(?:[^"\\]|\\.)*"/.exec(text);
+    if (!match) {
+        return null;
+    }
+    return { value: JSON.parse(match[0]), rest: text.slice(match[0].length) };
+}
+
+/**
+ * One `{"path":...,"value":...}` JSON document per line.
+ */
+const ndjson = {
+    createParser(onEntry) {
+        return {
+            line(text, number) {
+                if (text.trim() === "") {
+                    return;
+                }
+                let entry;
+                try {
+                    entry = JSON.parse(text);
+                } catch (err) {
+                    throw new FormatError(`Invalid NDJSON at line ${number}: ${err.message}`, { format: "ndjson", line: number });
+                }
+                if (!entry || typeof entry.path !== 'string' || !("value" in entry)) {
+                    throw new FormatError(`Invalid NDJSON at line ${number}: expected {"path", "value"}.`, { format: "ndjson", line: number });
+                }
+                onEntry(entry.path, entry.value);
+            },
+            end() {}
+        };
+    },
+
+    * serialize(entries) {
+        for (const [path, value] of entries) {
+            yield `${JSON.stringify({ path, value })}\n`;
+        }
+    }
+};
+
+function csvCell(text) {
+    return /[",\r\n]/.test(text) || text.trim() !== text ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Splits one CSV record into cells.
+ *
+ * @returns {string[]|null} - Null while a quoted cell is still open at the end of `text`.
+ */
+function csvCells(text) {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        return null;
+    }
+    cells.push(cell);
+    return cells;
+}
+
+/**
+ * Two columns, `path` and `value`, after a `path,value` header. Quoted cells may span lines.
+ */
+const csv = {
+    createParser(onEntry) {
+        let pending = null;
+        let startLine = 0;
+        let first = true;
+        return {
+            line(text, number) {
+                if (pending === null && text.trim() === "") {
+                    return;
+                }
+                if (pending === null) {
+                    startLine = number;
+                }
+                pending = pending === null ? text : `${pending}\n${text}`;
+                const cells = csvCells(pending);
+                if (!cells) {
+                    return;
+                }
+                pending = null;
+                const header = first && cells.length === 2 && cells[0] === "path" && cells[1] === "value";
+                first = false;
+                if (header) {
+                    return;
+                }
+                if (cells.length !== 2) {
+                    throw new FormatError(`Invalid CSV at line ${startLine}: expected 2 columns, got ${cells.length}.`, { format: "csv", line: startLine });
+                }
+                onEntry(cells[0], parseText(cells[1]));
+            },
+            end() {
+                if (pending !== null) {
+                    throw new FormatError(`Invalid CSV at line ${startLine}: unterminated quoted cell.`, { format: "csv", line: startLine });
+                }
+            }
+        };
+    },
+
+    * serialize(entries) {
+        yield "path,value\n";
+        for (const [path, value] of entries) {
+            yield `${csvCell(path)},${csvCell(formatText(value))}\n`;
+        }
+    }
+};
+
+/**
+ * Writes the last key of an INI line: the escaped key, `[n]` for array items, or a JSON string
+ * when the key would not read back.
+ */
+function iniKey(key) {
+    if (typeof key === 'number') {
+        return `[${key}]`;
+    }
+    const escaped = escapeKey(key);
+    return escaped === "" || /[=\r\n]|^[;#"]|^\s|\s$/.test(escaped) ? JSON.stringify(escaped) : escaped;
+}
+
+/**
+ * `key = value` lines under `[section]` headers. A section is the escaped path of the keys' parent,
+ * so `[users.alice]` holds `users.alice.*`; keys before the first section belong to the root.
+ */
+const ini = {
+    createParser(onEntry) {
+        let section = "";
+        return {
+            line(text, number) {
+                const trimmed = text.trim();
+                if (trimmed === "" || trimmed[0] === ';' || trimmed[0] === '#') {
+                    return;
+                }
+                // `[0] = x` is an array item; sections never start with an index
+                const header = /^\[\d+\]\s*=/.test(trimmed) ? null : /^\[(.*)\]$/.exec(trimmed);
+                if (header) {
+                    section = header[1].trim();
+                    return;
+                }
+                let key;
+                let rest;
+                const quoted = trimmed[0] === '"' ? readQuoted(trimmed) : null;
+                if (quoted) {
+                    key = quoted.value;
+                    rest = quoted.rest.trim();
+                } else {
+                    const separator = trimmed.indexOf("=");
+                    key = separator === -1 ? trimmed : trimmed.slice(0, separator).trim();
+                    rest = separator === -1 ? "" : trimmed.slice(separator);
+                }
+                if (rest[0] !== '=') {
+                    throw new FormatError(`Invalid INI at line ${number}: expected "key = value".`, { format: "ini", line: number });
+                }
+                const path = section === "" ? key : (/^\[\d+\]$/.test(key) ? `${section}${key}` : `${section}.${key}`);
+                onEntry(path, parseText(rest.slice(1).trim()));
+            },
+            end() {}
+        };
+    },
+
+    * serialize(entries) {
+        const list = Array.isArray(entries) ? entries : [...entries];
+        let blank = "";
+        // keys of the root go first: anything after a header belongs to its section
+        for (const [path, value] of list) {
+            const keys = splitPath(path);
+            if (keys.length === 1) {
+                blank = "\n";
+                yield `${iniKey(keys[0])} = ${formatText(value)}\n`;
+            }
+        }
+        let section = null;
+        for (const [path, value] of list) {
+            const keys = splitPath(path);
+            if (keys.length === 1) {
+                continue;
+            }
+            const parent = joinPath(keys.slice(0, -1));
+            if (parent !== section) {
+                if (/[\r\n]/.test(parent)) {
+                    throw new FormatError(`Cannot write "${path}" as INI: section names cannot hold line breaks.`, { format: "ini", path });
+                }
+                section = parent;
+                yield `${blank}[${section}]\n`;
+                blank = "\n";
+            }
+            yield `${iniKey(keys[keys.length - 1])} = ${formatText(value)}\n`;
+        }
+    }
+};
+
+/**
+ * `NAME=value` lines, with `__` between the keys of a path: `DB__HOST=x` is `DB.HOST`. Numeric
+ * keys after the first are array indexes. Values may be quoted: double quotes with JSON escapes,
+ * single quotes as literal text. Unquoted values are read like the other text formats, and
+ * `export ` prefixes and `#` comments are skipped.
+ */
+const env = {
+    createParser(onEntry) {
+        return {
+            line(text, number) {
+                const trimmed = text.trim();
+                if (trimmed === "" || trimmed[0] === '#') {
+                    return;
+                }
+                const match = /^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/.exec(trimmed);
+                if (!match) {
+                    throw new FormatError(`Invalid .env at line ${number}: expected NAME=value.`, { format: "env", line: number });
+                }
+                const keys = match[1].split("__").map((key, index) => (index > 0 && INDEX_KEY.test(key) ? Number(key) : key));
+                const raw = match[2];
+                let value;
+                if (raw[0] === '"') {
+                    const quoted = readQuoted(raw);
+                    if (!quoted) {
+                        throw new FormatError(`Invalid .env at line ${number}: unterminated quoted value.`, { format: "env", line: number });
+                    }
+                    value = quoted.value;
+                } else if (raw[0] === "'") {
+                    const end = raw.indexOf("'", 1);
+                    if (end === -1) {
+                        throw new FormatError(`Invalid .env at line ${number}: unterminated quoted value.`, { format: "env", line: number });
+                    }
+                    value = raw.slice(1, end);
+                } else {
+                    value = parseText(raw.replace(/\s+#.*$/, "").trim());
+                }
+                onEntry(joinPath(keys), value);
+            },
+            end() {}
+        };
+    },
+
+    * serialize(entries) {
+        for (const [path, value] of entries) {
+            const keys = splitPath(path);
+            keys.forEach((key, index) => {
+                const reason = typeof key === 'number' ? null
+                    : key === "" || /[\s="'#]/.test(key) || key.includes("__") ? "keys cannot be empty or hold whitespace, =, quotes, # or __"
+                    : index > 0 && INDEX_KEY.test(key) ? "a numeric object key would read back as an array index"
+                    : null;
+                if (reason) {
+                    throw new FormatError(`Cannot write "${path}" as a .env variable: ${reason}.`, { format: "env", path });
+                }
+            });
+            let text = formatText(value);
+            if (typeof value === 'string' && text === value && /[\s#]/.test(text)) {
+                text = JSON.stringify(value);
+            }
+            yield `${keys.join("__")}=${text}\n`;
+        }
+    }
+};
+
+/**
+ * Strips a `#` comment that is outside quotes and at the start or after whitespace.
+ */
+function stripYamlComment(text) {
+    let quote = null;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                index++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (index === 0 || /\s/.test(text[index - 1]))) {
+            return text.slice(0, index).trimEnd();
+        }
+    }
+    return text.trimEnd();
+}
+
+function yamlPlain(text) {
+    return /^[A-Za-z_][\w./@-]*( [\w./@-]+)*$/.test(text) && !RESERVED_WORDS.test(text);
+}
+
+function yamlKey(key) {
+    return yamlPlain(key) && !key.includes(" ") ? key : JSON.stringify(key);
+}
+
+function yamlScalar(value) {
+    if (typeof value === 'string') {
+        return yamlPlain(value) ? value : JSON.stringify(value);
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Reads a YAML scalar: null, booleans, numbers, quoted strings, JSON flow collections and plain text.
+ */
+function parseYamlScalar(text, number) {
+    const fail = reason => new FormatError(`Invalid YAML at line ${number}: ${reason}`, { format: "yaml", line: number });
+    if (/^(~|null)$/i.test(text)) {
+        return null;
+    }
+    if (/^(true|false)$/i.test(text)) {
+        return text.toLowerCase() === "true";
+    }
+    if (/^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+        return Number(text);
+    }
+    if (text[0] === '"') {
+        const quoted = readQuoted(text);
+        if (!quoted || quoted.rest.trim() !== "") {
+            throw fail("unterminated or invalid double-quoted string.");
+        }
+        return quoted.value;
+    }
+    if (text[0] === "'") {
+        const match = /^'((?:[^']|'')*)'$/.exec(text);
+        if (!match) {
+            throw fail("unterminated single-quoted string.");
+        }
+        return match[1].replace(/''/g, "'");
+    }
+    if (text[0] === '{' || text[0] === '[') {
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw fail("only JSON flow collections are supported.");
+        }
+    }
+    if (text[0] === '|' || text[0] === '>') {
+        throw fail("block scalars are not supported.");
+    }
+    if (text[0] === '&' || text[0] === '*' || text[0] === '!') {
+        throw fail("anchors, aliases and tags are not supported.");
+    }
+    return text;
+}
+
+/**
+ * Splits a `key: value` line.
+ *
+ * @returns {{ key: string, rest: string }|null} - Null if the line is not a mapping entry.
+ */
+function splitYamlEntry(text) {
+    let key;
+    let rest;
+    if (text[0] === '"') {
+        const quoted = readQuoted(text);
+        if (!quoted) {
+            return null;
+        }
+        key = quoted.value;
+        rest = quoted.rest;
+    } else if (text[0] === "'") {
+        const match = /^'((?:[^']|'')*)'/.exec(text);
+        if (!match) {
+            return null;
+        }
+        key = match[1].replace(/''/g, "'");
+        rest = text.slice(match[0].length);
+    } else {
+        const match = /^([^:]*?)\s*(:(\s|$))/.exec(text);
+        if (!match || match[1] === "") {
+            return null;
+        }
+        key = match[1];
+        rest = text.slice(match[1].length);
+    }
+    const colon = /^\s*:(\s+|$)/.exec(rest);
+    return colon ? { key, rest: rest.slice(colon[0].length) } : null;
+}
+
+/**
+ * The block subset of YAML: nested mappings and sequences (including `- key: value` items), plain,
+ * quoted and JSON flow values, and comments. Anchors, tags, block scalars and multi-line values
+ * are rejected.
+ */
+const yaml = {
+    createParser(onEntry) {
+        // open collections: { indent, keys, kind: "map"|"seq", next }
+        const stack = [{ indent: 0, keys: [], kind: "map", next: 0 }];
+        // a `key:` or `-` waiting for its nested value: { keys, indent }
+        let pending = null;
+
+        function emit(keys, value) {
+            onEntry(joinPath(keys), value);
+        }
+
+        function entry(content, column, number) {
+            const fail = reason => new FormatError(`Invalid YAML at line ${number}: ${reason}`, { format: "yaml", line: number });
+            const top = stack[stack.length - 1];
+            if (top.kind === "seq") {
+                if (!(content === "-" || content.startsWith("- "))) {
+                    throw fail("expected a \"- \" sequence item.");
+                }
+                const keys = top.keys.concat([top.next++]);
+                const rest = content.slice(1).trimStart();
+                const restColumn = column + content.length - rest.length;
+                if (rest === "") {
+                    pending = { keys, indent: column };
+                } else if (rest === "-" || rest.startsWith("- ")) {
+                    stack.push({ indent: restColumn, keys, kind: "seq", next: 0 });
+                    entry(rest, restColumn, number);
+                } else if (splitYamlEntry(rest)) {
+                    stack.push({ indent: restColumn, keys, kind: "map", next: 0 });
+                    entry(rest, restColumn, number);
+                } else {
+                    emit(keys, parseYamlScalar(rest, number));
+                }
+                return;
+            }
+            const parsed = splitYamlEntry(content);
+            if (!parsed) {
+                throw fail("expected \"key: value\".");
+            }
+            const keys = top.keys.concat([parsed.key]);
+            if (parsed.rest === "") {
+                pending = { keys, indent: column };
+            } else {
+                emit(keys, parseYamlScalar(parsed.rest, number));
+            }
+        }
+
+        return {
+            line(text, number) {
+                const body = stripYamlComment(text);
+                const content = body.trimStart();
+                if (content === "" || content === "---" || content === "...") {
+                    return;
+                }
+                const indent = body.length - content.length;
+                if (/\t/.test(body.slice(0, indent))) {
+                    throw new FormatError(`Invalid YAML at line ${number}: tabs cannot indent.`, { format: "yaml", line: number });
+                }
+                const item = content === "-" || content.startsWith("- ");
+
+                if (pending) {
+                    // a sequence may sit at the indent of its key
+                    if (indent > pending.indent || (item && indent === pending.indent && stack[stack.length - 1].kind === "map")) {
+                        stack.push({ indent, keys: pending.keys, kind: item ? "seq" : "map", next: 0 });
+                        pending = null;
+                        entry(content, indent, number);
+                        return;
+                    }
+                    emit(pending.keys, null);
+                    pending = null;
+                }
+
+                while (stack.length > 1 && stack[stack.length - 1].indent > indent) {
+                    stack.pop();
+                }
+                let top = stack[stack.length - 1];
+                if (top.kind === "seq" && !item && top.indent === indent && stack.length > 1) {
+                    stack.pop();
+                    top = stack[stack.length - 1];
+                }
+                if (top.indent !== indent) {
+                    throw new FormatError(`Invalid YAML at line ${number}: unexpected indentation.`, { format: "yaml", line: number });
+                }
+                entry(content, indent, number);
+            },
+            end() {
+                if (pending) {
+                    emit(pending.keys, null);
+                    pending = null;
+                }
+            }
+        };
+    },
+
+    * serialize(entries) {
+        // the keys of the collections opened by the previous lines
+        let open = [];
+        for (const [path, value] of entries) {
+            const keys = splitPath(path);
+            const parents = keys.slice(0, -1);
+            let shared = 0;
+            while (shared < parents.length && shared < open.length && parents[shared] === open[shared]) {
+                shared++;
+            }
+            for (let depth = shared; depth < parents.length; depth++) {
+                const key = parents[depth];
+                yield `${"  ".repeat(depth)}${typeof key === 'number' ? "-" : `${yamlKey(key)}:`}\n`;
+            }
+            open = parents;
+            const key = keys[keys.length - 1];
+            yield `${"  ".repeat(parents.length)}${typeof key === 'number' ? "-" : `${yamlKey(key)}:`} ${yamlScalar(value)}\n`;
+        }
+    }
+};
+
+const FORMATS = { ndjson, csv, yaml, ini, env };
+
+function getFormat(name) {
+    if (!Object.prototype.hasOwnProperty.call(FORMATS, name)) {
+        throw new Error(`Unknown format: ${name}. Use one of ${Object.keys(FORMATS).join(", ")}.`);
+    }
+    return FORMATS[name];
+}
+
+/**
+ * Reads the entries of a source line by line.
+ *
+ * @param {stream.Readable|string|Buffer} source - The text, or a stream of it.
+ * @param {string} format - `"ndjson"`, `"csv"`, `"yaml"`, `"ini"` or `"env"`.
+ * @param {Function} onEntry - Called with `(path, value)` for each entry, in order.
+ * @returns {Promise<void>}
+ */
+async function readEntries(source, format, onEntry) {
+    const parser = getFormat(format).createParser(onEntry);
+    const input = typeof source === 'string' || Buffer.isBuffer(source) ? Readable.from([String(source)]) : source;
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let number = 0;
+    try {
+        for await (const line of lines) {
+            number++;
+            parser.line(number === 1 ? line.replace(/^\uFEFF/, "") : line, number);
+        }
+        parser.end();
+    } finally {
+        lines.close();
+    }
+}
+
+/**
+ * Writes entries as a stream of text in the given format.
+ *
+ * @param {Iterable<Array>} entries - `[path, value]` pairs, in the order of the tree.
+ * @param {string} format - `"ndjson"`, `"csv"`, `"yaml"`, `"ini"` or `"env"`.
+ * @returns {stream.Readable}
+ */
+function writeEntries(entries, format) {
+    return Readable.from(getFormat(format).serialize(entries), { objectMode: false });
+}
+
+module.exports = {
+    FORMATS,
+    parseText,
+    formatText,
+    readEntries,
+    writeEntries
+};
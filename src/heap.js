@@ -0,0 +1,71 @@
+/**
+ * Creates a binary min-heap ordered by `compare`, as for `Array#sort()`.
+ *
+ * @param {Function} compare - Returns a negative number when its first argument comes first.
+ * @returns {Object} - `{ push, peek, pop, clear, size }`.
+ */
+function createMinHeap(compare) {
+    let items = [];
+
+    function swap(a, b) {
+        const item = items[a];
+        items[a] = items[b];
+        items[b] = item;
+    }
+
+    function push(item) {
+        items.push(item);
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (compare(items[index], items[parent]) >= 0) {
+                break;
+            }
+            swap(index, parent);
+            index = parent;
+        }
+    }
+
+    function pop() {
+        if (items.length === 0) {
+            return undefined;
+        }
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < items.length && compare(items[left], items[smallest]) < 0) {
+                    smallest = left;
+                }
+                if (right < items.length && compare(items[right], items[smallest]) < 0) {
+                    smallest = right;
+                }
+                if (smallest === index) {
+                    break;
+                }
+                swap(index, smallest);
+                index = smallest;
+            }
+        }
+        return top;
+    }
+
+    return {
+        push,
+        pop,
+        peek: () => items[0],
+        clear: () => {
+            items = [];
+        },
+        size: () => items.length
+    };
+}
+
+module.exports = {
+    createMinHeap
+};
@@ -0,0 +1,229 @@
+const { joinPath, splitPath } = require("./paths");
+const { splitPattern, expandPattern, matchKeys } = require("./query");
+const { UniqueConstraintError } = require("./errors");
+
+/**
+ * Checks whether a value can be an index key. Objects and arrays are not indexed; the
+ * entries below them are, when their paths match.
+ */
+function isIndexable(value) {
+    return value === null || (typeof value !== 'object' && value !== undefined);
+}
+
+/**
+ * Creates a secondary index mapping the values found under a path pattern to their paths.
+ * The manager keeps it current by calling `remove()` before and `add()` after every change,
+ * with the keys and value of the subtree the change replaces.
+ *
+ * @param {string} name - The index name.
+ * @param {Object} options - Index options.
+ * @param {string} options.pathPattern - The indexed paths, with `*`, `[*]` and `**` wildcards (e.g., "users.*.email").
+ * @param {boolean} [options.unique=false] - Reject a value stored under two indexed paths.
+ * @returns {Object} - The index API.
+ */
+function createIndex(name, { pathPattern, unique = false } = {}) {
+    if (typeof name !== 'string' || name === "") {
+        throw new Error("Index name must be a non-empty string.");
+    }
+    if (typeof pathPattern !== 'string' || pathPattern === "") {
+        throw new Error(`Index "${name}" needs a pathPattern.`);
+    }
+
+    const patternKeys = splitPattern(pathPattern);
+    // value -> Set of escaped paths holding it
+    const entries = new Map();
+    let size = 0;
+
+    /**
+     * Returns the positions in the pattern reachable after matching `keys`, so that the rest of
+     * the pattern can be expanded below them.
+     */
+    function statesAfter(keys) {
+        function closure(states) {
+            const result = new Set(states);
+            result.forEach(state => {
+                if (patternKeys[state] === "**") {
+                    result.add(state + 1);
+                }
+            });
+            return result;
+        }
+
+        let states = closure([0]);
+        for (const key of keys) {
+            const next = [];
+            states.forEach(state => {
+                const segment = patternKeys[state];
+                if (segment === "**") {
+                    next.push(state);
+                } else if (segment === "*" || (segment !== undefined && String(segment) === String(key))) {
+                    next.push(state + 1);
+                }
+            });
+            states = closure(next);
+            if (states.size === 0) {
+                break;
+            }
+        }
+        return states;
+    }
+
+    /**
+     * Lists the indexed `[path, value]` entries of `value` stored under `keys`.
+     */
+    function entriesUnder(keys, value) {
+        const found = new Map();
+        if (value === undefined) {
+            return found;
+        }
+        statesAfter(keys).forEach(state => {
+            expandPattern(value, patternKeys.slice(state)).forEach(match => {
+                if (isIndexable(match.value)) {
+                    found.set(joinPath(keys.concat(match.keys)), match.value);
+                }
+            });
+        });
+        return found;
+    }
+
+    function add(keys, value) {
+        entriesUnder(keys, value).forEach((entryValue, path) => {
+            if (!entries.has(entryValue)) {
+                entries.set(entryValue, new Set());
+            }
+            const paths = entries.get(entryValue);
+            if (!paths.has(path)) {
+                paths.add(path);
+                size++;
+            }
+        });
+    }
+
+    function remove(keys, value) {
+        entriesUnder(keys, value).forEach((entryValue, path) => {
+            const paths = entries.get(entryValue);
+            if (paths && paths.delete(path)) {
+                size--;
+                if (paths.size === 0) {
+                    entries.delete(entryValue);
+                }
+            }
+        });
+    }
+
+    function clear() {
+        entries.clear();
+        size = 0;
+    }
+
+    /**
+     * Returns the paths holding `value`.
+     */
+    function lookup(value) {
+        return entries.has(value) ? [...entries.get(value)] : [];
+    }
+
+    /**
+     * Checks whether the index covers a query path pattern.
+     */
+    function covers(otherPatternKeys) {
+        return otherPatternKeys.length === patternKeys.length && otherPatternKeys.every((key, index) => String(key) === String(patternKeys[index]));
+    }
+
+    return {
+        name,
+        pathPattern,
+        unique: !!unique,
+        patternKeys,
+        entriesUnder,
+        add,
+        remove,
+        clear,
+        lookup,
+        covers,
+        get size() {
+            return size;
+        },
+        describe: () => ({ name, pathPattern, unique: !!unique, size })
+    };
+}
+
+/**
+ * Throws a `UniqueConstraintError` if a change would leave a value under two paths of a unique index.
+ *
+ * @param {Object} index - The unique index.
+ * @param {Array<{ keys: Array<string|number>, before: *, after: * }>} scopes - The subtrees the change
+ *   replaces, with their current and resulting values.
+ */
+function checkUnique(index, scopes) {
+    const removed = new Set();
+    const added = new Map();
+    scopes.forEach(({ keys, before }) => {
+        index.entriesUnder(keys, before).forEach((value, path) => removed.add(path));
+    });
+    scopes.forEach(({ keys, after }) => {
+        index.entriesUnder(keys, after).forEach((value, path) => {
+            const conflict = index.lookup(value).find(other => other !== path && !removed.has(other)) ||
+                (added.has(value) && added.get(value) !== path ? added.get(value) : undefined);
+            if (conflict !== undefined) {
+                throw new UniqueConstraintError(`Unique index "${index.name}" already holds ${JSON.stringify(value)} at "${conflict}".`, {
+                    index: index.name,
+                    path,
+                    value,
+                    conflictingPath: conflict
+                });
+            }
+            added.set(value, path);
+        });
+    });
+}
+
+/**
+ * Picks an index able to answer a query: one covering the path of an `eq` or `in` condition in
+ * `where` or in the top-level `and` list. With `from` (which must not contain `**`), the condition
+ * path is relative and the candidates are the ancestors of the indexed paths.
+ *
+ * @param {Iterable<Object>} indexes - The available indexes.
+ * @param {Object} query - The query.
+ * @param {Function} getAt - Returns the stored value under a list of keys.
+ * @returns {{ index: string, candidates: Array<{ keys, value }> }|null} - The chosen index and the
+ *   candidates it yields, or null when the query needs a full scan.
+ */
+function planQuery(indexes, query, getAt) {
+    const fromKeys = query.from !== undefined ? splitPattern(query.from) : [];
+    if (fromKeys.includes("**")) {
+        return null;
+    }
+    const conditions = [query.where].concat(Array.isArray(query.and) ? query.and : []).filter(condition =>
+        condition && typeof condition === 'object' && typeof condition.path === 'string' && ("eq" in condition || Array.isArray(condition.in)));
+
+    for (const condition of conditions) {
+        const patternKeys = fromKeys.concat(splitPattern(condition.path));
+        const index = [...indexes].find(candidate => candidate.covers(patternKeys));
+        if (!index) {
+            continue;
+        }
+        const values = "eq" in condition ? [condition.eq] : condition.in;
+        const seen = new Set();
+        const candidates = [];
+        values.filter(isIndexable).forEach(value => {
+            index.lookup(value).forEach(path => {
+                const keys = splitPath(path);
+                const candidateKeys = query.from !== undefined ? keys.slice(0, fromKeys.length) : keys;
+                const candidatePath = joinPath(candidateKeys);
+                if (!seen.has(candidatePath) && (query.from === undefined || matchKeys(fromKeys, candidateKeys))) {
+                    seen.add(candidatePath);
+                    candidates.push({ keys: candidateKeys, value: getAt(candidateKeys) });
+                }
+            });
+        });
+        return { index: index.name, candidates };
+    }
+    return null;
+}
+
+module.exports = {
+    createIndex,
+    checkUnique,
+    planQuery
+};
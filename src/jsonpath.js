@@ -0,0 +1,459 @@
+/**
+ * JSONPath expressions (`$.users[*].email`, `$..name`, `$.items[?(@.price < 10)]`), parsed into
+ * segments and evaluated over plain JSON values. Supported:
+ *
+ *   $              the root
+ *   .name ['name'] a member (bracket names are quoted, with backslash escapes)
+ *   [0] [-1]       an array item, negative indexes from the end
+ *   .* [*]         every member or item
+ *   [0,2] ['a','b']  unions
+ *   [1:5:2]        array slices (start:end:step)
+ *   ..             descendants: `..name`, `..*`, `..[0]`
+ *   [?(expr)]      filters over members or items: `@` (the candidate) and `$` paths, literals
+ *                  (numbers, strings, true, false, null), == != < <= > >=, =~ /regex/flags,
+ *                  && || ! and parentheses; a bare path tests that the path exists
+ *
+ * Filters are interpreted, never evaluated as code.
+ */
+
+const NAME = /^[^.[\]\s()'",?*:@=!<>&|]+/;
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parses a JSONPath expression.
+ *
+ * @param {string} text - The expression; it must start with `$`.
+ * @returns {Object[]} - The segments: `{ descendant, selectors }`.
+ */
+function parseJsonPath(text) {
+    let pos = 0;
+
+    function fail(reason) {
+        return new Error(`Invalid JSONPath "${text}" at ${pos}: ${reason}`);
+    }
+
+    function skipSpaces() {
+        while (text[pos] === ' ') {
+            pos++;
+        }
+    }
+
+    function readString() {
+        const quote = text[pos];
+        let value = "";
+        pos++;
+        while (pos < text.length && text[pos] !== quote) {
+            if (text[pos] === '\\') {
+                const next = text[pos + 1];
+                const escapes = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", "/": "/", "\\": "\\", "'": "'", '"': '"' };
+                if (next === 'u') {
+                    value += String.fromCharCode(parseInt(text.slice(pos + 2, pos + 6), 16));
+                    pos += 6;
+                    continue;
+                }
+                if (!(next in escapes)) {
+                    throw fail(`unknown escape "\\${next}".`);
+                }
+                value += escapes[next];
+                pos += 2;
+                continue;
+            }
+            value += text[pos++];
+        }
+        if (text[pos] !== quote) {
+            throw fail("unterminated string.");
+        }
+        pos++;
+        return value;
+    }
+
+    function readInteger() {
+        const match = /^-?\d+/.exec(text.slice(pos));
+        if (!match) {
+            return null;
+        }
+        pos += match[0].length;
+        return Number(match[0]);
+    }
+
+    function readSelector() {
+        skipSpaces();
+        const char = text[pos];
+        if (char === "'" || char === '"') {
+            return { type: "name", name: readString() };
+        }
+        if (char === '*') {
+            pos++;
+            return { type: "wildcard" };
+        }
+        if (char === '?') {
+            pos++;
+            skipSpaces();
+            return { type: "filter", expr: parseExpression() };
+        }
+        const start = char === ':' ? null : readInteger();
+        skipSpaces();
+        if (text[pos] !== ':') {
+            if (start === null) {
+                throw fail("expected a name, index, slice, * or filter.");
+            }
+            return { type: "index", index: start };
+        }
+        pos++;
+        skipSpaces();
+        const end = readInteger();
+        let step = null;
+        skipSpaces();
+        if (text[pos] === ':') {
+            pos++;
+            skipSpaces();
+            step = readInteger();
+        }
+        return { type: "slice", start, end, step: step === null ? 1 : step };
+    }
+
+    function readBracket() {
+        pos++;
+        const selectors = [readSelector()];
+        skipSpaces();
+        while (text[pos] === ',') {
+            pos++;
+            selectors.push(readSelector());
+            skipSpaces();
+        }
+        if (text[pos] !== ']') {
+            throw fail('expected "]".');
+        }
+        pos++;
+        return selectors;
+    }
+
+    function readDotted() {
+        if (text[pos] === '*') {
+            pos++;
+            return [{ type: "wildcard" }];
+        }
+        const match = NAME.exec(text.slice(pos));
+        if (!match) {
+            throw fail("expected a member name or *.");
+        }
+        pos += match[0].length;
+        return [{ type: "name", name: match[0] }];
+    }
+
+    // Reads the segments after `$` or `@`, stopping at anything else
+    function readSegments() {
+        const segments = [];
+        for (;;) {
+            if (text.startsWith("..", pos)) {
+                pos += 2;
+                segments.push({ descendant: true, selectors: text[pos] === '[' ? readBracket() : readDotted() });
+            } else if (text[pos] === '.') {
+                pos++;
+                segments.push({ descendant: false, selectors: readDotted() });
+            } else if (text[pos] === '[') {
+                segments.push({ descendant: false, selectors: readBracket() });
+            } else {
+                return segments;
+            }
+        }
+    }
+
+    // Filter expressions: or -> and -> not -> comparison -> primary
+    function parseExpression() {
+        let left = parseAnd();
+        skipSpaces();
+        while (text.startsWith("||", pos)) {
+            pos += 2;
+            left = { type: "or", left, right: parseAnd() };
+            skipSpaces();
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseNot();
+        skipSpaces();
+        while (text.startsWith("&&", pos)) {
+            pos += 2;
+            left = { type: "and", left, right: parseNot() };
+            skipSpaces();
+        }
+        return left;
+    }
+
+    function parseNot() {
+        skipSpaces();
+        if (text[pos] === '!' && text[pos + 1] !== '=') {
+            pos++;
+            return { type: "not", operand: parseNot() };
+        }
+        return parseComparison();
+    }
+
+    function parseComparison() {
+        const left = parsePrimary();
+        skipSpaces();
+        const match = /^(==|!=|<=|>=|<|>|=~)/.exec(text.slice(pos));
+        if (!match) {
+            return left;
+        }
+        pos += match[0].length;
+        skipSpaces();
+        if (match[0] === '=~') {
+            const regex = /^\/((?:[^/\\]|\\.)*)\/([gimsuy]*)/.exec(text.slice(pos));
+            if (!regex) {
+                throw fail("expected a /regex/ after =~.");
+            }
+            pos += regex[0].length;
+            return { type: "match", left, regex: new RegExp(regex[1], regex[2].replace("g", "")) };
+        }
+        return { type: "compare", op: match[0], left, right: parsePrimary() };
+    }
+
+    function parsePrimary() {
+        skipSpaces();
+        const char = text[pos];
+        if (char === '(') {
+            pos++;
+            const expr = parseExpression();
+            skipSpaces();
+            if (text[pos] !== ')') {
+                throw fail('expected ")".');
+            }
+            pos++;
+            return expr;
+        }
+        if (char === '@' || char === '$') {
+            pos++;
+            const segments = readSegments();
+            if (!isDefinite(segments)) {
+                throw fail("paths in filters must name one member or index per step.");
+            }
+            return { type: "path", root: char === '$', keys: definiteKeys(segments) };
+        }
+        if (char === "'" || char === '"') {
+            return { type: "literal", value: readString() };
+        }
+        const number = /^-?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?/.exec(text.slice(pos));
+        if (number) {
+            pos += number[0].length;
+            return { type: "literal", value: Number(number[0]) };
+        }
+        const word = /^(true|false|null)\b/.exec(text.slice(pos));
+        if (word) {
+            pos += word[0].length;
+            return { type: "literal", value: JSON.parse(word[0]) };
+        }
+        throw fail("expected a path, literal or \"(\" in the filter.");
+    }
+
+    if (typeof text !== 'string' || text[0] !== '$') {
+        throw new Error(`Invalid JSONPath "${text}": it must start with "$".`);
+    }
+    pos = 1;
+    const segments = readSegments();
+    skipSpaces();
+    if (pos !== text.length) {
+        throw fail(`unexpected "${text[pos]}".`);
+    }
+    return segments;
+}
+
+/**
+ * Checks whether segments address at most one value: no descendants, wildcards, slices, filters,
+ * unions or negative indexes.
+ */
+function isDefinite(segments) {
+    return segments.every(segment => !segment.descendant && segment.selectors.length === 1
+        && (segment.selectors[0].type === "name" || (segment.selectors[0].type === "index" && segment.selectors[0].index >= 0)));
+}
+
+/**
+ * Returns the raw keys of definite segments: names as strings, indexes as numbers.
+ */
+function definiteKeys(segments) {
+    return segments.map(segment => (segment.selectors[0].type === "name" ? segment.selectors[0].name : segment.selectors[0].index));
+}
+
+function valueAtKeys(value, keys) {
+    let current = value;
+    for (const key of keys) {
+        if (Array.isArray(current) && typeof key === 'number') {
+            current = current[key];
+        } else if (isObject(current) && Object.prototype.hasOwnProperty.call(current, key)) {
+            current = current[key];
+        } else {
+            return undefined;
+        }
+    }
+    return current;
+}
+
+function isEqualJson(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length
+        && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqualJson(a[key], b[key]));
+}
+
+function evaluateFilter(expr, current, root) {
+    switch (expr.type) {
+        case "or":
+            return !!evaluateFilter(expr.left, current, root) || !!evaluateFilter(expr.right, current, root);
+        case "and":
+            return !!evaluateFilter(expr.left, current, root) && !!evaluateFilter(expr.right, current, root);
+        case "not":
+            return !evaluateFilter(expr.operand, current, root);
+        case "path": {
+            const value = valueAtKeys(expr.root ? root : current, expr.keys);
+            return value !== undefined;
+        }
+        case "literal":
+            return expr.value;
+        case "match": {
+            const value = operand(expr.left, current, root);
+            return typeof value === 'string' && expr.regex.test(value);
+        }
+        case "compare": {
+            const left = operand(expr.left, current, root);
+            const right = operand(expr.right, current, root);
+            if (expr.op === "==") {
+                return isEqualJson(left, right);
+            }
+            if (expr.op === "!=") {
+                return !isEqualJson(left, right);
+            }
+            const comparable = (typeof left === 'number' && typeof right === 'number') || (typeof left === 'string' && typeof right === 'string');
+            if (!comparable) {
+                return false;
+            }
+            switch (expr.op) {
+                case "<":
+                    return left < right;
+                case "<=":
+                    return left <= right;
+                case ">":
+                    return left > right;
+                default:
+                    return left >= right;
+            }
+        }
+        default:
+            throw new Error(`Unknown filter expression: ${expr.type}`);
+    }
+}
+
+function operand(expr, current, root) {
+    if (expr.type === "path") {
+        return valueAtKeys(expr.root ? root : current, expr.keys);
+    }
+    if (expr.type === "literal") {
+        return expr.value;
+    }
+    return evaluateFilter(expr, current, root);
+}
+
+/**
+ * Lists the `{ keys, value }` children of a value: array items with number keys, members with
+ * string keys.
+ */
+function childrenOf(node) {
+    if (Array.isArray(node.value)) {
+        return node.value.map((value, index) => ({ keys: node.keys.concat([index]), value }));
+    }
+    if (isObject(node.value)) {
+        return Object.keys(node.value).map(key => ({ keys: node.keys.concat([key]), value: node.value[key] }));
+    }
+    return [];
+}
+
+function sliceIndexes(length, { start, end, step }) {
+    const indexes = [];
+    if (step === 0) {
+        return indexes;
+    }
+    const normalize = (index, fallback) => {
+        if (index === null) {
+            return fallback;
+        }
+        return index < 0 ? Math.max(length + index, step > 0 ? 0 : -1) : Math.min(index, step > 0 ? length : length - 1);
+    };
+    if (step > 0) {
+        for (let index = normalize(start, 0); index < normalize(end, length); index += step) {
+            indexes.push(index);
+        }
+    } else {
+        for (let index = normalize(start, length - 1); index > normalize(end, -1); index += step) {
+            indexes.push(index);
+        }
+    }
+    return indexes;
+}
+
+function select(node, selector, root) {
+    const { value } = node;
+    switch (selector.type) {
+        case "name":
+            return isObject(value) && Object.prototype.hasOwnProperty.call(value, selector.name)
+                ? [{ keys: node.keys.concat([selector.name]), value: value[selector.name] }]
+                : [];
+        case "index": {
+            if (!Array.isArray(value)) {
+                return [];
+            }
+            const index = selector.index < 0 ? value.length + selector.index : selector.index;
+            return index >= 0 && index < value.length ? [{ keys: node.keys.concat([index]), value: value[index] }] : [];
+        }
+        case "wildcard":
+            return childrenOf(node);
+        case "slice":
+            return Array.isArray(value)
+                ? sliceIndexes(value.length, selector).map(index => ({ keys: node.keys.concat([index]), value: value[index] }))
+                : [];
+        case "filter":
+            return childrenOf(node).filter(child => evaluateFilter(selector.expr, child.value, root));
+        default:
+            return [];
+    }
+}
+
+function withDescendants(node) {
+    const result = [node];
+    childrenOf(node).forEach(child => result.push(...withDescendants(child)));
+    return result;
+}
+
+/**
+ * Evaluates parsed segments over a JSON value.
+ *
+ * @returns {Array<{ keys: Array<string|number>, value: * }>} - The matches in document order.
+ */
+function evaluateJsonPath(root, segments) {
+    let nodes = [{ keys: [], value: root }];
+    segments.forEach(segment => {
+        const next = [];
+        nodes.forEach(node => {
+            (segment.descendant ? withDescendants(node) : [node]).forEach(target => {
+                segment.selectors.forEach(selector => next.push(...select(target, selector, root)));
+            });
+        });
+        nodes = next;
+    });
+    return nodes;
+}
+
+module.exports = {
+    parseJsonPath,
+    isDefinite,
+    definiteKeys,
+    evaluateJsonPath
+};
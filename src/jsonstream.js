@@ -0,0 +1,340 @@
+const { Readable } = require("stream");
+const { StringDecoder } = require("string_decoder");
+const { joinPath, splitPath } = require("./paths");
+const { FormatError } = require("./errors");
+
+/**
+ * Streaming counterparts of `flattenJsonWithEscaping()` and `unflattenJson()`: JSON text is parsed
+ * into flattened entries as it arrives, and entries are written out as JSON text as they come, so
+ * neither side holds the whole document.
+ */
+
+const WHITESPACE = /[ \t\n\r]/;
+const LITERAL_START = /[-0-9tfn]/;
+const LITERAL_CHAR = /[\w.+-]/;
+
+/**
+ * Creates an incremental JSON parser reporting the flattened entries of the document: leaves and
+ * empty objects and arrays, with the escaped paths `flattenJsonWithEscaping()` gives them. Only
+ * the open containers and the current token are kept.
+ *
+ * @param {Function} onEntry - Called with `(path, value)` for every entry, in document order.
+ * @returns {Object} - `{ write(text), end() }`; both throw a `FormatError` on invalid JSON.
+ */
+function createJsonParser(onEntry) {
+    // Open containers, outermost first; `key` is the key of the member being parsed
+    const stack = [];
+    // root, value, firstItem, firstKey, key, colon, next or done
+    let state = "root";
+    let token = null;
+    let line = 1;
+
+    function fail(message) {
+        return new FormatError(`Invalid JSON at line ${line}: ${message}`, { format: "json", line });
+    }
+
+    function path() {
+        return joinPath(stack.map(frame => frame.key));
+    }
+
+    function beginValue() {
+        if (stack.length === 0) {
+            return;
+        }
+        const frame = stack[stack.length - 1];
+        if (frame.type === "array") {
+            frame.key = frame.count;
+        }
+        frame.count++;
+    }
+
+    function leaf(value) {
+        onEntry(path(), value);
+        state = "next";
+    }
+
+    function close(type) {
+        const frame = stack[stack.length - 1];
+        stack.pop();
+        // like flattenJsonWithEscaping(), empty containers are entries but the empty root is not
+        if (frame.count === 0 && stack.length > 0) {
+            onEntry(path(), type === "array" ? [] : {});
+        }
+        state = stack.length === 0 ? "done" : "next";
+    }
+
+    function startValue(char) {
+        if (char === '{' || char === '[') {
+            beginValue();
+            stack.push({ type: char === '{' ? "object" : "array", key: undefined, count: 0 });
+            state = char === '{' ? "firstKey" : "firstItem";
+            return;
+        }
+        if (char !== '"' && !LITERAL_START.test(char)) {
+            throw fail(`unexpected "${char}".`);
+        }
+        if (stack.length === 0) {
+            throw fail("the top level must be an object or an array.");
+        }
+        beginValue();
+        token = char === '"' ? { kind: "string", raw: char, escaped: false, isKey: false } : { kind: "literal", raw: char };
+    }
+
+    function parseToken() {
+        try {
+            return JSON.parse(token.raw);
+        } catch (err) {
+            throw fail(`invalid ${token.kind === "string" ? "string" : "value"} ${token.raw.slice(0, 40)}.`);
+        }
+    }
+
+    function finishToken() {
+        const value = parseToken();
+        const { isKey } = token;
+        token = null;
+        if (isKey) {
+            stack[stack.length - 1].key = value;
+            state = "colon";
+        } else {
+            leaf(value);
+        }
+    }
+
+    function write(text) {
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+
+            if (token && token.kind === "string") {
+                if (token.escaped) {
+                    token.raw += char;
+                    token.escaped = false;
+                    continue;
+                }
+                // copy the run up to the next quote or backslash in one go
+                let end = index;
+                while (end < text.length && text[end] !== '"' && text[end] !== '\\') {
+                    end++;
+                }
+                token.raw += text.slice(index, end + 1);
+                index = end;
+                if (text[end] === '\\') {
+                    token.escaped = true;
+                } else if (text[end] === '"') {
+                    finishToken();
+                }
+                continue;
+            }
+            if (token) {
+                if (LITERAL_CHAR.test(char)) {
+                    token.raw += char;
+                    continue;
+                }
+                finishToken();
+            }
+
+            if (char === '\n') {
+                line++;
+            }
+            if (WHITESPACE.test(char)) {
+                continue;
+            }
+            switch (state) {
+                case "root":
+                case "value":
+                    startValue(char);
+                    break;
+                case "firstItem":
+                    if (char === ']') {
+                        close("array");
+                    } else {
+                        startValue(char);
+                    }
+                    break;
+                case "firstKey":
+                case "key":
+                    if (char === '}' && state === "firstKey") {
+                        close("object");
+                    } else if (char === '"') {
+                        token = { kind: "string", raw: char, escaped: false, isKey: true };
+                    } else {
+                        throw fail(`expected a key, found "${char}".`);
+                    }
+                    break;
+                case "colon":
+                    if (char !== ':') {
+                        throw fail(`expected ":", found "${char}".`);
+                    }
+                    state = "value";
+                    break;
+                case "next": {
+                    const { type } = stack[stack.length - 1];
+                    if (char === ',') {
+                        state = type === "object" ? "key" : "value";
+                    } else if (char === (type === "object" ? '}' : ']')) {
+                        close(type);
+                    } else {
+                        throw fail(`expected "," or "${type === "object" ? "}" : "]"}", found "${char}".`);
+                    }
+                    break;
+                }
+                default:
+                    throw fail(`unexpected "${char}" after the end of the document.`);
+            }
+        }
+    }
+
+    function end() {
+        if (token && token.kind === "literal") {
+            finishToken();
+        }
+        if (token || state !== "done") {
+            throw fail("unexpected end of the document.");
+        }
+    }
+
+    return {
+        write,
+        end
+    };
+}
+
+/**
+ * Parses a JSON document (an object or array at the top) into its flattened entries while it is
+ * read, as `flattenJsonWithEscaping()` would list them. A leading byte order mark is skipped.
+ *
+ * @param {stream.Readable|AsyncIterable|Iterable|string|Buffer} source - The JSON text, or chunks of it.
+ * @returns {stream.Readable} - An object mode stream of `{ path, value }`, also async iterable. Invalid
+ *   JSON fails it with a `FormatError` (`format: "json"`, `line`).
+ */
+function flattenStream(source) {
+    const chunks = typeof source === 'string' || Buffer.isBuffer(source) ? [source] : source;
+
+    async function* generate() {
+        const decoder = new StringDecoder("utf8");
+        let pending = [];
+        let started = false;
+        const parser = createJsonParser((path, value) => pending.push({ path, value }));
+
+        function feed(text) {
+            if (!started && text.length > 0) {
+                started = true;
+                text = text.replace(/^\uFEFF/, "");
+            }
+            parser.write(text);
+        }
+
+        for await (const chunk of chunks) {
+            feed(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+            yield* pending;
+            pending = [];
+        }
+        feed(decoder.end());
+        parser.end();
+        yield* pending;
+    }
+
+    return Readable.from(generate(), { objectMode: true });
+}
+
+/**
+ * Writes flattened entries out as one JSON document while they arrive, the reverse of
+ * `flattenStream()`. Only the containers on the path of the current entry stay open, so the
+ * entries of each object or array must come together, in the order `flattenStream()` and
+ * `flattenJsonWithEscaping()` produce. Array items skipped over are written as null. When the
+ * first path starts with an index (`[0]`), the top level is an array, as for the entries
+ * `flattenStream()` reads from a top-level array.
+ *
+ * @param {AsyncIterable|Iterable} entries - `{ path, value }` objects or `[path, value]` pairs.
+ * @returns {stream.Readable} - The JSON text. Entries that cannot be written in order, or that
+ *   use a path both as a value and as a container, fail it with a `FormatError`.
+ */
+function unflattenStream(entries) {
+    async function* generate() {
+        // Open containers, outermost first, with the keys written to them so far
+        const open = [];
+        let topArray = false;
+
+        function fail(message, path) {
+            return new FormatError(`Cannot write "${path}": ${message}`, { format: "json", path });
+        }
+
+        function closeTo(depth) {
+            let text = "";
+            while (open.length > depth) {
+                text += open.pop().type === "array" ? "]" : "}";
+            }
+            return text;
+        }
+
+        // Writes what comes before a member `key` of the innermost container
+        function member(key, path) {
+            const frame = open[open.length - 1];
+            let text = frame.count > 0 ? "," : "";
+            if (frame.type === "array") {
+                if (typeof key !== 'number') {
+                    throw fail("an array cannot hold a named key.", path);
+                }
+                if (key < frame.count) {
+                    throw fail(`item ${key} comes after item ${frame.count - 1}.`, path);
+                }
+                for (; frame.count < key; frame.count++) {
+                    text += "null,";
+                }
+            } else {
+                if (typeof key === 'number') {
+                    throw fail("an object cannot hold an array index.", path);
+                }
+                if (frame.seen.has(key)) {
+                    throw fail(`"${key}" was already written; keep the entries of a container together.`, path);
+                }
+                frame.seen.add(key);
+                text += `${JSON.stringify(key)}:`;
+            }
+            frame.count++;
+            frame.current = key;
+            return text;
+        }
+
+        function openContainer(nextKey) {
+            const type = typeof nextKey === 'number' ? "array" : "object";
+            open.push({ type, count: 0, seen: new Set(), current: undefined });
+            return type === "array" ? "[" : "{";
+        }
+
+        for await (const entry of entries) {
+            const [path, value] = Array.isArray(entry) ? entry : [entry.path, entry.value];
+            const keys = splitPath(path);
+            if (open.length === 0) {
+                topArray = path[0] === '[';
+            }
+            // splitPath() reads "[0]" as the index 0 of the key ""
+            if (topArray && keys[0] === "" && typeof keys[1] === 'number') {
+                keys.shift();
+            }
+            let text = "";
+            if (open.length === 0) {
+                text += openContainer(keys[0]);
+            }
+            // keep the open containers shared with this entry's path, close the rest
+            let shared = 0;
+            while (shared < open.length - 1 && shared < keys.length - 1 && open[shared].current === keys[shared]) {
+                shared++;
+            }
+            text += closeTo(shared + 1);
+            for (let depth = shared; depth < keys.length; depth++) {
+                text += member(keys[depth], path);
+                text += depth < keys.length - 1 ? openContainer(keys[depth + 1]) : JSON.stringify(value === undefined ? null : value);
+            }
+            yield text;
+        }
+        yield open.length === 0 ? "{}" : closeTo(0);
+    }
+
+    return Readable.from(generate(), { objectMode: false });
+}
+
+module.exports = {
+    createJsonParser,
+    flattenStream,
+    unflattenStream
+};
@@ -0,0 +1,346 @@
+const { joinPath, isWithin, setOwn, parsePointer, toPointer } = require("./paths");
+const { isBranch } = require("./tree");
+const { PatchError } = require("./errors");
+
+/**
+ * RFC 6902 JSON Patch and RFC 7396 JSON Merge Patch, turned into the manager's mutation records
+ * so a patch commits as one batch, and the diff producing RFC 6902 operations.
+ */
+
+const INDEX_TOKEN = /^(0|[1-9]\d*)$/;
+
+function isPlainObject(value) {
+    return isBranch(value) && !Array.isArray(value);
+}
+
+function cloneJson(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compares two JSON values structurally; object key order does not matter.
+ */
+function deepEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length
+            && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+/**
+ * Describes a value as `{ kind, size }`, like the prefix tree describes its nodes: kind is
+ * `"object"`, `"array"`, `"value"` or undefined for a missing value, size the number of children.
+ */
+function shapeOf(value) {
+    if (value === undefined) {
+        return { kind: undefined, size: 0 };
+    }
+    if (Array.isArray(value)) {
+        return { kind: "array", size: value.length };
+    }
+    return isPlainObject(value) ? { kind: "object", size: Object.keys(value).length } : { kind: "value", size: 0 };
+}
+
+/**
+ * Checks whether staged records change what is stored under `keys`.
+ */
+function touches(records, keys) {
+    return records.some(record => record.op === "init" || ((record.op === "write" || record.op === "delete")
+        && (isWithin(keys, record.keys) || isWithin(record.keys, keys))));
+}
+
+/**
+ * Builds the records staging a change, keeping the parsed keys on them for `touches()`.
+ */
+function stage(records, op, keys, value) {
+    const record = op === "init" ? { op, value } : { op, path: joinPath(keys), value };
+    if (op === "delete") {
+        delete record.value;
+    }
+    Object.defineProperty(record, "keys", { value: keys });
+    records.push(record);
+}
+
+/**
+ * Turns an RFC 6902 patch into mutation records. Every operation sees the ones before it, and any
+ * failing operation throws a `PatchError` before a record is committed.
+ *
+ * Removals never leave an emptied object or array to the manager, which would prune it: the last
+ * member of a container is removed by writing the container back empty.
+ *
+ * @param {Object[]} ops - The operations: `add`, `remove`, `replace`, `move`, `copy` and `test`.
+ * @param {Object} store - Manager hooks: `read(keys, records)` (a copy of the value under `keys`)
+ *   and `shape(keys, records)` (see `shapeOf()`), both as of after `records`.
+ * @returns {Object[]} - The records to commit.
+ */
+function patchRecords(ops, store) {
+    if (!Array.isArray(ops)) {
+        throw new PatchError("A JSON Patch must be an array of operations.");
+    }
+    const records = [];
+
+    ops.forEach((op, index) => {
+        const fail = message => new PatchError(`Patch operation ${index} (${op && op.op}) failed: ${message}`, {
+            index,
+            op: op && op.op,
+            path: op && op.path
+        });
+        if (!op || typeof op !== 'object') {
+            throw fail("an operation must be an object.");
+        }
+
+        // Resolves a pointer against the data as the earlier operations left it
+        function resolve(pointer, forAdd) {
+            let tokens;
+            try {
+                tokens = parsePointer(pointer);
+            } catch (err) {
+                throw fail(err.message);
+            }
+            const keys = [];
+            tokens.forEach((token, position) => {
+                const { kind, size } = store.shape(keys, records);
+                if (kind !== "array") {
+                    keys.push(token);
+                } else if (token === "-" && forAdd && position === tokens.length - 1) {
+                    keys.push(size);
+                } else if (INDEX_TOKEN.test(token)) {
+                    keys.push(Number(token));
+                } else {
+                    throw fail(`"${token}" is not an index of the array at "${toPointer(keys)}".`);
+                }
+            });
+            return keys;
+        }
+
+        function valueOf() {
+            if (!("value" in op)) {
+                throw fail("the operation needs a value.");
+            }
+            return op.value;
+        }
+
+        function mustExist(keys) {
+            if (store.shape(keys, records).kind === undefined) {
+                throw fail(`"${toPointer(keys)}" does not exist.`);
+            }
+        }
+
+        function add(keys, value) {
+            if (keys.length === 0) {
+                if (!isPlainObject(value)) {
+                    throw fail("the root must be an object.");
+                }
+                stage(records, "init", keys, value);
+                return;
+            }
+            const parentKeys = keys.slice(0, -1);
+            const parent = store.shape(parentKeys, records);
+            if (parent.kind === "array") {
+                const at = keys[keys.length - 1];
+                if (at > parent.size) {
+                    throw fail(`index ${at} is past the end of "${toPointer(parentKeys)}".`);
+                }
+                if (at === parent.size) {
+                    stage(records, "write", keys, value);
+                } else {
+                    const array = store.read(parentKeys, records);
+                    array.splice(at, 0, value);
+                    stage(records, "write", parentKeys, array);
+                }
+            } else if (parent.kind === "object") {
+                stage(records, "write", keys, value);
+            } else {
+                throw fail(`"${toPointer(parentKeys)}" is not an object or array.`);
+            }
+        }
+
+        function remove(keys) {
+            mustExist(keys);
+            if (keys.length === 0) {
+                throw fail("the root cannot be removed.");
+            }
+            const parentKeys = keys.slice(0, -1);
+            const parent = store.shape(parentKeys, records);
+            if (parent.size === 1 && parentKeys.length > 0) {
+                stage(records, "write", parentKeys, parent.kind === "array" ? [] : {});
+            } else {
+                stage(records, "delete", keys);
+            }
+        }
+
+        switch (op.op) {
+            case "add":
+                add(resolve(op.path, true), valueOf());
+                break;
+            case "remove":
+                remove(resolve(op.path, false));
+                break;
+            case "replace": {
+                const keys = resolve(op.path, false);
+                const value = valueOf();
+                mustExist(keys);
+                if (keys.length === 0) {
+                    add(keys, value);
+                } else {
+                    stage(records, "write", keys, value);
+                }
+                break;
+            }
+            case "move": {
+                if (typeof op.path === 'string' && typeof op.from === 'string' && op.path.startsWith(`${op.from}/`)) {
+                    throw fail("a value cannot be moved into its own children.");
+                }
+                const fromKeys = resolve(op.from, false);
+                mustExist(fromKeys);
+                if (op.path === op.from) {
+                    break;
+                }
+                const value = store.read(fromKeys, records);
+                remove(fromKeys);
+                add(resolve(op.path, true), value);
+                break;
+            }
+            case "copy": {
+                const fromKeys = resolve(op.from, false);
+                mustExist(fromKeys);
+                add(resolve(op.path, true), store.read(fromKeys, records));
+                break;
+            }
+            case "test": {
+                const keys = resolve(op.path, false);
+                const expected = valueOf();
+                mustExist(keys);
+                if (!deepEqual(store.read(keys, records), expected)) {
+                    throw fail(`the value at "${op.path}" is not ${JSON.stringify(expected)}.`);
+                }
+                break;
+            }
+            default:
+                throw fail(`unknown operation "${op.op}".`);
+        }
+    });
+
+    return records;
+}
+
+/**
+ * Applies RFC 7396 to a value that is not merged into: null members of `patch` are dropped,
+ * recursively through objects.
+ */
+function withoutNulls(patch) {
+    if (!isPlainObject(patch)) {
+        return patch;
+    }
+    const result = {};
+    Object.keys(patch).forEach(key => {
+        if (patch[key] !== null) {
+            setOwn(result, key, withoutNulls(patch[key]));
+        }
+    });
+    return result;
+}
+
+/**
+ * Turns an RFC 7396 merge patch for the whole store into mutation records: null deletes a member,
+ * objects merge into stored objects, and anything else replaces what is stored.
+ *
+ * @param {Object} patch - The merge patch; it must be an object.
+ * @param {Object} store - Manager hooks, as for `patchRecords()`.
+ * @returns {Object[]} - The records to commit.
+ */
+function mergeRecords(patch, store) {
+    if (!isPlainObject(patch)) {
+        throw new PatchError("A merge patch for the store must be an object.");
+    }
+    const records = [];
+
+    function mergeInto(keys, patchObject) {
+        let remaining = store.shape(keys, records).size;
+        const level = [];
+        Object.keys(patchObject).forEach(key => {
+            const childKeys = keys.concat([key]);
+            const value = patchObject[key];
+            const child = store.shape(childKeys, records);
+            if (value === null) {
+                if (child.kind !== undefined) {
+                    level.push(["delete", childKeys]);
+                    remaining--;
+                }
+            } else if (isPlainObject(value) && child.kind === "object") {
+                mergeInto(childKeys, value);
+            } else {
+                if (child.kind === undefined) {
+                    remaining++;
+                }
+                level.push(["write", childKeys, withoutNulls(value)]);
+            }
+        });
+        // deleting every member keeps the object, as an empty one
+        if (remaining === 0 && keys.length > 0 && level.length > 0) {
+            stage(records, "write", keys, {});
+        } else {
+            level.forEach(([op, childKeys, value]) => stage(records, op, childKeys, value));
+        }
+    }
+
+    mergeInto([], patch);
+    return records;
+}
+
+/**
+ * Lists the RFC 6902 operations that turn `a` into `b`: `remove`, `add` and `replace`, with array
+ * items compared by position.
+ *
+ * @returns {Object[]} - The operations, with JSON Pointer paths.
+ */
+function diffOps(a, b, keys = [], ops = []) {
+    if (deepEqual(a, b)) {
+        return ops;
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        Object.keys(a).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(b, key)) {
+                ops.push({ op: "remove", path: toPointer(keys.concat([key])) });
+            }
+        });
+        Object.keys(b).forEach(key => {
+            if (Object.prototype.hasOwnProperty.call(a, key)) {
+                diffOps(a[key], b[key], keys.concat([key]), ops);
+            } else {
+                ops.push({ op: "add", path: toPointer(keys.concat([key])), value: cloneJson(b[key]) });
+            }
+        });
+    } else if (Array.isArray(a) && Array.isArray(b)) {
+        for (let index = 0; index < Math.min(a.length, b.length); index++) {
+            diffOps(a[index], b[index], keys.concat([index]), ops);
+        }
+        // trailing items go from the end, so the indexes of the rest hold
+        for (let index = a.length - 1; index >= b.length; index--) {
+            ops.push({ op: "remove", path: toPointer(keys.concat([index])) });
+        }
+        for (let index = a.length; index < b.length; index++) {
+            ops.push({ op: "add", path: toPointer(keys.concat([index])), value: cloneJson(b[index]) });
+        }
+    } else {
+        ops.push({ op: "replace", path: toPointer(keys), value: cloneJson(b) });
+    }
+    return ops;
+}
+
+module.exports = {
+    deepEqual,
+    shapeOf,
+    touches,
+    patchRecords,
+    mergeRecords,
+    diffOps
+};
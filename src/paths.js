@@ -0,0 +1,271 @@
+const { parseJsonPath, isDefinite, definiteKeys } = require("./jsonpath");
+
+/**
+ * Escapes a raw key for use in a dot notation path: dots become `\\.` and opening
+ * brackets `\\[`, so neither is read as a separator or an array index.
+ *
+ * @param {string} key - The raw key.
+ * @returns {string} - The escaped key.
+ */
+function escapeKey(key) {
+    return String(key).replace(/[.[]/g, '\\$&');
+}
+
+/**
+ * Splits a dot notation path into its keys. Escaped dots (`\\.`) and brackets (`\\[`, `\\]`)
+ * stay part of a key, and `[n]` after a key is an array index returned as a number.
+ *
+ * @param {string} path - The dot notation path (e.g., "nest\\.secondnest.items[0].name").
+ * @returns {Array<string|number>} - The raw keys, with array indexes as numbers.
+ */
+function splitPath(path) {
+    const keys = [];
+    let key = "";
+    let index = 0;
+
+    while (index <= path.length) {
+        const char = path[index];
+
+        if (char === '\\' && (path[index + 1] === '.' || path[index + 1] === '[' || path[index + 1] === ']')) {
+            key += path[index + 1];
+            index += 2;
+            continue;
+        }
+
+        const indexMatch = char === '[' ? /^\[(\d+)\]/.exec(path.slice(index)) : null;
+        if (char === undefined || char === '.' || indexMatch) {
+            keys.push(key);
+            key = "";
+
+            // any number of indexes may follow a key: items[0][1]
+            let match = indexMatch;
+            while (match) {
+                keys.push(Number(match[1]));
+                index += match[0].length;
+                match = path[index] === '[' ? /^\[(\d+)\]/.exec(path.slice(index)) : null;
+            }
+
+            if (indexMatch) {
+                if (path[index] === undefined) {
+                    break;
+                }
+                if (path[index] !== '.') {
+                    throw new Error(`Invalid path "${path}": expected "." or "[" after an array index.`);
+                }
+            }
+            index++;
+            continue;
+        }
+
+        key += char;
+        index++;
+    }
+
+    return keys;
+}
+
+/**
+ * Joins raw keys back into a dot notation path, writing numbers as `[n]` array indexes.
+ *
+ * @param {Array<string|number>} keys - The raw keys.
+ * @returns {string} - The escaped dot notation path.
+ */
+function joinPath(keys) {
+    return keys.reduce((path, key, index) => {
+        if (typeof key === 'number') {
+            return `${path}[${key}]`;
+        }
+        return index === 0 ? escapeKey(key) : `${path}.${escapeKey(key)}`;
+    }, "");
+}
+
+/**
+ * Checks whether `inner` is equal to or nested below `outer`.
+ *
+ * @param {Array<string|number>} inner - Keys of the candidate descendant path.
+ * @param {Array<string|number>} outer - Keys of the candidate ancestor path.
+ * @returns {boolean}
+ */
+function isWithin(inner, outer) {
+    return inner.length >= outer.length && outer.every((key, index) => inner[index] === key);
+}
+
+/**
+ * Checks whether `obj` holds `key` as its own property, so inherited members such as `__proto__`
+ * or `constructor` are never taken for stored keys.
+ *
+ * @param {*} obj - The object or array.
+ * @param {string|number} key - The raw key.
+ * @returns {boolean}
+ */
+function hasOwn(obj, key) {
+    return obj !== null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+/**
+ * Reads the own property `key` of `obj`, or undefined when it has none.
+ */
+function getOwn(obj, key) {
+    return hasOwn(obj, key) ? obj[key] : undefined;
+}
+
+/**
+ * Stores `value` as the own property `key` of `obj`. `__proto__` is defined rather than assigned,
+ * so it stays an ordinary key (as `JSON.parse` makes it) instead of replacing the prototype of `obj`.
+ *
+ * @returns {*} - The value.
+ */
+function setOwn(obj, key, value) {
+    if (key === "__proto__") {
+        Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+    } else {
+        obj[key] = value;
+    }
+    return value;
+}
+
+/**
+ * Splits an RFC 6901 JSON Pointer (`/users/alice/tags/0`) into its unescaped tokens, all strings:
+ * `~1` stands for `/` and `~0` for `~`. The empty pointer addresses the root.
+ *
+ * @param {string} pointer - The JSON Pointer.
+ * @returns {string[]} - The tokens.
+ */
+function parsePointer(pointer) {
+    if (typeof pointer !== 'string') {
+        throw new Error("JSON Pointer must be a string.");
+    }
+    if (pointer === "") {
+        return [];
+    }
+    if (pointer[0] !== '/') {
+        throw new Error(`Invalid JSON Pointer "${pointer}": it must start with "/".`);
+    }
+    return pointer.slice(1).split("/").map(token => {
+        if (/~[^01]|~$/.test(token)) {
+            throw new Error(`Invalid JSON Pointer "${pointer}": "~" must be followed by 0 or 1.`);
+        }
+        return token.replace(/~1/g, "/").replace(/~0/g, "~");
+    });
+}
+
+/**
+ * Joins raw keys into an RFC 6901 JSON Pointer.
+ *
+ * @param {Array<string|number>} keys - The raw keys.
+ * @returns {string} - The JSON Pointer.
+ */
+function toPointer(keys) {
+    return keys.map(key => `/${String(key).replace(/~/g, "~0").replace(/\//g, "~1")}`).join("");
+}
+
+/**
+ * Tells which syntax a path is written in: `"pointer"` for RFC 6901 JSON Pointers (`/a~1b/c`),
+ * `"jsonpath"` for JSONPath (`$`, `$.a`, `$['a']`), and `"dot"` for escaped dot notation.
+ *
+ * @param {string} path - The path.
+ * @returns {string} - `"pointer"`, `"jsonpath"` or `"dot"`.
+ */
+function pathSyntax(path) {
+    if (path[0] === '/') {
+        return "pointer";
+    }
+    return /^\$($|\.|\[)/.test(path) ? "jsonpath" : "dot";
+}
+
+/**
+ * Returns how a manager tells the syntax of its paths, for its `pathSyntax` option: with `"dot"`
+ * (the default) every path is escaped dot notation, so keys such as `/etc` or `$.x` are read as
+ * written; `"auto"` tells the three syntaxes apart with `pathSyntax()`.
+ *
+ * @param {string} [option="dot"] - `"dot"` or `"auto"`.
+ * @returns {Function} - Takes a path and returns `"pointer"`, `"jsonpath"` or `"dot"`.
+ */
+function syntaxDetector(option = "dot") {
+    if (option !== "dot" && option !== "auto") {
+        throw new Error(`Unknown pathSyntax: ${option}. Expected "dot" or "auto".`);
+    }
+    return option === "auto" ? pathSyntax : () => "dot";
+}
+
+/**
+ * Splits a path in any of the three syntaxes into raw keys. JSONPath must address a single value
+ * (no wildcards, filters or descendants). Without data to look at, all-digit pointer tokens are
+ * taken as array indexes.
+ *
+ * @param {string} path - The path.
+ * @param {string} [syntax] - The syntax of the path; told from the path itself by default.
+ * @returns {Array<string|number>} - The raw keys, with array indexes as numbers.
+ */
+function toKeys(path, syntax = pathSyntax(path)) {
+    switch (syntax) {
+        case "pointer":
+            return parsePointer(path).map(token => (/^(0|[1-9]\d*)$/.test(token) ? Number(token) : token));
+        case "jsonpath": {
+            const segments = parseJsonPath(path);
+            if (!isDefinite(segments)) {
+                throw new Error(`JSONPath "${path}" can match several values; query it with has().`);
+            }
+            return definiteKeys(segments);
+        }
+        default:
+            return splitPath(path);
+    }
+}
+
+/**
+ * Writes raw keys as a JSONPath expression: `.name` where the name allows it, `['name']` otherwise.
+ */
+function toJsonPath(keys) {
+    return `$${keys.map(key => {
+        if (typeof key === 'number') {
+            return `[${key}]`;
+        }
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `['${key.replace(/\\/g, "\\\\").replace(/'/g, "\\'")}']`;
+    }).join("")}`;
+}
+
+/**
+ * Converts a path between escaped dot notation, JSON Pointer and JSONPath; the syntax of `path`
+ * is detected with `pathSyntax()`. Keys that a dot path cannot hold, such as one ending in a
+ * backslash, throw when converting to `"dot"`.
+ *
+ * @param {string} path - The path in any syntax.
+ * @param {string} syntax - The syntax to convert to: `"dot"`, `"pointer"` or `"jsonpath"`.
+ * @returns {string} - The converted path.
+ */
+function convertPath(path, syntax) {
+    const keys = toKeys(path);
+    switch (syntax) {
+        case "dot": {
+            const dotPath = joinPath(keys);
+            const roundTrip = splitPath(dotPath);
+            if (roundTrip.length !== keys.length || roundTrip.some((key, index) => key !== keys[index])) {
+                throw new Error(`"${path}" cannot be written as a dot path.`);
+            }
+            return dotPath;
+        }
+        case "pointer":
+            return toPointer(keys);
+        case "jsonpath":
+            return toJsonPath(keys);
+        default:
+            throw new Error(`Unknown path syntax: ${syntax}. Use "dot", "pointer" or "jsonpath".`);
+    }
+}
+
+module.exports = {
+    escapeKey,
+    splitPath,
+    joinPath,
+    isWithin,
+    hasOwn,
+    getOwn,
+    setOwn,
+    parsePointer,
+    toPointer,
+    pathSyntax,
+    syntaxDetector,
+    toKeys,
+    convertPath
+};
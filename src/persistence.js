@@ -0,0 +1,276 @@
+const fs = require("fs");
+const path = require("path");
+const { splitPath, isWithin, pathSyntax } = require("./paths");
+const { isSealed } = require("./encryption");
+const { DecryptionError } = require("./errors");
+
+const SNAPSHOT_FILE = "snapshot.json";
+const LOG_FILE = "write.log";
+
+/**
+ * Writes a file atomically by writing a temp file, syncing it and renaming it over the target.
+ *
+ * @param {string} target - The final file path.
+ * @param {string} contents - The file contents.
+ */
+function writeFileAtomic(target, contents) {
+    const temp = `${target}.${process.pid}.tmp`;
+    const fd = fs.openSync(temp, "w");
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(temp, target);
+}
+
+/**
+ * Creates the disk layer of a persistent store: a snapshot file written atomically and an
+ * append-only log of newline terminated JSON records, both kept in `options.dir`.
+ *
+ * @param {Object} options - Persistence options.
+ * @param {string} options.dir - Directory holding the snapshot and the log.
+ * @param {boolean} [options.fsync=false] - Sync the log to disk after every append.
+ * @param {Function} [options.onRecovery] - Called with `{ file, offset, droppedBytes }` when a truncated log tail is discarded.
+ * @param {Object} [keyring] - From `createKeyring()`: the snapshot and every log record are written
+ *   encrypted with its current key. Files written without encryption or under older keys are still read.
+ * @returns {Object} - The persistence API (`load`, `append`, `checkpoint`, `compact`, `close`).
+ */
+function createPersistence(options, keyring = null) {
+    if (!options || typeof options.dir !== 'string') {
+        throw new Error("Persistence requires a `dir` option.");
+    }
+
+    const dir = options.dir;
+    const snapshotPath = path.join(dir, SNAPSHOT_FILE);
+    const logPath = path.join(dir, LOG_FILE);
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    let fd = null;
+    let seq = 0;
+    let snapshotSeq = 0;
+
+    function encode(text) {
+        return keyring ? keyring.seal(text) : text;
+    }
+
+    function decode(text) {
+        if (!isSealed(text)) {
+            return text;
+        }
+        if (!keyring) {
+            throw new DecryptionError(`${dir} holds an encrypted store; open it with the \`encryption\` option.`);
+        }
+        return keyring.open(text);
+    }
+
+    function readSnapshot() {
+        if (!fs.existsSync(snapshotPath)) {
+            return { seq: 0, data: {}, meta: {} };
+        }
+        const snapshot = JSON.parse(decode(fs.readFileSync(snapshotPath, "utf8")));
+        return { seq: snapshot.seq || 0, data: snapshot.data || {}, meta: snapshot.meta || {} };
+    }
+
+    /**
+     * Reads every complete record of the log. A partial last line (a crash mid-append) is
+     * cut off the file so new records are appended after the last good one.
+     */
+    function readLog() {
+        if (!fs.existsSync(logPath)) {
+            return [];
+        }
+
+        const contents = fs.readFileSync(logPath, "utf8");
+        const records = [];
+        let offset = 0;
+
+        while (offset < contents.length) {
+            const end = contents.indexOf("\n", offset);
+            const line = end === -1 ? contents.slice(offset) : contents.slice(offset, end);
+            let record = null;
+
+            try {
+                record = JSON.parse(decode(line));
+            } catch (err) {
+                // a complete line that does not decrypt needs another key, it is not a torn write
+                if (err instanceof DecryptionError && end !== -1) {
+                    throw err;
+                }
+                record = null;
+            }
+
+            if (end === -1 || record === null) {
+                if (end !== -1 && contents.slice(end + 1).trim() !== "") {
+                    throw new Error(`Corrupted write log record at byte ${Buffer.byteLength(contents.slice(0, offset))} of ${logPath}.`);
+                }
+                const goodBytes = Buffer.byteLength(contents.slice(0, offset));
+                const droppedBytes = Buffer.byteLength(contents) - goodBytes;
+                fs.truncateSync(logPath, goodBytes);
+                if (typeof options.onRecovery === 'function') {
+                    options.onRecovery({ file: logPath, offset: goodBytes, droppedBytes });
+                }
+                break;
+            }
+
+            records.push(record);
+            offset = end + 1;
+        }
+
+        return records;
+    }
+
+    function openLog(flags) {
+        if (fd !== null) {
+            fs.closeSync(fd);
+        }
+        fd = fs.openSync(logPath, flags);
+    }
+
+    /**
+     * Loads the snapshot and the log records written after it, and opens the log for appending.
+     *
+     * @returns {{ data: Object, meta: Object, records: Object[] }}
+     */
+    function load() {
+        const snapshot = readSnapshot();
+        const records = readLog().filter(record => record.seq > snapshot.seq);
+
+        snapshotSeq = snapshot.seq;
+        seq = records.reduce((max, record) => Math.max(max, record.seq), snapshot.seq);
+        openLog("a");
+
+        return { data: snapshot.data, meta: snapshot.meta, records };
+    }
+
+    /**
+     * Appends a mutation record to the log, stamping it with the next sequence number.
+     *
+     * @param {Object} record - The mutation (`{ op, path, value }`).
+     */
+    function append(record) {
+        if (fd === null) {
+            throw new Error("Persistence is closed.");
+        }
+        const line = encode(JSON.stringify(Object.assign({ seq: seq + 1 }, record))) + "\n";
+        fs.writeSync(fd, line);
+        seq++;
+        if (options.fsync) {
+            fs.fsyncSync(fd);
+        }
+    }
+
+    /**
+     * Atomically writes `data` as the new snapshot and empties the log it supersedes.
+     *
+     * @param {Object} data - The full in-memory state.
+     * @param {Object} [meta={}] - State kept beside the data, such as key expirations.
+     */
+    function checkpoint(data, meta = {}) {
+        writeFileAtomic(snapshotPath, encode(JSON.stringify({ seq, data, meta })));
+        snapshotSeq = seq;
+        // Records up to `seq` are in the snapshot; a crash before this truncation only
+        // leaves records that `load()` skips by sequence number.
+        openLog("w");
+    }
+
+    /**
+     * Rewrites the log keeping only records that still contribute to the current state:
+     * records covered by the snapshot, or by a later write or delete of the same path or an
+     * ancestor of it, or by a later `init`, are dropped. Expiry records are also dropped when
+     * a later expiry record targets the same path. Transaction batches are kept whole; their
+     * writes and deletes cover earlier records. The new log replaces the old one atomically.
+     *
+     * Paths through an array index cover nothing: deleting an item moves the items after it,
+     * so the same index path names different items before and after. Paths that may be JSON
+     * Pointers or JSONPath are kept as they are, since their keys depend on the manager's
+     * `pathSyntax` option.
+     *
+     * @returns {{ before: number, after: number }} - Record counts before and after compaction.
+     */
+    function compact() {
+        // the keys of a dot path that names the same value whatever is deleted, else null
+        function fixedKeys(path) {
+            if (pathSyntax(path) !== "dot") {
+                return null;
+            }
+            const keys = splitPath(path);
+            return keys.some(key => typeof key === "number" || /^\d+$/.test(key)) ? null : keys;
+        }
+
+        const records = readLog().filter(record => record.seq > snapshotSeq);
+        const kept = [];
+        const covering = [];
+        const expiryPaths = new Set();
+
+        for (let index = records.length - 1; index >= 0; index--) {
+            const record = records[index];
+            if (record.op === "init") {
+                kept.push(record);
+                break;
+            }
+            if (record.op === "batch") {
+                kept.push(record);
+                if (record.records.some(inner => inner.op === "init")) {
+                    break;
+                }
+                record.records
+                    .filter(inner => inner.op === "write" || inner.op === "delete")
+                    .map(inner => fixedKeys(inner.path))
+                    .filter(keys => keys !== null)
+                    .forEach(keys => covering.push(keys));
+                continue;
+            }
+            if (pathSyntax(record.path) !== "dot") {
+                kept.push(record);
+                continue;
+            }
+            const keys = splitPath(record.path);
+            if (covering.some(outer => isWithin(keys, outer))) {
+                continue;
+            }
+            if (fixedKeys(record.path) === null) {
+                kept.push(record);
+                continue;
+            }
+            if (record.op === "expire" || record.op === "persist") {
+                const exactPath = JSON.stringify(keys);
+                if (expiryPaths.has(exactPath)) {
+                    continue;
+                }
+                expiryPaths.add(exactPath);
+            } else {
+                covering.push(keys);
+            }
+            kept.push(record);
+        }
+
+        kept.reverse();
+        writeFileAtomic(logPath, kept.map(record => encode(JSON.stringify(record)) + "\n").join(""));
+        openLog("a");
+
+        return { before: records.length, after: kept.length };
+    }
+
+    function close() {
+        if (fd !== null) {
+            fs.closeSync(fd);
+            fd = null;
+        }
+    }
+
+    return {
+        load,
+        append,
+        checkpoint,
+        compact,
+        close
+    };
+}
+
+module.exports = {
+    createPersistence,
+    writeFileAtomic
+};
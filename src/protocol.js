@@ -0,0 +1,124 @@
+const errors = require("./errors");
+const { createCodec } = require("./codec");
+
+/**
+ * The line protocol shared by the server and the client. Every message is one JSON document
+ * followed by `\n`:
+ *
+ *   request:  {"id":1,"method":"write","params":["users.alice.age",30]}
+ *   response: {"id":1,"result":true}
+ *   error:    {"id":1,"error":{"name":"MemoryLimitError","code":"ERR_MEMORY_LIMIT","message":"..."}}
+ *
+ * A response without `result` stands for undefined. Values are written with the tags of
+ * `src/codec.js`, so BigInt, Date, Map, Set, Buffer and undefined values keep their types; RegExp
+ * values (for `has()`) travel as `{"$type":"RegExp","$value":{"source":"^a","flags":"i"}}`.
+ * Responses come back in request order, so a client may send any number of requests before
+ * reading (pipelining).
+ */
+
+/**
+ * The manager methods a server exposes and a client offers, in the argument order of the manager.
+ */
+const METHODS = ["read", "write", "hasKey", "search", "has", "dump", "init", "delete", "deleteTree", "readWithMeta", "compareAndSet", "compareAndDelete", "applyPatch", "merge",
+    "incr", "decr", "incrBy", "append", "toggle", "setIfAbsent", "getAndSet", "push", "pop", "shift", "unshift", "scan",
+    "stats", "memoryUsage", "slowLog"];
+
+const REGEXP_TYPE = {
+    name: "RegExp",
+    test: value => value instanceof RegExp,
+    encode: value => ({ source: value.source, flags: value.flags }),
+    decode: ({ source, flags }) => new RegExp(source, flags || "")
+};
+
+/**
+ * Creates the codec messages are written with: RegExp values plus the codec `types` given to
+ * the server or client (see `createCodec()`), which both ends must share.
+ */
+function createProtocolCodec(types = []) {
+    return createCodec({ types: [REGEXP_TYPE].concat(types) });
+}
+
+/**
+ * Serializes a message as one protocol line. A value the codec cannot encode throws (see
+ * `createCodec()`).
+ */
+function encode(message, codec) {
+    return `${JSON.stringify(codec.encode(message))}\n`;
+}
+
+/**
+ * Parses one protocol line.
+ */
+function decode(line, codec) {
+    return codec.decode(JSON.parse(line));
+}
+
+/**
+ * Turns an error into the `error` member of a response, keeping its name, code and details.
+ */
+function errorToJSON(err) {
+    const result = {};
+    Object.keys(err).forEach(key => {
+        result[key] = err[key];
+    });
+    result.name = err.name || "Error";
+    result.message = err.message;
+    if (err.code !== undefined) {
+        result.code = err.code;
+    }
+    return result;
+}
+
+/**
+ * Rebuilds an error from a response, as an instance of the library's error class when it has one.
+ */
+function errorFromJSON(data) {
+    const { name, message } = data;
+    const ErrorClass = Object.prototype.hasOwnProperty.call(errors, name) ? errors[name] : Error;
+    const details = Object.assign({}, data);
+    delete details.name;
+    delete details.message;
+    const err = ErrorClass === Error ? Object.assign(new Error(message), details) : new ErrorClass(message, details);
+    if (ErrorClass === Error && name) {
+        err.name = name;
+    }
+    return err;
+}
+
+/**
+ * Splits a stream of text into lines, keeping the incomplete tail for the next chunk.
+ *
+ * @param {Function} onLine - Called with each complete line.
+ * @param {number} [maxLineLength=Infinity] - Longest accepted line; `onOverflow` is called instead.
+ * @param {Function} [onOverflow] - Called when the pending line grows past `maxLineLength`.
+ * @returns {Function} - Feed it the chunks of text.
+ */
+function createLineSplitter(onLine, maxLineLength = Infinity, onOverflow = () => {}) {
+    let buffer = "";
+    return function push(chunk) {
+        buffer += chunk;
+        let newline = buffer.indexOf("\n");
+        while (newline !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 1);
+            if (line.trim() !== "") {
+                onLine(line);
+            }
+            newline = buffer.indexOf("\n");
+        }
+        if (buffer.length > maxLineLength) {
+            buffer = "";
+            onOverflow();
+        }
+    };
+}
+
+module.exports = {
+    METHODS,
+    createProtocolCodec,
+    encode,
+    decode,
+    errorToJSON,
+    errorFromJSON,
+    createLineSplitter
+};
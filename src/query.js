@@ -0,0 +1,374 @@
+const { splitPath, joinPath, hasOwn, getOwn, setOwn } = require("./paths");
+
+const OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "exists", "type", "matches", "contains"];
+
+/**
+ * Splits a path pattern into keys. `*` matches one key (array indexes included, also
+ * written `[*]`) and `**` matches any number of keys.
+ *
+ * @param {string} pattern - The dot notation pattern (e.g., "users.*.age").
+ * @returns {Array<string|number>} - The pattern keys.
+ */
+function splitPattern(pattern) {
+    return splitPath(pattern.replace(/(?<!\\)\[\*\]/g, '.*'));
+}
+
+/**
+ * Checks whether the keys of a path match the keys of a pattern.
+ *
+ * @param {Array<string|number>} patternKeys - Keys from `splitPattern()`.
+ * @param {Array<string|number>} keys - Keys of the path.
+ * @returns {boolean}
+ */
+function matchKeys(patternKeys, keys, patternIndex = 0, keyIndex = 0) {
+    if (patternIndex === patternKeys.length) {
+        return keyIndex === keys.length;
+    }
+    const segment = patternKeys[patternIndex];
+    if (segment === "**") {
+        for (let next = keyIndex; next <= keys.length; next++) {
+            if (matchKeys(patternKeys, keys, patternIndex + 1, next)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    if (keyIndex === keys.length) {
+        return false;
+    }
+    if (segment === "*" || segment === keys[keyIndex] || String(segment) === String(keys[keyIndex])) {
+        return matchKeys(patternKeys, keys, patternIndex + 1, keyIndex + 1);
+    }
+    return false;
+}
+
+/**
+ * Checks whether some path starting with `keys` could match the pattern, so a walk can skip
+ * subtrees that hold no match.
+ *
+ * @param {Array<string|number>} patternKeys - Keys from `splitPattern()`.
+ * @param {Array<string|number>} keys - Keys of the path prefix.
+ * @returns {boolean}
+ */
+function matchPrefix(patternKeys, keys, patternIndex = 0, keyIndex = 0) {
+    if (keyIndex === keys.length) {
+        return true;
+    }
+    if (patternIndex === patternKeys.length) {
+        return false;
+    }
+    const segment = patternKeys[patternIndex];
+    if (segment === "**") {
+        for (let next = keyIndex; next <= keys.length; next++) {
+            if (matchPrefix(patternKeys, keys, patternIndex + 1, next)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    if (segment === "*" || segment === keys[keyIndex] || String(segment) === String(keys[keyIndex])) {
+        return matchPrefix(patternKeys, keys, patternIndex + 1, keyIndex + 1);
+    }
+    return false;
+}
+
+function isContainer(value) {
+    return typeof value === 'object' && value !== null;
+}
+
+function childKeys(value) {
+    if (Array.isArray(value)) {
+        return value.map((item, index) => index);
+    }
+    return Object.keys(value);
+}
+
+/**
+ * Visits every node below `root` depth first, parents before their children.
+ *
+ * @param {*} root - The object to walk.
+ * @param {Function} visit - Called with `(keys, value)`.
+ */
+function walk(root, visit, keys = []) {
+    if (!isContainer(root)) {
+        return;
+    }
+    childKeys(root).forEach(key => {
+        const childPath = keys.concat([key]);
+        visit(childPath, root[key]);
+        walk(root[key], visit, childPath);
+    });
+}
+
+/**
+ * Lists the nodes below `root` whose relative path matches the pattern, descending only
+ * where the pattern allows.
+ *
+ * @returns {Array<{ keys: Array<string|number>, value: * }>}
+ */
+function expandPattern(root, patternKeys) {
+    const results = [];
+    const seen = new Set();
+
+    function add(keys, value) {
+        const id = JSON.stringify(keys);
+        if (!seen.has(id)) {
+            seen.add(id);
+            results.push({ keys, value });
+        }
+    }
+
+    function expand(node, keys, patternIndex) {
+        if (patternIndex === patternKeys.length) {
+            add(keys, node);
+            return;
+        }
+        const segment = patternKeys[patternIndex];
+        if (segment === "**") {
+            expand(node, keys, patternIndex + 1);
+            if (isContainer(node)) {
+                childKeys(node).forEach(key => expand(node[key], keys.concat([key]), patternIndex));
+            }
+            return;
+        }
+        if (!isContainer(node)) {
+            return;
+        }
+        if (segment === "*") {
+            childKeys(node).forEach(key => expand(node[key], keys.concat([key]), patternIndex + 1));
+        } else if (hasOwn(node, segment)) {
+            expand(node[segment], keys.concat([Array.isArray(node) ? Number(segment) : segment]), patternIndex + 1);
+        }
+    }
+
+    expand(root, [], 0);
+    return results;
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return "null";
+    }
+    return Array.isArray(value) ? "array" : typeof value;
+}
+
+function compare(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    if (a === undefined) {
+        return 1;
+    }
+    if (b === undefined) {
+        return -1;
+    }
+    if (typeOf(a) !== typeOf(b)) {
+        return typeOf(a) < typeOf(b) ? -1 : 1;
+    }
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function isEqual(a, b) {
+    return a === b || (isContainer(a) && isContainer(b) && JSON.stringify(a) === JSON.stringify(b));
+}
+
+/**
+ * Tests one value against the operators of a condition; all operators must hold.
+ */
+function testOperators(value, condition) {
+    return OPERATORS.filter(op => op in condition).every(op => {
+        const operand = condition[op];
+        switch (op) {
+            case "eq":
+                return isEqual(value, operand);
+            case "ne":
+                return !isEqual(value, operand);
+            case "gt":
+                return value !== undefined && typeOf(value) === typeOf(operand) && value > operand;
+            case "gte":
+                return value !== undefined && typeOf(value) === typeOf(operand) && value >= operand;
+            case "lt":
+                return value !== undefined && typeOf(value) === typeOf(operand) && value < operand;
+            case "lte":
+                return value !== undefined && typeOf(value) === typeOf(operand) && value <= operand;
+            case "in":
+                return Array.isArray(operand) && operand.some(item => isEqual(value, item));
+            case "nin":
+                return Array.isArray(operand) && !operand.some(item => isEqual(value, item));
+            case "exists":
+                return (value !== undefined) === Boolean(operand);
+            case "type":
+                return typeOf(value) === operand;
+            case "matches": {
+                const regex = operand instanceof RegExp ? operand : new RegExp(operand);
+                regex.lastIndex = 0;
+                return typeof value === 'string' && regex.test(value);
+            }
+            case "contains":
+                if (typeof value === 'string') {
+                    return value.includes(operand);
+                }
+                return Array.isArray(value) && value.some(item => isEqual(item, operand));
+            default:
+                return false;
+        }
+    });
+}
+
+/**
+ * Evaluates a condition tree against a candidate node.
+ *
+ * @param {Object} condition - `{ path?, <operator>: operand }`, `{ and: [] }`, `{ or: [] }` or `{ not: {} }`.
+ * @param {Object} candidate - `{ keys, value }` of the node being tested.
+ * @param {boolean} relative - Whether condition paths are relative to the candidate (`from` queries)
+ *   or patterns over the candidate's own path.
+ */
+function evaluate(condition, candidate, relative) {
+    if (!condition || typeof condition !== 'object') {
+        throw new Error("Query conditions must be objects.");
+    }
+    if (condition.and && !condition.and.every(inner => evaluate(inner, candidate, relative))) {
+        return false;
+    }
+    if (condition.or && !condition.or.some(inner => evaluate(inner, candidate, relative))) {
+        return false;
+    }
+    if (condition.not && evaluate(condition.not, candidate, relative)) {
+        return false;
+    }
+    const hasOperators = OPERATORS.some(op => op in condition);
+    if (condition.path === undefined) {
+        return !hasOperators || testOperators(candidate.value, condition);
+    }
+    if (!hasOperators) {
+        // a bare path asks for existence
+        condition = Object.assign({ exists: true }, condition);
+    }
+    const patternKeys = splitPattern(condition.path);
+    if (!relative) {
+        return matchKeys(patternKeys, candidate.keys) && testOperators(candidate.value, condition);
+    }
+    const matches = expandPattern(candidate.value, patternKeys);
+    if (matches.length === 0) {
+        return testOperators(undefined, condition);
+    }
+    return matches.some(match => testOperators(match.value, condition));
+}
+
+/**
+ * Checks whether criteria use the query language rather than the `path`/`like`/`keywords`/`regex` search.
+ */
+function isQuery(criteria) {
+    return ["where", "and", "or", "not", "from"].some(key => key in criteria);
+}
+
+/**
+ * Runs a query against a nested object.
+ *
+ * Candidates are the nodes matching the `from` pattern, or every node when `from` is missing.
+ * `where`, `and`, `or` and `not` are combined with AND. Condition paths are relative to the
+ * candidate with `from`, and patterns over the candidate path without it.
+ *
+ * @param {Object} root - The nested object to query.
+ * @param {Object} query - The query.
+ * @param {Array<{ keys: Array<string|number>, value: * }>} [candidates] - Nodes to test instead of
+ *   scanning `root`, such as the ones an index yields.
+ * @returns {Array<{ path: string, value: * }>} - Matching nodes, in document order (in candidate order
+ *   when candidates are given).
+ */
+function runQuery(root, query, candidates) {
+    const relative = query.from !== undefined;
+    if (!candidates) {
+        candidates = [];
+        if (relative) {
+            candidates.push(...expandPattern(root, splitPattern(query.from)));
+        } else {
+            walk(root, (keys, value) => candidates.push({ keys, value }));
+        }
+    }
+
+    const condition = {
+        and: [query.where, query.and && { and: query.and }, query.or && { or: query.or }, query.not && { not: query.not }].filter(Boolean)
+    };
+
+    return candidates
+        .filter(candidate => evaluate(condition, candidate, relative))
+        .map(candidate => ({ path: joinPath(candidate.keys), value: candidate.value }));
+}
+
+function sortValue(result, by) {
+    if (by === "path") {
+        return result.path;
+    }
+    if (by === undefined || by === "value") {
+        return result.value;
+    }
+    const matches = expandPattern(result.value, splitPattern(by));
+    return matches.length ? matches[0].value : undefined;
+}
+
+/**
+ * Applies `sort`, `offset`, `limit` and `select` to search results.
+ *
+ * @param {Array<{ path: string, value: * }>} results - The results to shape.
+ * @param {Object} options - `sort` (`"path"`, `"value"`, a sub-path, `{ by, order }` or an array of those),
+ *   `offset`, `limit` and `select` (sub-paths to keep in each result value).
+ * @returns {Array<{ path: string, value: * }>}
+ */
+function shapeResults(results, { sort, offset, limit, select }) {
+    let shaped = results;
+
+    if (sort !== undefined) {
+        const keys = (Array.isArray(sort) ? sort : [sort]).map(key => (typeof key === 'string' ? { by: key } : key));
+        shaped = shaped.slice().sort((a, b) => {
+            for (const { by, order } of keys) {
+                const result = compare(sortValue(a, by), sortValue(b, by));
+                if (result !== 0) {
+                    return order === "desc" ? -result : result;
+                }
+            }
+            return 0;
+        });
+    }
+
+    if (offset !== undefined || limit !== undefined) {
+        const start = offset || 0;
+        shaped = shaped.slice(start, limit === undefined ? undefined : start + limit);
+    }
+
+    if (select !== undefined) {
+        shaped = shaped.map(result => {
+            const projected = {};
+            select.forEach(subPath => {
+                expandPattern(result.value, splitPattern(subPath)).forEach(match => {
+                    let current = projected;
+                    match.keys.forEach((key, index) => {
+                        if (index === match.keys.length - 1) {
+                            setOwn(current, key, match.value);
+                        } else {
+                            if (!isContainer(getOwn(current, key))) {
+                                setOwn(current, key, typeof match.keys[index + 1] === 'number' ? [] : {});
+                            }
+                            current = current[key];
+                        }
+                    });
+                });
+            });
+            return { path: result.path, value: projected };
+        });
+    }
+
+    return shaped;
+}
+
+module.exports = {
+    OPERATORS,
+    splitPattern,
+    matchKeys,
+    matchPrefix,
+    expandPattern,
+    walk,
+    isQuery,
+    runQuery,
+    shapeResults
+};
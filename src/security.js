@@ -0,0 +1,159 @@
+const { isBranch } = require("./tree");
+const { joinPath } = require("./paths");
+const { LimitError, UnsafeKeyError, CircularReferenceError } = require("./errors");
+const { defaultCodec } = require("./codec");
+
+/**
+ * Checks what a write may store before it is committed. Keys naming prototype members
+ * (`__proto__`, `constructor`, `prototype`) are kept as ordinary own properties under the default
+ * `"store"` policy or refused under `"reject"`, and the limits bound the shape of every write.
+ */
+
+const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"];
+
+const DEFAULT_LIMITS = {
+    maxDepth: 1000,
+    maxKeyLength: Infinity,
+    maxValueBytes: Infinity,
+    maxKeysPerWrite: Infinity
+};
+
+const LIMIT_NAMES = {
+    maxDepth: "Path depth",
+    maxKeyLength: "Key length",
+    maxValueBytes: "Value size",
+    maxKeysPerWrite: "Keys per write"
+};
+
+/**
+ * Checks whether a key names a prototype member.
+ */
+function isUnsafeKey(key) {
+    return typeof key === 'string' && UNSAFE_KEYS.includes(key);
+}
+
+/**
+ * Creates the guard the manager runs over the mutation records of every write, `init()` and batch.
+ *
+ * @param {Object} [options] - Guard options (the manager options).
+ * @param {Object} [codec] - The manager's codec, which `maxValueBytes` measures values with.
+ * @param {string} [options.unsafeKeys="store"] - `"store"` or `"reject"` (throw an `UnsafeKeyError`).
+ * @param {Object} [options.limits] - Limits, each throwing a `LimitError` when exceeded.
+ * @param {number} [options.limits.maxDepth=1000] - Most keys in the path of a stored entry.
+ * @param {number} [options.limits.maxKeyLength=Infinity] - Longest key, in characters.
+ * @param {number} [options.limits.maxValueBytes=Infinity] - Largest written value, in bytes of JSON.
+ * @param {number} [options.limits.maxKeysPerWrite=Infinity] - Most flattened entries one write,
+ *   `init()` or batch may store.
+ * @returns {Object} - `{ check(records, getKeys) }`.
+ */
+function createGuard(options = {}, codec = defaultCodec) {
+    const policy = options.unsafeKeys === undefined ? "store" : options.unsafeKeys;
+    if (policy !== "store" && policy !== "reject") {
+        throw new Error(`Unknown unsafeKeys policy: ${policy}`);
+    }
+    const limits = Object.assign({}, DEFAULT_LIMITS, options.limits);
+    Object.keys(LIMIT_NAMES).forEach(limit => {
+        if (typeof limits[limit] !== 'number' || !(limits[limit] > 0)) {
+            throw new Error(`limits.${limit} must be a positive number.`);
+        }
+    });
+
+    // `keys` is left out for limits on the whole write
+    function exceeded(limit, actual, keys) {
+        const message = `${LIMIT_NAMES[limit]} ${actual} exceeds the limit of ${limits[limit]}`;
+        if (keys === undefined) {
+            return new LimitError(`${message}.`, { limit, max: limits[limit], actual });
+        }
+        const path = joinPath(keys);
+        return new LimitError(`${message} at "${path}".`, { limit, max: limits[limit], actual, path });
+    }
+
+    function checkKey(key, keys) {
+        if (typeof key !== 'string') {
+            return;
+        }
+        if (key.length > limits.maxKeyLength) {
+            throw exceeded("maxKeyLength", key.length, keys);
+        }
+        if (policy === "reject" && isUnsafeKey(key)) {
+            const path = joinPath(keys);
+            throw new UnsafeKeyError(`The key "${key}" is not allowed (at "${path}").`, { key, path });
+        }
+    }
+
+    /**
+     * Checks the keys of a value written under `keys` and counts its flattened entries. A value
+     * containing itself throws a `CircularReferenceError`, as the codec does when copying it.
+     */
+    function checkValue(value, keys, ancestors) {
+        if (!isBranch(value)) {
+            return 1;
+        }
+        if (ancestors.has(value)) {
+            const path = joinPath(keys);
+            throw new CircularReferenceError(`Cannot store a value that contains itself: "${path}" refers back to a value holding it.`, { path });
+        }
+        const childKeys = Array.isArray(value) ? [...value.keys()] : Object.keys(value);
+        if (childKeys.length === 0) {
+            return 1;
+        }
+        if (keys.length + 1 > limits.maxDepth) {
+            throw exceeded("maxDepth", keys.length + 1, keys.concat([childKeys[0]]));
+        }
+        ancestors.add(value);
+        let entries = 0;
+        childKeys.forEach(key => {
+            const entryKeys = keys.concat([key]);
+            checkKey(key, entryKeys);
+            entries += checkValue(value[key], entryKeys, ancestors);
+        });
+        ancestors.delete(value);
+        return entries;
+    }
+
+    /**
+     * Throws a `LimitError` or `UnsafeKeyError` if the `write` and `init` records (also inside
+     * batches) break the policy or a limit.
+     *
+     * @param {Object[]} records - The mutation records.
+     * @param {Function} getKeys - Parses a record path into its raw keys.
+     */
+    function check(records, getKeys) {
+        let entries = 0;
+        records.forEach(function visit(record) {
+            if (record.op === "batch") {
+                record.records.forEach(visit);
+                return;
+            }
+            if (record.op !== "write" && record.op !== "init") {
+                return;
+            }
+            const keys = record.op === "init" ? [] : getKeys(record.path);
+            if (keys.length > limits.maxDepth) {
+                throw exceeded("maxDepth", keys.length, keys);
+            }
+            keys.forEach((key, index) => checkKey(key, keys.slice(0, index + 1)));
+            entries += checkValue(record.value, keys, new Set());
+            if (limits.maxValueBytes !== Infinity) {
+                const json = codec.stringify(record.value);
+                const bytes = json === undefined ? 0 : Buffer.byteLength(json);
+                if (bytes > limits.maxValueBytes) {
+                    throw exceeded("maxValueBytes", bytes, keys);
+                }
+            }
+        });
+        if (entries > limits.maxKeysPerWrite) {
+            throw exceeded("maxKeysPerWrite", entries);
+        }
+    }
+
+    return {
+        check
+    };
+}
+
+module.exports = {
+    UNSAFE_KEYS,
+    isUnsafeKey,
+    createGuard
+};
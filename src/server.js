@@ -0,0 +1,132 @@
+const net = require("net");
+const { METHODS, createProtocolCodec, encode, decode, errorToJSON, createLineSplitter } = require("./protocol");
+
+/**
+ * Creates a server sharing one manager with other processes over TCP or a Unix socket,
+ * speaking the line protocol described in `src/protocol.js`.
+ *
+ * @param {Object} manager - The manager to expose (from `createJsonManager()`).
+ * @param {Object} [options] - Server options.
+ * @param {number} [options.maxConnections=100] - Connections beyond this are sent an
+ *   `ERR_TOO_MANY_CONNECTIONS` error and closed.
+ * @param {number} [options.maxLineLength=16777216] - Longest accepted request line, in characters.
+ * @param {number} [options.shutdownTimeout=5000] - Milliseconds `close()` waits for clients to hang up
+ *   before dropping their connections.
+ * @param {Object[]} [options.types] - Codec types for values of other classes (see `createCodec()`);
+ *   clients need the same ones.
+ * @returns {Object} - `{ listen, address, connections, close }`.
+ */
+function createServer(manager, options = {}) {
+    const maxConnections = options.maxConnections === undefined ? 100 : options.maxConnections;
+    const maxLineLength = options.maxLineLength === undefined ? 16 * 1024 * 1024 : options.maxLineLength;
+    const shutdownTimeout = options.shutdownTimeout === undefined ? 5000 : options.shutdownTimeout;
+    const codec = createProtocolCodec(options.types);
+
+    const sockets = new Set();
+    let closing = null;
+
+    function handle(request) {
+        const { id, method, params = [] } = request;
+        if (!METHODS.includes(method)) {
+            return { id, error: { name: "Error", code: "ERR_UNKNOWN_METHOD", message: `Unknown method: ${method}` } };
+        }
+        if (!Array.isArray(params)) {
+            return { id, error: { name: "Error", code: "ERR_BAD_REQUEST", message: "params must be an array." } };
+        }
+        try {
+            const result = manager[method](...params);
+            return result === undefined ? { id } : { id, result };
+        } catch (err) {
+            return { id, error: errorToJSON(err) };
+        }
+    }
+
+    function onConnection(socket) {
+        if (closing || sockets.size >= maxConnections) {
+            socket.end(encode({ id: null, error: { name: "Error", code: "ERR_TOO_MANY_CONNECTIONS", message: closing ? "Server is shutting down." : "Too many connections." } }, codec));
+            // drain the socket so the client's hang-up is seen and the connection closes
+            socket.resume();
+            return;
+        }
+        sockets.add(socket);
+        socket.setEncoding("utf8");
+
+        function send(message) {
+            let line;
+            try {
+                line = encode(message, codec);
+            } catch (err) {
+                // a result that cannot be sent (a value containing itself, ...) fails its request only
+                const error = Object.assign(errorToJSON(err), { message: `Cannot send the result: ${err.message}` });
+                line = encode({ id: message.id, error }, codec);
+            }
+            // stop reading until a slow client catches up with the responses
+            if (!socket.write(line)) {
+                socket.pause();
+            }
+        }
+
+        socket.on("drain", () => socket.resume());
+        socket.on("data", createLineSplitter(line => {
+            let request;
+            try {
+                request = decode(line, codec);
+            } catch (err) {
+                send({ id: null, error: { name: "Error", code: "ERR_BAD_REQUEST", message: `Invalid JSON: ${err.message}` } });
+                return;
+            }
+            send(handle(request || {}));
+        }, maxLineLength, () => {
+            socket.end(encode({ id: null, error: { name: "Error", code: "ERR_BAD_REQUEST", message: "Request line too long." } }, codec));
+        }));
+        socket.on("end", () => socket.end());
+        socket.on("error", () => socket.destroy());
+        socket.on("close", () => sockets.delete(socket));
+    }
+
+    const server = net.createServer(onConnection);
+
+    /**
+     * Starts listening; takes the options of `net.Server#listen()`, e.g. `{ port, host }` or `{ path }`.
+     *
+     * @returns {Promise<Object|string>} - The bound address.
+     */
+    function listen(listenOptions) {
+        return new Promise((resolve, reject) => {
+            server.once("error", reject);
+            server.listen(listenOptions, () => {
+                server.removeListener("error", reject);
+                resolve(server.address());
+            });
+        });
+    }
+
+    /**
+     * Stops accepting connections and ends the open ones once the requests already received are
+     * answered. Connections still open after `shutdownTimeout` are destroyed.
+     *
+     * @returns {Promise<void>}
+     */
+    function close() {
+        if (!closing) {
+            const stopped = new Promise(resolve => server.close(() => resolve()));
+            const hungUp = [...sockets].map(socket => new Promise(resolve => socket.once("close", resolve)));
+            const timer = setTimeout(() => sockets.forEach(socket => socket.destroy()), shutdownTimeout);
+            timer.unref();
+            sockets.forEach(socket => socket.end());
+            closing = Promise.all([stopped].concat(hungUp)).then(() => clearTimeout(timer));
+        }
+        return closing;
+    }
+
+    return {
+        listen,
+        address: () => server.address(),
+        connections: () => sockets.size,
+        close
+    };
+}
+
+module.exports = {
+    createServer
+};
@@ -0,0 +1,110 @@
+/**
+ * Operation counters, latency histograms and the slow log of a manager. Store sizes are measured
+ * by the manager itself, from the entries of the tree.
+ */
+
+// Upper bounds of the latency histogram buckets, in milliseconds; a last bucket takes the rest
+const LATENCY_BOUNDS_MS = [0.1, 0.5, 1, 5, 10, 50, 100, 500, 1000];
+
+const DEFAULT_SLOW_LOG = {
+    thresholdMs: 10,
+    maxEntries: 128
+};
+
+/**
+ * Creates the operation statistics.
+ *
+ * @param {Object} [options] - Options (the manager options).
+ * @param {Object|boolean} [options.slowLog] - `{ thresholdMs, maxEntries }` (10 ms, 128 entries), or
+ *   false to keep no slow log.
+ * @param {number} [options.slowLog.thresholdMs=10] - Calls taking longer than this are logged.
+ * @param {number} [options.slowLog.maxEntries=128] - The oldest entries are dropped past this many.
+ * @param {string[]} operations - The operations to count.
+ * @returns {Object} - `{ timed, operations, slowLog, reset }`.
+ */
+function createOperationStats(options = {}, operations) {
+    const slowLogOptions = options.slowLog === false ? null : Object.assign({}, DEFAULT_SLOW_LOG, options.slowLog);
+    if (slowLogOptions) {
+        ["thresholdMs", "maxEntries"].forEach(name => {
+            if (typeof slowLogOptions[name] !== 'number' || !(slowLogOptions[name] >= 0)) {
+                throw new Error(`slowLog.${name} must be a number of at least 0.`);
+            }
+        });
+    }
+
+    let counters = {};
+    let slowEntries = [];
+
+    function reset() {
+        counters = {};
+        operations.forEach(operation => {
+            counters[operation] = { count: 0, errors: 0, totalMs: 0, maxMs: 0, buckets: LATENCY_BOUNDS_MS.map(() => 0).concat([0]) };
+        });
+        slowEntries = [];
+    }
+
+    reset();
+
+    function record(operation, ms, failed, criteria) {
+        const counter = counters[operation];
+        counter.count++;
+        if (failed) {
+            counter.errors++;
+        }
+        counter.totalMs += ms;
+        counter.maxMs = Math.max(counter.maxMs, ms);
+        const bucket = LATENCY_BOUNDS_MS.findIndex(bound => ms <= bound);
+        counter.buckets[bucket === -1 ? LATENCY_BOUNDS_MS.length : bucket]++;
+
+        if (criteria !== undefined && slowLogOptions && ms > slowLogOptions.thresholdMs) {
+            slowEntries.push({ operation, criteria, durationMs: ms, at: Date.now() });
+            if (slowEntries.length > slowLogOptions.maxEntries) {
+                slowEntries.shift();
+            }
+        }
+    }
+
+    /**
+     * Wraps `fn` so its calls are counted and timed under `operation`. With `logCriteria`, calls
+     * slower than the threshold go to the slow log with their first argument as the criteria.
+     */
+    function timed(operation, fn, logCriteria = false) {
+        return function (...args) {
+            const started = process.hrtime.bigint();
+            let failed = true;
+            try {
+                const result = fn(...args);
+                failed = false;
+                return result;
+            } finally {
+                const ms = Number(process.hrtime.bigint() - started) / 1e6;
+                record(operation, ms, failed, logCriteria ? args[0] : undefined);
+            }
+        };
+    }
+
+    /**
+     * Returns the counters of every operation: `count`, `errors`, `totalMs`, `maxMs` and a
+     * `histogram` of `bounds` (ms) and `counts`, one more count than bounds for the slower calls.
+     */
+    function operationStats() {
+        const result = {};
+        operations.forEach(operation => {
+            const { count, errors, totalMs, maxMs, buckets } = counters[operation];
+            result[operation] = { count, errors, totalMs, maxMs, histogram: { bounds: LATENCY_BOUNDS_MS.slice(), counts: buckets.slice() } };
+        });
+        return result;
+    }
+
+    return {
+        timed,
+        operations: operationStats,
+        slowLog: () => slowEntries.slice(),
+        reset
+    };
+}
+
+module.exports = {
+    LATENCY_BOUNDS_MS,
+    createOperationStats
+};
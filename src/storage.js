@@ -0,0 +1,267 @@
+const fs = require("fs");
+const path = require("path");
+const { splitPath, setOwn } = require("./paths");
+
+/**
+ * Storage adapters for `createAsyncJsonManager()`. An adapter holds flattened entries: the keys
+ * are escaped dot paths as `flattenJsonWithEscaping()` writes them (`users.alice.tags[0]`), the
+ * values leaves or empty containers. Adapters never parse paths themselves beyond what they need
+ * to place an entry; the manager does all the escaping. Every method may return a Promise:
+ *
+ *   get(key)          the value stored under exactly `key`, or undefined
+ *   set(key, value)   stores one entry
+ *   delete(key)       removes one entry
+ *   scan(prefix)      the `[key, value]` pairs at or below the path `prefix` ("" for all of them);
+ *                     it may return more, the manager filters by path
+ *   batch(ops)        optional: applies `{ type: "set", key, value }` and `{ type: "delete", key }`
+ *                     operations together; without it the manager calls `set()` and `delete()`
+ *   open(), close()   optional: called before the first and after the last operation
+ */
+
+/**
+ * Returns the entries of `entries` (a Map) at or below `prefix`, by plain string prefix.
+ */
+function scanMap(entries, prefix) {
+    const result = [];
+    entries.forEach((value, key) => {
+        if (key.startsWith(prefix)) {
+            result.push([key, value]);
+        }
+    });
+    return result;
+}
+
+/**
+ * Writes a file atomically: a synced temp file renamed over the target.
+ */
+async function writeFileAtomic(target, contents) {
+    const temp = `${target}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(temp, "w");
+    try {
+        await handle.writeFile(contents);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.promises.rename(temp, target);
+}
+
+/**
+ * Creates an adapter keeping the entries in a `Map`, for tests and for stores that need not
+ * outlive the process.
+ *
+ * @returns {Object} - The adapter.
+ */
+function createMemoryStorage() {
+    const entries = new Map();
+
+    return {
+        get: key => entries.get(key),
+        set: (key, value) => {
+            entries.set(key, value);
+        },
+        delete: key => {
+            entries.delete(key);
+        },
+        scan: prefix => scanMap(entries, prefix),
+        batch: ops => ops.forEach(op => (op.type === "set" ? entries.set(op.key, op.value) : entries.delete(op.key)))
+    };
+}
+
+/**
+ * Creates an adapter keeping one JSON file per namespace, the first key of a path: `users.alice`
+ * and `users.bob` both live in `users.json`, as an object of flattened entries. Namespaces are
+ * loaded on first use and kept in memory; a batch rewrites each namespace it touches once,
+ * atomically, and removes the files of namespaces it empties. A batch spanning several
+ * namespaces is written file by file, so a crash in between can keep part of it.
+ *
+ * @param {Object} options - Adapter options.
+ * @param {string} options.dir - Directory holding the namespace files.
+ * @returns {Object} - The adapter.
+ */
+function createFileStorage(options) {
+    if (!options || typeof options.dir !== 'string') {
+        throw new Error("File storage requires a `dir` option.");
+    }
+    const dir = options.dir;
+    const namespaces = new Map();
+    let loadedAll = false;
+
+    function namespaceOf(key) {
+        return String(splitPath(key)[0]);
+    }
+
+    function fileOf(namespace) {
+        // dots are encoded too, so no namespace names "." or ".."
+        return path.join(dir, `${encodeURIComponent(namespace).replace(/\./g, "%2E")}.json`);
+    }
+
+    async function load(namespace) {
+        if (!namespaces.has(namespace)) {
+            const entries = new Map();
+            let contents = null;
+            try {
+                contents = await fs.promises.readFile(fileOf(namespace), "utf8");
+            } catch (err) {
+                if (err.code !== "ENOENT") {
+                    throw err;
+                }
+            }
+            if (contents !== null) {
+                const data = JSON.parse(contents);
+                Object.keys(data).forEach(key => entries.set(key, data[key]));
+            }
+            namespaces.set(namespace, entries);
+        }
+        return namespaces.get(namespace);
+    }
+
+    async function loadAll() {
+        if (!loadedAll) {
+            const files = (await fs.promises.readdir(dir)).filter(file => file.endsWith(".json"));
+            for (const file of files) {
+                await load(decodeURIComponent(file.slice(0, -".json".length)));
+            }
+            loadedAll = true;
+        }
+    }
+
+    async function save(namespace) {
+        const entries = namespaces.get(namespace);
+        if (entries.size === 0) {
+            await fs.promises.rm(fileOf(namespace), { force: true });
+            return;
+        }
+        const data = {};
+        entries.forEach((value, key) => setOwn(data, key, value));
+        await writeFileAtomic(fileOf(namespace), JSON.stringify(data));
+    }
+
+    async function batch(ops) {
+        const touched = new Set();
+        for (const op of ops) {
+            const namespace = namespaceOf(op.key);
+            const entries = await load(namespace);
+            if (op.type === "set") {
+                entries.set(op.key, op.value);
+            } else {
+                entries.delete(op.key);
+            }
+            touched.add(namespace);
+        }
+        for (const namespace of touched) {
+            await save(namespace);
+        }
+    }
+
+    return {
+        open: () => fs.promises.mkdir(dir, { recursive: true }),
+        get: async key => (await load(namespaceOf(key))).get(key),
+        set: (key, value) => batch([{ type: "set", key, value }]),
+        delete: key => batch([{ type: "delete", key }]),
+        scan: async prefix => {
+            if (prefix === "") {
+                await loadAll();
+                return [].concat(...[...namespaces.values()].map(entries => scanMap(entries, prefix)));
+            }
+            return scanMap(await load(namespaceOf(prefix)), prefix);
+        },
+        batch
+    };
+}
+
+/**
+ * Creates an adapter keeping the entries in memory and every batch as one JSON line appended to
+ * a log file, replayed on `open()`. A last line cut short by a crash (no newline) is dropped along
+ * with its batch; a complete line that does not parse makes `open()` reject and leaves the file as is.
+ * `compact()` rewrites the log as a single batch of the current entries.
+ *
+ * @param {Object} options - Adapter options.
+ * @param {string} options.file - The log file.
+ * @param {boolean} [options.fsync=false] - Sync the log to disk after every batch.
+ * @returns {Object} - The adapter, plus `compact()`.
+ */
+function createLogStorage(options) {
+    if (!options || typeof options.file !== 'string') {
+        throw new Error("Log storage requires a `file` option.");
+    }
+    const file = options.file;
+    const entries = new Map();
+    let handle = null;
+
+    function apply(ops) {
+        ops.forEach(op => (op.type === "set" ? entries.set(op.key, op.value) : entries.delete(op.key)));
+    }
+
+    async function open() {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        let contents = "";
+        try {
+            contents = await fs.promises.readFile(file, "utf8");
+        } catch (err) {
+            if (err.code !== "ENOENT") {
+                throw err;
+            }
+        }
+        let offset = 0;
+        while (offset < contents.length) {
+            const end = contents.indexOf("\n", offset);
+            // a last line without its newline is a batch torn by a crash: it is dropped below
+            if (end === -1) {
+                break;
+            }
+            let line;
+            try {
+                line = JSON.parse(contents.slice(offset, end));
+            } catch (err) {
+                line = null;
+            }
+            if (!line || !Array.isArray(line.ops)) {
+                throw new Error(`Corrupted log record at byte ${Buffer.byteLength(contents.slice(0, offset))} of ${file}.`);
+            }
+            apply(line.ops);
+            offset = end + 1;
+        }
+        if (offset < contents.length) {
+            await fs.promises.truncate(file, Buffer.byteLength(contents.slice(0, offset)));
+        }
+        handle = await fs.promises.open(file, "a");
+    }
+
+    async function batch(ops) {
+        await handle.write(`${JSON.stringify({ ops })}\n`);
+        if (options.fsync) {
+            await handle.sync();
+        }
+        apply(ops);
+    }
+
+    async function compact() {
+        const ops = [...entries].map(([key, value]) => ({ type: "set", key, value }));
+        await handle.close();
+        await writeFileAtomic(file, ops.length > 0 ? `${JSON.stringify({ ops })}\n` : "");
+        handle = await fs.promises.open(file, "a");
+    }
+
+    return {
+        open,
+        get: key => entries.get(key),
+        set: (key, value) => batch([{ type: "set", key, value }]),
+        delete: key => batch([{ type: "delete", key }]),
+        scan: prefix => scanMap(entries, prefix),
+        batch,
+        compact,
+        close: async () => {
+            if (handle) {
+                await handle.close();
+                handle = null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createMemoryStorage,
+    createFileStorage,
+    createLogStorage
+};
@@ -0,0 +1,293 @@
+const { isWithin, hasOwn, getOwn, setOwn } = require("./paths");
+
+/**
+ * Deep clones a JSON value, leaving undefined as is.
+ */
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function getIn(root, keys) {
+    let current = root;
+    for (const key of keys) {
+        if (hasOwn(current, key)) {
+            current = current[key];
+        } else {
+            return undefined;
+        }
+    }
+    return current;
+}
+
+/**
+ * Sets `value` under `keys` of `root`, replacing non-object levels like `setNestedValueWithEscaping`.
+ *
+ * @returns {*} - The (possibly new) root.
+ */
+function setIn(root, keys, value) {
+    if (keys.length === 0) {
+        return value;
+    }
+    const result = root && typeof root === 'object' ? root : {};
+    let current = result;
+    keys.slice(0, -1).forEach((key, index) => {
+        if (!getOwn(current, key) || typeof current[key] !== 'object') {
+            setOwn(current, key, typeof keys[index + 1] === 'number' ? [] : {});
+        }
+        current = current[key];
+    });
+    setOwn(current, keys[keys.length - 1], value);
+    return result;
+}
+
+function deleteKey(container, key) {
+    if (Array.isArray(container)) {
+        container.splice(Number(key), 1);
+    } else {
+        delete container[key];
+    }
+}
+
+/**
+ * Deletes `keys` from `root` and prunes the parents left empty, like the manager does.
+ *
+ * @returns {boolean} - True if the pruning emptied `root` itself.
+ */
+function removeIn(root, keys) {
+    const parents = [root];
+    for (const key of keys.slice(0, -1)) {
+        const current = getOwn(parents[parents.length - 1], key);
+        if (!current || typeof current !== 'object') {
+            return false;
+        }
+        parents.push(current);
+    }
+    const last = parents[parents.length - 1];
+    if (!hasOwn(last, keys[keys.length - 1])) {
+        return false;
+    }
+    deleteKey(last, keys[keys.length - 1]);
+    for (let index = parents.length - 1; index > 0 && Object.keys(parents[index]).length === 0; index--) {
+        deleteKey(parents[index - 1], keys[index - 1]);
+    }
+    return Object.keys(root).length === 0;
+}
+
+/**
+ * Computes the value under `keys` as it will be once `records` are committed, starting from the
+ * committed value `base`. Only records touching `keys`, its ancestors or its descendants matter.
+ *
+ * @param {*} base - The committed value currently stored under `keys`.
+ * @param {string[]} keys - Raw keys of the path being read (empty for the whole store).
+ * @param {Object[]} records - Pending mutation records, in order.
+ * @param {Object} store - Manager hooks (`getKeys`, `initData`, and `clone` to copy values with
+ *   their types; JSON is used without it).
+ * @returns {*} - A private copy of the value the transaction sees.
+ */
+function readThrough(base, keys, records, store) {
+    const clone = store.clone || cloneValue;
+    let value = clone(base);
+
+    for (const record of records) {
+        if (record.op === "init") {
+            value = clone(getIn(store.initData(record.value), keys));
+            continue;
+        }
+        if (record.op !== "write" && record.op !== "delete") {
+            continue;
+        }
+
+        const recordKeys = store.getKeys(record.path);
+        if (isWithin(keys, recordKeys)) {
+            value = record.op === "write" ? clone(getIn(record.value, keys.slice(recordKeys.length))) : undefined;
+        } else if (isWithin(recordKeys, keys)) {
+            const relativeKeys = recordKeys.slice(keys.length);
+            if (record.op === "write") {
+                value = setIn(value, relativeKeys, clone(record.value));
+            } else if (value && typeof value === 'object' && removeIn(value, relativeKeys) && keys.length > 0) {
+                value = undefined;
+            }
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Runs `fn` inside `tx`, committing when it returns (or its Promise resolves) and rolling back
+ * when it throws (or its Promise rejects). A transaction `fn` already ended is left alone.
+ */
+function runInTransaction(tx, fn) {
+    function finish(value) {
+        if (tx.isActive()) {
+            tx.commit();
+        }
+        return value;
+    }
+
+    function abort(err) {
+        if (tx.isActive()) {
+            tx.rollback();
+        }
+        throw err;
+    }
+
+    let result;
+    try {
+        result = fn(tx);
+    } catch (err) {
+        return abort(err);
+    }
+    if (result && typeof result.then === 'function') {
+        return result.then(finish, abort);
+    }
+    return finish(result);
+}
+
+/**
+ * Creates a transaction handle. Writes are staged as mutation records and only reach the store
+ * on `commit()`; reads go through the staged records so the transaction sees its own writes.
+ * Nested transactions (`begin()` / `transaction()` on a handle) are savepoints in the same record list.
+ *
+ * @param {Object} store - Manager hooks: `getKeys`, `readBase(keys)`, `initData(obj)`,
+ *   `search(root, criteria)`, `dumpOf(root)`, `commit(records)` and optionally `clone(value)`.
+ * @param {Object} [parent] - The enclosing transaction, for savepoints.
+ * @param {Object[]} [records] - The record list shared with the enclosing transaction.
+ * @returns {Object} - The transaction API.
+ */
+function createTransaction(store, parent = null, records = []) {
+    const savepointAt = records.length;
+    let status = "active";
+
+    function isActive() {
+        return status === "active" && (!parent || parent.isActive());
+    }
+
+    function assertActive() {
+        if (!isActive()) {
+            throw new Error(`Transaction is no longer active (${status === "active" ? "parent ended" : status}).`);
+        }
+    }
+
+    function view(keys) {
+        assertActive();
+        return readThrough(store.readBase(keys), keys, records, store);
+    }
+
+    function read(path) {
+        return view(store.getKeys(path));
+    }
+
+    function search(path) {
+        return view(store.getKeys(path));
+    }
+
+    function hasKey(path) {
+        return view(store.getKeys(path)) !== undefined;
+    }
+
+    function has(criteria) {
+        return store.search(view([]), criteria);
+    }
+
+    function dump() {
+        return store.dumpOf(view([]));
+    }
+
+    function write(path, value, writeOptions = {}) {
+        assertActive();
+        if (typeof path !== 'string') {
+            throw new Error("Path must be a string.");
+        }
+        const { ttl } = writeOptions;
+        if (ttl !== undefined && (typeof ttl !== 'number' || !(ttl > 0))) {
+            throw new Error("ttl must be a positive number of milliseconds.");
+        }
+        records.push({ op: "write", path, value });
+        if (ttl !== undefined) {
+            records.push({ op: "expire", path, ms: ttl });
+        }
+    }
+
+    function init(obj) {
+        assertActive();
+        records.push({ op: "init", value: obj || {} });
+    }
+
+    /**
+     * Marks the current position so later writes can be undone with `rollbackTo()`.
+     */
+    function savepoint() {
+        assertActive();
+        return records.length;
+    }
+
+    function rollbackTo(mark) {
+        assertActive();
+        if (typeof mark !== 'number' || mark < savepointAt || mark > records.length) {
+            throw new Error("Unknown savepoint.");
+        }
+        records.length = mark;
+    }
+
+    /**
+     * Starts a nested transaction backed by a savepoint of this one.
+     */
+    function begin() {
+        assertActive();
+        return createTransaction(store, tx, records);
+    }
+
+    function transaction(fn) {
+        return runInTransaction(begin(), fn);
+    }
+
+    /**
+     * Applies the staged writes to the store at once. A nested transaction only releases its
+     * savepoint; its writes reach the store with the outermost commit.
+     */
+    function commit() {
+        assertActive();
+        if (!parent) {
+            try {
+                store.commit(records.slice());
+            } catch (err) {
+                status = "rolledback";
+                throw err;
+            } finally {
+                records.length = 0;
+            }
+        }
+        status = "committed";
+    }
+
+    function rollback() {
+        assertActive();
+        records.length = savepointAt;
+        status = "rolledback";
+    }
+
+    const tx = {
+        isActive,
+        read,
+        search,
+        hasKey,
+        has,
+        dump,
+        write,
+        init,
+        savepoint,
+        rollbackTo,
+        begin,
+        transaction,
+        commit,
+        rollback
+    };
+    return tx;
+}
+
+module.exports = {
+    createTransaction,
+    runInTransaction,
+    readThrough
+};
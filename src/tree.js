@@ -0,0 +1,520 @@
+const { joinPath, setOwn } = require("./paths");
+
+const NO_STAMP = { version: 0, modified: undefined };
+
+/**
+ * Checks whether a value is stored as a branch of the tree (a plain object or an array) rather
+ * than as a leaf. Class instances such as `Date` are leaves.
+ */
+function isBranch(value) {
+    if (Array.isArray(value)) {
+        return true;
+    }
+    if (typeof value !== 'object' || value === null) {
+        return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Returns the array index a key addresses (`2` or `"2"`), or -1 for any other key.
+ */
+function toIndex(key) {
+    if (typeof key === 'number') {
+        return Number.isInteger(key) && key >= 0 ? key : -1;
+    }
+    return /^(0|[1-9]\d*)$/.test(key) ? Number(key) : -1;
+}
+
+/**
+ * Builds the node for a value: `{ type: "object", children: Map }`, `{ type: "array", children: [] }`
+ * or `{ type: "value", value }`, each with the `version` and `modified` of `stamp`. Branches are
+ * copied; leaves are stored as is.
+ */
+function toNode(value, stamp = NO_STAMP) {
+    const { version, modified } = stamp;
+    if (Array.isArray(value)) {
+        const children = [];
+        for (let index = 0; index < value.length; index++) {
+            children.push(toNode(index in value ? value[index] : null, stamp));
+        }
+        return { type: "array", children, version, modified };
+    }
+    if (isBranch(value)) {
+        const children = new Map();
+        Object.keys(value).forEach(key => children.set(key, toNode(value[key], stamp)));
+        return { type: "object", children, version, modified };
+    }
+    return { type: "value", value, version, modified };
+}
+
+/**
+ * Returns a node that may be changed in place: the node itself, or a shallow copy if a snapshot
+ * shares it. The children of a copy become shared between the copy and the snapshot, so they are
+ * marked frozen in turn and copied when a later change reaches them.
+ */
+function own(node) {
+    if (!node.frozen) {
+        return node;
+    }
+    const copy = { type: node.type, version: node.version, modified: node.modified };
+    if (node.type === "value") {
+        copy.value = node.value;
+        return copy;
+    }
+    copy.children = node.type === "array" ? node.children.slice() : new Map(node.children);
+    copy.children.forEach(child => {
+        child.frozen = true;
+    });
+    return copy;
+}
+
+/**
+ * Sets the version and modified time of a node and everything below it.
+ *
+ * @returns {Object} - The node, copied where a snapshot shares it.
+ */
+function stampTree(node, stamp) {
+    const owned = own(node);
+    owned.version = stamp.version;
+    owned.modified = stamp.modified;
+    if (owned.type === "array") {
+        owned.children = owned.children.map(child => stampTree(child, stamp));
+    } else if (owned.type === "object") {
+        owned.children.forEach((child, key) => owned.children.set(key, stampTree(child, stamp)));
+    }
+    return owned;
+}
+
+/**
+ * Returns a leaf value to hand out: leaves that are objects (a Date, a Map, ...) go through
+ * `copyLeaf`, so changing what a read returned cannot change the stored value.
+ */
+function readLeaf(value, copyLeaf) {
+    return value !== null && typeof value === 'object' ? copyLeaf(value) : value;
+}
+
+/**
+ * Builds a plain value back from a node.
+ */
+function fromNode(node, copyLeaf) {
+    if (node.type === "array") {
+        return node.children.map(child => fromNode(child, copyLeaf));
+    }
+    if (node.type === "object") {
+        const result = {};
+        node.children.forEach((child, key) => {
+            setOwn(result, key, fromNode(child, copyLeaf));
+        });
+        return result;
+    }
+    return readLeaf(node.value, copyLeaf);
+}
+
+// the node under each view `toView()` handed out
+const viewNodes = new WeakMap();
+
+/**
+ * Returns a read-only view of a node that reads like the plain value `fromNode()` would build:
+ * `Array.isArray()`, `Object.keys()`, `for...in`, `in` and property reads all work, but children
+ * are looked up in the node when read instead of being copied up front. Leaves are the stored
+ * values themselves, so what a view hands on must go through `copyView()`. A view is only valid
+ * while its nodes stay unchanged.
+ */
+function toView(node) {
+    if (node.type === "value") {
+        return node.value;
+    }
+    const isArray = node.type === "array";
+    const child = key => (typeof key === 'string' ? childOf(node, key) : undefined);
+    const view = new Proxy(isArray ? new Array(node.children.length) : {}, {
+        get(target, key, receiver) {
+            const found = child(key);
+            return found ? toView(found) : Reflect.get(target, key, receiver);
+        },
+        has(target, key) {
+            return child(key) !== undefined || Reflect.has(target, key);
+        },
+        ownKeys() {
+            return isArray ? [...node.children.keys()].map(String).concat(["length"]) : [...node.children.keys()];
+        },
+        getOwnPropertyDescriptor(target, key) {
+            const found = child(key);
+            if (!found) {
+                return Reflect.getOwnPropertyDescriptor(target, key);
+            }
+            return { value: toView(found), writable: false, enumerable: true, configurable: true };
+        },
+        set: () => false,
+        defineProperty: () => false,
+        deleteProperty: () => false
+    });
+    viewNodes.set(view, node);
+    return view;
+}
+
+/**
+ * Copies a value read through views: views become plain copies of what they show, and leaves
+ * that are objects go through `copyLeaf`, at any depth.
+ */
+function copyView(value, copyLeaf) {
+    if (viewNodes.has(value)) {
+        return fromNode(viewNodes.get(value), copyLeaf);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => copyView(item, copyLeaf));
+    }
+    if (isBranch(value)) {
+        const result = {};
+        Object.keys(value).forEach(key => setOwn(result, key, copyView(value[key], copyLeaf)));
+        return result;
+    }
+    return readLeaf(value, copyLeaf);
+}
+
+function childOf(node, key) {
+    if (node.type === "object") {
+        return node.children.get(String(key));
+    }
+    if (node.type === "array") {
+        const index = toIndex(key);
+        return index === -1 ? undefined : node.children[index];
+    }
+    return undefined;
+}
+
+/**
+ * Stores `child` under `key` of a branch node. Array slots past the end are filled with null.
+ * A key that is not an index turns the array into an object keyed by its indexes.
+ */
+function setChild(node, key, child) {
+    if (node.type === "array") {
+        const index = toIndex(key);
+        if (index !== -1) {
+            while (node.children.length < index) {
+                node.children.push({ type: "value", value: null, version: child.version, modified: child.modified });
+            }
+            node.children[index] = child;
+            return;
+        }
+        const children = new Map();
+        node.children.forEach((item, itemIndex) => children.set(String(itemIndex), item));
+        node.type = "object";
+        node.children = children;
+    }
+    node.children.set(String(key), child);
+}
+
+/**
+ * Removes the child under `key`. Array items after it move up one index; they get `stamp`,
+ * since the values at their paths changed.
+ */
+function removeChild(node, key, stamp) {
+    if (node.type === "array") {
+        const index = toIndex(key);
+        if (index !== -1 && index < node.children.length) {
+            node.children.splice(index, 1);
+            for (let shifted = index; shifted < node.children.length; shifted++) {
+                node.children[shifted] = stampTree(node.children[shifted], stamp);
+            }
+            return true;
+        }
+        return false;
+    }
+    return node.children.delete(String(key));
+}
+
+function childCount(node) {
+    return node.type === "array" ? node.children.length : node.children.size;
+}
+
+/**
+ * Builds the read methods over the root `getRoot()` returns: the live root of a tree, or the root
+ * a snapshot holds on to. Leaves that are objects are returned as copies made by `copyLeaf`.
+ */
+function createReader(getRoot, copyLeaf) {
+    function find(keys) {
+        let node = getRoot();
+        for (const key of keys) {
+            node = childOf(node, key);
+            if (!node) {
+                return undefined;
+            }
+        }
+        return node;
+    }
+
+    /**
+     * Returns a copy of the value under `keys`, or undefined.
+     */
+    function get(keys) {
+        const node = find(keys);
+        return node ? fromNode(node, copyLeaf) : undefined;
+    }
+
+    function has(keys) {
+        return find(keys) !== undefined;
+    }
+
+    /**
+     * Returns a read-only view of the value under `keys` (see `toView()`), or undefined. Reading
+     * a large value through a view copies only what is read; `copyView()` turns what should be
+     * handed out into plain copies. Use views before the tree changes again.
+     */
+    function view(keys) {
+        const node = find(keys);
+        return node ? toView(node) : undefined;
+    }
+
+    /**
+     * Returns `"object"`, `"array"` or `"value"` for the node under `keys`, or undefined.
+     */
+    function typeAt(keys) {
+        const node = find(keys);
+        return node ? node.type : undefined;
+    }
+
+    /**
+     * Returns `{ version, modified }` of the node under `keys`, or undefined.
+     */
+    function metaAt(keys) {
+        const node = find(keys);
+        return node ? { version: node.version, modified: node.modified } : undefined;
+    }
+
+    /**
+     * Returns the number of children under `keys`: 0 for leaves and missing paths.
+     */
+    function sizeAt(keys) {
+        const node = find(keys);
+        return node && node.type !== "value" ? childCount(node) : 0;
+    }
+
+    /**
+     * Yields the flattened entries under `keys` as `[keys, value]`, in the order they were added:
+     * leaves and empty branches below it.
+     */
+    function* walk(keys) {
+        const node = find(keys);
+        if (!node) {
+            return;
+        }
+        if (node.type === "value") {
+            yield [keys, readLeaf(node.value, copyLeaf)];
+            return;
+        }
+
+        function* visit(current, currentKeys) {
+            const children = current.type === "array" ? current.children.entries() : current.children;
+            for (const [key, child] of children) {
+                const childKeys = currentKeys.concat([key]);
+                if (child.type === "value") {
+                    yield [childKeys, readLeaf(child.value, copyLeaf)];
+                } else if (childCount(child) === 0) {
+                    yield [childKeys, child.type === "array" ? [] : {}];
+                } else {
+                    yield* visit(child, childKeys);
+                }
+            }
+        }
+
+        yield* visit(node, keys);
+    }
+
+    /**
+     * Yields the flattened `[path, value]` entries under `keys` one at a time, like
+     * `flattenJsonWithEscaping()` with the escaped path of `keys` as prefix: leaves and empty
+     * branches below it. Iterate a snapshot's reader when the tree may change in between.
+     */
+    function* iterate(keys) {
+        for (const [entryKeys, value] of walk(keys)) {
+            yield [joinPath(entryKeys), value];
+        }
+    }
+
+    /**
+     * Yields the flattened entries under `keys` as `[keys, value]` in a fixed order, object keys
+     * sorted and array items by index, starting after the entry `after` (raw keys) when given.
+     * Since the order does not depend on when keys were added, a walk resumed after an entry
+     * reaches every entry that sorts after it. Subtrees for which `skip(keys)` is true are left out.
+     */
+    function* iterateSorted(keys, after = null, skip = () => false) {
+        const node = find(keys);
+        if (!node) {
+            return;
+        }
+
+        // `rest` is what is left of `after` below `current`: null once the walk is past it
+        function* visit(current, currentKeys, rest) {
+            if (current.type === "value" || childCount(current) === 0) {
+                if (rest === null) {
+                    yield [currentKeys, current.type === "value" ? readLeaf(current.value, copyLeaf) : (current.type === "array" ? [] : {})];
+                }
+                return;
+            }
+            let childKeys;
+            if (current.type === "array") {
+                const from = rest && rest.length > 0 && typeof rest[0] === 'number' ? rest[0] : 0;
+                childKeys = [];
+                for (let index = from; index < current.children.length; index++) {
+                    childKeys.push(index);
+                }
+            } else {
+                childKeys = [...current.children.keys()].sort();
+                if (rest && rest.length > 0) {
+                    const from = String(rest[0]);
+                    childKeys = childKeys.filter(key => key >= from);
+                }
+            }
+            for (const key of childKeys) {
+                const childPath = currentKeys.concat([key]);
+                if (!skip(childPath)) {
+                    const resume = rest && rest.length > 0 && String(key) === String(rest[0]) ? rest.slice(1) : null;
+                    yield* visit(childOf(current, key), childPath, resume);
+                }
+            }
+        }
+
+        yield* visit(node, keys, after ? after.slice(keys.length) : null);
+    }
+
+    /**
+     * Lists the flattened `[path, value]` entries under `keys` (see `iterate()`).
+     */
+    function entries(keys) {
+        return [...iterate(keys)];
+    }
+
+    return {
+        get,
+        has,
+        view,
+        copyView: value => copyView(value, copyLeaf),
+        typeAt,
+        metaAt,
+        sizeAt,
+        walk,
+        iterate,
+        iterateSorted,
+        entries
+    };
+}
+
+/**
+ * Creates the prefix tree the manager stores its data in. Every segment of a path is one level of
+ * the tree: objects keep their children in a Map keyed by the raw key, arrays in an array. Reads
+ * walk one node per segment, and subtree reads and deletes only touch the subtree.
+ *
+ * Every node carries the `version` and `modified` time of the last change at or below it: the
+ * mutating methods take a `stamp` (`{ version, modified }`) and put it on the nodes they write and
+ * on all of their ancestors.
+ *
+ * Nodes are copied on write once a snapshot shares them: `snapshot()` freezes the root, and a
+ * change copies the frozen nodes on its way down instead of changing them, leaving the snapshot's
+ * nodes as they were. Taking a snapshot is O(1); the first change after it copies the nodes along
+ * its path, and unchanged subtrees stay shared. Without snapshots nothing is copied.
+ *
+ * @param {Object} [options] - Tree options.
+ * @param {Function} [options.copyLeaf] - Copies the leaves that are objects (a Date, a Map, ...)
+ *   when they are read, since the tree and its snapshots share them. They are read as is without it.
+ * @returns {Object} - The tree API.
+ */
+function createPrefixTree(options = {}) {
+    const copyLeaf = options.copyLeaf || (value => value);
+    let root = toNode({});
+    const reader = createReader(() => root, copyLeaf);
+
+    /**
+     * Stores a copy of `value` under `keys`, creating the levels above it: arrays before index
+     * keys, objects otherwise. Leaves in the way are replaced by objects.
+     */
+    function set(keys, value, stamp = NO_STAMP) {
+        if (keys.length === 0) {
+            load(value, stamp);
+            return;
+        }
+        root = own(root);
+        let node = root;
+        keys.slice(0, -1).forEach((key, index) => {
+            node.version = stamp.version;
+            node.modified = stamp.modified;
+            let child = childOf(node, key);
+            if (!child || child.type === "value") {
+                child = toNode(typeof keys[index + 1] === 'number' ? [] : {}, stamp);
+            } else {
+                child = own(child);
+            }
+            setChild(node, key, child);
+            node = child;
+        });
+        node.version = stamp.version;
+        node.modified = stamp.modified;
+        setChild(node, keys[keys.length - 1], toNode(value, stamp));
+    }
+
+    /**
+     * Deletes the node under `keys` (splicing array items) and prunes the parents left empty.
+     *
+     * @returns {boolean} - False if there was nothing to delete.
+     */
+    function remove(keys, stamp = NO_STAMP) {
+        if (keys.length === 0 || !reader.has(keys)) {
+            return false;
+        }
+        root = own(root);
+        const parents = [root];
+        for (const key of keys.slice(0, -1)) {
+            const parent = parents[parents.length - 1];
+            const child = own(childOf(parent, key));
+            setChild(parent, key, child);
+            parents.push(child);
+        }
+        if (!removeChild(parents[parents.length - 1], keys[keys.length - 1], stamp)) {
+            return false;
+        }
+        for (let index = parents.length - 1; index > 0 && childCount(parents[index]) === 0; index--) {
+            removeChild(parents[index - 1], keys[index - 1], stamp);
+        }
+        parents.forEach(parent => {
+            parent.version = stamp.version;
+            parent.modified = stamp.modified;
+        });
+        return true;
+    }
+
+    /**
+     * Replaces the whole tree with a copy of `value` (an object).
+     */
+    function load(value, stamp = NO_STAMP) {
+        const node = toNode(value === undefined ? {} : value, stamp);
+        if (node.type !== "object") {
+            throw new Error("The root of the store must be an object.");
+        }
+        root = node;
+    }
+
+    /**
+     * Returns a read-only view of the tree as it is now, with the read methods of the tree. Later
+     * changes to the tree do not show in it; it holds on to the nodes it shares only for as long
+     * as it is referenced.
+     */
+    function snapshot() {
+        const frozen = root;
+        frozen.frozen = true;
+        return createReader(() => frozen, copyLeaf);
+    }
+
+    return Object.assign({}, reader, {
+        set,
+        remove,
+        load,
+        snapshot
+    });
+}
+
+module.exports = {
+    createPrefixTree,
+    isBranch,
+    toIndex
+};
@@ -1,7 +1,16 @@
 const { expect } = require("chai");
 
 // Import the createJsonManager function
-const createJsonManager = require('../index');
+const { createJsonManager } = require('../index');
+
+describe("memsafe-jsondb exports", () => {
+    it("should export a plain object that names the manager factory", () => {
+        const exported = require('../index');
+        expect(exported).to.be.an("object");
+        expect(exported.createJsonManager).to.equal(createJsonManager);
+        expect(exported.jsonManager).to.equal(createJsonManager);
+    });
+});
 
 describe("JsonManager", () => {
     let jsonManager;
@@ -81,9 +90,7 @@ describe("JsonManager", () => {
             expect(dump).to.deep.equal({
                 key1: 1,
                 key2: { subkey: 2 },
-                escaped: {
-                    key: "value"
-                }
+                "escaped.key": "value"
             });
         });
 
@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+
+const { createJsonManager } = require('../index');
+const { flattenJsonWithEscaping, unflattenJson, TypeMismatchError } = require('../index');
+
+describe("Arrays", () => {
+
+    describe("flattenJsonWithEscaping() / unflattenJson()", () => {
+        it("should flatten array items with index paths", () => {
+            expect(flattenJsonWithEscaping({ a: [1, { b: 2 }] })).to.deep.equal({ "a[0]": 1, "a[1].b": 2 });
+        });
+
+        it("should keep empty arrays and objects", () => {
+            expect(flattenJsonWithEscaping({ a: [], b: {}, c: { d: [] } })).to.deep.equal({ a: [], b: {}, "c.d": [] });
+        });
+
+        it("should round-trip arrays, nested arrays and empty containers", () => {
+            const data = { a: [1, 2], b: [[1], [2, { c: [] }]], d: {}, "e.f": [{ "g[0]": 1 }] };
+            expect(unflattenJson(flattenJsonWithEscaping(data))).to.deep.equal(data);
+        });
+
+        it("should escape opening brackets in keys", () => {
+            expect(flattenJsonWithEscaping({ "tags[0]": 1 })).to.deep.equal({ "tags\\[0]": 1 });
+            expect(unflattenJson({ "tags\\[0]": 1 })).to.deep.equal({ "tags[0]": 1 });
+        });
+    });
+
+    describe("JsonManager array paths", () => {
+        let jsonManager;
+
+        beforeEach(() => {
+            jsonManager = createJsonManager();
+            jsonManager.write("items", [{ name: "first" }, { name: "second" }]);
+        });
+
+        it("should split index segments into numbers", () => {
+            expect(jsonManager.getKeys("items[0][2].a\\.b")).to.deep.equal(["items", 0, 2, "a.b"]);
+            expect(jsonManager.getKeys("tags\\[0]")).to.deep.equal(["tags[0]"]);
+            expect(jsonManager.getKeys("odd[x]")).to.deep.equal(["odd[x]"]);
+            expect(() => jsonManager.getKeys("items[0]name")).to.throw(/Invalid path/);
+        });
+
+        it("should read and write through array indexes", () => {
+            expect(jsonManager.read("items[1].name")).to.equal("second");
+            jsonManager.write("items[0].name", "changed");
+            expect(jsonManager.read("items[0]")).to.deep.equal({ name: "changed" });
+        });
+
+        it("should create arrays for index segments", () => {
+            jsonManager.write("matrix[0][1]", "x");
+            expect(jsonManager.dump().matrix).to.deep.equal([[null, "x"]]);
+            expect(Array.isArray(jsonManager.read("matrix"))).to.be.true;
+        });
+
+        it("should dump real arrays and empty containers", () => {
+            jsonManager.write("empty.list", []);
+            jsonManager.write("empty.map", {});
+            expect(jsonManager.dump()).to.deep.equal({
+                items: [{ name: "first" }, { name: "second" }],
+                empty: { list: [], map: {} }
+            });
+        });
+
+        it("should splice out deleted items", () => {
+            jsonManager.deleteTree("items[0]");
+            expect(jsonManager.read("items")).to.deep.equal([{ name: "second" }]);
+        });
+
+        it("should report array paths from has()", () => {
+            expect(jsonManager.has({ like: "second" })).to.deep.equal([]);
+            expect(jsonManager.has({ keywords: ["second"] })).to.deep.equal([{ path: "items[1].name", value: "second" }]);
+        });
+
+        it("should push and pop", () => {
+            expect(jsonManager.push("list", 1, 2)).to.equal(2);
+            expect(jsonManager.push("list", 3)).to.equal(3);
+            expect(jsonManager.pop("list")).to.equal(3);
+            expect(jsonManager.read("list")).to.deep.equal([1, 2]);
+            expect(jsonManager.pop("missing")).to.be.undefined;
+            expect(jsonManager.hasKey("missing")).to.be.false;
+        });
+
+        it("should shift and unshift", () => {
+            expect(jsonManager.unshift("list", 1, 2)).to.equal(2);
+            expect(jsonManager.unshift("list", 0)).to.equal(3);
+            expect(jsonManager.shift("list")).to.equal(0);
+            expect(jsonManager.read("list")).to.deep.equal([1, 2]);
+            expect(jsonManager.shift("missing")).to.be.undefined;
+            expect(jsonManager.hasKey("missing")).to.be.false;
+        });
+
+        it("should insert at an index", () => {
+            jsonManager.push("list", "a", "c");
+            expect(jsonManager.insert("list", 1, "b")).to.equal(3);
+            expect(jsonManager.read("list")).to.deep.equal(["a", "b", "c"]);
+        });
+
+        it("should splice", () => {
+            jsonManager.push("list", 1, 2, 3, 4);
+            expect(jsonManager.splice("list", 1, 2, "x")).to.deep.equal([2, 3]);
+            expect(jsonManager.read("list")).to.deep.equal([1, "x", 4]);
+            expect(jsonManager.splice("list", 1)).to.deep.equal(["x", 4]);
+            expect(jsonManager.read("list")).to.deep.equal([1]);
+        });
+
+        it("should throw a TypeMismatchError for non-array values", () => {
+            jsonManager.write("scalar", 5);
+            expect(() => jsonManager.push("scalar", 1)).to.throw(TypeMismatchError, /holds number, not an array/);
+        });
+
+        it("should report array changes to watchers", () => {
+            const events = [];
+            jsonManager.watch("list", event => events.push(event));
+            jsonManager.push("list", 1);
+            expect(events).to.deep.equal([{ type: "write", path: "list", oldValue: undefined, newValue: [1] }]);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+
+const { createJsonManager } = require('../index');
+const { createServer } = require('../index');
+const { runCli, completePath, tokenize } = require('../src/cli');
+
+function createIo(input = "") {
+    const io = { stdin: new PassThrough(), stdout: new PassThrough(), stderr: new PassThrough() };
+    let out = "";
+    let err = "";
+    io.stdout.on("data", chunk => {
+        out += chunk;
+    });
+    io.stderr.on("data", chunk => {
+        err += chunk;
+    });
+    io.stdin.end(input);
+    io.output = () => out;
+    io.errors = () => err;
+    return io;
+}
+
+async function cli(args, input) {
+    const io = createIo(input);
+    const code = await runCli(args, io);
+    return { code, out: io.output(), err: io.errors() };
+}
+
+describe("memsafe-jsondb CLI", () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsondb-cli-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should set, get and delete values in a persisted store", async () => {
+        const store = path.join(dir, "store");
+        expect((await cli(["--dir", store, "set", "users.alice", '{"name":"Alice","tags":["a"]}'])).code).to.equal(0);
+        expect((await cli(["--dir", store, "get", "users.alice.name"])).out).to.equal('"Alice"\n');
+        expect((await cli(["--dir", store, "--flat", "get", "users.alice"])).out).to.equal('users.alice.name = "Alice"\nusers.alice.tags[0] = "a"\n');
+        expect((await cli(["--dir", store, "keys", "users"])).out).to.equal("users.alice.name\nusers.alice.tags[0]\n");
+        expect((await cli(["--dir", store, "del", "users.alice.tags"])).out).to.equal("1 deleted\n");
+        expect((await cli(["--dir", store, "--compact", "dump"])).out).to.equal('{"users":{"alice":{"name":"Alice"}}}\n');
+    });
+
+    it("should search with has options and JSON queries", async () => {
+        const store = path.join(dir, "store");
+        await cli(["--dir", store, "set", "users", '{"alice":{"age":30},"bob":{"age":20}}']);
+        expect((await cli(["--dir", store, "has", "--regex", "bob\\.age$"])).out).to.equal("users.bob.age = 20\n");
+        expect((await cli(["--dir", store, "has", '{"where":{"path":"users.*.age","gt":25}}'])).out).to.equal("users.alice.age = 30\n");
+    });
+
+    it("should import and export JSON files and write back --file stores", async () => {
+        const file = path.join(dir, "data.json");
+        const input = path.join(dir, "input.json");
+        const exported = path.join(dir, "export.json");
+        fs.writeFileSync(input, JSON.stringify({ a: { "b.c": 1 } }));
+
+        await cli(["--file", file, "import", input]);
+        expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.deep.equal({ a: { "b.c": 1 } });
+        await cli(["--file", file, "import", input, "copy"]);
+        await cli(["--file", file, "export", exported, "copy"]);
+        expect(JSON.parse(fs.readFileSync(exported, "utf8"))).to.deep.equal({ a: { "b.c": 1 } });
+        expect((await cli(["--file", file, "get", "copy.a.b\\.c"])).out).to.equal("1\n");
+    });
+
+    it("should talk to a running server", async () => {
+        const manager = createJsonManager();
+        const server = createServer(manager);
+        const { port } = await server.listen({ port: 0, host: "127.0.0.1" });
+        try {
+            await cli(["--connect", `127.0.0.1:${port}`, "set", "remote", "yes"]);
+            expect(manager.read("remote")).to.equal("yes");
+            expect((await cli(["--connect", `127.0.0.1:${port}`, "del", "remote"])).out).to.equal("1 deleted\n");
+        } finally {
+            await server.close();
+        }
+    });
+
+    it("should report usage errors with exit code 2", async () => {
+        const result = await cli(["--dir", dir, "frobnicate"]);
+        expect(result.code).to.equal(2);
+        expect(result.err).to.match(/Unknown command: frobnicate/).and.match(/Usage:/);
+        expect((await cli(["get", "a"])).code).to.equal(2);
+    });
+
+    it("should run commands in the REPL", async () => {
+        const result = await cli(["--dir", dir], "set a\\.b 1\nget a\\.b\nget\nexit\n");
+        expect(result.out).to.include("1\n");
+        expect(result.err).to.include("get takes a path.");
+    });
+
+    it("should complete escaped paths", async () => {
+        const store = createJsonManager();
+        store.write("users.alice\\.smith.age", 1);
+        store.write("users.list", [1, 2]);
+        const remote = { read: async p => store.read(p), dump: async () => store.dump() };
+
+        expect(await completePath(remote, "get us")).to.deep.equal([["users"], "us"]);
+        expect(await completePath(remote, "get users.al")).to.deep.equal([["users.alice\\.smith"], "users.al"]);
+        expect(await completePath(remote, "get users.alice\\.smith.")).to.deep.equal([["users.alice\\.smith.age"], "users.alice\\.smith."]);
+        expect(await completePath(remote, "get users.list[")).to.deep.equal([["users.list[0]", "users.list[1]"], "users.list["]);
+        expect(await completePath(remote, "du")).to.deep.equal([["dump"], "du"]);
+    });
+
+    it("should keep backslashes when splitting REPL lines", () => {
+        expect(tokenize(`set a\\.b '{"x": 1}'`)).to.deep.equal(["set", "a\\.b", '{"x": 1}']);
+    });
+});
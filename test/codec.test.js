@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createJsonManager } = require('../index');
+const { createCodec, CircularReferenceError } = require('../index');
+
+class Point {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+}
+
+const pointType = {
+    name: "Point",
+    test: value => value instanceof Point,
+    encode: point => [point.x, point.y],
+    decode: ([x, y]) => new Point(x, y)
+};
+
+function typedValue() {
+    return {
+        when: new Date("2024-05-01T12:00:00.000Z"),
+        big: 12345678901234567890n,
+        lookup: new Map([["a", 1], [2, new Set(["x"])]]),
+        tags: new Set([1, "two"]),
+        raw: Buffer.from("bytes"),
+        missing: undefined,
+        list: [1, undefined, new Date(0)],
+        "$type": "not a tag"
+    };
+}
+
+describe("createCodec()", () => {
+    it("should round-trip the built-in types through JSON", () => {
+        const codec = createCodec();
+        const value = typedValue();
+        const text = codec.stringify(value);
+        // the object has a "$type" key of its own, so it is tagged too
+        expect(JSON.parse(text).$type).to.equal("Object");
+        expect(JSON.parse(text).$value.when).to.deep.equal({ $type: "Date", $value: "2024-05-01T12:00:00.000Z" });
+        const decoded = codec.parse(text);
+        expect(decoded).to.deep.equal(value);
+        expect(decoded.when).to.be.instanceOf(Date);
+        expect(decoded.big).to.be.a("bigint");
+        expect(decoded.lookup.get(2)).to.be.instanceOf(Set);
+        expect(Buffer.isBuffer(decoded.raw)).to.be.true;
+        expect(Object.prototype.hasOwnProperty.call(decoded, "missing")).to.be.true;
+    });
+
+    it("should keep plain data as is", () => {
+        const codec = createCodec();
+        const data = { a: [1, "x", null, true], b: { c: {} } };
+        expect(codec.encode(data)).to.deep.equal(data);
+        expect(codec.decode(data)).to.deep.equal(data);
+        // objects looking like a tag of an unknown type stay plain
+        expect(codec.decode({ $type: "user", $value: 1 })).to.deep.equal({ $type: "user", $value: 1 });
+    });
+
+    it("should encode registered types", () => {
+        const codec = createCodec({ types: [pointType] });
+        expect(codec.encode({ at: new Point(1, 2) })).to.deep.equal({ at: { $type: "Point", $value: [1, 2] } });
+        expect(codec.clone(new Point(3, 4))).to.be.instanceOf(Point).that.includes({ x: 3, y: 4 });
+        expect(() => codec.register(pointType)).to.throw(/already registered/);
+        expect(() => codec.register({ name: "Date", test: () => false, encode: String, decode: String })).to.throw(/already registered/);
+        expect(() => codec.register({ name: "Broken" })).to.throw(/test\(\), encode\(\) and decode\(\)/);
+    });
+
+    it("should throw a CircularReferenceError for values containing themselves", () => {
+        const codec = createCodec();
+        const value = { a: [{}] };
+        value.a[0].back = value;
+        expect(() => codec.encode(value)).to.throw(CircularReferenceError).that.includes({ path: "a[0].back", code: "ERR_CIRCULAR_REFERENCE" });
+        const map = new Map();
+        map.set("self", map);
+        expect(() => codec.encode({ map })).to.throw(CircularReferenceError);
+        // shared values that are not cycles are fine
+        const shared = { n: 1 };
+        expect(codec.clone({ x: shared, y: shared })).to.deep.equal({ x: { n: 1 }, y: { n: 1 } });
+    });
+});
+
+describe("JsonManager typed values", () => {
+    let dir;
+    let managers;
+
+    function open(extra = {}) {
+        const manager = createJsonManager(Object.assign({ persistence: { dir } }, extra));
+        managers.push(manager);
+        return manager;
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "memsafe-jsondb-"));
+        managers = [];
+    });
+
+    afterEach(() => {
+        managers.forEach(manager => manager.close());
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should keep the types of init() data in dumps and reads", () => {
+        const jsonManager = open();
+        jsonManager.init({ doc: typedValue() });
+        expect(jsonManager.dump()).to.deep.equal({ doc: typedValue() });
+        expect(jsonManager.read("doc.when")).to.be.instanceOf(Date);
+        expect(jsonManager.read("doc.list")).to.deep.equal([1, undefined, new Date(0)]);
+        expect(jsonManager.snapshot().dump().doc.big).to.equal(12345678901234567890n);
+    });
+
+    it("should store copies of what it is given", () => {
+        const jsonManager = open();
+        const when = new Date(0);
+        const tags = new Set(["a"]);
+        jsonManager.write("doc", { when, tags });
+        when.setFullYear(2000);
+        tags.add("b");
+        expect(jsonManager.read("doc")).to.deep.equal({ when: new Date(0), tags: new Set(["a"]) });
+        jsonManager.dump().doc.tags.add("c");
+        expect(jsonManager.read("doc.tags")).to.deep.equal(new Set(["a"]));
+    });
+
+    it("should hand out copies of stored Dates, Maps and Sets", () => {
+        const jsonManager = open();
+        jsonManager.write("doc", { when: new Date(0), lookup: new Map([["x", 1]]), tags: new Set(["a"]) });
+        const view = jsonManager.snapshot();
+
+        jsonManager.read("doc.lookup").set("y", 2);
+        jsonManager.read("doc").when.setFullYear(2000);
+        jsonManager.search("doc.tags").add("b");
+        view.read("doc.lookup").set("z", 3);
+        jsonManager.has({ path: "doc.when" })[0].value.setFullYear(2001);
+        [...jsonManager.values("doc")][2].add("c");
+
+        const expected = { when: new Date(0), lookup: new Map([["x", 1]]), tags: new Set(["a"]) };
+        expect(jsonManager.read("doc")).to.deep.equal(expected);
+        expect(view.read("doc")).to.deep.equal(expected);
+        expect(jsonManager.readWithMeta("doc").version).to.equal(1);
+    });
+
+    it("should restore typed values from the log and the snapshot", () => {
+        const first = open();
+        first.write("a", typedValue());
+        first.checkpoint();
+        first.write("b", new Map([["k", 1n]]));
+        first.close();
+
+        const second = open();
+        expect(second.read("a")).to.deep.equal(typedValue());
+        expect(second.read("b")).to.deep.equal(new Map([["k", 1n]]));
+    });
+
+    it("should keep types through export() and import()", async () => {
+        const source = open();
+        source.write("doc", { when: new Date(0), big: 7n, tags: new Set([1]) });
+        let text = "";
+        for await (const chunk of source.export({ format: "ndjson" })) {
+            text += chunk;
+        }
+        const target = createJsonManager();
+        await target.import(text, { format: "ndjson" });
+        expect(target.read("doc")).to.deep.equal({ when: new Date(0), big: 7n, tags: new Set([1]) });
+        target.close();
+    });
+
+    it("should keep types in transactions and watcher events", () => {
+        const jsonManager = open();
+        jsonManager.write("when", new Date(0));
+        jsonManager.transaction(tx => {
+            expect(tx.read("when")).to.be.instanceOf(Date);
+            tx.write("count", 1n);
+        });
+        expect(jsonManager.read("count")).to.equal(1n);
+
+        const events = [];
+        jsonManager.watch("when", event => events.push(event));
+        jsonManager.write("when", new Date(1));
+        expect(events[0]).to.deep.include({ oldValue: new Date(0), newValue: new Date(1) });
+    });
+
+    it("should use registered types and measure limits with the codec", () => {
+        const jsonManager = open({ codec: createCodec({ types: [pointType] }), limits: { maxValueBytes: 100 } });
+        jsonManager.write("at", new Point(1, 2));
+        jsonManager.write("big", 10n ** 30n);
+        jsonManager.close();
+        expect(open({ codec: createCodec({ types: [pointType] }) }).read("at")).to.be.instanceOf(Point);
+    });
+
+    it("should refuse circular values instead of overflowing the stack", () => {
+        const jsonManager = open();
+        const value = { child: {} };
+        value.child.parent = value;
+        expect(() => jsonManager.init(value)).to.throw(CircularReferenceError, /child\.parent/);
+        expect(() => jsonManager.transaction(tx => tx.write("a", value))).to.throw(CircularReferenceError);
+        expect(jsonManager.dump()).to.deep.equal({});
+    });
+});
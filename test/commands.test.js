@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+
+const { createJsonManager } = require('../index');
+const { TypeMismatchError } = require('../index');
+
+describe("JsonManager value commands", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+        jsonManager.init({ counters: { "page.views": 10 }, name: "Al", flag: false, list: [] });
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should increment and decrement numbers, starting missing ones at 0", () => {
+        expect(jsonManager.incr("counters.page\\.views")).to.equal(11);
+        expect(jsonManager.decr("counters.page\\.views")).to.equal(10);
+        expect(jsonManager.incrBy("counters.page\\.views", -4)).to.equal(6);
+        expect(jsonManager.incr("counters.new")).to.equal(1);
+        expect(jsonManager.incrBy("counters.ratio", 0.25)).to.equal(0.25);
+        expect(jsonManager.read("counters")).to.deep.equal({ "page.views": 6, new: 1, ratio: 0.25 });
+    });
+
+    it("should refuse increments that are not finite numbers", () => {
+        expect(() => jsonManager.incrBy("counters.x", "1")).to.throw(/finite number/);
+        expect(() => jsonManager.incrBy("counters.x", NaN)).to.throw(/finite number/);
+        jsonManager.write("big", Number.MAX_VALUE);
+        expect(() => jsonManager.incrBy("big", Number.MAX_VALUE)).to.throw(RangeError);
+        expect(jsonManager.read("big")).to.equal(Number.MAX_VALUE);
+    });
+
+    it("should append to strings", () => {
+        expect(jsonManager.append("name", "ice")).to.equal(5);
+        expect(jsonManager.read("name")).to.equal("Alice");
+        expect(jsonManager.append("greeting", "hi")).to.equal(2);
+        expect(() => jsonManager.append("name", 1)).to.throw(/needs a string/);
+    });
+
+    it("should toggle booleans", () => {
+        expect(jsonManager.toggle("flag")).to.be.true;
+        expect(jsonManager.toggle("flag")).to.be.false;
+        expect(jsonManager.toggle("other")).to.be.true;
+    });
+
+    it("should throw a TypeMismatchError naming the expected and actual types", () => {
+        expect(() => jsonManager.incr("name")).to.throw(TypeMismatchError, /"name" holds string, not a number/)
+            .that.includes({ path: "name", expected: "number", actual: "string", code: "ERR_TYPE_MISMATCH" });
+        expect(() => jsonManager.append("counters", "x")).to.throw(TypeMismatchError).with.property("actual", "object");
+        expect(() => jsonManager.toggle("list")).to.throw(TypeMismatchError).with.property("actual", "array");
+        expect(jsonManager.read("name")).to.equal("Al");
+    });
+
+    it("should write with setIfAbsent() only when the path is missing", () => {
+        expect(jsonManager.setIfAbsent("name", "Bob")).to.be.false;
+        expect(jsonManager.setIfAbsent("owner", "Bob", { ttl: 1000 })).to.be.true;
+        expect(jsonManager.read("owner")).to.equal("Bob");
+        expect(jsonManager.ttl("owner")).to.be.above(0);
+    });
+
+    it("should return the previous value from getAndSet()", () => {
+        expect(jsonManager.getAndSet("name", "Bob")).to.equal("Al");
+        expect(jsonManager.getAndSet("missing", 1)).to.be.undefined;
+        expect(jsonManager.read("name")).to.equal("Bob");
+    });
+
+    it("should store what update() returns", () => {
+        expect(jsonManager.update("counters", current => Object.assign(current, { extra: 1 }))).to.deep.equal({ "page.views": 10, extra: 1 });
+        expect(jsonManager.update("missing", current => (current || []).concat([1]))).to.deep.equal([1]);
+        expect(jsonManager.update("name", () => undefined)).to.equal("Al");
+        expect(() => jsonManager.update("name")).to.throw(/needs a function/);
+    });
+
+    it("should keep the expiry set on the path", () => {
+        jsonManager.write("session.hits", 1, { ttl: 60000 });
+        jsonManager.incr("session.hits");
+        expect(jsonManager.ttl("session.hits")).to.be.above(0);
+    });
+
+    it("should commit each command as one change", () => {
+        const events = [];
+        jsonManager.watch("counters", event => events.push(event));
+        const { version } = jsonManager.readWithMeta("counters.page\\.views");
+        jsonManager.incr("counters.page\\.views");
+        expect(jsonManager.readWithMeta("counters.page\\.views").version).to.equal(version + 1);
+        expect(events).to.have.length(1);
+    });
+});
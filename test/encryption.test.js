@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createJsonManager } = require('../index');
+const { DecryptionError, decryptFields, decryptStream } = require('../index');
+
+const KEY_1 = crypto.randomBytes(32);
+const KEY_2 = crypto.randomBytes(32);
+
+async function readText(stream) {
+    let text = "";
+    for await (const chunk of stream) {
+        text += chunk;
+    }
+    return text;
+}
+
+describe("JsonManager encryption", () => {
+    let dir;
+    let managers;
+
+    function open(encryption) {
+        const manager = createJsonManager({ persistence: { dir }, encryption });
+        managers.push(manager);
+        return manager;
+    }
+
+    function diskText() {
+        return fs.readdirSync(dir).map(file => fs.readFileSync(path.join(dir, file), "utf8")).join("\n");
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "memsafe-jsondb-"));
+        managers = [];
+    });
+
+    afterEach(() => {
+        managers.forEach(manager => manager.close());
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should encrypt the snapshot and the write log", () => {
+        const first = open({ keys: { k1: KEY_1 } });
+        first.write("customers.acme.token", "secret-token");
+        first.checkpoint();
+        first.write("customers.globex.token", "other-token");
+        first.close();
+
+        const text = diskText();
+        expect(text).to.not.include("token");
+        expect(text).to.match(/^enc:v1:k1:/);
+
+        const second = open({ keys: { k1: KEY_1.toString("hex") } });
+        expect(second.read("customers")).to.deep.equal({ acme: { token: "secret-token" }, globex: { token: "other-token" } });
+    });
+
+    it("should refuse to open an encrypted store without the right key", () => {
+        open({ keys: { k1: KEY_1 } }).write("a", 1);
+        managers[0].close();
+
+        expect(() => open(undefined)).to.throw(DecryptionError, /encryption/);
+        expect(() => open({ keys: { k2: KEY_2 } })).to.throw(DecryptionError).with.property("keyId", "k1");
+        expect(() => open({ keys: { k1: KEY_2 } })).to.throw(DecryptionError).with.property("code", "ERR_DECRYPTION_FAILED");
+    });
+
+    it("should read a store written before encryption was turned on", () => {
+        const plain = open(undefined);
+        plain.write("a", 1);
+        plain.close();
+
+        const encrypted = open({ keys: { k1: KEY_1 } });
+        encrypted.write("b", 2);
+        expect(encrypted.dump()).to.deep.equal({ a: 1, b: 2 });
+    });
+
+    it("should drop a torn encrypted record at the end of the log", () => {
+        const first = open({ keys: { k1: KEY_1 } });
+        first.write("a", 1);
+        first.write("b", 2);
+        first.close();
+        const log = path.join(dir, "write.log");
+        fs.truncateSync(log, fs.statSync(log).size - 5);
+
+        const second = open({ keys: { k1: KEY_1 } });
+        expect(second.dump()).to.deep.equal({ a: 1 });
+    });
+
+    it("should rotate keys, reading old data until it has been re-encrypted", async () => {
+        const first = open({ keys: { k1: KEY_1 } });
+        first.write("a", 1);
+        first.close();
+
+        // the old key still reads what it wrote while the new one encrypts new records
+        const second = open({ keys: { k1: KEY_1, k2: KEY_2 }, currentKey: "k2" });
+        second.write("b", 2);
+        expect(diskText()).to.include("enc:v1:k1:").and.include("enc:v1:k2:");
+        expect(second.dump()).to.deep.equal({ a: 1, b: 2 });
+
+        const key3 = crypto.randomBytes(32);
+        expect(await second.rotateKey("k3", key3)).to.deep.equal({ fields: 0 });
+        expect(diskText()).to.not.include("enc:v1:k1:").and.not.include("enc:v1:k2:");
+        second.write("c", 3);
+        second.close();
+
+        expect(open({ keys: { k3: key3 } }).dump()).to.deep.equal({ a: 1, b: 2, c: 3 });
+    });
+
+    it("should require a current key when given several", () => {
+        expect(() => createJsonManager({ encryption: { keys: { k1: KEY_1, k2: KEY_2 } } })).to.throw(/currentKey/);
+        expect(() => createJsonManager({ encryption: { keys: { k1: "short" } } })).to.throw(/32 bytes/);
+        expect(() => createJsonManager({ encryption: { keys: { "k:1": KEY_1 } } })).to.throw(/key id/);
+        expect(() => createJsonManager().rotateKey("k1", KEY_1)).to.throw(/not enabled/);
+    });
+});
+
+describe("JsonManager encrypted export() and import()", () => {
+    it("should export encrypted text and import it back", async () => {
+        const source = createJsonManager({ encryption: { keys: { k1: KEY_1 } } });
+        source.init({ users: { alice: { token: "abc" } }, count: 2 });
+        const text = await readText(source.export({ format: "ndjson" }));
+        expect(text).to.not.include("abc");
+        expect(await readText(decryptStream(text, { k1: KEY_1 }))).to.equal(await readText(source.export({ format: "ndjson", encrypted: false })));
+
+        const target = createJsonManager({ encryption: { keys: { k1: KEY_1 } } });
+        expect(await target.import(text, { format: "ndjson" })).to.equal(2);
+        expect(target.dump()).to.deep.equal(source.dump());
+
+        let error = null;
+        await createJsonManager({ encryption: { keys: { k2: KEY_2 } } }).import(text, { format: "ndjson" }).catch(err => {
+            error = err;
+        });
+        expect(error).to.be.instanceOf(DecryptionError);
+        source.close();
+        target.close();
+    });
+});
+
+describe("JsonManager field encryption", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager({ encryption: { keys: { k1: KEY_1 }, fields: ["users.*.token", "secrets"] } });
+        jsonManager.init({ users: { alice: { name: "Alice", token: "abc" } }, secrets: { api: ["x", 1] } });
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should keep the values under the field paths encrypted", () => {
+        const dump = jsonManager.dump();
+        expect(dump.users.alice.name).to.equal("Alice");
+        expect(dump.users.alice.token).to.match(/^enc:v1:k1:/);
+        expect(dump.secrets.api[1]).to.match(/^enc:v1:k1:/);
+        jsonManager.write("users.bob", { token: "def" });
+        jsonManager.write("secrets.db.password", "hunter2");
+        expect(jsonManager.read("users.bob.token")).to.match(/^enc:v1:/);
+        expect(jsonManager.has({ regex: /hunter2/ })).to.deep.equal([]);
+    });
+
+    it("should decrypt for callers that supply the key", () => {
+        const decrypted = { users: { alice: { name: "Alice", token: "abc" } }, secrets: { api: ["x", 1] } };
+        expect(jsonManager.dump({ keys: { k1: KEY_1 } })).to.deep.equal(decrypted);
+        expect(jsonManager.read("secrets.api[1]", { keys: { k1: KEY_1 } })).to.equal(1);
+        expect(decryptFields(jsonManager.dump(), { k1: KEY_1 })).to.deep.equal(decrypted);
+        // values under other keys stay encrypted
+        expect(jsonManager.read("users.alice.token", { keys: { k2: KEY_2 } })).to.match(/^enc:v1:k1:/);
+    });
+
+    it("should not encrypt stored values twice", () => {
+        jsonManager.push("secrets.api", "y");
+        expect(jsonManager.read("secrets.api", { keys: { k1: KEY_1 } })).to.deep.equal(["x", 1, "y"]);
+        jsonManager.transaction(tx => tx.write("users.alice", tx.read("users.alice")));
+        expect(jsonManager.read("users.alice.token", { keys: { k1: KEY_1 } })).to.equal("abc");
+    });
+
+    it("should re-encrypt fields under the new key, keeping their expiry", async () => {
+        jsonManager.expire("secrets.api", 60000);
+        const before = jsonManager.read("users.alice.token");
+        expect(await jsonManager.rotateKey("k2", KEY_2)).to.deep.equal({ fields: 3 });
+        expect(jsonManager.read("users.alice.token")).to.match(/^enc:v1:k2:/).and.not.equal(before);
+        expect(jsonManager.dump({ keys: { k2: KEY_2 } }).secrets.api).to.deep.equal(["x", 1]);
+        expect(jsonManager.ttl("secrets.api")).to.be.above(0);
+        jsonManager.write("users.carol.token", "ghi");
+        expect(jsonManager.read("users.carol.token")).to.match(/^enc:v1:k2:/);
+    });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+
+const { createJsonManager } = require('../index');
+const { MemoryLimitError, estimateEntrySize } = require('../index');
+
+describe("JsonManager memory budget", () => {
+
+    describe("estimateEntrySize()", () => {
+        it("should count the path and value of a flattened entry", () => {
+            expect(estimateEntrySize("ab", "xyz")).to.equal(32 + 4 + 6);
+            expect(estimateEntrySize("a", 1)).to.equal(32 + 2 + 8);
+            expect(estimateEntrySize("a", null)).to.equal(32 + 2);
+            expect(estimateEntrySize("a", new Date(0))).to.equal(32 + 2 + JSON.stringify({ $type: "Date", $value: new Date(0).toISOString() }).length * 2);
+            expect(estimateEntrySize("a", {})).to.equal(32 + 2);
+        });
+    });
+
+    describe("maxKeys", () => {
+        it("should evict the least recently used entry by default", () => {
+            const evicted = [];
+            const jsonManager = createJsonManager({ maxKeys: 2, onEvict: event => evicted.push(event) });
+            jsonManager.write("a", 1);
+            jsonManager.write("b", 2);
+            jsonManager.read("a");
+            jsonManager.write("c", 3);
+
+            expect(jsonManager.dump()).to.deep.equal({ a: 1, c: 3 });
+            expect(evicted).to.have.length(1);
+            expect(evicted[0]).to.include({ path: "b", value: 2, policy: "lru" });
+        });
+
+        it("should evict the least frequently used entry with the lfu policy", () => {
+            const jsonManager = createJsonManager({ maxKeys: 2, eviction: "lfu" });
+            jsonManager.write("a", 1);
+            jsonManager.write("b", 2);
+            jsonManager.read("a");
+            jsonManager.read("a");
+            jsonManager.read("b");
+            jsonManager.write("c", 3);
+
+            expect(jsonManager.dump()).to.deep.equal({ a: 1, c: 3 });
+        });
+
+        it("should evict in policy order across many entries", () => {
+            const orders = {};
+            ["lru", "lfu", "ttl"].forEach(eviction => {
+                const evicted = [];
+                const jsonManager = createJsonManager({ maxKeys: 6, eviction, onEvict: event => evicted.push(event.path) });
+                ["a", "b", "c", "d", "e", "f"].forEach((key, index) => {
+                    // b and d expire, d first
+                    jsonManager.write(key, index, key === "b" || key === "d" ? { ttl: key === "b" ? 2000 : 1000 } : {});
+                });
+                // a is read three times, c twice, e once
+                ["a", "a", "a", "c", "c", "e"].forEach(key => jsonManager.read(key));
+                jsonManager.write("x", { y: 1, z: 2, w: 3, v: 4 });
+                orders[eviction] = evicted;
+                jsonManager.close();
+            });
+            expect(orders.lru).to.deep.equal(["b", "d", "f", "a"]);
+            expect(orders.lfu).to.deep.equal(["b", "d", "f", "e"]);
+            // the expiring keys first, then the others least recently used first
+            expect(orders.ttl).to.deep.equal(["d", "b", "f", "a"]);
+        });
+
+        it("should count every flattened entry of an object value and prune emptied parents", () => {
+            const jsonManager = createJsonManager({ maxKeys: 3 });
+            jsonManager.write("user.name", "alice");
+            jsonManager.write("settings", { theme: "dark", lang: "en" });
+            jsonManager.write("extra", true);
+
+            expect(jsonManager.dump()).to.deep.equal({ settings: { theme: "dark", lang: "en" }, extra: true });
+            expect(jsonManager.hasKey("user")).to.be.false;
+        });
+
+        it("should count typed values as one entry each", () => {
+            const jsonManager = createJsonManager({ maxKeys: 5, eviction: "noeviction" });
+            jsonManager.write("buffer", Buffer.alloc(10));
+            jsonManager.write("big", Buffer.alloc(5e6));
+            jsonManager.write("lookup", new Map([["k", new Set([1, 2, 3])]]));
+            jsonManager.write("when", new Date(0));
+            jsonManager.write("list", [new Date(1)]);
+            expect(() => jsonManager.write("later", new Date(2))).to.throw(MemoryLimitError);
+            expect(jsonManager.stats().keys).to.equal(5);
+            jsonManager.close();
+        });
+
+        it("should not count replaced entries twice", () => {
+            const jsonManager = createJsonManager({ maxKeys: 2, eviction: "noeviction" });
+            jsonManager.write("a", 1);
+            jsonManager.write("b", 2);
+            jsonManager.write("a", 3);
+            jsonManager.write("b.c", 4);
+
+            expect(jsonManager.dump()).to.deep.equal({ a: 3, b: { c: 4 } });
+        });
+    });
+
+    describe("maxMemoryBytes", () => {
+        it("should evict until the estimated size fits", () => {
+            const entry = estimateEntrySize("k1", "value");
+            const jsonManager = createJsonManager({ maxMemoryBytes: entry * 2 });
+            jsonManager.write("k1", "value");
+            jsonManager.write("k2", "value");
+            jsonManager.write("k3", "value");
+
+            expect(Object.keys(jsonManager.dump())).to.deep.equal(["k2", "k3"]);
+        });
+
+        it("should size typed values from their encoding", () => {
+            const jsonManager = createJsonManager({ maxMemoryBytes: 200 });
+            const lookup = new Map([["k", "x".repeat(1e6)]]);
+            expect(() => jsonManager.write("lookup", lookup)).to.throw(MemoryLimitError);
+            expect(() => jsonManager.write("raw", Buffer.alloc(1000))).to.throw(MemoryLimitError);
+            jsonManager.write("when", new Date(0));
+            expect(jsonManager.memoryUsage("when").bytes).to.be.above(estimateEntrySize("when", null));
+            jsonManager.close();
+        });
+
+        it("should reject a write that is larger than the whole budget", () => {
+            const jsonManager = createJsonManager({ maxMemoryBytes: 64 });
+            expect(() => jsonManager.write("big", "x".repeat(100))).to.throw(MemoryLimitError);
+            expect(jsonManager.dump()).to.deep.equal({});
+        });
+    });
+
+    describe("noeviction", () => {
+        it("should reject writes with a MemoryLimitError instead of evicting", () => {
+            const jsonManager = createJsonManager({ maxKeys: 1, eviction: "noeviction" });
+            jsonManager.write("a", 1);
+
+            let error;
+            try {
+                jsonManager.write("b", 2);
+            } catch (err) {
+                error = err;
+            }
+            expect(error).to.be.instanceOf(MemoryLimitError);
+            expect(error.code).to.equal("ERR_MEMORY_LIMIT");
+            expect(error.path).to.equal("b");
+            expect(jsonManager.dump()).to.deep.equal({ a: 1 });
+        });
+    });
+
+    describe("custom policies", () => {
+        it("should evict the path returned by an eviction function", () => {
+            const jsonManager = createJsonManager({
+                maxKeys: 2,
+                eviction: candidates => candidates.find(entry => entry.path.startsWith("tmp")).path
+            });
+            jsonManager.write("tmp", 1);
+            jsonManager.write("keep", 2);
+            jsonManager.write("new", 3);
+
+            expect(jsonManager.dump()).to.deep.equal({ keep: 2, new: 3 });
+        });
+
+        it("should reject unknown policy names", () => {
+            expect(() => createJsonManager({ maxKeys: 1, eviction: "random" })).to.throw(/Unknown eviction policy/);
+        });
+    });
+});
@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+const { createJsonManager } = require('../index');
+const { FormatError } = require('../index');
+
+async function readText(stream) {
+    let text = "";
+    for await (const chunk of stream) {
+        text += chunk;
+    }
+    return text;
+}
+
+const DATA = {
+    "nest.key": { inner: "dotted" },
+    users: {
+        alice: { name: "Alice Smith", age: 30, admin: true, note: null },
+        bob: { name: "Bob", age: 20, admin: false, note: "30" }
+    },
+    tags: ["a", "b, c", "true"],
+    matrix: [[1, 2], [3]],
+    list: [{ id: 1, label: "one" }, { id: 2, label: "two" }],
+    text: { padded: "  spaced  ", lines: "first\nsecond", quote: "say \"hi\"" },
+    empty: { object: {}, array: [] }
+};
+
+describe("JsonManager import() and export()", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    ["ndjson", "csv", "yaml", "ini"].forEach(format => {
+        it(`should round-trip ${format}`, async () => {
+            jsonManager.init(DATA);
+            const text = await readText(jsonManager.export({ format }));
+
+            const target = createJsonManager();
+            const count = await target.import(text, { format });
+            expect(target.dump()).to.deep.equal(DATA);
+            expect(count).to.be.greaterThan(0);
+            target.close();
+        });
+    });
+
+    it("should round-trip .env files", async () => {
+        const data = {
+            "app.name": { title: "My app" },
+            DB: { HOST: "localhost", PORT: 5432, PASSWORD: "p#ss word", FLAG: "true" },
+            SERVERS: ["one", "two"]
+        };
+        jsonManager.init(data);
+        const text = await readText(jsonManager.export({ format: "env" }));
+        expect(text).to.include("DB__HOST=localhost\n");
+        expect(text).to.include("SERVERS__0=one\n");
+        expect(text).to.include("app.name__title=\"My app\"\n");
+
+        const target = createJsonManager();
+        await target.import(text, { format: "env" });
+        expect(target.dump()).to.deep.equal(data);
+        target.close();
+    });
+
+    it("should read hand-written .env files", async () => {
+        await jsonManager.import([
+            "# settings",
+            "export API__URL=https://example.com # the endpoint",
+            "API__TOKEN='literal $value'",
+            "API__RETRIES = 3",
+            ""
+        ].join("\n"), { format: "env" });
+        expect(jsonManager.read("API")).to.deep.equal({ URL: "https://example.com", TOKEN: "literal $value", RETRIES: 3 });
+    });
+
+    it("should refuse paths a .env file cannot hold", () => {
+        jsonManager.write("has space", 1);
+        return readText(jsonManager.export({ format: "env" })).then(() => {
+            throw new Error("expected a FormatError");
+        }, err => {
+            expect(err).to.be.instanceOf(FormatError);
+            expect(err.path).to.equal("has space");
+        });
+    });
+
+    it("should read hand-written YAML", async () => {
+        await jsonManager.import([
+            "# config",
+            "server:",
+            "  host: example.com   # comment",
+            "  ports:",
+            "  - 80",
+            "  - 443",
+            "  'quoted key': 'it''s'",
+            "users:",
+            "  - name: alice",
+            "    roles: [\"admin\"]",
+            "  - name: bob",
+            "    roles: []",
+            "missing:",
+            "enabled: yes"
+        ].join("\n"), { format: "yaml" });
+        expect(jsonManager.dump()).to.deep.equal({
+            server: { host: "example.com", ports: [80, 443], "quoted key": "it's" },
+            users: [{ name: "alice", roles: ["admin"] }, { name: "bob", roles: [] }],
+            missing: null,
+            enabled: "yes"
+        });
+    });
+
+    it("should read hand-written INI", async () => {
+        await jsonManager.import([
+            "; top level",
+            "name = demo",
+            "",
+            "[database]",
+            "host = localhost",
+            "port = 5432",
+            "",
+            "[database.replicas]",
+            "[0] = replica-1",
+            "[1] = [\"nested\"]"
+        ].join("\n"), { format: "ini" });
+        expect(jsonManager.dump()).to.deep.equal({
+            name: "demo",
+            database: { host: "localhost", port: 5432, replicas: ["replica-1", ["nested"]] }
+        });
+    });
+
+    it("should stream files and export a prefix", async () => {
+        jsonManager.init(DATA);
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsondb-formats-"));
+        const file = path.join(dir, "users.ndjson");
+        try {
+            await new Promise((resolve, reject) => {
+                jsonManager.export({ format: "ndjson", prefix: "users.alice" })
+                    .pipe(fs.createWriteStream(file))
+                    .on("finish", resolve)
+                    .on("error", reject);
+            });
+            expect(fs.readFileSync(file, "utf8").split("\n")[0]).to.equal('{"path":"users.alice.name","value":"Alice Smith"}');
+
+            const target = createJsonManager();
+            expect(await target.import(fs.createReadStream(file), { format: "ndjson" })).to.equal(4);
+            expect(target.dump()).to.deep.equal({ users: { alice: DATA.users.alice } });
+            target.close();
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("should read sources split across chunks", async () => {
+        const source = Readable.from(["path,value\nusers.al", "ice.name,\"multi\nline\"\n", "count,3\n"], { objectMode: false });
+        await jsonManager.import(source, { format: "csv" });
+        expect(jsonManager.dump()).to.deep.equal({ users: { alice: { name: "multi\nline" } }, count: 3 });
+    });
+
+    it("should not show writes made after the export started", async () => {
+        jsonManager.write("a", 1);
+        const stream = jsonManager.export({ format: "ndjson" });
+        jsonManager.write("b", 2);
+        expect(await readText(stream)).to.equal('{"path":"a","value":1}\n');
+    });
+
+    it("should report the line of invalid input", async () => {
+        jsonManager.write("kept", true);
+        let error;
+        try {
+            await jsonManager.import('{"path":"a","value":1}\nnot json\n{"path":"b","value":2}\n', { format: "ndjson" });
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.instanceOf(FormatError);
+        expect(error.code).to.equal("ERR_INVALID_FORMAT");
+        expect(error.line).to.equal(2);
+        expect(jsonManager.dump()).to.deep.equal({ kept: true, a: 1 });
+    });
+
+    it("should reject unknown formats", async () => {
+        expect(() => jsonManager.export({ format: "xml" })).to.throw("Unknown format: xml");
+        let error;
+        try {
+            await jsonManager.import("", { format: "xml" });
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.include("Unknown format: xml");
+    });
+});
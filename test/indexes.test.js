@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+
+const { createJsonManager } = require('../index');
+const { UniqueConstraintError, createCodec } = require('../index');
+
+describe("JsonManager indexes", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+        jsonManager.write("users.alice", { email: "alice@example.com", city: "Oslo" });
+        jsonManager.write("users.bob", { email: "bob@example.com", city: "Rome" });
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should index existing values and list the index", () => {
+        expect(jsonManager.createIndex("byCity", { pathPattern: "users.*.city" })).to.deep.equal({
+            name: "byCity", pathPattern: "users.*.city", unique: false, size: 2
+        });
+        expect(jsonManager.listIndexes().map(index => index.name)).to.deep.equal(["byCity"]);
+        expect(() => jsonManager.createIndex("byCity", { pathPattern: "users.*.city" })).to.throw(/already exists/);
+    });
+
+    it("should answer matching queries from the index", () => {
+        jsonManager.createIndex("byCity", { pathPattern: "users.*.city" });
+        const query = { where: { path: "users.*.city", eq: "Rome" } };
+        expect(jsonManager.explain(query)).to.deep.equal({ index: "byCity", candidates: 1 });
+        expect(jsonManager.has(query)).to.deep.equal([{ path: "users.bob.city", value: "Rome" }]);
+
+        const fromQuery = { from: "users.*", where: { path: "city", in: ["Oslo", "Rome"] }, not: { path: "email", matches: "^bob" } };
+        expect(jsonManager.explain(fromQuery).index).to.equal("byCity");
+        expect(jsonManager.has(fromQuery).map(result => result.path)).to.deep.equal(["users.alice"]);
+    });
+
+    it("should only copy the values a query returns", () => {
+        // reading a Blob out of the store copies it, which counts
+        let copies = 0;
+        class Blob {}
+        const decode = () => {
+            copies++;
+            return new Blob();
+        };
+        const codec = createCodec({ types: [{ name: "Blob", test: value => value instanceof Blob, encode: () => null, decode }] });
+        const indexed = createJsonManager({ codec });
+        indexed.write("users.alice", { city: "Oslo" });
+        indexed.write("files.big", new Blob());
+        indexed.createIndex("byCity", { pathPattern: "users.*.city" });
+
+        copies = 0;
+        expect(indexed.has({ where: { path: "users.*.city", eq: "Oslo" } })).to.deep.equal([{ path: "users.alice.city", value: "Oslo" }]);
+        expect(copies).to.equal(0);
+        indexed.has({ where: { path: "users.*.city", gt: "A" } });
+        indexed.snapshot().has({ where: { path: "files.*.size", exists: true } });
+        expect(copies).to.equal(0);
+        expect(indexed.has({ where: { path: "files.big", exists: true } })[0].value).to.be.instanceOf(Blob);
+        expect(copies).to.equal(1);
+        indexed.close();
+    });
+
+    it("should fall back to a scan for other queries", () => {
+        jsonManager.createIndex("byCity", { pathPattern: "users.*.city" });
+        expect(jsonManager.explain({ where: { path: "users.*.email", eq: "bob@example.com" } })).to.deep.equal({ index: null, candidates: null });
+        expect(jsonManager.explain({ where: { path: "users.*.city", gt: "A" } }).index).to.be.null;
+    });
+
+    it("should stay current on writes, deletes, moves and init()", () => {
+        jsonManager.createIndex("byCity", { pathPattern: "users.*.city" });
+        const inRome = () => jsonManager.has({ where: { path: "users.*.city", eq: "Rome" } }).map(result => result.path);
+
+        jsonManager.write("users.alice.city", "Rome");
+        expect(inRome()).to.deep.equal(["users.bob.city", "users.alice.city"]);
+        jsonManager.deleteTree("users.bob");
+        expect(inRome()).to.deep.equal(["users.alice.city"]);
+        jsonManager.move("users.alice", "users.carol");
+        expect(inRome()).to.deep.equal(["users.carol.city"]);
+        jsonManager.write("users", "gone");
+        expect(inRome()).to.deep.equal([]);
+        jsonManager.write("users.dave.city", "Rome");
+        expect(inRome()).to.deep.equal(["users.dave.city"]);
+        jsonManager.init({});
+        expect(jsonManager.listIndexes()[0].size).to.equal(0);
+    });
+
+    it("should follow array items as they shift", () => {
+        jsonManager.write("list", [{ id: 1 }, { id: 2 }, { id: 3 }]);
+        jsonManager.createIndex("byId", { pathPattern: "list[*].id" });
+        jsonManager.deleteTree("list[0]");
+        expect(jsonManager.has({ where: { path: "list[*].id", eq: 3 } })).to.deep.equal([{ path: "list[1].id", value: 3 }]);
+    });
+
+    it("should reject duplicate values in a unique index", () => {
+        jsonManager.createIndex("byEmail", { pathPattern: "users.*.email", unique: true });
+        expect(() => jsonManager.write("users.carol.email", "bob@example.com")).to.throw(UniqueConstraintError)
+            .with.property("conflictingPath", "users.bob.email");
+        expect(jsonManager.hasKey("users.carol")).to.be.false;
+
+        // replacing the holder of a value is fine
+        jsonManager.write("users.bob", { email: "bob@example.com", city: "Milan" });
+        expect(() => jsonManager.transaction(tx => {
+            tx.write("users.x.email", "x@example.com");
+            tx.write("users.y.email", "x@example.com");
+        })).to.throw(UniqueConstraintError);
+        expect(jsonManager.hasKey("users.x")).to.be.false;
+        jsonManager.transaction(tx => {
+            tx.write("users.alice.email", "bob@example.com");
+            tx.write("users.bob.email", "alice@example.com");
+        });
+        expect(jsonManager.read("users.bob.email")).to.equal("alice@example.com");
+    });
+
+    it("should refuse to create a unique index over duplicates", () => {
+        jsonManager.write("users.carol.city", "Rome");
+        expect(() => jsonManager.createIndex("byCity", { pathPattern: "users.*.city", unique: true })).to.throw(UniqueConstraintError);
+        expect(jsonManager.listIndexes()).to.deep.equal([]);
+    });
+
+    it("should drop an index", () => {
+        jsonManager.createIndex("byCity", { pathPattern: "users.*.city" });
+        expect(jsonManager.dropIndex("byCity")).to.be.true;
+        expect(jsonManager.dropIndex("byCity")).to.be.false;
+        expect(jsonManager.explain({ where: { path: "users.*.city", eq: "Rome" } }).index).to.be.null;
+    });
+});
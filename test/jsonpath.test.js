@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+
+const { createJsonManager } = require('../index');
+const { convertPath } = require('../index');
+const { parseJsonPath, evaluateJsonPath } = require('../src/jsonpath');
+
+const STORE = {
+    store: {
+        book: [
+            { category: "reference", author: "Nigel Rees", title: "Sayings of the Century", price: 8.95 },
+            { category: "fiction", author: "Evelyn Waugh", title: "Sword of Honour", price: 12.99 },
+            { category: "fiction", author: "Herman Melville", title: "Moby Dick", isbn: "0-553-21311-3", price: 8.99 },
+            { category: "fiction", author: "J. R. R. Tolkien", title: "The Lord of the Rings", isbn: "0-395-19395-8", price: 22.99 }
+        ],
+        bicycle: { color: "red", price: 19.95 }
+    }
+};
+
+function query(expression) {
+    return evaluateJsonPath(STORE, parseJsonPath(expression)).map(match => match.value);
+}
+
+describe("JSONPath", () => {
+    it("should select members, items, wildcards and descendants", () => {
+        expect(query("$.store.book[*].author")).to.deep.equal(["Nigel Rees", "Evelyn Waugh", "Herman Melville", "J. R. R. Tolkien"]);
+        expect(query("$..author")).to.have.length(4);
+        expect(query("$.store.*")).to.have.length(2);
+        expect(query("$..price")).to.deep.equal([8.95, 12.99, 8.99, 22.99, 19.95]);
+        expect(query("$..book[2].title")).to.deep.equal(["Moby Dick"]);
+        expect(query("$..book[-1].title")).to.deep.equal(["The Lord of the Rings"]);
+        expect(query("$['store']['bicycle']['color']")).to.deep.equal(["red"]);
+    });
+
+    it("should select unions and slices", () => {
+        expect(query("$..book[0,1].title")).to.deep.equal(["Sayings of the Century", "Sword of Honour"]);
+        expect(query("$..book[:2].price")).to.deep.equal([8.95, 12.99]);
+        expect(query("$..book[1:4:2].price")).to.deep.equal([12.99, 22.99]);
+        expect(query("$..book[::-1].price")).to.deep.equal([22.99, 8.99, 12.99, 8.95]);
+        expect(query("$.store.bicycle['color','price']")).to.deep.equal(["red", 19.95]);
+    });
+
+    it("should filter with comparisons, existence, regexes and logic", () => {
+        expect(query("$..book[?(@.isbn)].title")).to.deep.equal(["Moby Dick", "The Lord of the Rings"]);
+        expect(query("$..book[?(@.price < 10)].title")).to.deep.equal(["Sayings of the Century", "Moby Dick"]);
+        expect(query("$..book[?(@.category == 'fiction' && @.price > 20)].title")).to.deep.equal(["The Lord of the Rings"]);
+        expect(query("$..book[?(!@.isbn || @.author =~ /^h/i)].title")).to.deep.equal(["Sayings of the Century", "Sword of Honour", "Moby Dick"]);
+        expect(query("$..book[?(@.price > $.store.bicycle.price)].title")).to.deep.equal(["The Lord of the Rings"]);
+    });
+
+    it("should report the matched keys", () => {
+        const matches = evaluateJsonPath(STORE, parseJsonPath("$.store.book[?(@.price > 20)]"));
+        expect(matches.map(match => match.keys)).to.deep.equal([["store", "book", 3]]);
+    });
+
+    it("should reject invalid expressions", () => {
+        ["store.book", "$.store[", "$[?(@.a ==)]", "$['open", "$.a b", "$[?(@..a)]"].forEach(expression => {
+            expect(() => parseJsonPath(expression), expression).to.throw(/JSONPath/);
+        });
+    });
+});
+
+describe("convertPath()", () => {
+    it("should convert between dot paths, JSON Pointers and JSONPath", () => {
+        expect(convertPath("a\\.b.c[0].d", "pointer")).to.equal("/a.b/c/0/d");
+        expect(convertPath("a\\.b.c[0].d", "jsonpath")).to.equal("$['a.b'].c[0].d");
+        expect(convertPath("/a~1b/m~0n/2", "dot")).to.equal("a/b.m~n[2]");
+        expect(convertPath("/a~1b/m~0n/2", "jsonpath")).to.equal("$['a/b']['m~n'][2]");
+        expect(convertPath("$['a.b'].list[1]", "dot")).to.equal("a\\.b.list[1]");
+        expect(convertPath("$['it\\'s']", "pointer")).to.equal("/it's");
+        expect(convertPath("", "pointer")).to.equal("/");
+        expect(convertPath("/", "dot")).to.equal("");
+    });
+
+    it("should refuse what the target syntax cannot hold", () => {
+        expect(() => convertPath("/ends\\/x", "dot")).to.throw("cannot be written as a dot path");
+        expect(() => convertPath("$..name", "dot")).to.throw("can match several values");
+        expect(() => convertPath("a.b", "xml")).to.throw("Unknown path syntax");
+    });
+});
+
+describe("JsonManager paths in other syntaxes", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager({ pathSyntax: "auto" });
+        jsonManager.init({ users: [{ name: "alice", email: "a@x.io" }, { name: "bob" }], "a.b": { "c/d": 1 } });
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should read and write through JSON Pointers", () => {
+        expect(jsonManager.read("/users/0/name")).to.equal("alice");
+        expect(jsonManager.read("/a.b/c~1d")).to.equal(1);
+        jsonManager.write("/users/1/email", "b@x.io");
+        jsonManager.write("/users/-", { name: "carol" });
+        expect(jsonManager.read("users[1].email")).to.equal("b@x.io");
+        expect(jsonManager.read("users[2].name")).to.equal("carol");
+        expect(jsonManager.hasKey("/missing")).to.be.false;
+    });
+
+    it("should store keys that end in a backslash", () => {
+        jsonManager.write("/dir\\", "value");
+        expect(jsonManager.read("/dir\\")).to.equal("value");
+        expect(jsonManager.dump()["dir\\"]).to.equal("value");
+    });
+
+    it("should read and delete through definite JSONPath", () => {
+        expect(jsonManager.read("$.users[1].name")).to.equal("bob");
+        expect(jsonManager.search("$['a.b']['c/d']")).to.equal(1);
+        jsonManager.deleteTree("$.users[0]");
+        expect(jsonManager.read("users[0].name")).to.equal("bob");
+        expect(() => jsonManager.read("$..name")).to.throw("can match several values");
+    });
+
+    it("should report changes under the dot path of a pointer write", () => {
+        const events = [];
+        jsonManager.watch("users", event => events.push(event.path), { batch: false });
+        jsonManager.write("/users/0/name", "alicia");
+        expect(events).to.deep.equal(["users[0].name"]);
+    });
+
+    it("should query with JSONPath in has()", () => {
+        expect(jsonManager.has("$.users[?(@.email)].name")).to.deep.equal([{ path: "users[0].name", value: "alice" }]);
+        expect(jsonManager.has({ jsonpath: "$..name", sort: { path: "value", order: "desc" } }).map(result => result.value)).to.deep.equal(["bob", "alice"]);
+        expect(jsonManager.snapshot().has("$..email")).to.deep.equal([{ path: "users[0].email", value: "a@x.io" }]);
+        expect(jsonManager.has({ path: "/users/1/name" })).to.deep.equal([{ path: "/users/1/name", value: "bob" }]);
+    });
+});
+
+describe("JsonManager default path syntax", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should read keys starting with \"/\" or \"$\" as dot paths", () => {
+        jsonManager.write("/etc.hosts", 1);
+        jsonManager.write("$.x", 2);
+        expect(jsonManager.dump()).to.deep.equal({ "/etc": { hosts: 1 }, $: { x: 2 } });
+        expect(jsonManager.read("/etc")).to.deep.equal({ hosts: 1 });
+        expect(jsonManager.read("$.x")).to.equal(2);
+        expect(jsonManager.has({ path: "/etc.hosts" })).to.deep.equal([{ path: "/etc.hosts", value: 1 }]);
+    });
+
+    it("should refuse unknown path syntaxes", () => {
+        expect(() => createJsonManager({ pathSyntax: "pointer" })).to.throw("Unknown pathSyntax");
+    });
+});
@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const { Readable } = require("stream");
+
+const { createJsonManager } = require('../index');
+const { flattenStream, unflattenStream, flattenJsonWithEscaping, unflattenJson, FormatError } = require('../index');
+
+async function collect(stream) {
+    const items = [];
+    for await (const item of stream) {
+        items.push(item);
+    }
+    return items;
+}
+
+async function failure(stream) {
+    try {
+        await collect(stream);
+    } catch (err) {
+        return err;
+    }
+    return null;
+}
+
+const doc = {
+    "nest.secondnest": { third: [1, { deep: null }, [], "x"] },
+    "tags[0]": "escaped",
+    text: "quote \" backslash \\ unicode é 😀",
+    numbers: [-1.5e3, 0, 12],
+    flags: { yes: true, no: false },
+    empty: {}
+};
+
+describe("flattenStream()", () => {
+    it("should list the entries flattenJsonWithEscaping() gives, in order", async () => {
+        const entries = await collect(flattenStream(JSON.stringify(doc, null, 2)));
+        expect(entries.map(({ path, value }) => [path, value])).to.deep.equal(Object.entries(flattenJsonWithEscaping(doc)));
+    });
+
+    it("should parse across chunk boundaries anywhere, multi-byte characters included", async () => {
+        const bytes = Buffer.from(JSON.stringify(doc));
+        const chunks = [];
+        for (let index = 0; index < bytes.length; index += 3) {
+            chunks.push(bytes.subarray(index, index + 3));
+        }
+        const entries = await collect(flattenStream(Readable.from(chunks)));
+        expect(unflattenJson(Object.fromEntries(entries.map(({ path, value }) => [path, value])))).to.deep.equal(doc);
+    });
+
+    it("should read top-level arrays and skip a byte order mark", async () => {
+        expect(await collect(flattenStream("\uFEFF[1, [2], {}]"))).to.deep.equal([
+            { path: "[0]", value: 1 },
+            { path: "[1][0]", value: 2 },
+            { path: "[2]", value: {} }
+        ]);
+        expect(await collect(flattenStream("{}"))).to.deep.equal([]);
+    });
+
+    it("should emit entries before the document has been read to the end", async () => {
+        const source = new Readable({ read() {} });
+        const stream = flattenStream(source);
+        source.push('{"a": 1, "b": [');
+        const iterator = stream[Symbol.asyncIterator]();
+        expect((await iterator.next()).value).to.deep.equal({ path: "a", value: 1 });
+        source.push("2]}");
+        source.push(null);
+        expect((await iterator.next()).value).to.deep.equal({ path: "b[0]", value: 2 });
+        expect((await iterator.next()).done).to.be.true;
+    });
+
+    it("should fail with a FormatError on invalid JSON", async () => {
+        const err = await failure(flattenStream('{\n"a": tru }'));
+        expect(err).to.be.instanceOf(FormatError);
+        expect(err).to.include({ format: "json", line: 2 });
+        expect(await failure(flattenStream('{"a": 1,}'))).to.match(/expected a key/);
+        expect(await failure(flattenStream('{"a": 1'))).to.match(/unexpected end/);
+        expect(await failure(flattenStream('{"a": 1} x'))).to.match(/after the end/);
+        expect(await failure(flattenStream('"text"'))).to.match(/must be an object or an array/);
+    });
+});
+
+describe("unflattenStream()", () => {
+    it("should write the document back from its entries", async () => {
+        const text = (await collect(unflattenStream(Object.entries(flattenJsonWithEscaping(doc))))).join("");
+        expect(JSON.parse(text)).to.deep.equal(doc);
+        expect(text).to.equal(JSON.stringify(doc));
+    });
+
+    it("should round-trip flattenStream() output, top-level arrays included", async () => {
+        const text = "[1,[2,{\"a\":[]}],{}]";
+        expect((await collect(unflattenStream(flattenStream(text)))).join("")).to.equal(text);
+    });
+
+    it("should write skipped array items as null and no entries as {}", async () => {
+        expect((await collect(unflattenStream([["list[2]", "c"]]))).join("")).to.equal('{"list":[null,null,"c"]}');
+        expect((await collect(unflattenStream([]))).join("")).to.equal("{}");
+    });
+
+    it("should fail with a FormatError on entries it cannot write in order", async () => {
+        const split = await failure(unflattenStream([{ path: "a.b", value: 1 }, { path: "c", value: 2 }, { path: "a.d", value: 3 }]));
+        expect(split).to.be.instanceOf(FormatError).with.property("path", "a.d");
+        expect(await failure(unflattenStream([["a", 1], ["a.b", 2]]))).to.match(/already written/);
+        expect(await failure(unflattenStream([["a[1]", 1], ["a[0]", 2]]))).to.match(/comes after/);
+        expect(await failure(unflattenStream([["a[0]", 1], ["a.b", 2]]))).to.match(/array cannot hold a named key/);
+    });
+});
+
+describe("JsonManager entries(), keys() and values()", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+        jsonManager.init({ users: { alice: { age: 30, tags: ["a"] }, bob: {} }, count: 2 });
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should iterate over the flattened entries under a prefix", () => {
+        expect([...jsonManager.entries()]).to.deep.equal(Object.entries(flattenJsonWithEscaping(jsonManager.dump())));
+        expect([...jsonManager.keys("users")]).to.deep.equal(["users.alice.age", "users.alice.tags[0]", "users.bob"]);
+        expect([...jsonManager.values("users.alice")]).to.deep.equal([30, "a"]);
+        expect([...jsonManager.entries("count")]).to.deep.equal([["count", 2]]);
+        expect([...jsonManager.keys("missing")]).to.deep.equal([]);
+    });
+
+    it("should read lazily from the store as it was when called", () => {
+        const iterator = jsonManager.keys("users");
+        expect(iterator.next().value).to.equal("users.alice.age");
+        jsonManager.write("users.carol", 1);
+        jsonManager.deleteTree("users.bob");
+        expect([...iterator]).to.deep.equal(["users.alice.tags[0]", "users.bob"]);
+        expect([...jsonManager.keys("users")]).to.deep.equal(["users.alice.age", "users.alice.tags[0]", "users.carol"]);
+    });
+});
@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+
+const { createJsonManager } = require('../index');
+const { PatchError, diff } = require('../index');
+
+describe("JsonManager applyPatch()", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+        jsonManager.init({
+            users: { alice: { age: 30, tags: ["a", "b"] } },
+            "a/b": { "m~n": 1 }
+        });
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should apply add, remove, replace, move, copy and test", () => {
+        jsonManager.applyPatch([
+            { op: "test", path: "/users/alice/age", value: 30 },
+            { op: "replace", path: "/users/alice/age", value: 31 },
+            { op: "add", path: "/users/alice/tags/1", value: "x" },
+            { op: "add", path: "/users/alice/tags/-", value: "z" },
+            { op: "remove", path: "/users/alice/tags/0" },
+            { op: "add", path: "/users/bob", value: { age: 20 } },
+            { op: "copy", from: "/users/bob/age", path: "/users/carol" },
+            { op: "move", from: "/a~1b/m~0n", path: "/moved" }
+        ]);
+        expect(jsonManager.dump()).to.deep.equal({
+            users: { alice: { age: 31, tags: ["x", "b", "z"] }, bob: { age: 20 }, carol: 20 },
+            "a/b": {},
+            moved: 1
+        });
+    });
+
+    it("should roll back the whole patch when a test fails", () => {
+        const before = jsonManager.dump();
+        const version = jsonManager.readWithMeta("users").version;
+        let error;
+        try {
+            jsonManager.applyPatch([
+                { op: "replace", path: "/users/alice/age", value: 99 },
+                { op: "test", path: "/users/alice/age", value: 30 }
+            ]);
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.instanceOf(PatchError);
+        expect(error.code).to.equal("ERR_PATCH_FAILED");
+        expect(error.index).to.equal(1);
+        expect(jsonManager.dump()).to.deep.equal(before);
+        expect(jsonManager.readWithMeta("users").version).to.equal(version);
+    });
+
+    it("should compare objects in tests regardless of key order", () => {
+        jsonManager.write("point", { x: 1, y: 2 });
+        expect(() => jsonManager.applyPatch([{ op: "test", path: "/point", value: { y: 2, x: 1 } }])).to.not.throw();
+    });
+
+    it("should keep containers emptied by a remove", () => {
+        jsonManager.write("list", [1]);
+        jsonManager.applyPatch([
+            { op: "remove", path: "/list/0" },
+            { op: "remove", path: "/a~1b/m~0n" }
+        ]);
+        expect(jsonManager.read("list")).to.deep.equal([]);
+        expect(jsonManager.read("a/b")).to.deep.equal({});
+    });
+
+    it("should reject invalid operations", () => {
+        const cases = [
+            [{ op: "remove", path: "/missing" }, /does not exist/],
+            [{ op: "add", path: "/missing/child", value: 1 }, /is not an object or array/],
+            [{ op: "add", path: "/users/alice/tags/5", value: 1 }, /past the end/],
+            [{ op: "replace", path: "/users/alice/tags/x", value: 1 }, /not an index/],
+            [{ op: "move", from: "/users", path: "/users/alice/copy" }, /its own children/],
+            [{ op: "add", path: "no-slash", value: 1 }, /must start with/],
+            [{ op: "add", path: "/x" }, /needs a value/],
+            [{ op: "frobnicate", path: "/x" }, /unknown operation/]
+        ];
+        cases.forEach(([op, message]) => {
+            expect(() => jsonManager.applyPatch([op])).to.throw(PatchError, message);
+        });
+        expect(() => jsonManager.applyPatch({ op: "add" })).to.throw(PatchError);
+    });
+
+    it("should replace the root with an object", () => {
+        jsonManager.applyPatch([{ op: "replace", path: "", value: { fresh: true } }]);
+        expect(jsonManager.dump()).to.deep.equal({ fresh: true });
+    });
+
+    it("should commit a patch as one version", () => {
+        const before = jsonManager.readWithMeta("users").version;
+        jsonManager.applyPatch([
+            { op: "replace", path: "/users/alice/age", value: 31 },
+            { op: "add", path: "/users/bob", value: {} }
+        ]);
+        expect(jsonManager.readWithMeta("users.alice").version).to.equal(before + 1);
+        expect(jsonManager.readWithMeta("users.bob").version).to.equal(before + 1);
+    });
+});
+
+describe("JsonManager merge()", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+        jsonManager.init({
+            title: "Goodbye!",
+            author: { givenName: "John", familyName: "Doe" },
+            tags: ["example", "sample"],
+            content: "This will be unchanged"
+        });
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should apply the example of RFC 7396", () => {
+        jsonManager.merge({
+            title: "Hello!",
+            phoneNumber: "+01-123-456-7890",
+            author: { familyName: null },
+            tags: ["example"]
+        });
+        expect(jsonManager.dump()).to.deep.equal({
+            title: "Hello!",
+            author: { givenName: "John" },
+            tags: ["example"],
+            content: "This will be unchanged",
+            phoneNumber: "+01-123-456-7890"
+        });
+    });
+
+    it("should drop nulls from values it does not merge into", () => {
+        jsonManager.merge({ title: { main: "x", sub: null }, missing: null });
+        expect(jsonManager.read("title")).to.deep.equal({ main: "x" });
+        expect(jsonManager.hasKey("missing")).to.be.false;
+    });
+
+    it("should keep an object whose members are all deleted", () => {
+        jsonManager.merge({ author: { givenName: null, familyName: null } });
+        expect(jsonManager.read("author")).to.deep.equal({});
+    });
+
+    it("should only take objects", () => {
+        expect(() => jsonManager.merge(["x"])).to.throw(PatchError);
+    });
+});
+
+describe("diff()", () => {
+    const a = { name: "x", "dot.key": 1, list: [1, 2, 3], nested: { keep: true, drop: 1 } };
+    const b = { name: "y", "dot.key": 1, list: [1, 5], nested: { keep: true }, added: { deep: [] } };
+
+    it("should produce a JSON Patch that turns a into b", () => {
+        const ops = diff(a, b);
+        expect(ops).to.deep.equal([
+            { op: "replace", path: "/name", value: "y" },
+            { op: "replace", path: "/list/1", value: 5 },
+            { op: "remove", path: "/list/2" },
+            { op: "remove", path: "/nested/drop" },
+            { op: "add", path: "/added", value: { deep: [] } }
+        ]);
+
+        const jsonManager = createJsonManager();
+        jsonManager.init(a);
+        jsonManager.applyPatch(ops);
+        expect(jsonManager.dump()).to.deep.equal(b);
+        jsonManager.close();
+    });
+
+    it("should produce flattened change sets with escaped paths", () => {
+        const changes = diff({ "a.b": { c: 1 }, list: [1, 2, 3] }, { "a.b": { c: 2 }, list: [1] }, { format: "flat" });
+        expect(changes).to.deep.equal({ set: { "a\\.b.c": 2 }, remove: ["list[2]", "list[1]"] });
+
+        const jsonManager = createJsonManager();
+        jsonManager.init({ "a.b": { c: 1 }, list: [1, 2, 3] });
+        changes.remove.forEach(path => jsonManager.delete(path));
+        Object.keys(changes.set).forEach(path => jsonManager.write(path, changes.set[path]));
+        expect(jsonManager.dump()).to.deep.equal({ "a.b": { c: 2 }, list: [1] });
+        jsonManager.close();
+    });
+
+    it("should return no changes for equal values", () => {
+        expect(diff({ x: [1, { y: 2 }] }, { x: [1, { y: 2 }] })).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+
+const { createJsonManager } = require('../index');
+const { PathConflictError } = require('../index');
+
+describe("JsonManager path operations", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+        jsonManager.write("users.alice.name", "Alice");
+        jsonManager.write("users.alice.age", 30);
+        jsonManager.write("users.bob.name", "Bob");
+        jsonManager.write("config.a\\.b", 1);
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    describe("delete()", () => {
+        it("should delete a value and prune empty parents", () => {
+            expect(jsonManager.delete("users.bob.name")).to.be.true;
+            expect(jsonManager.hasKey("users.bob")).to.be.false;
+            expect(jsonManager.read("users.alice.name")).to.equal("Alice");
+        });
+
+        it("should honor escaped dots", () => {
+            expect(jsonManager.delete("config.a\\.b")).to.be.true;
+            expect(jsonManager.dump()).to.not.have.property("config");
+        });
+
+        it("should return false for missing paths", () => {
+            expect(jsonManager.delete("users.carol")).to.be.false;
+        });
+
+        it("should refuse to delete a subtree", () => {
+            expect(() => jsonManager.delete("users.alice")).to.throw(/use deleteTree/);
+        });
+    });
+
+    describe("deleteTree()", () => {
+        it("should delete a subtree and report how many entries went", () => {
+            expect(jsonManager.deleteTree("users.alice")).to.equal(2);
+            expect(jsonManager.read("users")).to.deep.equal({ bob: { name: "Bob" } });
+            expect(jsonManager.deleteTree("users.alice")).to.equal(0);
+        });
+    });
+
+    describe("move()", () => {
+        it("should move a subtree and prune the old parents", () => {
+            expect(jsonManager.move("users.bob", "archive.bob")).to.be.true;
+            expect(jsonManager.read("archive.bob.name")).to.equal("Bob");
+            expect(jsonManager.hasKey("users.bob")).to.be.false;
+        });
+
+        it("should overwrite an existing target by default", () => {
+            jsonManager.move("users.bob", "users.alice");
+            expect(jsonManager.read("users")).to.deep.equal({ alice: { name: "Bob" } });
+        });
+
+        it("should merge into an existing target", () => {
+            jsonManager.move("users.bob", "users.alice", { onConflict: "merge" });
+            expect(jsonManager.read("users")).to.deep.equal({ alice: { name: "Bob", age: 30 } });
+        });
+
+        it("should replace arrays and typed values whole when merging", () => {
+            jsonManager.write("a", { list: [1, 2], when: new Date(0), nested: { x: 1 } });
+            jsonManager.write("b", { list: [3, 4, 5], when: "later", nested: { y: 2 }, kept: true });
+            jsonManager.copy("a", "b", { onConflict: "merge" });
+            expect(jsonManager.read("b")).to.deep.equal({ list: [1, 2], when: new Date(0), nested: { x: 1, y: 2 }, kept: true });
+            expect(jsonManager.read("b.when")).to.be.instanceOf(Date);
+        });
+
+        it("should fail on an existing target with a PathConflictError", () => {
+            expect(() => jsonManager.move("users.bob", "users.alice", { onConflict: "fail" })).to.throw(PathConflictError);
+            expect(jsonManager.read("users.bob.name")).to.equal("Bob");
+        });
+
+        it("should move a path up onto its own ancestor", () => {
+            jsonManager.move("users.alice.name", "users");
+            expect(jsonManager.read("users")).to.equal("Alice");
+        });
+
+        it("should refuse to move a path into its own subtree", () => {
+            expect(() => jsonManager.move("users", "users.nested")).to.throw(/own subtree/);
+        });
+
+        it("should carry expiries along", () => {
+            const clock = sinon.useFakeTimers();
+            try {
+                jsonManager.expire("users.bob", 100);
+                jsonManager.move("users.bob", "archive.bob");
+                expect(jsonManager.ttl("archive.bob.name")).to.equal(100);
+                clock.tick(100);
+                expect(jsonManager.hasKey("archive")).to.be.false;
+            } finally {
+                clock.restore();
+            }
+        });
+
+        it("should report a single committed change to watchers", () => {
+            const events = [];
+            jsonManager.watch("users", () => events.push(jsonManager.dump().users));
+            jsonManager.move("users.bob", "users.robert");
+            expect(events).to.have.length(2);
+            expect(events[0]).to.deep.equal(events[1]);
+            expect(events[0]).to.have.property("robert");
+        });
+    });
+
+    describe("copy()", () => {
+        it("should copy a subtree and keep the source", () => {
+            jsonManager.copy("users.alice", "users.carol");
+            jsonManager.write("users.carol.name", "Carol");
+            expect(jsonManager.read("users.alice.name")).to.equal("Alice");
+            expect(jsonManager.read("users.carol")).to.deep.equal({ name: "Carol", age: 30 });
+        });
+
+        it("should copy into its own subtree", () => {
+            jsonManager.copy("users.bob", "users.bob.backup");
+            expect(jsonManager.read("users.bob")).to.deep.equal({ name: "Bob", backup: { name: "Bob" } });
+        });
+
+        it("should return false when the source is missing", () => {
+            expect(jsonManager.copy("missing", "target")).to.be.false;
+            expect(jsonManager.hasKey("target")).to.be.false;
+        });
+    });
+
+    describe("rename()", () => {
+        it("should rename the last key in place", () => {
+            jsonManager.rename("users.bob", "robert");
+            expect(jsonManager.read("users.robert.name")).to.equal("Bob");
+            expect(jsonManager.hasKey("users.bob")).to.be.false;
+        });
+
+        it("should accept escaped dots in the new key", () => {
+            jsonManager.rename("config.a\\.b", "c\\.d");
+            expect(jsonManager.read("config.c\\.d")).to.equal(1);
+        });
+
+        it("should reject a new key with an unescaped dot", () => {
+            expect(() => jsonManager.rename("users.bob", "a.b")).to.throw(/single key/);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createJsonManager } = require('../index');
+
+describe("JsonManager persistence", () => {
+    let dir;
+    let managers;
+
+    function open(extra) {
+        const manager = createJsonManager({ persistence: Object.assign({ dir }, extra) });
+        managers.push(manager);
+        return manager;
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "memsafe-jsondb-"));
+        managers = [];
+    });
+
+    afterEach(() => {
+        managers.forEach(manager => manager.close());
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should replay the write log into a new manager on the same directory", () => {
+        const first = open();
+        first.write("nest.secondnest.third.nest", 10);
+        first.write("escaped\\.key.level", "value");
+        first.close();
+
+        const second = open();
+        expect(second.read("nest.secondnest.third.nest")).to.equal(10);
+        expect(second.read("escaped\\.key.level")).to.equal("value");
+    });
+
+    it("should restore from a snapshot plus the writes logged after it", () => {
+        const first = open();
+        first.write("a.b", 1);
+        first.checkpoint();
+        first.write("a.c", 2);
+        first.close();
+
+        expect(fs.existsSync(path.join(dir, "snapshot.json"))).to.be.true;
+        const second = open();
+        expect(second.read("a.b")).to.equal(1);
+        expect(second.read("a.c")).to.equal(2);
+    });
+
+    it("should snapshot automatically after snapshotEvery writes", () => {
+        const first = open({ snapshotEvery: 2 });
+        first.write("a", 1);
+        first.write("b", 2);
+        expect(fs.readFileSync(path.join(dir, "write.log"), "utf8")).to.equal("");
+        first.close();
+
+        expect(open().dump()).to.deep.equal({ a: 1, b: 2 });
+    });
+
+    it("should drop a truncated log tail and keep the complete records", () => {
+        const first = open();
+        first.write("a", 1);
+        first.write("b", 2);
+        first.close();
+        fs.appendFileSync(path.join(dir, "write.log"), '{"seq":3,"op":"write","pa');
+
+        let recovery = null;
+        const second = open({ onRecovery: info => { recovery = info; } });
+        expect(second.read("a")).to.equal(1);
+        expect(second.read("b")).to.equal(2);
+        expect(recovery.droppedBytes).to.equal(25);
+
+        second.write("c", 3);
+        second.close();
+        expect(open().dump()).to.deep.equal({ a: 1, b: 2, c: 3 });
+    });
+
+    it("should throw on a corrupted record in the middle of the log", () => {
+        const first = open();
+        first.write("a", 1);
+        first.close();
+        fs.appendFileSync(path.join(dir, "write.log"), 'garbage\n{"seq":3,"op":"write","path":"b","value":2}\n');
+
+        expect(() => open()).to.throw(/Corrupted write log/);
+    });
+
+    it("should leave the store unchanged when appending to the log fails", () => {
+        const first = open();
+        first.write("a", 1);
+        const writeSync = fs.writeSync;
+        fs.writeSync = () => {
+            throw new Error("ENOSPC: no space left on device");
+        };
+        try {
+            expect(() => first.write("a", 2)).to.throw("ENOSPC");
+            expect(() => first.write("b", 3)).to.throw("ENOSPC");
+        } finally {
+            fs.writeSync = writeSync;
+        }
+        expect(first.readWithMeta("a")).to.include({ value: 1, version: 1 });
+        expect(first.dump()).to.deep.equal({ a: 1 });
+        first.write("c", 4);
+        first.close();
+
+        expect(open().dump()).to.deep.equal({ a: 1, c: 4 });
+    });
+
+    it("should replay init() calls", () => {
+        const first = open();
+        first.write("old", 1);
+        first.init({ fresh: { value: 2 } });
+        first.close();
+
+        expect(open().dump()).to.deep.equal({ fresh: { value: 2 } });
+    });
+
+    it("should compact the log down to records that still matter", () => {
+        const first = open();
+        first.write("a.b", 1);
+        first.write("a.b", 2);
+        first.write("a.c", 3);
+        first.write("a", { d: 4 });
+        first.write("e", 5);
+        expect(first.compact()).to.deep.equal({ before: 5, after: 2 });
+        first.close();
+
+        const lines = fs.readFileSync(path.join(dir, "write.log"), "utf8").trim().split("\n");
+        expect(lines).to.have.length(2);
+        expect(open().dump()).to.deep.equal({ a: { d: 4 }, e: 5 });
+    });
+
+    it("should keep the records before a deleted array item when compacting", () => {
+        const first = open();
+        first.write("list", ["a", "b", "c"]);
+        first.deleteTree("list[0]");
+        first.write("list[0]", "Z");
+        first.write("other", ["a", "b", "c"]);
+        first.deleteTree("other[0]");
+        first.deleteTree("other.0");
+        expect(first.dump()).to.deep.equal({ list: ["Z", "c"], other: ["c"] });
+        first.compact();
+        first.close();
+
+        expect(open().dump()).to.deep.equal({ list: ["Z", "c"], other: ["c"] });
+    });
+});
@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+
+const { createJsonManager } = require('../index');
+
+describe("JsonManager has() queries", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+        jsonManager.write("users.alice", { name: "Alice", age: 34, role: "admin", tags: ["ops", "dev"] });
+        jsonManager.write("users.bob", { name: "Bob", age: 28, role: "user", tags: ["dev"] });
+        jsonManager.write("users.carol", { name: "Carol", age: 41, role: "user", email: "carol@example.com" });
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should filter values under a wildcard path", () => {
+        expect(jsonManager.has({ where: { path: "users.*.age", gt: 30 } })).to.deep.equal([
+            { path: "users.alice.age", value: 34 },
+            { path: "users.carol.age", value: 41 }
+        ]);
+    });
+
+    it("should combine conditions with and, or and not", () => {
+        const results = jsonManager.has({
+            from: "users.*",
+            where: { path: "age", gte: 28 },
+            or: [{ path: "role", eq: "admin" }, { path: "tags", contains: "dev" }],
+            not: { path: "name", eq: "Alice" }
+        });
+        expect(results.map(result => result.path)).to.deep.equal(["users.bob"]);
+    });
+
+    it("should support in, exists, type and matches", () => {
+        expect(jsonManager.has({ from: "users.*", where: { path: "role", in: ["admin"] } }).map(r => r.path))
+            .to.deep.equal(["users.alice"]);
+        expect(jsonManager.has({ from: "users.*", where: { path: "email", exists: true } }).map(r => r.path))
+            .to.deep.equal(["users.carol"]);
+        expect(jsonManager.has({ from: "users.*", where: { path: "email", exists: false } }).map(r => r.path))
+            .to.deep.equal(["users.alice", "users.bob"]);
+        expect(jsonManager.has({ where: { path: "users.*.tags", type: "array" } }).map(r => r.path))
+            .to.deep.equal(["users.alice.tags", "users.bob.tags"]);
+        expect(jsonManager.has({ where: { path: "users.**", matches: /^b/i } })).to.deep.equal([
+            { path: "users.bob.name", value: "Bob" }
+        ]);
+    });
+
+    it("should match array items with [*]", () => {
+        expect(jsonManager.has({ where: { path: "users.*.tags[*]", eq: "ops" } })).to.deep.equal([
+            { path: "users.alice.tags[0]", value: "ops" }
+        ]);
+    });
+
+    it("should report each path once when several criteria match", () => {
+        expect(jsonManager.has({ path: "users.bob.name", like: "bob.name", regex: /bob\.name$/ })).to.deep.equal([
+            { path: "users.bob.name", value: "Bob" }
+        ]);
+    });
+
+    it("should sort, skip and limit results", () => {
+        const query = { from: "users.*", sort: { by: "age", order: "desc" } };
+        expect(jsonManager.has(query).map(r => r.path)).to.deep.equal(["users.carol", "users.alice", "users.bob"]);
+        expect(jsonManager.has(Object.assign({ offset: 1, limit: 1 }, query)).map(r => r.path)).to.deep.equal(["users.alice"]);
+        expect(jsonManager.has({ regex: /\.name$/, sort: "value", limit: 2 }).map(r => r.value)).to.deep.equal(["Alice", "Bob"]);
+    });
+
+    it("should project selected sub-paths", () => {
+        expect(jsonManager.has({ from: "users.*", where: { path: "age", lt: 30 }, select: ["name", "tags[0]"] })).to.deep.equal([
+            { path: "users.bob", value: { name: "Bob", tags: ["dev"] } }
+        ]);
+    });
+
+    it("should query inside a transaction", () => {
+        jsonManager.transaction(tx => {
+            tx.write("users.dave", { name: "Dave", age: 50 });
+            expect(tx.has({ where: { path: "users.*.age", gt: 45 } }).map(r => r.path)).to.deep.equal(["users.dave.age"]);
+        });
+    });
+});
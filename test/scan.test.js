@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+
+const { createJsonManager } = require('../index');
+
+// Runs a scan to the end, returning the paths of every page
+function scanAll(jsonManager, options, between = () => {}) {
+    const paths = [];
+    let cursor = "0";
+    let calls = 0;
+    do {
+        const page = jsonManager.scan(cursor, options);
+        paths.push(...page.paths);
+        cursor = page.cursor;
+        between(++calls);
+    } while (cursor !== "0");
+    return paths;
+}
+
+describe("JsonManager scan()", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+        jsonManager.init({
+            users: {
+                bob: { profile: { name: "Bob", links: { site: "b.example" } }, age: 20 },
+                alice: { profile: { name: "Alice", "e.mail": "a@x" }, age: 30, tags: ["x", "y"] }
+            },
+            "a.b": { c: 1 },
+            empty: {},
+            none: null
+        });
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should walk every entry in sorted order and end with the cursor 0", () => {
+        expect(scanAll(jsonManager, { count: 2 })).to.deep.equal([
+            "a\\.b.c",
+            "empty",
+            "none",
+            "users.alice.age",
+            "users.alice.profile.e\\.mail",
+            "users.alice.profile.name",
+            "users.alice.tags[0]",
+            "users.alice.tags[1]",
+            "users.bob.age",
+            "users.bob.profile.links.site",
+            "users.bob.profile.name"
+        ]);
+        expect(jsonManager.scan("0", { count: 1000 }).cursor).to.equal("0");
+        expect(jsonManager.scan("0", { count: 3 })).to.have.property("paths").with.length(3);
+    });
+
+    it("should match glob patterns", () => {
+        expect(scanAll(jsonManager, { match: "users.*.profile.**" })).to.deep.equal([
+            "users.alice.profile.e\\.mail",
+            "users.alice.profile.name",
+            "users.bob.profile.links.site",
+            "users.bob.profile.name"
+        ]);
+        expect(scanAll(jsonManager, { match: "users.*.age" })).to.deep.equal(["users.alice.age", "users.bob.age"]);
+        expect(scanAll(jsonManager, { match: "**.name" })).to.deep.equal(["users.alice.profile.name", "users.bob.profile.name"]);
+        expect(scanAll(jsonManager, { match: "users.alice.tags[*]" })).to.deep.equal(["users.alice.tags[0]", "users.alice.tags[1]"]);
+        expect(scanAll(jsonManager, { match: "a\\.b.*" })).to.deep.equal(["a\\.b.c"]);
+        expect(scanAll(jsonManager, { match: "*.profile" })).to.deep.equal([]);
+    });
+
+    it("should filter by value type", () => {
+        expect(scanAll(jsonManager, { type: "number" })).to.deep.equal(["a\\.b.c", "users.alice.age", "users.bob.age"]);
+        expect(scanAll(jsonManager, { type: "null" })).to.deep.equal(["none"]);
+        expect(scanAll(jsonManager, { type: "object" })).to.deep.equal(["empty"]);
+        expect(scanAll(jsonManager, { match: "users.bob.**", type: "string" })).to.deep.equal(["users.bob.profile.links.site", "users.bob.profile.name"]);
+    });
+
+    it("should only count the entries it looks at, so pages can be empty", () => {
+        const first = jsonManager.scan("0", { count: 1, type: "string" });
+        expect(first.paths).to.deep.equal([]);
+        expect(first.cursor).to.not.equal("0");
+        // subtrees that cannot match are not looked at
+        expect(jsonManager.scan("0", { match: "users.*.tags[*]", count: 2 }).paths).to.deep.equal(["users.alice.tags[0]", "users.alice.tags[1]"]);
+    });
+
+    it("should not skip entries that exist for the whole scan when writes happen between calls", () => {
+        const data = {};
+        for (let index = 0; index < 50; index++) {
+            data[`k${index}`] = { value: index };
+        }
+        jsonManager.init(data);
+        const steady = Object.keys(data).filter((key, index) => index % 3 !== 0).map(key => `${key}.value`);
+        const paths = scanAll(jsonManager, { count: 4 }, calls => {
+            jsonManager.write(`a${calls}`, 1);
+            jsonManager.write(`z${calls}`, 1);
+            jsonManager.write(`k${calls * 3}`, [1, 2]);
+            jsonManager.deleteTree(`k${calls * 3 - 3}`);
+        });
+        steady.forEach(path => expect(paths).to.include(path));
+        expect(new Set(paths).size).to.equal(paths.length);
+    });
+
+    it("should resume after a cursor entry that has since been deleted or replaced", () => {
+        const first = jsonManager.scan("0", { count: 4 });
+        expect(first.paths[3]).to.equal("users.alice.age");
+        jsonManager.write("users.alice.age", { years: 30 });
+        expect(jsonManager.scan(first.cursor, { count: 2 }).paths).to.deep.equal(["users.alice.age.years", "users.alice.profile.e\\.mail"]);
+        jsonManager.deleteTree("users.alice");
+        expect(jsonManager.scan(first.cursor, { count: 1 }).paths).to.deep.equal(["users.bob.age"]);
+    });
+
+    it("should refuse bad cursors and counts", () => {
+        expect(() => jsonManager.scan("not a cursor")).to.throw(/Invalid scan cursor/);
+        const cursor = jsonManager.scan("0", { match: "users.**", count: 1 }).cursor;
+        expect(() => jsonManager.scan(cursor, { match: "empty.**" })).to.throw(/Invalid scan cursor/);
+        expect(() => jsonManager.scan("0", { count: 0 })).to.throw(/count/);
+    });
+});
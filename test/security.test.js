@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+
+const { createJsonManager } = require('../index');
+const { LimitError, UnsafeKeyError, CircularReferenceError, unflattenJson, flattenJsonWithEscaping, diff } = require('../index');
+
+// Deterministic pseudo-random numbers, so a failing fuzz run can be replayed
+function createRandom(seed) {
+    let state = seed;
+    return function random() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const KEYS = ["__proto__", "constructor", "prototype", "polluted", "a", "b", "toString", "hasOwnProperty", "0"];
+
+function prototypeState() {
+    return [Object.prototype, Array.prototype, Function.prototype].map(proto => Object.getOwnPropertyNames(proto).sort().join());
+}
+
+describe("JsonManager unsafe keys", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+        expect(({}).polluted).to.equal(undefined);
+    });
+
+    it("should store __proto__, constructor and prototype as ordinary keys", () => {
+        jsonManager.write("__proto__.polluted", 1);
+        jsonManager.write("a.constructor.prototype.polluted", 2);
+
+        const dump = jsonManager.dump();
+        expect(Object.getPrototypeOf(dump)).to.equal(Object.prototype);
+        expect(Object.prototype.hasOwnProperty.call(dump, "__proto__")).to.equal(true);
+        expect(jsonManager.read("__proto__.polluted")).to.equal(1);
+        expect(jsonManager.read("a.constructor.prototype.polluted")).to.equal(2);
+        expect(JSON.parse(JSON.stringify(dump))).to.deep.equal(JSON.parse('{"__proto__":{"polluted":1},"a":{"constructor":{"prototype":{"polluted":2}}}}'));
+    });
+
+    it("should not report inherited members as stored keys", () => {
+        jsonManager.write("a", {});
+        expect(jsonManager.hasKey("a.__proto__")).to.equal(false);
+        expect(jsonManager.hasKey("a.constructor")).to.equal(false);
+        expect(jsonManager.read("a.toString")).to.equal(undefined);
+        expect(jsonManager.search("a.constructor")).to.equal(undefined);
+    });
+
+    it("should keep init(), merge() and applyPatch() data from reaching the prototype", () => {
+        jsonManager.init(JSON.parse('{"__proto__":{"polluted":1}}'));
+        jsonManager.merge(JSON.parse('{"__proto__":{"polluted":2},"constructor":{"prototype":{"polluted":3}}}'));
+        jsonManager.applyPatch([{ op: "add", path: "/__proto__/other", value: 4 }]);
+        expect(jsonManager.read("__proto__")).to.deep.equal({ polluted: 2, other: 4 });
+        expect(jsonManager.read("constructor.prototype.polluted")).to.equal(3);
+    });
+
+    it("should keep the module helpers from reaching the prototype", () => {
+        const nested = unflattenJson({ "__proto__.polluted": 1, "constructor.prototype.polluted": 2 });
+        expect(Object.getPrototypeOf(nested)).to.equal(Object.prototype);
+        expect(nested.__proto__).to.deep.equal({ polluted: 1 });
+
+        const flat = flattenJsonWithEscaping(JSON.parse('{"__proto__":1}'));
+        expect(Object.keys(flat)).to.deep.equal(["__proto__"]);
+        expect(Object.keys(diff({}, JSON.parse('{"__proto__":1}'), { format: "flat" }).set)).to.deep.equal(["__proto__"]);
+    });
+
+    it("should reject unsafe keys under the reject policy", () => {
+        const strict = createJsonManager({ unsafeKeys: "reject" });
+        try {
+            expect(() => strict.write("a.__proto__.b", 1)).to.throw(UnsafeKeyError);
+            expect(() => strict.write("a", JSON.parse('{"b":{"constructor":1}}'))).to.throw(UnsafeKeyError)
+                .with.property("path", "a.b.constructor");
+            expect(() => strict.init({ prototype: 1 })).to.throw(UnsafeKeyError).with.property("code", "ERR_UNSAFE_KEY");
+            expect(() => strict.merge(JSON.parse('{"__proto__":{}}'))).to.throw(UnsafeKeyError);
+            expect(() => strict.transaction(tx => {
+                tx.write("ok", 1);
+                tx.write("constructor", 1);
+            })).to.throw(UnsafeKeyError);
+            expect(strict.dump()).to.deep.equal({});
+        } finally {
+            strict.close();
+        }
+    });
+
+    it("should refuse an unknown policy", () => {
+        expect(() => createJsonManager({ unsafeKeys: "ignore" })).to.throw(/Unknown unsafeKeys policy/);
+    });
+});
+
+describe("JsonManager limits", () => {
+    it("should limit the path depth, counting the keys of the written value", () => {
+        const jsonManager = createJsonManager({ limits: { maxDepth: 3 } });
+        jsonManager.write("a.b", { c: 1 });
+        expect(() => jsonManager.write("a.b.c.d", 1)).to.throw(LimitError).with.property("limit", "maxDepth");
+        expect(() => jsonManager.write("a", { b: { c: { d: 1 } } })).to.throw(LimitError)
+            .that.includes({ max: 3, actual: 4, path: "a.b.c.d" });
+        expect(jsonManager.dump()).to.deep.equal({ a: { b: { c: 1 } } });
+        jsonManager.close();
+    });
+
+    it("should refuse deeply nested values before copying them", () => {
+        const jsonManager = createJsonManager();
+        let value = {};
+        for (let depth = 0; depth < 20000; depth++) {
+            value = { next: value };
+        }
+        expect(() => jsonManager.write("a", value)).to.throw(LimitError).with.property("limit", "maxDepth");
+        expect(() => jsonManager.init(value)).to.throw(LimitError).with.property("limit", "maxDepth");
+        expect(() => jsonManager.transaction(tx => tx.write("a", value))).to.throw(LimitError).with.property("limit", "maxDepth");
+        expect(jsonManager.dump()).to.deep.equal({});
+        jsonManager.close();
+    });
+
+    it("should report a value containing itself instead of overflowing the stack", () => {
+        const jsonManager = createJsonManager();
+        const value = {};
+        value.self = value;
+        expect(() => jsonManager.write("a", value)).to.throw(CircularReferenceError).with.property("path", "a.self");
+        jsonManager.close();
+    });
+
+    it("should limit key length, value size and keys per write", () => {
+        const jsonManager = createJsonManager({ limits: { maxKeyLength: 5, maxValueBytes: 20, maxKeysPerWrite: 3 } });
+        expect(() => jsonManager.write("toolong", 1)).to.throw(LimitError).with.property("limit", "maxKeyLength");
+        expect(() => jsonManager.write("a", { toolong: 1 })).to.throw(LimitError).with.property("path", "a.toolong");
+        expect(() => jsonManager.write("a", "x".repeat(30))).to.throw(LimitError)
+            .that.includes({ limit: "maxValueBytes", actual: 32 });
+        expect(() => jsonManager.write("a", [1, 2, 3, 4])).to.throw(LimitError)
+            .that.includes({ limit: "maxKeysPerWrite", code: "ERR_LIMIT_EXCEEDED" });
+        // the limit on keys covers a whole batch
+        expect(() => jsonManager.transaction(tx => {
+            tx.write("a", [1, 2]);
+            tx.write("b", [1, 2]);
+        })).to.throw(LimitError);
+        expect(jsonManager.dump()).to.deep.equal({});
+        jsonManager.close();
+    });
+
+    it("should refuse limits that are not positive numbers", () => {
+        expect(() => createJsonManager({ limits: { maxDepth: 0 } })).to.throw(/maxDepth/);
+    });
+});
+
+describe("Prototype pollution fuzzing", () => {
+    const before = prototypeState();
+
+    function randomKey(random) {
+        return KEYS[Math.floor(random() * KEYS.length)];
+    }
+
+    function randomValue(random, depth = 0) {
+        const roll = random();
+        if (depth > 3 || roll < 0.3) {
+            return roll < 0.15 ? Math.floor(random() * 100) : "polluted";
+        }
+        if (roll < 0.4) {
+            return [randomValue(random, depth + 1)];
+        }
+        // JSON.parse makes `__proto__` an own key, as a network request would
+        const members = [];
+        for (let count = Math.floor(random() * 3) + 1; count > 0; count--) {
+            members.push(`${JSON.stringify(randomKey(random))}:${JSON.stringify(randomValue(random, depth + 1))}`);
+        }
+        return JSON.parse(`{${members.join(",")}}`);
+    }
+
+    function randomKeys(random) {
+        const keys = [];
+        for (let count = Math.floor(random() * 4) + 1; count > 0; count--) {
+            keys.push(randomKey(random));
+        }
+        return keys;
+    }
+
+    function assertClean() {
+        expect(prototypeState()).to.deep.equal(before);
+        expect(({}).polluted).to.equal(undefined);
+        expect([].polluted).to.equal(undefined);
+        expect((() => {}).polluted).to.equal(undefined);
+    }
+
+    [1, 2, 3].forEach(seed => {
+        it(`should never change the built-in prototypes (seed ${seed})`, async () => {
+            const random = createRandom(seed);
+            const jsonManager = createJsonManager();
+            const operations = [
+                keys => jsonManager.write(keys.join("."), randomValue(random)),
+                keys => jsonManager.write(`/${keys.join("/")}`, randomValue(random)),
+                () => jsonManager.init(randomValue(random)),
+                keys => jsonManager.merge(JSON.parse(`{${JSON.stringify(keys[0])}:${JSON.stringify(randomValue(random))}}`)),
+                keys => jsonManager.applyPatch([{ op: "add", path: `/${keys.join("/")}`, value: randomValue(random) }]),
+                keys => jsonManager.transaction(tx => {
+                    tx.write(keys.join("."), randomValue(random));
+                    tx.read(keys.slice(0, -1).join("."));
+                }),
+                keys => jsonManager.move(keys[0], keys.join(".")),
+                keys => jsonManager.read(keys.join(".")),
+                keys => jsonManager.hasKey(keys.join(".")),
+                keys => jsonManager.search(keys.join(".")),
+                keys => jsonManager.has({ from: `${keys[0]}.*`, where: { eq: "polluted" }, select: [keys[1] || "a"] }),
+                () => unflattenJson({ [randomKeys(random).join(".")]: randomValue(random) }),
+                () => diff(randomValue(random), randomValue(random), { format: "flat" })
+            ];
+
+            for (let step = 0; step < 300; step++) {
+                const keys = randomKeys(random);
+                try {
+                    operations[Math.floor(random() * operations.length)](keys);
+                } catch (err) {
+                    // conflicts and failed patches are expected; pollution is not
+                }
+                assertClean();
+            }
+
+            const lines = [];
+            for (let line = 0; line < 20; line++) {
+                lines.push(JSON.stringify({ path: randomKeys(random).join("."), value: randomValue(random) }));
+            }
+            await jsonManager.import(lines.join("\n"), { format: "ndjson" }).catch(() => {});
+            jsonManager.dump();
+            assertClean();
+            jsonManager.close();
+        });
+    });
+});
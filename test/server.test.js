@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const { createJsonManager } = require('../index');
+const { createServer, createClient, MemoryLimitError, CircularReferenceError } = require('../index');
+
+function rawExchange(port, payload) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ port }, () => socket.end(payload));
+        let data = "";
+        socket.setEncoding("utf8");
+        socket.on("data", chunk => {
+            data += chunk;
+        });
+        socket.on("error", reject);
+        socket.on("close", () => resolve(data.split("\n").filter(Boolean).map(line => JSON.parse(line))));
+    });
+}
+
+describe("Server and client", () => {
+    let manager;
+    let server;
+    let port;
+
+    beforeEach(async () => {
+        manager = createJsonManager();
+        server = createServer(manager, { maxConnections: 2 });
+        port = (await server.listen({ port: 0, host: "127.0.0.1" })).port;
+    });
+
+    afterEach(async () => {
+        await server.close();
+        manager.close();
+    });
+
+    it("should expose the manager through Promise-returning client methods", async () => {
+        const client = createClient({ port, host: "127.0.0.1" });
+        await client.write("users.alice", { name: "Alice", age: 30 });
+        expect(await client.read("users.alice.name")).to.equal("Alice");
+        expect(await client.read("missing")).to.be.undefined;
+        expect(await client.hasKey("users.alice")).to.be.true;
+        expect(await client.search("users.alice.age")).to.equal(30);
+        expect(await client.has({ regex: /alice\.name$/ })).to.deep.equal([{ path: "users.alice.name", value: "Alice" }]);
+        await client.init({ fresh: 1 });
+        expect(await client.dump()).to.deep.equal({ fresh: 1 });
+        expect(manager.read("fresh")).to.equal(1);
+        await client.close();
+    });
+
+    it("should run the atomic value commands on the server", async () => {
+        const client = createClient({ port, host: "127.0.0.1" });
+        const counts = await Promise.all([1, 2, 3, 4, 5].map(() => client.incr("hits")));
+        expect(counts).to.deep.equal([1, 2, 3, 4, 5]);
+        expect(await client.push("log", "a")).to.equal(1);
+        expect(await client.setIfAbsent("log", [])).to.be.false;
+        expect(client.update).to.be.undefined;
+        expect(await client.scan("0", { match: "log.*" })).to.deep.equal({ cursor: "0", paths: ["log[0]"] });
+        expect(await client.memoryUsage("log")).to.include({ keys: 1 });
+        expect(await client.stats()).to.include({ keys: 2, maxDepth: 2 });
+        await client.close();
+    });
+
+    it("should answer pipelined requests in order", async () => {
+        const client = createClient({ port, host: "127.0.0.1" });
+        const results = await Promise.all([
+            client.write("counter", 1),
+            client.read("counter"),
+            client.write("counter", 2),
+            client.read("counter")
+        ]);
+        expect(results).to.deep.equal([undefined, 1, undefined, 2]);
+        await client.close();
+    });
+
+    it("should keep typed values and fail results that cannot be sent", async () => {
+        const client = createClient({ port, host: "127.0.0.1" });
+        const value = { big: 10n ** 20n, when: new Date(0), tags: new Set(["a"]), missing: undefined };
+        await client.write("doc", value);
+        expect(manager.read("doc.big")).to.equal(10n ** 20n);
+        expect(await client.read("doc")).to.deep.equal(value);
+        expect(await client.has({ regex: /^doc\.b/ })).to.deep.equal([{ path: "doc.big", value: 10n ** 20n }]);
+
+        const raw = await rawExchange(port, '{"id":1,"method":"read","params":["doc.big"]}\n');
+        expect(raw).to.deep.equal([{ id: 1, result: { $type: "BigInt", $value: "100000000000000000000" } }]);
+
+        await client.close();
+    });
+
+    it("should answer with an error when a result cannot be encoded", async () => {
+        const looped = {};
+        looped.self = looped;
+        const stubServer = createServer({ read: path => (path === "looped" ? looped : 1) });
+        const stubPort = (await stubServer.listen({ port: 0, host: "127.0.0.1" })).port;
+        const client = createClient({ port: stubPort, host: "127.0.0.1" });
+        try {
+            await client.read("looped");
+            expect.fail("read should have been rejected");
+        } catch (err) {
+            expect(err).to.be.instanceOf(CircularReferenceError);
+            expect(err.message).to.match(/^Cannot send the result/);
+        }
+        expect(await client.read("other")).to.equal(1);
+        await client.close();
+        await stubServer.close();
+    });
+
+    it("should speak the documented line protocol", async () => {
+        const responses = await rawExchange(port, '{"id":1,"method":"write","params":["a",1]}\n{"id":2,"method":"read","params":["a"]}\nnot json\n{"id":3,"method":"nope"}\n');
+        expect(responses).to.deep.equal([
+            { id: 1 },
+            { id: 2, result: 1 },
+            { id: null, error: { name: "Error", code: "ERR_BAD_REQUEST", message: responses[2].error.message } },
+            { id: 3, error: { name: "Error", code: "ERR_UNKNOWN_METHOD", message: "Unknown method: nope" } }
+        ]);
+    });
+
+    it("should rebuild typed errors on the client", async () => {
+        await server.close();
+        manager = createJsonManager({ maxKeys: 1, eviction: "noeviction" });
+        server = createServer(manager);
+        port = (await server.listen({ port: 0, host: "127.0.0.1" })).port;
+
+        const client = createClient({ port, host: "127.0.0.1" });
+        await client.write("a", 1);
+        try {
+            await client.write("b", 2);
+            expect.fail("write should have been rejected");
+        } catch (err) {
+            expect(err).to.be.instanceOf(MemoryLimitError);
+            expect(err.code).to.equal("ERR_MEMORY_LIMIT");
+        }
+        await client.close();
+    });
+
+    it("should refuse connections over the limit", async () => {
+        const first = createClient({ port, host: "127.0.0.1" });
+        const second = createClient({ port, host: "127.0.0.1" });
+        await Promise.all([first.read("a"), second.read("a")]);
+
+        const third = createClient({ port, host: "127.0.0.1" });
+        try {
+            await third.read("a");
+            expect.fail("third connection should have been refused");
+        } catch (err) {
+            expect(err.code).to.equal("ERR_TOO_MANY_CONNECTIONS");
+        }
+        await Promise.all([first.close(), second.close(), third.close()]);
+    });
+
+    it("should serve a Unix socket", async function () {
+        if (process.platform === "win32") {
+            this.skip();
+        }
+        const socketPath = path.join(os.tmpdir(), `memsafe-jsondb-${process.pid}-${Date.now()}.sock`);
+        const unixServer = createServer(manager);
+        await unixServer.listen({ path: socketPath });
+        const client = createClient({ path: socketPath });
+        await client.write("via", "unix");
+        expect(manager.read("via")).to.equal("unix");
+        await client.close();
+        await unixServer.close();
+    });
+
+    it("should shut down gracefully", async () => {
+        const client = createClient({ port, host: "127.0.0.1" });
+        const written = client.write("last", true);
+        await client.connected;
+        await written;
+        await server.close();
+        expect(manager.read("last")).to.be.true;
+        expect(server.connections()).to.equal(0);
+        try {
+            await client.read("last");
+            expect.fail("the connection should be closed");
+        } catch (err) {
+            expect(err.message).to.match(/closed/);
+        }
+    });
+});
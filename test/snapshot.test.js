@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+
+const { createJsonManager } = require('../index');
+const { createPrefixTree } = require('../src/tree');
+
+describe("JsonManager snapshots", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+        jsonManager.init({
+            users: {
+                alice: { name: "Alice", age: 30 },
+                bob: { name: "Bob", age: 20 }
+            },
+            tags: ["a", "b", "c"]
+        });
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should keep the data it was taken with", () => {
+        const snapshot = jsonManager.snapshot();
+        jsonManager.write("users.alice.age", 31);
+        jsonManager.write("users.carol", { name: "Carol", age: 40 });
+        jsonManager.deleteTree("users.bob");
+        jsonManager.delete("tags[0]");
+
+        expect(snapshot.read("users.alice.age")).to.equal(30);
+        expect(snapshot.hasKey("users.carol")).to.be.false;
+        expect(snapshot.search("users.bob")).to.deep.equal({ name: "Bob", age: 20 });
+        expect(snapshot.read("tags")).to.deep.equal(["a", "b", "c"]);
+
+        expect(jsonManager.read("users.alice.age")).to.equal(31);
+        expect(jsonManager.hasKey("users.bob")).to.be.false;
+        expect(jsonManager.read("tags")).to.deep.equal(["b", "c"]);
+    });
+
+    it("should not see init() or writes to the root", () => {
+        const snapshot = jsonManager.snapshot();
+        jsonManager.init({ other: true });
+        expect(snapshot.dump()).to.deep.equal({
+            users: {
+                alice: { name: "Alice", age: 30 },
+                bob: { name: "Bob", age: 20 }
+            },
+            tags: ["a", "b", "c"]
+        });
+    });
+
+    it("should answer has() queries", () => {
+        const snapshot = jsonManager.snapshot();
+        jsonManager.write("users.bob.age", 50);
+        const results = snapshot.has({ from: "users.*", where: { path: "age", gt: 25 } });
+        expect(results.map(result => result.path)).to.deep.equal(["users.alice"]);
+        expect(snapshot.has({ like: "bob.name" })).to.deep.equal([{ path: "users.bob.name", value: "Bob" }]);
+    });
+
+    it("should keep its own data when earlier snapshots are taken", () => {
+        const first = jsonManager.snapshot();
+        jsonManager.write("users.alice.age", 31);
+        const second = jsonManager.snapshot();
+        jsonManager.write("users.alice.age", 32);
+
+        expect(first.read("users.alice.age")).to.equal(30);
+        expect(second.read("users.alice.age")).to.equal(31);
+        expect(jsonManager.read("users.alice.age")).to.equal(32);
+        expect(second.version).to.be.greaterThan(first.version);
+    });
+
+    it("should be read-only", () => {
+        const snapshot = jsonManager.snapshot();
+        expect(snapshot.write).to.be.undefined;
+        expect(Object.isFrozen(snapshot)).to.be.true;
+        snapshot.read("users.alice").age = 99;
+        expect(snapshot.read("users.alice.age")).to.equal(30);
+        expect(jsonManager.read("users.alice.age")).to.equal(30);
+    });
+
+    it("should leave out paths that expired before it was taken", async () => {
+        jsonManager.write("session", "token", { ttl: 5 });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(jsonManager.snapshot().hasKey("session")).to.be.false;
+    });
+});
+
+describe("Prefix tree snapshots", () => {
+    it("should share the subtrees no change reached", () => {
+        const tree = createPrefixTree();
+        tree.load({ a: { x: 1 }, b: { y: [1, 2, 3] } });
+        const snapshot = tree.snapshot();
+        tree.set(["a", "x"], 2);
+        tree.remove(["b", "y", 0]);
+
+        expect(snapshot.get([])).to.deep.equal({ a: { x: 1 }, b: { y: [1, 2, 3] } });
+        expect(tree.get([])).to.deep.equal({ a: { x: 2 }, b: { y: [2, 3] } });
+    });
+
+    it("should keep versions stamped on shifted array items out of the snapshot", () => {
+        const tree = createPrefixTree();
+        tree.load({ list: [{ v: 1 }, { v: 2 }] }, { version: 1, modified: 1 });
+        const snapshot = tree.snapshot();
+        tree.remove(["list", 0], { version: 2, modified: 2 });
+
+        expect(snapshot.metaAt(["list", 1]).version).to.equal(1);
+        expect(tree.metaAt(["list", 0]).version).to.equal(2);
+    });
+});
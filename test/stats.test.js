@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+
+const { createJsonManager } = require('../index');
+const { estimateEntrySize } = require('../index');
+
+describe("JsonManager stats()", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should count the keys, bytes and depth of the store", () => {
+        jsonManager.init({ users: { alice: { name: "Alice", tags: ["a", "b"] } }, "a.b": 1, empty: {} });
+        const stats = jsonManager.stats();
+
+        const entries = [["users.alice.name", "Alice"], ["users.alice.tags[0]", "a"], ["users.alice.tags[1]", "b"], ["a\\.b", 1], ["empty", {}]];
+        const bytes = entries.map(([path, value]) => estimateEntrySize(path, value));
+        expect(stats).to.include({ keys: 5, bytes: bytes.reduce((sum, size) => sum + size, 0), maxDepth: 4 });
+        expect(stats.prefixes).to.deep.equal({
+            users: { keys: 3, bytes: bytes[0] + bytes[1] + bytes[2] },
+            "a\\.b": { keys: 1, bytes: bytes[3] },
+            empty: { keys: 1, bytes: bytes[4] }
+        });
+    });
+
+    it("should report an empty store", () => {
+        expect(jsonManager.stats()).to.include({ keys: 0, bytes: 0, maxDepth: 0 });
+        expect(jsonManager.stats().prefixes).to.deep.equal({});
+    });
+
+    it("should count calls with their latencies", () => {
+        jsonManager.write("a", 1);
+        jsonManager.write("b", 2);
+        jsonManager.read("a");
+        jsonManager.search("a");
+        expect(() => jsonManager.search(1)).to.throw(/Path must be a string/);
+
+        const { operations } = jsonManager.stats();
+        expect(Object.keys(operations)).to.deep.equal(["read", "write", "search", "has"]);
+        expect(operations.write).to.include({ count: 2, errors: 0 });
+        expect(operations.read.count).to.equal(1);
+        expect(operations.search).to.include({ count: 2, errors: 1 });
+        expect(operations.has.count).to.equal(0);
+
+        const { histogram, totalMs, maxMs } = operations.write;
+        expect(histogram.counts).to.have.length(histogram.bounds.length + 1);
+        expect(histogram.counts.reduce((sum, count) => sum + count, 0)).to.equal(2);
+        expect(maxMs).to.be.at.most(totalMs);
+    });
+
+    it("should only count calls made through the manager", () => {
+        jsonManager.incr("counter");
+        jsonManager.transaction(tx => tx.write("a", 1));
+        expect(jsonManager.stats().operations.write.count).to.equal(0);
+    });
+
+    it("should start over after resetStats()", () => {
+        jsonManager.write("a", 1);
+        jsonManager.resetStats();
+        expect(jsonManager.stats().operations.write.count).to.equal(0);
+        expect(jsonManager.stats().keys).to.equal(1);
+    });
+});
+
+describe("JsonManager memoryUsage()", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+        jsonManager.init({ users: { alice: { name: "Alice" }, bob: { name: "Bob", age: 30 } }, other: true });
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should measure one subtree", () => {
+        expect(jsonManager.memoryUsage("users.bob")).to.deep.equal({
+            keys: 2,
+            bytes: estimateEntrySize("users.bob.name", "Bob") + estimateEntrySize("users.bob.age", 30)
+        });
+        expect(jsonManager.memoryUsage("users.bob.age")).to.deep.equal({ keys: 1, bytes: estimateEntrySize("users.bob.age", 30) });
+        expect(jsonManager.memoryUsage("users.alice")).to.deep.equal({ keys: 1, bytes: estimateEntrySize("users.alice.name", "Alice") });
+    });
+
+    it("should measure the whole store without a prefix", () => {
+        const { keys, bytes } = jsonManager.stats();
+        expect(jsonManager.memoryUsage()).to.deep.equal({ keys, bytes });
+    });
+
+    it("should return undefined for missing paths", () => {
+        expect(jsonManager.memoryUsage("users.carol")).to.be.undefined;
+    });
+});
+
+describe("JsonManager slowLog()", () => {
+    it("should log has() and search() calls over the threshold with their criteria", () => {
+        const jsonManager = createJsonManager({ slowLog: { thresholdMs: 0 } });
+        jsonManager.write("users.alice.email", "a@x");
+        jsonManager.read("users.alice");
+        jsonManager.has({ regex: /@x$/ });
+        jsonManager.search("users.alice.email");
+
+        const log = jsonManager.slowLog();
+        expect(log.map(entry => entry.operation)).to.deep.equal(["has", "search"]);
+        expect(log[0].criteria).to.deep.equal({ regex: /@x$/ });
+        expect(log[1].criteria).to.equal("users.alice.email");
+        expect(log[1].durationMs).to.be.above(0);
+        expect(log[1].at).to.be.a("number");
+
+        jsonManager.resetStats();
+        expect(jsonManager.slowLog()).to.deep.equal([]);
+        jsonManager.close();
+    });
+
+    it("should keep the newest maxEntries entries", () => {
+        const jsonManager = createJsonManager({ slowLog: { thresholdMs: 0, maxEntries: 2 } });
+        ["a", "b", "c"].forEach(path => jsonManager.search(path));
+        expect(jsonManager.slowLog().map(entry => entry.criteria)).to.deep.equal(["b", "c"]);
+        jsonManager.close();
+    });
+
+    it("should leave fast calls out and keep no log when disabled", () => {
+        const fast = createJsonManager();
+        fast.search("a");
+        expect(fast.slowLog()).to.deep.equal([]);
+        fast.close();
+
+        const disabled = createJsonManager({ slowLog: false });
+        disabled.search("a");
+        expect(disabled.slowLog()).to.deep.equal([]);
+        disabled.close();
+
+        expect(() => createJsonManager({ slowLog: { thresholdMs: -1 } })).to.throw(/slowLog\.thresholdMs/);
+    });
+});
@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createAsyncJsonManager, createMemoryStorage, createFileStorage, createLogStorage, UnsafeKeyError } = require('../index');
+
+describe("Async manager", () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "memsafe-jsondb-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const adapters = {
+        memory: () => createMemoryStorage(),
+        file: () => createFileStorage({ dir: path.join(dir, "files") }),
+        log: () => createLogStorage({ file: path.join(dir, "store.log") })
+    };
+
+    Object.keys(adapters).forEach(name => {
+        describe(`with ${name} storage`, () => {
+            let manager;
+
+            beforeEach(() => {
+                manager = createAsyncJsonManager({ storage: adapters[name](), pathSyntax: "auto" });
+            });
+
+            afterEach(() => manager.close());
+
+            it("should read back what was written, escaped keys and arrays included", async () => {
+                await manager.write("users.alice", { age: 30, tags: ["a", "b"], "e.mail": "a@x" });
+                await manager.write("users.bob\\.smith.age", 20);
+                expect(await manager.read("users.alice")).to.deep.equal({ age: 30, tags: ["a", "b"], "e.mail": "a@x" });
+                expect(await manager.read("users.alice.e\\.mail")).to.equal("a@x");
+                expect(await manager.read("/users/alice/tags/1")).to.equal("b");
+                expect(await manager.read("$.users['bob.smith'].age")).to.equal(20);
+                expect(await manager.read("users.carol")).to.be.undefined;
+            });
+
+            it("should replace values and the non-object values above them", async () => {
+                await manager.write("a", { b: 1, c: 2 });
+                await manager.write("a", { d: 3 });
+                expect(await manager.read("a")).to.deep.equal({ d: 3 });
+                await manager.write("a.d.e", 4);
+                expect(await manager.dump()).to.deep.equal({ a: { d: { e: 4 } } });
+                await manager.write("empty", {});
+                await manager.write("empty.x", 1);
+                expect(await manager.read("empty")).to.deep.equal({ x: 1 });
+            });
+
+            it("should keep typed values like the in-memory manager", async () => {
+                const value = { when: new Date(0), big: 10n ** 20n, lookup: new Map([["k", new Set([1])]]), raw: Buffer.from("x"), missing: undefined };
+                await manager.write("doc", value);
+                await manager.init({ doc: value, list: [new Date(1)] });
+                expect(await manager.read("doc")).to.deep.equal(value);
+                expect(await manager.read("doc.when")).to.be.instanceOf(Date);
+                expect(await manager.has({ path: "list[0]" })).to.deep.equal([{ path: "list[0]", value: new Date(1) }]);
+
+                if (name !== "memory") {
+                    await manager.close();
+                    manager = createAsyncJsonManager({ storage: adapters[name]() });
+                }
+                expect(await manager.dump()).to.deep.equal({ doc: value, list: [new Date(1)] });
+            });
+
+            it("should not mix up paths sharing a prefix", async () => {
+                await manager.write("a", 1);
+                await manager.write("ab", 2);
+                await manager.write("a\\.b", 3);
+                expect(await manager.read("a")).to.equal(1);
+                expect(await manager.deleteTree("a")).to.equal(1);
+                expect(await manager.dump()).to.deep.equal({ ab: 2, "a.b": 3 });
+            });
+
+            it("should delete values, splicing array items and pruning emptied parents", async () => {
+                await manager.init({ list: [{ x: 1 }, { x: 2 }, 3], nest: { only: 1 }, keep: true });
+                expect(await manager.delete("list[0].x")).to.be.true;
+                expect(await manager.read("list")).to.deep.equal([{ x: 2 }, 3]);
+                expect(await manager.delete("nest.only")).to.be.true;
+                expect(await manager.hasKey("nest")).to.be.false;
+                expect(await manager.delete("missing")).to.be.false;
+                let error = null;
+                await manager.delete("list").catch(err => {
+                    error = err;
+                });
+                expect(error).to.match(/use deleteTree/);
+                expect(await manager.deleteTree("list")).to.equal(2);
+                expect(await manager.dump()).to.deep.equal({ keep: true });
+            });
+
+            it("should search with the has() criteria", async () => {
+                await manager.init({ users: { alice: { age: 30 }, bob: { age: 20 } } });
+                expect(await manager.has({ from: "users.*", where: { path: "age", gt: 25 } })).to.deep.equal([{ path: "users.alice", value: { age: 30 } }]);
+                expect(await manager.search("users.bob.age")).to.equal(20);
+            });
+
+            it("should run operations in the order they were called", async () => {
+                const results = await Promise.all([
+                    manager.write("n", 1),
+                    manager.read("n"),
+                    manager.write("n", 2),
+                    manager.read("n")
+                ]);
+                expect(results).to.deep.equal([undefined, 1, undefined, 2]);
+            });
+
+            it("should check writes against the unsafe key policy", async () => {
+                const strict = createAsyncJsonManager({ storage: createMemoryStorage(), unsafeKeys: "reject" });
+                let error = null;
+                await strict.write("a.__proto__", 1).catch(err => {
+                    error = err;
+                });
+                expect(error).to.be.instanceOf(UnsafeKeyError);
+                expect(await strict.dump()).to.deep.equal({});
+                await strict.close();
+            });
+        });
+    });
+
+    it("should keep data in one file per namespace", async () => {
+        const filesDir = path.join(dir, "files");
+        const manager = createAsyncJsonManager({ storage: createFileStorage({ dir: filesDir }) });
+        await manager.init({ users: { alice: 1 }, "a.b": { c: 2 }, "..": 3 });
+        await manager.close();
+        expect(fs.readdirSync(filesDir).sort()).to.deep.equal(["%2E%2E.json", "a%2Eb.json", "users.json"]);
+        expect(JSON.parse(fs.readFileSync(path.join(filesDir, "users.json"), "utf8"))).to.deep.equal({ "users.alice": 1 });
+
+        const reopened = createAsyncJsonManager({ storage: createFileStorage({ dir: filesDir }) });
+        expect(await reopened.dump()).to.deep.equal({ users: { alice: 1 }, "a.b": { c: 2 }, "..": 3 });
+        await reopened.deleteTree("users");
+        expect(fs.existsSync(path.join(filesDir, "users.json"))).to.be.false;
+        await reopened.close();
+    });
+
+    it("should replay the log, drop a torn last line and compact", async () => {
+        const file = path.join(dir, "store.log");
+        const manager = createAsyncJsonManager({ storage: createLogStorage({ file }) });
+        await manager.write("a", { b: 1 });
+        await manager.write("a.b", 2);
+        await manager.close();
+        fs.appendFileSync(file, '{"ops":[{"type":"set","key":"x","val');
+
+        const storage = createLogStorage({ file });
+        const reopened = createAsyncJsonManager({ storage });
+        expect(await reopened.dump()).to.deep.equal({ a: { b: 2 } });
+        await storage.compact();
+        expect(fs.readFileSync(file, "utf8").trim().split("\n")).to.have.length(1);
+        await reopened.write("c", 3);
+        await reopened.close();
+
+        const compacted = createAsyncJsonManager({ storage: createLogStorage({ file }) });
+        expect(await compacted.dump()).to.deep.equal({ a: { b: 2 }, c: 3 });
+        await compacted.close();
+    });
+
+    it("should refuse a log with a corrupted complete line", async () => {
+        const file = path.join(dir, "store.log");
+        const manager = createAsyncJsonManager({ storage: createLogStorage({ file }) });
+        await manager.write("a", 1);
+        await manager.close();
+        fs.appendFileSync(file, 'not json\n{"ops":[{"type":"set","key":"b","value":2}]}\n');
+        const before = fs.readFileSync(file, "utf8");
+
+        const storage = createLogStorage({ file });
+        try {
+            await storage.open();
+            expect.fail("open should have been rejected");
+        } catch (err) {
+            expect(err.message).to.match(/Corrupted log record at byte \d+ of .*store\.log/);
+        }
+        expect(fs.readFileSync(file, "utf8")).to.equal(before);
+    });
+
+    it("should work with a custom adapter that returns Promises and has no batch()", async () => {
+        const entries = new Map();
+        const calls = [];
+        const storage = {
+            get: async key => entries.get(key),
+            set: async (key, value) => {
+                calls.push(["set", key]);
+                entries.set(key, value);
+            },
+            delete: async key => {
+                calls.push(["delete", key]);
+                entries.delete(key);
+            },
+            // returns every entry; the manager filters
+            scan: async () => [...entries]
+        };
+        const manager = createAsyncJsonManager({ storage });
+        await manager.write("a", { b: 1 });
+        await manager.write("c", 2);
+        expect(await manager.read("a")).to.deep.equal({ b: 1 });
+        expect(calls).to.deep.equal([["set", "a.b"], ["set", "c"]]);
+        await manager.close();
+
+        let error = null;
+        await manager.read("a").catch(err => {
+            error = err;
+        });
+        expect(error).to.match(/closed/);
+    });
+});
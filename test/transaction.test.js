@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createJsonManager } = require('../index');
+const { MemoryLimitError } = require('../index');
+
+describe("JsonManager transactions", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+        jsonManager.write("account.alice", 100);
+        jsonManager.write("account.bob", 50);
+    });
+
+    describe("transaction()", () => {
+        it("should apply every write when the callback returns", () => {
+            jsonManager.transaction(tx => {
+                tx.write("account.alice", tx.read("account.alice") - 30);
+                tx.write("account.bob", tx.read("account.bob") + 30);
+            });
+            expect(jsonManager.dump()).to.deep.equal({ account: { alice: 70, bob: 80 } });
+        });
+
+        it("should roll everything back when the callback throws", () => {
+            expect(() => jsonManager.transaction(tx => {
+                tx.write("account.alice", 0);
+                throw new Error("boom");
+            })).to.throw("boom");
+            expect(jsonManager.read("account.alice")).to.equal(100);
+        });
+
+        it("should commit or roll back after an async callback settles", async () => {
+            await jsonManager.transaction(async tx => {
+                tx.write("account.carol", 10);
+            });
+            expect(jsonManager.read("account.carol")).to.equal(10);
+
+            let failed = false;
+            await jsonManager.transaction(async tx => {
+                tx.write("account.carol", 0);
+                await Promise.resolve();
+                throw new Error("later");
+            }).catch(() => {
+                failed = true;
+            });
+            expect(failed).to.be.true;
+            expect(jsonManager.read("account.carol")).to.equal(10);
+        });
+
+        it("should return the callback result", () => {
+            expect(jsonManager.transaction(tx => tx.read("account.bob"))).to.equal(50);
+        });
+    });
+
+    describe("begin()/commit()/rollback()", () => {
+        it("should let a transaction read its own uncommitted writes", () => {
+            const tx = jsonManager.begin();
+            tx.write("account.alice", 1);
+            tx.write("account.new.nested", true);
+
+            expect(tx.read("account.alice")).to.equal(1);
+            expect(tx.read("account")).to.deep.equal({ alice: 1, bob: 50, new: { nested: true } });
+            expect(tx.hasKey("account.new.nested")).to.be.true;
+            expect(tx.has({ like: "nested" })).to.deep.equal([{ path: "account.new.nested", value: true }]);
+            tx.rollback();
+        });
+
+        it("should hide uncommitted writes from the manager until commit", () => {
+            const tx = jsonManager.begin();
+            tx.write("account.alice", 1);
+            expect(jsonManager.read("account.alice")).to.equal(100);
+
+            tx.commit();
+            expect(jsonManager.read("account.alice")).to.equal(1);
+        });
+
+        it("should discard writes on rollback and refuse further use", () => {
+            const tx = jsonManager.begin();
+            tx.write("account.alice", 1);
+            tx.rollback();
+
+            expect(jsonManager.read("account.alice")).to.equal(100);
+            expect(() => tx.write("x", 1)).to.throw(/no longer active/);
+        });
+
+        it("should see an init() replacing the store", () => {
+            const tx = jsonManager.begin();
+            tx.init({ fresh: { start: 1 } });
+            tx.write("fresh.more", 2);
+            expect(tx.read("account")).to.be.undefined;
+            expect(tx.read("fresh.start")).to.equal(1);
+            tx.commit();
+            expect(jsonManager.hasKey("account")).to.be.false;
+            expect(jsonManager.read("fresh")).to.deep.equal({ start: 1, more: 2 });
+        });
+    });
+
+    describe("savepoints", () => {
+        it("should roll back only a nested transaction", () => {
+            jsonManager.transaction(tx => {
+                tx.write("account.alice", 90);
+                expect(() => tx.transaction(inner => {
+                    inner.write("account.bob", 0);
+                    expect(inner.read("account.alice")).to.equal(90);
+                    throw new Error("inner failure");
+                })).to.throw("inner failure");
+                expect(tx.read("account.bob")).to.equal(50);
+            });
+            expect(jsonManager.dump()).to.deep.equal({ account: { alice: 90, bob: 50 } });
+        });
+
+        it("should release a nested transaction into its parent", () => {
+            const tx = jsonManager.begin();
+            const inner = tx.begin();
+            inner.write("account.bob", 60);
+            inner.commit();
+            expect(jsonManager.read("account.bob")).to.equal(50);
+            tx.commit();
+            expect(jsonManager.read("account.bob")).to.equal(60);
+        });
+
+        it("should roll back to a manual savepoint", () => {
+            const tx = jsonManager.begin();
+            tx.write("account.alice", 1);
+            const mark = tx.savepoint();
+            tx.write("account.bob", 2);
+            tx.rollbackTo(mark);
+            tx.commit();
+            expect(jsonManager.dump()).to.deep.equal({ account: { alice: 1, bob: 50 } });
+        });
+    });
+
+    it("should reject a whole transaction that does not fit a noeviction budget", () => {
+        const budgeted = createJsonManager({ maxKeys: 2, eviction: "noeviction" });
+        budgeted.write("a", 1);
+        expect(() => budgeted.transaction(tx => {
+            tx.write("b", 2);
+            tx.write("c", 3);
+        })).to.throw(MemoryLimitError);
+        expect(budgeted.dump()).to.deep.equal({ a: 1 });
+    });
+
+    it("should log a committed transaction as one batch record", () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "memsafe-jsondb-"));
+        const first = createJsonManager({ persistence: { dir } });
+        first.transaction(tx => {
+            tx.write("a", 1);
+            tx.write("b", 2);
+        });
+        first.close();
+
+        const lines = fs.readFileSync(path.join(dir, "write.log"), "utf8").trim().split("\n");
+        expect(lines).to.have.length(1);
+        const second = createJsonManager({ persistence: { dir } });
+        expect(second.dump()).to.deep.equal({ a: 1, b: 2 });
+        second.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+
+const { createJsonManager } = require('../index');
+const { createPrefixTree } = require('../src/tree');
+
+describe("Prefix tree storage", () => {
+
+    describe("createPrefixTree()", () => {
+        let tree;
+
+        beforeEach(() => {
+            tree = createPrefixTree();
+            tree.load({ a: { "b.c": 1, list: [{ x: 1 }, { x: 2 }] } });
+        });
+
+        it("should read values and subtrees as copies", () => {
+            expect(tree.get(["a", "b.c"])).to.equal(1);
+            const subtree = tree.get(["a"]);
+            subtree.list.push("changed");
+            expect(tree.get(["a", "list"])).to.deep.equal([{ x: 1 }, { x: 2 }]);
+            expect(tree.typeAt(["a", "list"])).to.equal("array");
+            expect(tree.sizeAt(["a"])).to.equal(2);
+        });
+
+        it("should address array items by number or numeric string", () => {
+            expect(tree.get(["a", "list", 1, "x"])).to.equal(2);
+            expect(tree.get(["a", "list", "1", "x"])).to.equal(2);
+            expect(tree.has(["a", "list", "x"])).to.be.false;
+        });
+
+        it("should replace leaves in the way of a write", () => {
+            tree.set(["a", "b.c", "d"], 2);
+            expect(tree.get(["a", "b.c"])).to.deep.equal({ d: 2 });
+        });
+
+        it("should turn an array into an object for a non-index key", () => {
+            tree.set(["a", "list", "name"], "n");
+            expect(tree.get(["a", "list"])).to.deep.equal({ 0: { x: 1 }, 1: { x: 2 }, name: "n" });
+        });
+
+        it("should splice array items and prune empty parents", () => {
+            expect(tree.remove(["a", "list", 0, "x"])).to.be.true;
+            expect(tree.get(["a", "list"])).to.deep.equal([{ x: 2 }]);
+            tree.remove(["a", "list", 0]);
+            tree.remove(["a", "b.c"]);
+            expect(tree.get([])).to.deep.equal({});
+            expect(tree.remove(["missing", "key"])).to.be.false;
+        });
+
+        it("should list flattened entries like flattenJsonWithEscaping()", () => {
+            tree.set(["a", "empty"], {});
+            expect(tree.entries(["a"])).to.deep.equal([
+                ["a.b\\.c", 1],
+                ["a.list[0].x", 1],
+                ["a.list[1].x", 2],
+                ["a.empty", {}]
+            ]);
+            expect(tree.entries(["a", "b.c"])).to.deep.equal([["a.b\\.c", 1]]);
+        });
+    });
+
+    describe("JsonManager storage", () => {
+        it("should give the same results for init() and write()", () => {
+            const initialised = createJsonManager();
+            initialised.init({ users: { alice: { name: "Alice" } }, "a.b": 1 });
+            const written = createJsonManager();
+            written.write("users.alice.name", "Alice");
+            written.write("a\\.b", 1);
+
+            [initialised, written].forEach(manager => {
+                expect(manager.read("users.alice")).to.deep.equal({ name: "Alice" });
+                expect(manager.read("a\\.b")).to.equal(1);
+                expect(manager.hasKey("users.alice.name")).to.be.true;
+                expect(manager.dump()).to.deep.equal({ users: { alice: { name: "Alice" } }, "a.b": 1 });
+            });
+        });
+
+        it("should write under data loaded by init()", () => {
+            const jsonManager = createJsonManager();
+            jsonManager.init({ users: { alice: { name: "Alice" } } });
+            jsonManager.write("users.bob.name", "Bob");
+            expect(jsonManager.read("users")).to.deep.equal({ alice: { name: "Alice" }, bob: { name: "Bob" } });
+            expect(jsonManager.deleteTree("users.alice")).to.equal(1);
+        });
+
+        it("should not share values with the caller", () => {
+            const jsonManager = createJsonManager();
+            const value = { nested: { count: 1 } };
+            jsonManager.write("data", value);
+            value.nested.count = 2;
+            jsonManager.read("data").nested.count = 3;
+            expect(jsonManager.read("data.nested.count")).to.equal(1);
+        });
+    });
+});
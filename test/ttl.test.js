@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createJsonManager } = require('../index');
+
+describe("JsonManager TTL", () => {
+    let clock;
+    let jsonManager;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: 1000000 });
+        jsonManager = createJsonManager();
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+        clock.restore();
+    });
+
+    it("should hide a key written with a ttl once it expires", () => {
+        jsonManager.write("session.token", "abc", { ttl: 100 });
+        jsonManager.write("session.user", "alice");
+        expect(jsonManager.read("session.token")).to.equal("abc");
+
+        clock.tick(100);
+        expect(jsonManager.read("session.token")).to.be.undefined;
+        expect(jsonManager.hasKey("session.token")).to.be.false;
+        expect(jsonManager.search("session.token")).to.be.undefined;
+        expect(jsonManager.has({ like: "token" })).to.deep.equal([]);
+        expect(jsonManager.dump()).to.deep.equal({ session: { user: "alice" } });
+    });
+
+    it("should expire every key under a prefix", () => {
+        jsonManager.write("cache.a", 1);
+        jsonManager.write("cache.b.c", 2);
+        jsonManager.write("other", 3);
+        expect(jsonManager.expire("cache", 50)).to.be.true;
+        expect(jsonManager.ttl("cache.b.c")).to.equal(50);
+
+        clock.tick(50);
+        expect(jsonManager.dump()).to.deep.equal({ other: 3 });
+    });
+
+    it("should report remaining time, no expiry and missing keys from ttl()", () => {
+        jsonManager.write("a", 1, { ttl: 200 });
+        jsonManager.write("b", 2);
+        clock.tick(50);
+
+        expect(jsonManager.ttl("a")).to.equal(150);
+        expect(jsonManager.ttl("b")).to.equal(-1);
+        expect(jsonManager.ttl("missing")).to.equal(-2);
+        expect(jsonManager.expire("missing", 10)).to.be.false;
+        [0, -5, "abc", NaN, undefined].forEach(ms => {
+            expect(() => jsonManager.expire("a", ms)).to.throw("ttl must be a positive number of milliseconds.");
+        });
+        expect(jsonManager.ttl("a")).to.equal(150);
+    });
+
+    it("should remove an expiry with persist()", () => {
+        jsonManager.write("a", 1, { ttl: 10 });
+        expect(jsonManager.persist("a")).to.be.true;
+        expect(jsonManager.persist("a")).to.be.false;
+
+        clock.tick(20);
+        expect(jsonManager.read("a")).to.equal(1);
+    });
+
+    it("should clear the expiry when a path is overwritten", () => {
+        jsonManager.write("a", 1, { ttl: 10 });
+        jsonManager.write("a", 2);
+
+        clock.tick(20);
+        expect(jsonManager.read("a")).to.equal(2);
+    });
+
+    it("should only clear the expiries at or under an overwritten path", () => {
+        jsonManager.write("a.b", 1, { ttl: 10 });
+        jsonManager.write("ab", 2, { ttl: 10 });
+        jsonManager.write("a\\.b", 3, { ttl: 10 });
+        jsonManager.write("a", { b: 4 });
+
+        expect(jsonManager.ttl("a.b")).to.equal(-1);
+        expect(jsonManager.ttl("ab")).to.equal(10);
+        expect(jsonManager.ttl("a\\.b")).to.equal(10);
+    });
+
+    it("should expire many keys in expiry order", () => {
+        const events = [];
+        jsonManager.watch(/^k/, event => event.type === "expire" && events.push(event.path));
+        for (let index = 0; index < 1000; index++) {
+            jsonManager.write(`k${index}`, index, { ttl: 1000 - index });
+        }
+        // a later expiry replaces the earlier one
+        jsonManager.expire("k999", 500);
+        clock.tick(3);
+        expect(jsonManager.read("k998")).to.be.undefined;
+        expect(events).to.deep.equal(["k998", "k997"]);
+        expect(jsonManager.read("k999")).to.equal(999);
+        expect(jsonManager.read("k996")).to.equal(996);
+    });
+
+    it("should remove expired keys in the background sweep", () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "memsafe-jsondb-"));
+        const persisted = createJsonManager({ sweepInterval: 100, persistence: { dir } });
+        persisted.write("a", 1, { ttl: 50 });
+        persisted.write("b", 2);
+        clock.tick(100);
+
+        // nothing touched the store, the sweep logged the delete on its own
+        const log = fs.readFileSync(path.join(dir, "write.log"), "utf8").trim().split("\n").map(line => JSON.parse(line));
+        expect(log[log.length - 1]).to.include({ op: "delete", path: "a" });
+        persisted.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should move expirations with the array items after a deleted item", () => {
+        jsonManager.write("list", [{ id: "a" }, { id: "b" }, { id: "c" }]);
+        jsonManager.expire("list[1]", 100);
+        jsonManager.expire("list[2].id", 200);
+        jsonManager.expire("list[0]", 300);
+        jsonManager.deleteTree("list[0]");
+
+        expect(jsonManager.ttl("list[0]")).to.equal(100);
+        expect(jsonManager.ttl("list[1].id")).to.equal(200);
+        expect(jsonManager.ttl("list[1]")).to.equal(-1);
+        clock.tick(100);
+        expect(jsonManager.read("list")).to.deep.equal([{ id: "c" }]);
+        clock.tick(100);
+        expect(jsonManager.read("list")).to.be.undefined;
+    });
+
+    it("should move budget entries with the array items after a deleted item", () => {
+        const budgeted = createJsonManager({ maxKeys: 3, eviction: "ttl" });
+        budgeted.write("list", ["a", "b", "c"]);
+        budgeted.expire("list[2]", 10);
+        budgeted.deleteTree("list[0]");
+        budgeted.write("x", 1);
+        budgeted.write("y", 2);
+
+        expect(budgeted.dump()).to.deep.equal({ list: ["b"], x: 1, y: 2 });
+        budgeted.close();
+    });
+
+    it("should evict the soonest expiring key first with the ttl policy", () => {
+        const budgeted = createJsonManager({ maxKeys: 2, eviction: "ttl" });
+        budgeted.write("long", 1, { ttl: 1000 });
+        budgeted.write("short", 2, { ttl: 10 });
+        budgeted.write("forever", 3);
+
+        expect(budgeted.dump()).to.deep.equal({ long: 1, forever: 3 });
+        budgeted.close();
+    });
+
+    it("should reject invalid ttl values", () => {
+        expect(() => jsonManager.write("a", 1, { ttl: 0 })).to.throw(/ttl must be a positive number/);
+        expect(() => jsonManager.write("a", 1, { ttl: "10" })).to.throw(/ttl must be a positive number/);
+    });
+
+    it("should keep expirations across a checkpoint and reload", () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "memsafe-jsondb-"));
+        const first = createJsonManager({ persistence: { dir } });
+        first.write("a", 1, { ttl: 100 });
+        first.write("b", 2);
+        first.checkpoint();
+        first.close();
+
+        const second = createJsonManager({ persistence: { dir } });
+        expect(second.ttl("a")).to.equal(100);
+        clock.tick(100);
+        expect(second.dump()).to.deep.equal({ b: 2 });
+        second.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
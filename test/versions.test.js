@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { createJsonManager } = require('../index');
+const { VersionConflictError } = require('../index');
+
+describe("JsonManager versions", () => {
+    let jsonManager;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should read values with their version and modified time", () => {
+        const clock = sinon.useFakeTimers(1000);
+        try {
+            jsonManager.write("a.b", 1);
+            clock.tick(5);
+            jsonManager.write("c", 2);
+        } finally {
+            clock.restore();
+        }
+        expect(jsonManager.readWithMeta("a.b")).to.deep.equal({ value: 1, version: 1, modified: 1000 });
+        expect(jsonManager.readWithMeta("c")).to.deep.equal({ value: 2, version: 2, modified: 1005 });
+        expect(jsonManager.readWithMeta("missing")).to.be.undefined;
+    });
+
+    it("should move a prefix's version with changes below it", () => {
+        jsonManager.write("users.alice.age", 30);
+        jsonManager.write("users.bob.age", 20);
+        const users = jsonManager.readWithMeta("users").version;
+        const alice = jsonManager.readWithMeta("users.alice").version;
+
+        jsonManager.write("users.bob.age", 21);
+        expect(jsonManager.readWithMeta("users").version).to.be.above(users);
+        expect(jsonManager.readWithMeta("users.alice").version).to.equal(alice);
+
+        jsonManager.deleteTree("users.bob");
+        expect(jsonManager.readWithMeta("users").version).to.be.above(users + 1);
+    });
+
+    it("should stamp array items that move up after a delete", () => {
+        jsonManager.write("list", ["a", "b", "c"]);
+        const first = jsonManager.readWithMeta("list[0]").version;
+        jsonManager.deleteTree("list[1]");
+        expect(jsonManager.readWithMeta("list[0]").version).to.equal(first);
+        expect(jsonManager.readWithMeta("list[1]")).to.include({ value: "c" });
+        expect(jsonManager.readWithMeta("list[1]").version).to.be.above(first);
+    });
+
+    it("should give a transaction's writes one version", () => {
+        jsonManager.transaction(tx => {
+            tx.write("x", 1);
+            tx.write("y", 2);
+        });
+        expect(jsonManager.readWithMeta("x").version).to.equal(jsonManager.readWithMeta("y").version);
+    });
+
+    it("should compare and set", () => {
+        expect(jsonManager.compareAndSet("counter", 0, 1)).to.equal(1);
+        const { version } = jsonManager.readWithMeta("counter");
+        expect(jsonManager.compareAndSet("counter", version, 2)).to.be.above(version);
+
+        expect(() => jsonManager.compareAndSet("counter", version, 3)).to.throw(VersionConflictError)
+            .that.includes({ code: "ERR_VERSION_CONFLICT", path: "counter", expectedVersion: version });
+        expect(() => jsonManager.compareAndSet("counter", 0, 3)).to.throw(VersionConflictError);
+        expect(jsonManager.read("counter")).to.equal(2);
+    });
+
+    it("should compare and delete", () => {
+        jsonManager.write("a.b", 1);
+        const { version } = jsonManager.readWithMeta("a");
+        jsonManager.write("a.c", 2);
+        expect(() => jsonManager.compareAndDelete("a", version)).to.throw(VersionConflictError);
+
+        expect(jsonManager.compareAndDelete("a", jsonManager.readWithMeta("a").version)).to.be.true;
+        expect(jsonManager.hasKey("a")).to.be.false;
+        expect(jsonManager.compareAndDelete("a", 0)).to.be.false;
+    });
+
+    it("should keep versions increasing across restarts", () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsondb-versions-"));
+        try {
+            const first = createJsonManager({ persistence: { dir } });
+            first.write("a", 1);
+            first.checkpoint();
+            first.write("b", 2);
+            const before = first.readWithMeta("b");
+            first.close();
+
+            const second = createJsonManager({ persistence: { dir } });
+            expect(second.readWithMeta("a").version).to.equal(1);
+            expect(second.readWithMeta("b")).to.deep.equal(before);
+            second.write("c", 3);
+            expect(second.readWithMeta("c").version).to.be.above(before.version);
+            second.close();
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+
+const { createJsonManager } = require('../index');
+
+describe("JsonManager watch()", () => {
+    let jsonManager;
+    let events;
+
+    beforeEach(() => {
+        jsonManager = createJsonManager();
+        events = [];
+    });
+
+    afterEach(() => {
+        jsonManager.close();
+    });
+
+    it("should report writes at and below the watched path", () => {
+        jsonManager.watch("a.b", event => events.push(event));
+        jsonManager.write("a.b.c\\.d", 1);
+        jsonManager.write("a.b.c\\.d", 2);
+        jsonManager.write("a.other", 3);
+
+        expect(events).to.deep.equal([
+            { type: "write", path: "a.b.c\\.d", oldValue: undefined, newValue: 1 },
+            { type: "write", path: "a.b.c\\.d", oldValue: 1, newValue: 2 }
+        ]);
+    });
+
+    it("should report the watched path when an ancestor is replaced", () => {
+        jsonManager.write("a.b.c", 1);
+        jsonManager.watch("a.b", event => events.push(event));
+        jsonManager.write("a", { b: { c: 2 } });
+
+        expect(events).to.deep.equal([{ type: "write", path: "a.b", oldValue: { c: 1 }, newValue: { c: 2 } }]);
+    });
+
+    it("should treat escaped dots as part of a key", () => {
+        jsonManager.watch("a\\.b", event => events.push(event));
+        jsonManager.write("a.b", 1);
+        jsonManager.write("a\\.b.c", 2);
+
+        expect(events.map(event => event.path)).to.deep.equal(["a\\.b.c"]);
+    });
+
+    it("should report expiries and init() replacements", () => {
+        const clock = sinon.useFakeTimers();
+        try {
+            jsonManager.write("session.token", "abc", { ttl: 10 });
+            jsonManager.watch("session", event => events.push(event));
+            clock.tick(10);
+            jsonManager.read("session.token");
+            jsonManager.init({ session: "fresh" });
+        } finally {
+            clock.restore();
+        }
+
+        expect(events).to.deep.equal([
+            { type: "expire", path: "session.token", oldValue: "abc", newValue: undefined },
+            { type: "init", path: "session", oldValue: undefined, newValue: "fresh" }
+        ]);
+    });
+
+    it("should match changed paths against a RegExp", () => {
+        jsonManager.write("users.alice.email", "a@x");
+        jsonManager.watch(/^users\.[^.]+\.email$/, event => events.push(event));
+        jsonManager.write("users.bob.email", "b@x");
+        jsonManager.write("users.bob.name", "Bob");
+        jsonManager.init({ other: 1 });
+
+        expect(events).to.deep.equal([
+            { type: "write", path: "users.bob.email", oldValue: undefined, newValue: "b@x" },
+            { type: "init", path: "users.alice.email", oldValue: "a@x", newValue: undefined },
+            { type: "init", path: "users.bob.email", oldValue: "b@x", newValue: undefined }
+        ]);
+    });
+
+    it("should report evictions", () => {
+        const budgeted = createJsonManager({ maxKeys: 1 });
+        budgeted.write("a", 1);
+        budgeted.watch("a", event => events.push(event));
+        budgeted.write("b", 2);
+
+        expect(events).to.deep.equal([{ type: "evict", path: "a", oldValue: 1, newValue: undefined }]);
+    });
+
+    it("should stop delivering after unsubscribing", () => {
+        const unwatch = jsonManager.watch("a", event => events.push(event));
+        jsonManager.write("a", 1);
+        unwatch();
+        jsonManager.write("a", 2);
+
+        expect(events).to.have.length(1);
+    });
+
+    it("should deliver a transaction's events after it committed", () => {
+        jsonManager.watch("a", () => events.push(jsonManager.dump()));
+        jsonManager.transaction(tx => {
+            tx.write("a.x", 1);
+            tx.write("a.y", 2);
+            expect(events).to.have.length(0);
+        });
+
+        expect(events).to.deep.equal([{ a: { x: 1, y: 2 } }, { a: { x: 1, y: 2 } }]);
+    });
+
+    it("should batch events per tick", async () => {
+        jsonManager.watch("a", batch => events.push(batch), { batch: true });
+        jsonManager.write("a.x", 1);
+        jsonManager.write("a.y", 2);
+        expect(events).to.have.length(0);
+
+        await new Promise(resolve => process.nextTick(resolve));
+        expect(events).to.have.length(1);
+        expect(events[0].map(event => event.path)).to.deep.equal(["a.x", "a.y"]);
+    });
+
+    it("should keep delivering when a listener throws", () => {
+        const failures = [];
+        jsonManager.watch("a", () => {
+            throw new Error("listener failed");
+        }, { onError: (err, event) => failures.push([err.message, event.path]) });
+        jsonManager.watch("a", event => events.push(event.path));
+
+        expect(() => jsonManager.write("a", 1)).not.to.throw();
+        expect(jsonManager.read("a")).to.equal(1);
+        expect(events).to.deep.equal(["a"]);
+        expect(failures).to.deep.equal([["listener failed", "a"]]);
+    });
+
+    it("should rethrow a listener's error asynchronously without onError", async () => {
+        const uncaught = new Promise(resolve => {
+            const mochaHandlers = process.listeners("uncaughtException");
+            process.removeAllListeners("uncaughtException");
+            process.once("uncaughtException", err => {
+                mochaHandlers.forEach(handler => process.on("uncaughtException", handler));
+                resolve(err);
+            });
+        });
+        jsonManager.watch("a", () => {
+            throw new Error("listener failed");
+        });
+        jsonManager.watch("a", event => events.push(event.path));
+        jsonManager.write("a", 1);
+
+        expect(events).to.deep.equal(["a"]);
+        expect((await uncaught).message).to.equal("listener failed");
+    });
+
+    it("should hand out copies of the values", () => {
+        jsonManager.watch("a", event => {
+            event.newValue.b = "changed";
+        });
+        jsonManager.write("a", { b: 1 });
+        expect(jsonManager.read("a.b")).to.equal(1);
+    });
+});